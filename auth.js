@@ -18,8 +18,12 @@
  *   - createAuthError             : Pure function - create standardized auth error response
  *   - validateRequest             : Pure function - extract + validate in one step
  *   - validateRequestWithRotation : Async - KV-backed validation with fallback
+ *   - requireScopes               : Pure function - check an auth result grants scopes
+ *   - timingSafeEqual             : Pure function - constant-time comparison (re-exported from src/timing-safe.js)
+ *   - withDeprecationHeaders      : Pure function - add Deprecation/Sunset headers for old keys
  *   - AUTH_HEADER_NAME            : Constant - header name for API key
  *   - AUTH_ERROR_CODES            : Constant - standardized error codes
+ *   - DEPRECATION_HEADERS         : Constant - header names set by withDeprecationHeaders
  *   - selfTest                    : Pure function - self-validation with fake inputs
  * 
  * STATIC AUTH (Original):
@@ -34,24 +38,70 @@
  *   @property {string|null} code    - Error code if invalid
  *   @property {string|null} keyId   - SigningKey ID (if found in KV)
  *   @property {string|null} merchantId - Merchant ID (for multi-tenant)
+ *   @property {string[]|null} scopes - Granted scopes (null = unrestricted)
  *   @property {boolean} isDeprecated - True if key is in grace period
+ *   @property {number|null} [deprecatedAt] - When the key was deprecated (KV keys)
  *   @property {number|null} remainingMs - Time until key expires
- *   @property {string} source       - 'kv' | 'static' | 'none'
+ *   @property {string} source       - 'kv' | 'signed' | 'static' | 'none'
+ *   @property {number} [retryAfter] - Seconds to wait (AUTH_RATE_LIMITED only)
  * 
  * USAGE:
  *   // Static key (backward compatible)
  *   const auth = validateRequest(request, env.ADMIN_API_KEY);
  * 
  *   // Rotating keys with fallback
- *   const auth = await validateRequestWithRotation(request, env.KEY_STORE, env.ADMIN_API_KEY);
+ *   const auth = await validateRequestWithRotation(request, env.KEY_STORE, env.ADMIN_API_KEY, {
+ *     peppers: parsePeppers(env.KEY_PEPPERS)   // optional, current pepper first
+ *   });
  *   if (!auth.valid) return createAuthError(auth.code);
  *   console.log(`Merchant: ${auth.merchantId}, Deprecated: ${auth.isDeprecated}`);
  * 
+ *   // Key usage is buffered per isolate; write it before the isolate ends
+ *   ctx.waitUntil(flushKeyUsage(env.KEY_STORE));
+ * 
+ *   // Brute-force lockout (src/rate-limiter.js): failed lookups are counted per
+ *   // client IP and key prefix; locked-out clients get 429 + Retry-After
+ *   const rateLimiter = createRateLimiter(env.KEY_STORE);
+ *   const auth = await validateRequestWithRotation(request, env.KEY_STORE, null, { rateLimiter });
+ *   if (!auth.valid) return createAuthError(auth.code, auth.error, { retryAfter: auth.retryAfter });
+ * 
+ *   // Signed requests (src/request-signing.js) are accepted by the same call:
+ *   //   Authorization: KR-HMAC-SHA256 keyId=...,ts=...,nonce=...,signature=...
+ *   // Nonces are remembered in KV unless options.nonceStore is given; the
+ *   // stored signing secret is sealed, so the peppers are needed to open it
+ *   const auth = await validateRequestWithRotation(request, env.KEY_STORE, null, {
+ *     peppers: parsePeppers(env.KEY_PEPPERS),
+ *     maxSkewMs: 300000
+ *   });
+ * 
+ *   // Route-level scope enforcement
+ *   const access = requireScopes(auth, ['keys:rotate']);
+ *   if (!access.valid) return createAuthError(access.code, access.error);
+ * 
+ *   // Tell clients on a deprecated key to rotate (Deprecation, Sunset, X-API-Key-Rotate-By)
+ *   return withDeprecationHeaders(await handle(request), auth);
+ * 
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-import {isSigningKeyValid} from './src/key-rotator.js';
-import {lookupByPlaintext} from './src/key-store-kv.js';
+import {KEY_STATUS, hasScopes, isSigningKeyValid, openRequestSigningSecret} from './src/key-rotator.js';
+import {
+  KEY_VALIDATION_CODES,
+  lookupByKeyId,
+  lookupByPlaintext,
+  migrateKeyHash,
+  recordValidationFailure
+} from './src/key-store-kv.js';
+import {flushKeyUsage, recordKeyUsage} from './src/key-usage.js';
+import {rateLimitIdentifiers} from './src/rate-limiter.js';
+import {timingSafeEqual} from './src/timing-safe.js';
+import {
+  DEFAULT_MAX_SKEW_MS,
+  createNonceStore,
+  isWithinSkew,
+  parseSignatureHeader,
+  verifyRequestSignature
+} from './src/request-signing.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -69,44 +119,33 @@ const AUTH_HEADER_NAME = 'X-API-Key';
  */
 const AUTH_HEADER_BEARER = 'Authorization';
 
+/**
+ * Response headers set on requests authenticated with a deprecated key
+ * Deprecation: RFC 9745, Sunset: RFC 8594
+ */
+const DEPRECATION_HEADERS = {
+  DEPRECATION: 'Deprecation',
+  SUNSET: 'Sunset',
+  ROTATE_BY: 'X-API-Key-Rotate-By'
+};
+
 /**
  * Standardized error codes for auth failures
  */
 const AUTH_ERROR_CODES = {
-  MISSING_KEY: 'AUTH_MISSING_KEY',
-  INVALID_KEY: 'AUTH_INVALID_KEY',
-  EXPIRED_KEY: 'AUTH_EXPIRED_KEY',
-  MALFORMED_HEADER: 'AUTH_MALFORMED_HEADER'
+  ...KEY_VALIDATION_CODES,
+  MALFORMED_HEADER: 'AUTH_MALFORMED_HEADER',
+  INSUFFICIENT_SCOPE: 'AUTH_INSUFFICIENT_SCOPE',
+  RATE_LIMITED: 'AUTH_RATE_LIMITED',
+  INVALID_SIGNATURE: 'AUTH_INVALID_SIGNATURE',
+  REQUEST_EXPIRED: 'AUTH_REQUEST_EXPIRED',
+  REPLAYED_REQUEST: 'AUTH_REPLAYED_REQUEST'
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // PURE FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-/**
- * Timing-safe string comparison to prevent timing attacks
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {boolean} - True if equal
- */
-function timingSafeEqual(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') {
-    return false;
-  }
-
-  if (a.length !== b.length) {
-    // Still do comparison to maintain constant time
-    b = a;
-  }
-
-  let result = 0;
-  for (let i = 0; i < a.length; i++) {
-    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
-  }
-
-  return result === 0 && a.length === b.length;
-}
-
 /**
  * Extract API key from request headers
  * Supports both X-API-Key and Authorization: Bearer formats
@@ -201,10 +240,26 @@ function validateRequest(request, expectedKey) {
  * @param {Request} request - Incoming request
  * @param {KVNamespace|null} KV - Cloudflare KV namespace (KEY_STORE)
  * @param {string|null} staticKey - Fallback static key (env.ADMIN_API_KEY)
+ * @param {Object} [options]
+ * @param {Array<{id: string, secret: string}>} [options.peppers] - HMAC peppers, current first
+ * @param {Object} [options.usageTracker] - Usage tracker (default: shared, debounced)
+ * @param {Object} [options.rateLimiter] - From createRateLimiter; counts failed lookups
+ * @param {Object} [options.nonceStore] - From createNonceStore (signed requests; default: on KV)
+ * @param {number} [options.maxSkewMs=300000] - Accepted clock skew for signed requests
  * @returns {Promise<RotatingAuthResult>}
  */
-async function validateRequestWithRotation(request, KV = null, staticKey = null) {
+async function validateRequestWithRotation(request, KV = null, staticKey = null, options = {}) {
+  const signature = parseSignatureHeader(request?.headers?.get(AUTH_HEADER_BEARER));
+  if (signature === false) {
+    return signedFailure(AUTH_ERROR_CODES.MALFORMED_HEADER, 'Malformed request signature');
+  }
+  if (signature) {
+    return validateSignedRequest(request, KV, signature, options);
+  }
+
   const { key: providedKey } = extractApiKey(request);
+  const { rateLimiter = null } = options;
+  const identifiers = rateLimiter && providedKey ? rateLimitIdentifiers(request, providedKey) : [];
 
   // No key provided
   if (!providedKey) {
@@ -214,21 +269,59 @@ async function validateRequestWithRotation(request, KV = null, staticKey = null)
       error: 'API key required',
       keyId: null,
       merchantId: null,
+      scopes: [],
       isDeprecated: false,
       remainingMs: null,
       source: 'none'
     };
   }
 
+  // Locked-out clients never reach the lookup path
+  if (identifiers.length > 0) {
+    try {
+      const decision = await rateLimiter.check(identifiers);
+      if (decision.limited) {
+        return {
+          valid: false,
+          code: AUTH_ERROR_CODES.RATE_LIMITED,
+          error: 'Too many failed authentication attempts',
+          keyId: null,
+          merchantId: null,
+          scopes: [],
+          isDeprecated: false,
+          remainingMs: null,
+          source: 'none',
+          retryAfter: decision.retryAfterSeconds
+        };
+      }
+    } catch (error) {
+      // Fail open - a limiter outage must not lock everyone out
+      console.error('Rate limit check failed:', error.message);
+    }
+  }
+
   // Try KV lookup first (if KV is available)
   if (KV) {
     try {
-      const signingKey = await lookupByPlaintext(KV, providedKey);
+      const signingKey = await lookupByPlaintext(KV, providedKey, options);
 
       if (signingKey) {
         const validity = isSigningKeyValid(signingKey);
 
         if (validity.valid) {
+          if (options.peppers?.length) {
+            try {
+              await migrateKeyHash(KV, signingKey, providedKey, options.peppers[0]);
+            } catch (error) {
+              console.error('Key hash migration failed:', error.message);
+            }
+          }
+
+          await recordKeyUsage(KV, signingKey.keyId, {
+            ip: request.headers.get('CF-Connecting-IP'),
+            tracker: options.usageTracker
+          });
+
           return {
             valid: true,
             code: null,
@@ -236,20 +329,25 @@ async function validateRequestWithRotation(request, KV = null, staticKey = null)
             keyId: signingKey.keyId,
             merchantId: signingKey.metadata?.merchantId || null,
             environment: signingKey.metadata?.environment || null,
+            scopes: signingKey.scopes ?? null,
             isDeprecated: signingKey.deprecatedAt !== null,
+            deprecatedAt: signingKey.deprecatedAt,
             remainingMs: validity.remainingMs,
             source: 'kv'
           };
         } else {
-          // Key found but not valid (expired/destroyed)
+          // Key found but not valid (suspended/expired/destroyed)
+          await recordValidationFailure(KV, signingKey, validity.reason, {
+            actor: 'request',
+            auditDetails: { ip: request.headers.get('CF-Connecting-IP') || null }
+          });
+
           return {
             valid: false,
-            code: AUTH_ERROR_CODES.EXPIRED_KEY,
-            error: validity.reason || 'Key has expired',
+            ...invalidKeyFailure(validity),
             keyId: signingKey.keyId,
             merchantId: signingKey.metadata?.merchantId || null,
-            isDeprecated: true,
-            remainingMs: 0,
+            scopes: [],
             source: 'kv'
           };
         }
@@ -271,6 +369,7 @@ async function validateRequestWithRotation(request, KV = null, staticKey = null)
         error: null,
         keyId: null,
         merchantId: null,
+        scopes: null,
         isDeprecated: false,
         remainingMs: null,
         source: 'static',
@@ -280,30 +379,264 @@ async function validateRequestWithRotation(request, KV = null, staticKey = null)
   }
 
   // Key not found anywhere
+  if (identifiers.length > 0) {
+    try {
+      await rateLimiter.recordFailure(identifiers);
+    } catch (error) {
+      console.error('Rate limit update failed:', error.message);
+    }
+  }
+
   return {
     valid: false,
     code: AUTH_ERROR_CODES.INVALID_KEY,
     error: 'Invalid API key',
     keyId: null,
     merchantId: null,
+    scopes: [],
     isDeprecated: false,
     remainingMs: null,
     source: 'none'
   };
 }
 
+/**
+ * Code and fields for a key that was found but is not valid
+ * Suspension is reversible, so it gets its own code and is not reported as
+ * an expired (deprecated) key.
+ * @param {{status: string, reason: string|null}} validity - From isSigningKeyValid
+ * @returns {{code: string, error: string, isDeprecated: boolean, remainingMs: number|null}}
+ */
+function invalidKeyFailure(validity) {
+  if (validity.status === KEY_STATUS.SUSPENDED) {
+    return {
+      code: AUTH_ERROR_CODES.SUSPENDED_KEY,
+      error: validity.reason || 'Key is suspended',
+      isDeprecated: false,
+      remainingMs: null
+    };
+  }
+  return {
+    code: AUTH_ERROR_CODES.EXPIRED_KEY,
+    error: validity.reason || 'Key has expired',
+    isDeprecated: true,
+    remainingMs: 0
+  };
+}
+
+/**
+ * Failed auth result for a signed request
+ * @param {string} code - From AUTH_ERROR_CODES
+ * @param {string} error
+ * @param {Object} [extra] - Overrides (keyId, merchantId, retryAfter, ...)
+ * @returns {RotatingAuthResult}
+ */
+function signedFailure(code, error, extra = {}) {
+  return {
+    valid: false,
+    code,
+    error,
+    keyId: null,
+    merchantId: null,
+    scopes: [],
+    isDeprecated: false,
+    remainingMs: null,
+    source: 'signed',
+    ...extra
+  };
+}
+
+/**
+ * Validate a KR-HMAC-SHA256 signed request (src/request-signing.js)
+ * Order: lockout → clock skew → key → signature → key validity → nonce, so
+ * only correctly signed requests can use up a nonce. Deprecated keys keep
+ * working through their overlap period, exactly as with bearer keys.
+ * 
+ * @param {Request} request - Incoming request
+ * @param {KVNamespace|null} KV - Cloudflare KV namespace (KEY_STORE)
+ * @param {{keyId: string, timestamp: number, nonce: string, signature: string}} signature - Parsed header
+ * @param {Object} options - validateRequestWithRotation options
+ * @returns {Promise<RotatingAuthResult>}
+ */
+async function validateSignedRequest(request, KV, signature, options) {
+  const { rateLimiter = null, maxSkewMs = DEFAULT_MAX_SKEW_MS } = options;
+  const identifiers = rateLimiter ? rateLimitIdentifiers(request, signature.keyId) : [];
+  const ip = request.headers.get('CF-Connecting-IP');
+
+  if (!KV) {
+    return signedFailure(AUTH_ERROR_CODES.INVALID_KEY, 'Signed requests require a key store');
+  }
+
+  if (identifiers.length > 0) {
+    try {
+      const decision = await rateLimiter.check(identifiers);
+      if (decision.limited) {
+        return signedFailure(AUTH_ERROR_CODES.RATE_LIMITED, 'Too many failed authentication attempts', {
+          retryAfter: decision.retryAfterSeconds
+        });
+      }
+    } catch (error) {
+      console.error('Rate limit check failed:', error.message);
+    }
+  }
+
+  const countFailure = async () => {
+    if (identifiers.length > 0) {
+      try {
+        await rateLimiter.recordFailure(identifiers);
+      } catch (error) {
+        console.error('Rate limit update failed:', error.message);
+      }
+    }
+  };
+
+  if (!isWithinSkew(signature.timestamp, maxSkewMs)) {
+    return signedFailure(AUTH_ERROR_CODES.REQUEST_EXPIRED, 'Request timestamp outside the accepted window');
+  }
+
+  try {
+    const signingKey = await lookupByKeyId(KV, signature.keyId);
+    const secret = signingKey
+      ? await openRequestSigningSecret(signingKey.requestSigningSecret, options.peppers, signingKey.keyId)
+      : null;
+    if (!secret || !(await verifyRequestSignature(request, signature, secret))) {
+      await countFailure();
+      return signedFailure(AUTH_ERROR_CODES.INVALID_SIGNATURE, 'Invalid request signature');
+    }
+
+    const keyFields = {
+      keyId: signingKey.keyId,
+      merchantId: signingKey.metadata?.merchantId || null
+    };
+
+    const validity = isSigningKeyValid(signingKey);
+    if (!validity.valid) {
+      await recordValidationFailure(KV, signingKey, validity.reason, {
+        actor: 'request',
+        auditDetails: { ip: ip || null, signed: true }
+      });
+      const { code, error, ...failure } = invalidKeyFailure(validity);
+      return signedFailure(code, error, { ...keyFields, ...failure });
+    }
+
+    const nonceStore = options.nonceStore || createNonceStore(KV, { maxSkewMs });
+    if (!(await nonceStore.claim(signingKey.keyId, signature.nonce))) {
+      return signedFailure(AUTH_ERROR_CODES.REPLAYED_REQUEST, 'Request nonce already used', keyFields);
+    }
+
+    await recordKeyUsage(KV, signingKey.keyId, { ip, tracker: options.usageTracker });
+
+    return {
+      valid: true,
+      code: null,
+      error: null,
+      ...keyFields,
+      environment: signingKey.metadata?.environment || null,
+      scopes: signingKey.scopes ?? null,
+      isDeprecated: signingKey.deprecatedAt !== null,
+      deprecatedAt: signingKey.deprecatedAt,
+      remainingMs: validity.remainingMs,
+      source: 'signed'
+    };
+  } catch (error) {
+    console.error('Signed request verification error:', error.message);
+    return signedFailure(AUTH_ERROR_CODES.INVALID_SIGNATURE, 'Request signature could not be verified');
+  }
+}
+
+/**
+ * Check that an auth result grants every required scope
+ * Failed auth results pass through unchanged; keys without scopes (and the
+ * static key) are unrestricted.
+ * 
+ * @param {RotatingAuthResult} auth - Result from validateRequestWithRotation
+ * @param {string[]} requiredScopes - Scopes the route needs
+ * @returns {{valid: boolean, code: string|null, error: string|null, missing: string[]}}
+ */
+function requireScopes(auth, requiredScopes = []) {
+  if (!auth || !auth.valid) {
+    return {
+      valid: false,
+      code: auth?.code || AUTH_ERROR_CODES.INVALID_KEY,
+      error: auth?.error || 'Invalid API key',
+      missing: [...requiredScopes]
+    };
+  }
+
+  const { allowed, missing } = hasScopes(auth.scopes, requiredScopes);
+  if (!allowed) {
+    return {
+      valid: false,
+      code: AUTH_ERROR_CODES.INSUFFICIENT_SCOPE,
+      error: `API key lacks required scope: ${missing.join(', ')}`,
+      missing
+    };
+  }
+
+  return { valid: true, code: null, error: null, missing: [] };
+}
+
+/**
+ * Add deprecation headers to a response when the caller used a deprecated key
+ * Responses for active keys, static keys and failed auth are returned as is.
+ * 
+ *   Deprecation: @1767225600                      (when the key was deprecated)
+ *   Sunset: Thu, 01 Jan 2026 00:00:00 GMT         (when it stops working)
+ *   X-API-Key-Rotate-By: 2026-01-01T00:00:00.000Z (same instant, ISO 8601)
+ * 
+ * @param {Response} response - Response to decorate
+ * @param {RotatingAuthResult} auth - Result from validateRequestWithRotation
+ * @param {Object} [options]
+ * @param {string} [options.link] - Rotation docs URL, sent as Link rel="deprecation"
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Response} - A copy with the headers added, or the original response
+ */
+function withDeprecationHeaders(response, auth, options = {}) {
+  if (!response || !auth?.valid || !auth.isDeprecated || typeof auth.remainingMs !== 'number') {
+    return response;
+  }
+
+  const now = options.now ?? Date.now();
+  const sunsetAt = new Date(now + auth.remainingMs);
+  const deprecatedAt = auth.deprecatedAt ?? now;
+
+  // Copy so immutable (fetched) responses can be decorated too
+  const decorated = new Response(response.body, response);
+  decorated.headers.set(DEPRECATION_HEADERS.DEPRECATION, `@${Math.floor(deprecatedAt / 1000)}`);
+  decorated.headers.set(DEPRECATION_HEADERS.SUNSET, sunsetAt.toUTCString());
+  decorated.headers.set(DEPRECATION_HEADERS.ROTATE_BY, sunsetAt.toISOString());
+  if (options.link) {
+    decorated.headers.append('Link', `<${options.link}>; rel="deprecation"`);
+  }
+
+  // Let browser SDKs read them
+  const exposed = decorated.headers.get('Access-Control-Expose-Headers');
+  const names = Object.values(DEPRECATION_HEADERS).join(', ');
+  decorated.headers.set('Access-Control-Expose-Headers', exposed ? `${exposed}, ${names}` : names);
+
+  return decorated;
+}
+
 /**
  * Create standardized auth error response
  * @param {string} code - Error code from AUTH_ERROR_CODES
  * @param {string} [message] - Optional custom message
+ * @param {Object} [options]
+ * @param {number} [options.retryAfter] - Seconds for the Retry-After header (AUTH_RATE_LIMITED)
  * @returns {Response}
  */
-function createAuthError(code, message) {
+function createAuthError(code, message, options = {}) {
   const statusMap = {
     [AUTH_ERROR_CODES.MISSING_KEY]: 401,
     [AUTH_ERROR_CODES.INVALID_KEY]: 403,
     [AUTH_ERROR_CODES.EXPIRED_KEY]: 403,
-    [AUTH_ERROR_CODES.MALFORMED_HEADER]: 400
+    [AUTH_ERROR_CODES.SUSPENDED_KEY]: 403,
+    [AUTH_ERROR_CODES.MALFORMED_HEADER]: 400,
+    [AUTH_ERROR_CODES.INSUFFICIENT_SCOPE]: 403,
+    [AUTH_ERROR_CODES.RATE_LIMITED]: 429,
+    [AUTH_ERROR_CODES.INVALID_SIGNATURE]: 401,
+    [AUTH_ERROR_CODES.REQUEST_EXPIRED]: 401,
+    [AUTH_ERROR_CODES.REPLAYED_REQUEST]: 401
   };
 
   const status = statusMap[code] || 403;
@@ -312,7 +645,13 @@ function createAuthError(code, message) {
     [AUTH_ERROR_CODES.MISSING_KEY]: 'Authentication required',
     [AUTH_ERROR_CODES.INVALID_KEY]: 'Access denied',
     [AUTH_ERROR_CODES.EXPIRED_KEY]: 'API key has expired',
-    [AUTH_ERROR_CODES.MALFORMED_HEADER]: 'Malformed authorization header'
+    [AUTH_ERROR_CODES.SUSPENDED_KEY]: 'API key is suspended',
+    [AUTH_ERROR_CODES.MALFORMED_HEADER]: 'Malformed authorization header',
+    [AUTH_ERROR_CODES.INSUFFICIENT_SCOPE]: 'Insufficient scope',
+    [AUTH_ERROR_CODES.RATE_LIMITED]: 'Too many requests',
+    [AUTH_ERROR_CODES.INVALID_SIGNATURE]: 'Invalid request signature',
+    [AUTH_ERROR_CODES.REQUEST_EXPIRED]: 'Request timestamp expired',
+    [AUTH_ERROR_CODES.REPLAYED_REQUEST]: 'Request already processed'
   };
 
   const body = {
@@ -321,14 +660,18 @@ function createAuthError(code, message) {
     code: code
   };
 
-  return new Response(JSON.stringify(body, null, 2), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'WWW-Authenticate': 'Bearer realm="api"',
-      'Access-Control-Allow-Origin': '*'
-    }
-  });
+  const headers = {
+    'Content-Type': 'application/json',
+    'WWW-Authenticate': code === AUTH_ERROR_CODES.INSUFFICIENT_SCOPE
+      ? 'Bearer realm="api", error="insufficient_scope"'
+      : 'Bearer realm="api"',
+    'Access-Control-Allow-Origin': '*'
+  };
+  if (options.retryAfter !== undefined && options.retryAfter !== null) {
+    headers['Retry-After'] = String(Math.max(0, Math.ceil(options.retryAfter)));
+  }
+
+  return new Response(JSON.stringify(body, null, 2), { status, headers });
 }
 
 /**
@@ -342,7 +685,10 @@ function selfTest() {
     validateApiKey_valid: { pass: false },
     validateApiKey_invalid: { pass: false },
     validateApiKey_missing: { pass: false },
-    validateRequest: { pass: false }
+    validateRequest: { pass: false },
+    requireScopes: { pass: false },
+    createAuthError_rateLimited: { pass: false },
+    withDeprecationHeaders: { pass: false }
   };
 
   // Test 1: Timing-safe comparison
@@ -376,14 +722,47 @@ function selfTest() {
   const reqResult = validateRequest(mockReq2, 'correct-key');
   results.validateRequest.pass = reqResult.valid === true;
 
+  // Test 7: Scope enforcement
+  const scoped = { valid: true, scopes: ['keys:read'] };
+  const denied = requireScopes(scoped, ['keys:read', 'keys:rotate']);
+  results.requireScopes.pass =
+    requireScopes(scoped, ['keys:read']).valid === true &&
+    denied.valid === false &&
+    denied.code === AUTH_ERROR_CODES.INSUFFICIENT_SCOPE &&
+    denied.missing.join() === 'keys:rotate' &&
+    requireScopes({ valid: true, scopes: null }, ['keys:rotate']).valid === true &&
+    requireScopes({ valid: false, code: AUTH_ERROR_CODES.MISSING_KEY }, ['keys:read']).code === AUTH_ERROR_CODES.MISSING_KEY;
+
+  // Test 8: Rate-limited response
+  const limited = createAuthError(AUTH_ERROR_CODES.RATE_LIMITED, undefined, { retryAfter: 12.2 });
+  results.createAuthError_rateLimited.pass =
+    limited.status === 429 &&
+    limited.headers.get('Retry-After') === '13' &&
+    createAuthError(AUTH_ERROR_CODES.INVALID_KEY).headers.get('Retry-After') === null;
+
+  // Test 9: Deprecation headers only for deprecated keys
+  const deprecatedAuth = { valid: true, isDeprecated: true, deprecatedAt: 1000000, remainingMs: 3600000 };
+  const decorated = withDeprecationHeaders(new Response('ok'), deprecatedAuth, { now: 0, link: 'https://docs.example.com/rotate' });
+  const untouched = new Response('ok');
+  results.withDeprecationHeaders.pass =
+    decorated.headers.get('Deprecation') === '@1000' &&
+    decorated.headers.get('Sunset') === 'Thu, 01 Jan 1970 01:00:00 GMT' &&
+    decorated.headers.get('X-API-Key-Rotate-By') === '1970-01-01T01:00:00.000Z' &&
+    decorated.headers.get('Link').includes('rel="deprecation"') &&
+    decorated.headers.get('Access-Control-Expose-Headers').includes('Sunset') &&
+    withDeprecationHeaders(untouched, { valid: true, isDeprecated: false, remainingMs: 1 }) === untouched;
+
   const allPass = Object.values(results).every(r => r.pass);
 
   return { pass: allPass, results };
 }
 
 export {
-	AUTH_ERROR_CODES,AUTH_HEADER_BEARER,AUTH_HEADER_NAME,createAuthError,extractApiKey,selfTest,timingSafeEqual,validateApiKey,
+	AUTH_ERROR_CODES,AUTH_HEADER_BEARER,AUTH_HEADER_NAME,createAuthError,extractApiKey,requireScopes,selfTest,timingSafeEqual,validateApiKey,
 	validateRequest,
-	validateRequestWithRotation
+	validateRequestWithRotation,
+	flushKeyUsage,
+	DEPRECATION_HEADERS,
+	withDeprecationHeaders
 };
 
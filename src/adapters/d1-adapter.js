@@ -0,0 +1,180 @@
+/**
+ * D1 Adapter
+ * ==========
+ *
+ * StorageAdapter on a Cloudflare D1 database (or any SQLite binding with the
+ * D1 prepare/bind/first/run/all API). Gives the key store strong consistency
+ * instead of KV's eventual consistency, at the cost of a SQL round trip.
+ *
+ * @module d1-adapter
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SCHEMA
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   CREATE TABLE IF NOT EXISTS key_store (
+ *     name       TEXT PRIMARY KEY,
+ *     value      TEXT NOT NULL,
+ *     expiration INTEGER            -- epoch seconds, NULL = never
+ *   );
+ *
+ *   Run ensureD1Schema(db) once (or add d1Schema() to a migration).
+ *   Expired rows are hidden from get()/list() and removed lazily on get().
+ *
+ * USAGE:
+ *   const store = createD1Adapter(env.KEY_DB);
+ *   await storeKey(store, signingKey);
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { DEFAULT_LIST_LIMIT, resolveExpiration, isExpired, decodeValue } from './storage-adapter.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Default table name
+ */
+const DEFAULT_D1_TABLE = 'key_store';
+
+/**
+ * Table names are interpolated into SQL, so only plain identifiers are accepted
+ */
+const TABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a table name
+ * @param {string} table
+ * @returns {string}
+ */
+function assertTableName(table) {
+  if (!TABLE_NAME_PATTERN.test(table)) {
+    throw new Error(`Invalid table name: ${table}`);
+  }
+  return table;
+}
+
+/**
+ * CREATE TABLE statement for the adapter
+ * @param {string} [table='key_store']
+ * @returns {string}
+ */
+function d1Schema(table = DEFAULT_D1_TABLE) {
+  assertTableName(table);
+  return `CREATE TABLE IF NOT EXISTS ${table} (name TEXT PRIMARY KEY, value TEXT NOT NULL, expiration INTEGER)`;
+}
+
+/**
+ * Create the adapter table if it does not exist
+ * @param {D1Database} db
+ * @param {string} [table='key_store']
+ * @returns {Promise<void>}
+ */
+async function ensureD1Schema(db, table = DEFAULT_D1_TABLE) {
+  if (!db) {
+    throw new Error('D1 database is required');
+  }
+  await db.prepare(d1Schema(table)).run();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADAPTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a storage adapter on a D1 database
+ * @param {D1Database} db - D1 binding (env.KEY_DB)
+ * @param {Object} [options]
+ * @param {string} [options.table='key_store'] - Table created by ensureD1Schema
+ * @param {Function} [options.now] - () => epoch ms (for testing expiration)
+ * @returns {import('./storage-adapter.js').StorageAdapter}
+ */
+function createD1Adapter(db, options = {}) {
+  if (!db) {
+    throw new Error('D1 database is required');
+  }
+
+  const table = assertTableName(options.table || DEFAULT_D1_TABLE);
+  const now = options.now || (() => Date.now());
+
+  return {
+    async get(name, getOptions = {}) {
+      const row = await db
+        .prepare(`SELECT value, expiration FROM ${table} WHERE name = ?1`)
+        .bind(name)
+        .first();
+
+      if (!row) {
+        return null;
+      }
+      if (isExpired(row.expiration, now())) {
+        await db.prepare(`DELETE FROM ${table} WHERE name = ?1`).bind(name).run();
+        return null;
+      }
+      return decodeValue(row.value, getOptions);
+    },
+
+    async put(name, value, putOptions = {}) {
+      await db
+        .prepare(
+          `INSERT INTO ${table} (name, value, expiration) VALUES (?1, ?2, ?3) ` +
+          'ON CONFLICT(name) DO UPDATE SET value = excluded.value, expiration = excluded.expiration'
+        )
+        .bind(name, String(value), resolveExpiration(putOptions, now()))
+        .run();
+    },
+
+    async delete(name) {
+      await db.prepare(`DELETE FROM ${table} WHERE name = ?1`).bind(name).run();
+    },
+
+    async list(listOptions = {}) {
+      const { prefix = '', cursor = null } = listOptions;
+      const limit = Math.min(listOptions.limit || DEFAULT_LIST_LIMIT, DEFAULT_LIST_LIMIT);
+
+      // Fetch one extra row to know whether another page exists
+      const { results = [] } = await db
+        .prepare(
+          `SELECT name, expiration FROM ${table} ` +
+          'WHERE substr(name, 1, ?1) = ?2 AND name > ?3 AND (expiration IS NULL OR expiration > ?4) ' +
+          'ORDER BY name LIMIT ?5'
+        )
+        .bind(prefix.length, prefix, cursor || '', Math.floor(now() / 1000), limit + 1)
+        .all();
+
+      const page = results.slice(0, limit).map(row =>
+        row.expiration ? { name: row.name, expiration: row.expiration } : { name: row.name }
+      );
+      const complete = results.length <= limit;
+
+      return {
+        keys: page,
+        list_complete: complete,
+        cursor: complete ? null : page[page.length - 1].name
+      };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  DEFAULT_D1_TABLE,
+
+  // Schema
+  d1Schema,
+  ensureD1Schema,
+
+  // Adapter
+  createD1Adapter
+};
@@ -0,0 +1,254 @@
+/**
+ * File Adapter
+ * ============
+ *
+ * StorageAdapter persisted to a single JSON file (Node only). Used by the CLI
+ * for its local store, optionally encrypted at rest with store-crypto.js.
+ * Every write rewrites the file (temp file + rename), which is fine for
+ * local tooling but not meant for concurrent writers.
+ *
+ * @module file-adapter
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FILE FORMAT (version 1)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   {
+ *     "format": "key-rotator-kv",
+ *     "version": 1,
+ *     "entries": {
+ *       "key:key_abc12345": { "value": "{...}" },
+ *       "delivery:dlv_...":  { "value": "{...}", "expiration": 1767225600 }
+ *     }
+ *   }
+ *
+ *   With a passphrase the whole document is wrapped by encryptStore(); the
+ *   salt and iteration count of an existing file are reused on every write.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { resolveExpiration, isExpired, decodeValue, paginate } from './storage-adapter.js';
+import { isEncryptedStore, encryptStore, decryptStore } from '../store-crypto.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format marker of a file adapter document
+ */
+const FILE_STORE_FORMAT = 'key-rotator-kv';
+
+/**
+ * Current file adapter document version
+ */
+const FILE_STORE_VERSION = 1;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check whether a parsed (decrypted) document is a file adapter document
+ * @param {Object} document
+ * @returns {boolean}
+ */
+function isFileStoreDocument(document) {
+  return Boolean(
+    document &&
+    typeof document === 'object' &&
+    document.format === FILE_STORE_FORMAT &&
+    document.entries &&
+    typeof document.entries === 'object'
+  );
+}
+
+/**
+ * Create an empty file adapter document
+ * @returns {Object}
+ */
+function createFileStoreDocument() {
+  return { format: FILE_STORE_FORMAT, version: FILE_STORE_VERSION, entries: {} };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADAPTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a storage adapter persisted to a JSON file
+ * @param {string} filePath - Store file (created on first write)
+ * @param {Object} [options]
+ * @param {string|null} [options.passphrase] - Read/write the file encrypted (store-crypto.js)
+ * @param {number} [options.iterations] - PBKDF2 iterations for a newly encrypted file
+ * @param {Function} [options.migrate] - async (document, adapter) => void, imports a
+ *   document that is not in file adapter format (otherwise such files are rejected)
+ * @param {Function} [options.now] - () => epoch ms (for testing expiration)
+ * @returns {import('./storage-adapter.js').StorageAdapter & {entries: Function, clear: Function, isEncrypted: Function}}
+ */
+function createFileAdapter(filePath, options = {}) {
+  if (!filePath) {
+    throw new Error('File path is required');
+  }
+
+  const { passphrase = null, iterations, migrate = null } = options;
+  const now = options.now || (() => Date.now());
+
+  let document = null;
+  let kdf = {};
+  let loading = null;
+  let migrating = false;
+
+  async function load() {
+    if (!existsSync(filePath)) {
+      document = createFileStoreDocument();
+      return;
+    }
+
+    let raw = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (isEncryptedStore(raw)) {
+      if (!passphrase) {
+        throw new Error(`${filePath} is encrypted and no passphrase was given`);
+      }
+      kdf = raw.kdf;
+      raw = await decryptStore(raw, passphrase);
+    }
+
+    if (isFileStoreDocument(raw)) {
+      document = raw;
+      return;
+    }
+
+    if (!migrate) {
+      throw new Error(`${filePath} is not a ${FILE_STORE_FORMAT} document`);
+    }
+    document = createFileStoreDocument();
+    migrating = true;
+    try {
+      await migrate(raw, adapter);
+    } finally {
+      migrating = false;
+    }
+    await persist();
+  }
+
+  function ready() {
+    // document is set before migrate() runs, so its own writes pass straight through
+    if (document) {
+      return Promise.resolve();
+    }
+    if (!loading) {
+      loading = load();
+    }
+    return loading;
+  }
+
+  async function persist() {
+    if (migrating) {
+      return;
+    }
+
+    const output = passphrase
+      ? await encryptStore(document, passphrase, { salt: kdf.salt, iterations: kdf.iterations || iterations })
+      : document;
+    if (passphrase && !kdf.salt) {
+      kdf = output.kdf;
+    }
+
+    const tempPath = `${filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(output, null, 2));
+    renameSync(tempPath, filePath);
+  }
+
+  function live(name) {
+    const entry = document.entries[name];
+    if (!entry) return null;
+    return isExpired(entry.expiration, now()) ? null : entry;
+  }
+
+  const adapter = {
+    async get(name, getOptions = {}) {
+      await ready();
+      const entry = live(name);
+      return decodeValue(entry ? entry.value : null, getOptions);
+    },
+
+    async put(name, value, putOptions = {}) {
+      await ready();
+      const expiration = resolveExpiration(putOptions, now());
+      document.entries[name] = expiration ? { value: String(value), expiration } : { value: String(value) };
+      await persist();
+    },
+
+    async delete(name) {
+      await ready();
+      if (name in document.entries) {
+        delete document.entries[name];
+        await persist();
+      }
+    },
+
+    async list(listOptions = {}) {
+      await ready();
+      const entries = Object.keys(document.entries)
+        .filter(name => live(name))
+        .map(name => ({ name, expiration: document.entries[name].expiration || null }));
+      return paginate(entries, listOptions);
+    },
+
+    /**
+     * Snapshot of live entries as name → value
+     * @returns {Promise<Object<string, string>>}
+     */
+    async entries() {
+      await ready();
+      const snapshot = {};
+      for (const name of Object.keys(document.entries).sort()) {
+        const entry = live(name);
+        if (entry) {
+          snapshot[name] = entry.value;
+        }
+      }
+      return snapshot;
+    },
+
+    /**
+     * Remove every entry (the file is kept, with the same encryption)
+     */
+    async clear() {
+      await ready();
+      document.entries = {};
+      await persist();
+    },
+
+    /**
+     * Whether the file is written encrypted
+     * @returns {boolean}
+     */
+    isEncrypted() {
+      return Boolean(passphrase);
+    }
+  };
+
+  return adapter;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  FILE_STORE_FORMAT,
+  FILE_STORE_VERSION,
+
+  // Pure functions
+  isFileStoreDocument,
+  createFileStoreDocument,
+
+  // Adapter
+  createFileAdapter
+};
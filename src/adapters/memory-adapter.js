@@ -0,0 +1,96 @@
+/**
+ * Memory Adapter
+ * ==============
+ *
+ * In-process StorageAdapter backed by a Map. For tests, local tooling and
+ * single-process Node services that do not need persistence.
+ *
+ * @module memory-adapter
+ * @version 1.0.0
+ */
+
+import { resolveExpiration, isExpired, decodeValue, paginate } from './storage-adapter.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADAPTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create an in-memory storage adapter
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.entries] - Initial name → value entries
+ * @param {Function} [options.now] - () => epoch ms (for testing expiration)
+ * @returns {import('./storage-adapter.js').StorageAdapter & {entries: Function, clear: Function}}
+ */
+function createMemoryAdapter(options = {}) {
+  const now = options.now || (() => Date.now());
+  const store = new Map();
+
+  for (const [name, value] of Object.entries(options.entries || {})) {
+    store.set(name, { value: String(value), expiration: null });
+  }
+
+  function live(name) {
+    const entry = store.get(name);
+    if (!entry) return null;
+    if (isExpired(entry.expiration, now())) {
+      store.delete(name);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(name, getOptions = {}) {
+      const entry = live(name);
+      return decodeValue(entry ? entry.value : null, getOptions);
+    },
+
+    async put(name, value, putOptions = {}) {
+      store.set(name, { value: String(value), expiration: resolveExpiration(putOptions, now()) });
+    },
+
+    async delete(name) {
+      store.delete(name);
+    },
+
+    async list(listOptions = {}) {
+      const entries = [];
+      for (const name of [...store.keys()]) {
+        const entry = live(name);
+        if (entry) {
+          entries.push({ name, expiration: entry.expiration });
+        }
+      }
+      return paginate(entries, listOptions);
+    },
+
+    /**
+     * Snapshot of live entries as name → value
+     * @returns {Promise<Object<string, string>>}
+     */
+    async entries() {
+      const snapshot = {};
+      for (const name of [...store.keys()].sort()) {
+        const entry = live(name);
+        if (entry) {
+          snapshot[name] = entry.value;
+        }
+      }
+      return snapshot;
+    },
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+      store.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export { createMemoryAdapter };
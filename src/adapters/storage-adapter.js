@@ -0,0 +1,172 @@
+/**
+ * Storage Adapter Contract
+ * ========================
+ *
+ * The storage interface every key-store-kv.js function runs against. It is
+ * the subset of the Cloudflare KVNamespace API the key store uses, so a real
+ * KV binding is already an adapter and other backends only need to mimic it.
+ *
+ * @module storage-adapter
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {Function} get     - (name, { type: 'text'|'json' }?) => Promise<string|Object|null>
+ * @property {Function} put     - (name, value: string, { expiration?, expirationTtl? }?) => Promise<void>
+ * @property {Function} delete  - (name) => Promise<void>
+ * @property {Function} list    - ({ prefix?, cursor?, limit? }?) => Promise<ListResult>
+ *
+ * @typedef {Object} ListResult
+ * @property {Array<{name: string, expiration?: number}>} keys - Sorted by name
+ * @property {boolean} list_complete - False if another page is available
+ * @property {string|null} cursor    - Pass back to list() for the next page
+ *
+ * SEMANTICS (matching Cloudflare KV):
+ *   - Values are strings; get(name, { type: 'json' }) parses them (null if unparseable)
+ *   - expiration is epoch seconds, expirationTtl is seconds from now
+ *   - Expired entries behave as missing for get() and list()
+ *   - list() returns names in lexicographic order, at most `limit` (default 1000)
+ *
+ * ADAPTERS:
+ *   - Cloudflare KV binding         (env.KEY_STORE, used as-is)
+ *   - createMemoryAdapter()         (adapters/memory-adapter.js)
+ *   - createFileAdapter(path)       (adapters/file-adapter.js, Node only)
+ *   - createD1Adapter(db)           (adapters/d1-adapter.js, D1 / SQLite)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Methods every adapter must implement
+ */
+const STORAGE_ADAPTER_METHODS = ['get', 'put', 'delete', 'list'];
+
+/**
+ * Default and maximum page size for list()
+ */
+const DEFAULT_LIST_LIMIT = 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check that an object implements the storage adapter contract
+ * @param {Object} adapter
+ * @returns {boolean}
+ */
+function isStorageAdapter(adapter) {
+  return Boolean(adapter) && STORAGE_ADAPTER_METHODS.every(method => typeof adapter[method] === 'function');
+}
+
+/**
+ * Throw unless an object implements the storage adapter contract
+ * @param {Object} adapter
+ * @returns {StorageAdapter}
+ */
+function assertStorageAdapter(adapter) {
+  if (!isStorageAdapter(adapter)) {
+    throw new Error(`Storage adapter must implement ${STORAGE_ADAPTER_METHODS.join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Resolve put() options to an absolute expiration (epoch seconds)
+ * @param {Object} [options] - { expiration?, expirationTtl? }
+ * @param {number} [now] - Current timestamp in ms (for testing)
+ * @returns {number|null}
+ */
+function resolveExpiration(options = {}, now = Date.now()) {
+  if (options.expiration) {
+    return Number(options.expiration);
+  }
+  if (options.expirationTtl) {
+    return Math.floor(now / 1000) + Number(options.expirationTtl);
+  }
+  return null;
+}
+
+/**
+ * Whether an entry with this expiration has expired
+ * @param {number|null} expiration - Epoch seconds
+ * @param {number} [now] - Current timestamp in ms (for testing)
+ * @returns {boolean}
+ */
+function isExpired(expiration, now = Date.now()) {
+  return expiration !== null && expiration !== undefined && expiration * 1000 <= now;
+}
+
+/**
+ * Decode a stored string the way KV get() does for the requested type
+ * @param {string|null} value
+ * @param {Object} [options] - { type: 'text'|'json' }
+ * @returns {string|Object|null}
+ */
+function decodeValue(value, options = {}) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const type = typeof options === 'string' ? options : options.type;
+  if (type === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+}
+
+/**
+ * Build one list() page from an unsorted set of live entries
+ * @param {Array<{name: string, expiration: number|null}>} entries
+ * @param {Object} [options] - { prefix?, cursor?, limit? }
+ * @returns {ListResult}
+ */
+function paginate(entries, options = {}) {
+  const { prefix = '', cursor = null } = options;
+  const limit = Math.min(options.limit || DEFAULT_LIST_LIMIT, DEFAULT_LIST_LIMIT);
+
+  const matching = entries
+    .filter(entry => entry.name.startsWith(prefix) && (!cursor || entry.name > cursor))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  const page = matching.slice(0, limit).map(entry =>
+    entry.expiration ? { name: entry.name, expiration: entry.expiration } : { name: entry.name }
+  );
+  const complete = matching.length <= limit;
+
+  return {
+    keys: page,
+    list_complete: complete,
+    cursor: complete ? null : page[page.length - 1].name
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  STORAGE_ADAPTER_METHODS,
+  DEFAULT_LIST_LIMIT,
+
+  // Contract checks
+  isStorageAdapter,
+  assertStorageAdapter,
+
+  // Helpers for adapter implementations
+  resolveExpiration,
+  isExpired,
+  decodeValue,
+  paginate
+};
@@ -0,0 +1,246 @@
+/**
+ * Audit Log - Key Lifecycle Events
+ * ================================
+ *
+ * Append-only record of who created, deprecated, suspended, destroyed, rotated or failed
+ * to validate a SigningKey, and when. Events are written next to the keys in
+ * the same KV namespace / storage adapter and are never updated in place.
+ *
+ * @module audit-log
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * @typedef {Object} AuditEvent
+ * @property {string} eventId           - evt_ + 16 random characters
+ * @property {string} type              - One of AUDIT_EVENTS
+ * @property {number} timestamp         - Epoch ms
+ * @property {string} actor             - Who acted ('user', 'auto-rotation', 'cli', 'key:{keyId}', ...)
+ * @property {string|null} keyId
+ * @property {string|null} merchantId
+ * @property {string|null} before       - Key status before the event (null if new)
+ * @property {string|null} after        - Key status after the event (null if removed)
+ * @property {Object} [details]         - Event specific data (e.g. newKeyId, reason)
+ *
+ * KV SCHEMA:
+ *   audit:{merchantId|_global}:{timestamp 13 digits}:{eventId} → AuditEvent JSON
+ *
+ *   Zero-padded timestamps make KV's lexicographic list() order chronological,
+ *   so one merchant's history is a single prefix scan. Events written in the
+ *   same millisecond (e.g. the three events of a rotation) have no defined order.
+ *
+ * WRITERS:
+ *   storeKey / updateKey / deleteKey / storeRotation (key-store-kv.js),
+ *   validateKey and validateRequestWithRotation (found-but-invalid keys),
+ *   and the CLI commands, each passing an `actor`.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { generateRandomString } from './key-rotator.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Audit event types
+ */
+const AUDIT_EVENTS = {
+  CREATED: 'key.created',
+  UPDATED: 'key.updated',
+  DEPRECATED: 'key.deprecated',
+  DESTROYED: 'key.destroyed',
+  REVOKED: 'key.revoked',
+  DELETED: 'key.deleted',
+  ROTATED: 'key.rotated',
+  SUSPENDED: 'key.suspended',
+  RESUMED: 'key.resumed',
+  VALIDATION_FAILED: 'key.validated_failed'
+};
+
+/**
+ * Actor recorded when the caller does not name one
+ */
+const DEFAULT_AUDIT_ACTOR = 'system';
+
+/**
+ * Digits in the zero-padded timestamp of an audit KV key
+ */
+const TIMESTAMP_DIGITS = 13;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prefix of one merchant's audit events
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @returns {string}
+ */
+function auditPrefix(merchantId) {
+  return `audit:${merchantId || '_global'}:`;
+}
+
+/**
+ * KV key of one audit event
+ * @param {AuditEvent} event
+ * @returns {string}
+ */
+function auditKeyPattern(event) {
+  const timestamp = String(event.timestamp).padStart(TIMESTAMP_DIGITS, '0');
+  return `${auditPrefix(event.merchantId)}${timestamp}:${event.eventId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build an audit event
+ * @param {Object} fields
+ * @param {string} fields.type - One of AUDIT_EVENTS
+ * @param {string} [fields.actor='system']
+ * @param {string|null} [fields.keyId]
+ * @param {string|null} [fields.merchantId]
+ * @param {string|null} [fields.before]
+ * @param {string|null} [fields.after]
+ * @param {Object} [fields.details]
+ * @param {number} [fields.timestamp] - Epoch ms (default now)
+ * @returns {AuditEvent}
+ */
+function buildAuditEvent(fields) {
+  if (!fields || !Object.values(AUDIT_EVENTS).includes(fields.type)) {
+    throw new Error(`Invalid audit event type: ${fields?.type}`);
+  }
+
+  const event = {
+    eventId: `evt_${generateRandomString(16)}`,
+    type: fields.type,
+    timestamp: fields.timestamp || Date.now(),
+    actor: fields.actor || DEFAULT_AUDIT_ACTOR,
+    keyId: fields.keyId || null,
+    merchantId: fields.merchantId || null,
+    before: fields.before || null,
+    after: fields.after || null
+  };
+  if (fields.details && Object.keys(fields.details).length > 0) {
+    event.details = fields.details;
+  }
+  return event;
+}
+
+/**
+ * Event type for a status change written through updateKey
+ * @param {string|null} before - Status before
+ * @param {string} after - Status after
+ * @returns {string} - One of AUDIT_EVENTS
+ */
+function lifecycleEventType(before, after) {
+  if (after === 'revoked' && before !== 'revoked') {
+    return AUDIT_EVENTS.REVOKED;
+  }
+  if (after === 'destroyed' && before !== 'destroyed') {
+    return AUDIT_EVENTS.DESTROYED;
+  }
+  if (after === 'deprecated' && before === 'active') {
+    return AUDIT_EVENTS.DEPRECATED;
+  }
+  if (after === 'suspended' && before !== 'suspended') {
+    return AUDIT_EVENTS.SUSPENDED;
+  }
+  if (before === 'suspended' && ['active', 'deprecated', 'expired'].includes(after)) {
+    return AUDIT_EVENTS.RESUMED;
+  }
+  return AUDIT_EVENTS.UPDATED;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Append an audit event
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {Object} fields - See buildAuditEvent
+ * @param {Object} [options]
+ * @param {number} [options.retentionSeconds] - Let KV expire the event after this long
+ * @returns {Promise<AuditEvent>}
+ */
+async function recordAuditEvent(KV, fields, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const event = buildAuditEvent(fields);
+  const putOptions = options.retentionSeconds ? { expirationTtl: options.retentionSeconds } : undefined;
+  await KV.put(auditKeyPattern(event), JSON.stringify(event), putOptions);
+  return event;
+}
+
+/**
+ * List a merchant's audit events, oldest first
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @param {Object} [options]
+ * @param {string} [options.keyId] - Only events for this key
+ * @param {string} [options.type] - Only events of this type
+ * @param {number} [options.since] - Only events at or after this epoch ms
+ * @param {number} [options.until] - Only events before this epoch ms
+ * @param {number} [options.limit] - Return at most this many (the newest ones)
+ * @returns {Promise<AuditEvent[]>}
+ */
+async function listAuditEvents(KV, merchantId, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const { keyId, type, since, until, limit } = options;
+  const prefix = auditPrefix(merchantId);
+  const events = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix, cursor });
+
+    for (const item of listResult.keys) {
+      const timestamp = Number(item.name.slice(prefix.length, prefix.length + TIMESTAMP_DIGITS));
+      if (since !== undefined && timestamp < since) continue;
+      if (until !== undefined && timestamp >= until) continue;
+
+      const event = await KV.get(item.name, { type: 'json' });
+      if (!event) continue;
+      if (keyId && event.keyId !== keyId) continue;
+      if (type && event.type !== type) continue;
+      events.push(event);
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return limit ? events.slice(-limit) : events;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  AUDIT_EVENTS,
+  DEFAULT_AUDIT_ACTOR,
+
+  // Key patterns
+  auditPrefix,
+  auditKeyPattern,
+
+  // Pure functions
+  buildAuditEvent,
+  lifecycleEventType,
+
+  // KV operations
+  recordAuditEvent,
+  listAuditEvents
+};
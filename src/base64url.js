@@ -0,0 +1,57 @@
+/**
+ * Base64url - Shared Byte Encoding
+ * ================================
+ *
+ * base64url (RFC 4648 §5) for signatures, JWK members, JWT segments and
+ * encrypted envelopes. Uses btoa/atob only, so it runs in Node and Workers
+ * alike.
+ *
+ * @module base64url
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   toBase64Url never pads; fromBase64Url accepts input with or without
+ *   padding.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENCODING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url (with or without padding) to bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  toBase64Url,
+  fromBase64Url
+};
@@ -4,43 +4,107 @@
  * =======================================
  * 
  * Local CRUD:
- *   node src/cli.js create [--merchant <id>] [--env <live|test>]
+ *   node src/cli.js create [--merchant <id>] [--env <live|test>] [--prefix <sk|ak|...>] [--type <secret|Ed25519|ES256>] [--scopes <a,b>] [--signing] [--deliver-to <jwk>]
  *   node src/cli.js list
  *   node src/cli.js read <keyId>
  *   node src/cli.js deprecate <keyId>
  *   node src/cli.js destroy <keyId>
- *   node src/cli.js rotate <keyId>
+ *   node src/cli.js suspend <keyId> [--reason <text>]
+ *   node src/cli.js resume <keyId>
+ *   node src/cli.js revoke <keyId> [--reason <text>]
+ *   node src/cli.js rotate <keyId> [--deliver-to <jwk>]
+ *   node src/cli.js rotate:due [--dry-run]
+ *   node src/cli.js reap [--retention <duration>] [--dry-run]
+ *   node src/cli.js revoke:merchant <merchantId> --reason <text> [--replace] [--dry-run] [--yes]
  *   node src/cli.js validate <plaintextKey>
+ *   node src/cli.js audit [--merchant <id>] [--key <keyId>] [--limit <n>]
+ *   node src/cli.js leak:report <plaintextKey> [--url <url>] [--destroy]
+ *   node src/cli.js leaks [--merchant <id>] [--key <keyId>]
+ *   node src/cli.js scan:patterns
+ *   node src/cli.js prefixes
+ *   node src/cli.js policy:set <scope> [--ttl <d>] [--overlap <d>] [--min-ttl <d>] [--max-ttl <d>] ...
+ *   node src/cli.js policy:get <scope> [--env <env>]
+ *   node src/cli.js policy:list
+ *   node src/cli.js policy:delete <scope>
  *   node src/cli.js clear
  * 
+ * Delivery:
+ *   node src/cli.js delivery:open <envelopeFile> --key <privateJwkFile>
+ *   node src/cli.js delivery:get <deliveryId> --url <adminUrl> --key <privateJwkFile> [--out <file>]
+ * 
+ * Store Encryption:
+ *   node src/cli.js store:encrypt      Encrypt .keys.json with KEY_ROTATOR_STORE_PASSPHRASE
+ *   node src/cli.js store:decrypt      Write .keys.json back in cleartext
+ *   node src/cli.js store:rekey        Re-encrypt under KEY_ROTATOR_STORE_NEW_PASSPHRASE
+ * 
  * KV Sync:
  *   node src/cli.js kv:export          Export .keys.json to KV bulk format
  *   node src/cli.js kv:status          Show KV sync status
  *   node src/cli.js kv:push --preview  Preview what would be pushed
  *   node src/cli.js kv:push --execute  Push to KV via wrangler
  * 
- * Keys are stored in .keys.json for local testing.
+ * Keys are stored in .keys.json for local testing, through the file storage
+ * adapter, so the same key-store-kv.js operations run locally and in Workers.
+ * When KEY_ROTATOR_STORE_PASSPHRASE is set the store is read and written
+ * encrypted. Stores in the old { keys, plaintextKeys } format are migrated on
+ * first use. Every change is written to the audit log with actor 'cli'.
+ * KEY_ROTATOR_KEY_REGISTRY (JSON, see configureKeyRegistryFromEnv) registers extra
+ * key prefixes and environments before any command runs. delivery:get is the
+ * one command that talks to a deployed admin API, authenticated with the
+ * merchant API key in KEY_ROTATOR_API_KEY.
  */
 
 import { existsSync, readFileSync, writeFileSync } from 'fs';
 import { execSync } from 'child_process';
+import { createInterface } from 'readline/promises';
 import {
+  applyRotationPolicy,
+  configureKeyRegistryFromEnv,
   createSigningKey,
   deprecateSigningKey,
   destroySigningKey,
   formatDuration,
   getSigningKeyStatus,
-  hashKey,
+  hashKeyCandidates,
   isSigningKeyValid,
+  listKeyPrefixes,
   needsRotation,
-  rotateSigningKey
+  parsePeppers,
+  resumeSigningKey,
+  revokeSigningKey,
+  rotateSigningKey,
+  suspendSigningKey,
+  validateKeyFormat
 } from './key-rotator.js';
 
+import { rotateDueKeys } from './key-scheduler.js';
+import { encryptForRecipient, decryptEnvelope } from './key-delivery.js';
+import { isEncryptedStore, encryptStore, decryptStore, rekeyStore } from './store-crypto.js';
+import { createFileAdapter, createFileStoreDocument } from './adapters/file-adapter.js';
+
 import {
-  hashKeyPattern,
-  keyIdPattern,
-  merchantKeysPattern
+  storeKey,
+  updateKey,
+  storeRotation,
+  lookupByKeyId,
+  lookupByPlaintext,
+  listAllKeys,
+  recordValidationFailure,
+  reapExpiredKeys
 } from './key-store-kv.js';
+import { listAuditEvents } from './audit-log.js';
+import { revokeAllForMerchant } from './key-revocation.js';
+import { ingestLeakReport, listLeakIncidents, secretScanningPatterns } from './secret-scanning.js';
+import {
+  POLICY_PREFIX,
+  deleteRotationPolicy,
+  getRotationPolicy,
+  listRotationPolicies,
+  loadRotationPolicy,
+  parsePolicyScope,
+  setRotationPolicy
+} from './rotation-policy.js';
+import { getKeyUsage, getKeyUsageMap, usageKeyPattern, usageWarning } from './key-usage.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STORAGE (JSON file for testing)
@@ -49,19 +113,92 @@ import {
 const STORE_FILE = '.keys.json';
 const KV_EXPORT_FILE = '.keys-kv-export.json';
 
-function loadStore() {
+const PLAINTEXT_PREFIX = 'plaintext:';
+
+const PASSPHRASE_ENV = 'KEY_ROTATOR_STORE_PASSPHRASE';
+const PEPPERS_ENV = 'KEY_PEPPERS';
+const NEW_PASSPHRASE_ENV = 'KEY_ROTATOR_STORE_NEW_PASSPHRASE';
+const API_KEY_ENV = 'KEY_ROTATOR_API_KEY';
+
+const CLI_ACTOR = 'cli';
+
+/**
+ * Read the raw store file (encrypted envelope or plain document)
+ * @returns {Object|null} - Parsed JSON, or null if missing/unreadable
+ */
+function readStoreFile() {
   if (!existsSync(STORE_FILE)) {
-    return { keys: {}, plaintextKeys: {} };
+    return null;
   }
   try {
     return JSON.parse(readFileSync(STORE_FILE, 'utf8'));
   } catch {
-    return { keys: {}, plaintextKeys: {} };
+    return null;
   }
 }
 
-function saveStore(store) {
-  writeFileSync(STORE_FILE, JSON.stringify(store, null, 2));
+/**
+ * Local-only entry holding a key's plaintext (never exported to KV)
+ * @param {string} keyId
+ * @returns {string}
+ */
+function plaintextKeyPattern(keyId) {
+  return `${PLAINTEXT_PREFIX}${keyId}`;
+}
+
+let storeAdapter = null;
+
+/**
+ * Open the local store as a file storage adapter, encrypted whenever
+ * KEY_ROTATOR_STORE_PASSPHRASE is set
+ * @returns {import('./adapters/storage-adapter.js').StorageAdapter}
+ */
+function openStore() {
+  if (!storeAdapter) {
+    const passphrase = process.env[PASSPHRASE_ENV] || null;
+    if (!passphrase && isEncryptedStore(readStoreFile())) {
+      throw new Error(`${STORE_FILE} is encrypted. Set ${PASSPHRASE_ENV} to unlock it.`);
+    }
+    storeAdapter = createFileAdapter(STORE_FILE, { passphrase, migrate: migrateLegacyStore });
+  }
+  return storeAdapter;
+}
+
+/**
+ * Import a pre-adapter store document ({ keys, plaintextKeys })
+ */
+async function migrateLegacyStore(document, store) {
+  if (!document.keys || typeof document.keys !== 'object') {
+    throw new Error(`${STORE_FILE} is not a key store`);
+  }
+  for (const key of Object.values(document.keys)) {
+    await storeKey(store, key, { audit: false });
+  }
+  for (const [keyId, plaintextKey] of Object.entries(document.plaintextKeys || {})) {
+    await store.put(plaintextKeyPattern(keyId), plaintextKey);
+  }
+}
+
+/**
+ * All SigningKeys in the local store, oldest first
+ * @returns {Promise<Object[]>}
+ */
+async function loadKeys() {
+  const keys = await listAllKeys(openStore());
+  return keys.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Look up a key by ID or exit with an error
+ * @returns {Promise<Object>}
+ */
+async function requireKey(keyId) {
+  const key = await lookupByKeyId(openStore(), keyId);
+  if (!key) {
+    console.error(`  ❌ Key not found: ${keyId}`);
+    process.exit(1);
+  }
+  return key;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -72,38 +209,59 @@ async function cmdCreate(args) {
   const merchantId = getArg(args, '--merchant') || getArg(args, '-m') || null;
   const environment = getArg(args, '--env') || getArg(args, '-e') || 'live';
   const createdBy = getArg(args, '--by') || 'user';
+  const scopesArg = getArg(args, '--scopes');
+  const scopes = scopesArg ? scopesArg.split(',').map(scope => scope.trim()).filter(Boolean) : null;
 
-  const { signingKey, plaintextKey } = await createSigningKey({
+  const { signingKey, plaintextKey, privateKey } = await createSigningKey({
+    prefix: getArg(args, '--prefix') || 'sk',
     merchantId,
     environment,
-    createdBy
+    createdBy,
+    scopes,
+    policy: await loadRotationPolicy(openStore(), { environment, merchantId }),
+    keyType: getArg(args, '--type') || 'secret',
+    requestSigning: args.includes('--signing'),
+    pepper: currentPepper()
   });
 
-  const store = loadStore();
-  store.keys[signingKey.keyId] = signingKey;
-  store.plaintextKeys[signingKey.keyId] = plaintextKey;
-  saveStore(store);
+  // Keypairs hand out the private JWK instead of a plaintext key; it is never stored
+  const secret = plaintextKey ?? JSON.stringify(privateKey);
+  const delivered = await deliverPlaintext(signingKey, secret, args);
+
+  const store = openStore();
+  await storeKey(store, signingKey, { actor: CLI_ACTOR });
+  if (!delivered && plaintextKey) {
+    await store.put(plaintextKeyPattern(signingKey.keyId), plaintextKey);
+  }
 
   console.log('');
   console.log('  ✅ KEY CREATED');
   console.log('  ═══════════════════════════════════════════════════════════');
   console.log(`  Key ID:      ${signingKey.keyId}`);
-  console.log(`  Plaintext:   ${plaintextKey}`);
-  console.log(`  Hash:        ${signingKey.hash.substring(0, 16)}...`);
+  console.log(`  Type:        ${formatKeyType(signingKey)}`);
+  console.log(`  ${privateKey ? 'Private Key:' : 'Plaintext:  '} ${delivered ? `(encrypted → ${delivered})` : secret}`);
+  console.log(`  Hash:        ${signingKey.hash.substring(0, 16)}... (${formatHashAlgorithm(signingKey)})`);
+  if (signingKey.metadata.prefix) {
+    console.log(`  Prefix:      ${signingKey.metadata.prefix}`);
+  }
   console.log(`  Environment: ${signingKey.metadata.environment}`);
   console.log(`  Merchant:    ${signingKey.metadata.merchantId || '(none)'}`);
   console.log(`  Created By:  ${signingKey.metadata.createdBy}`);
+  console.log(`  Scopes:      ${formatScopes(signingKey)}`);
+  console.log(`  Signing:     ${signingKey.requestSigningSecret ? 'enabled (KR-HMAC-SHA256)' : 'disabled'}`);
   console.log(`  Expires:     ${new Date(signingKey.expiresAt).toISOString()}`);
   console.log(`  TTL:         ${formatDuration(signingKey.rotationPolicy.ttlMs)}`);
   console.log(`  Overlap:     ${formatDuration(signingKey.rotationPolicy.overlapMs)}`);
   console.log('');
-  console.log('  ⚠️  Save the plaintext key! It won\'t be shown again in production.');
-  console.log('');
+  if (!delivered) {
+    console.log(`  ⚠️  Save the ${privateKey ? 'private key' : 'plaintext key'}! It won't be shown again${privateKey ? '' : ' in production'}.`);
+    console.log('');
+  }
 }
 
 async function cmdList() {
-  const store = loadStore();
-  const keys = Object.values(store.keys);
+  const keys = await loadKeys();
+  const usage = await getKeyUsageMap(openStore(), keys.map(key => key.keyId));
 
   console.log('');
   console.log('  📋 SIGNING KEYS (Local Store)');
@@ -118,11 +276,12 @@ async function cmdList() {
   for (const key of keys) {
     const status = getSigningKeyStatus(key);
     const validity = isSigningKeyValid(key);
-    const statusIcon = status === 'active' ? '🟢' : status === 'deprecated' ? '🟡' : '🔴';
+    const statusIcon = { active: '🟢', deprecated: '🟡', suspended: '🟠' }[status] || '🔴';
     
     console.log(`  ${statusIcon} ${key.keyId}`);
     console.log(`     Status: ${status} | Valid: ${validity.valid}`);
-    console.log(`     Env: ${key.metadata.environment} | Merchant: ${key.metadata.merchantId || '-'}`);
+    console.log(`     Env: ${key.metadata.environment} | Merchant: ${key.metadata.merchantId || '-'} | Scopes: ${formatScopes(key)}`);
+    console.log(`     Last Used: ${formatLastUsed(usage[key.keyId])} | Requests (24h): ${usage[key.keyId].requests24h}`);
     if (validity.reason) {
       console.log(`     Note: ${validity.reason}`);
     }
@@ -136,13 +295,9 @@ async function cmdRead(keyId) {
     process.exit(1);
   }
 
-  const store = loadStore();
-  const key = store.keys[keyId];
-
-  if (!key) {
-    console.error(`  ❌ Key not found: ${keyId}`);
-    process.exit(1);
-  }
+  const key = await requireKey(keyId);
+  const plaintextKey = await openStore().get(plaintextKeyPattern(keyId));
+  const usage = await getKeyUsage(openStore(), keyId);
 
   const validity = isSigningKeyValid(key);
   const status = getSigningKeyStatus(key);
@@ -155,26 +310,42 @@ async function cmdRead(keyId) {
   console.log(`  Status:        ${status}`);
   console.log(`  Valid:         ${validity.valid}`);
   console.log(`  Needs Rotation: ${needs}`);
+  console.log(`  Version:       ${key.version ?? 0}`);
   console.log('');
   console.log('  Timestamps:');
   console.log(`    Created:     ${new Date(key.createdAt).toISOString()}`);
   console.log(`    Expires:     ${new Date(key.expiresAt).toISOString()}`);
   console.log(`    Deprecated:  ${key.deprecatedAt ? new Date(key.deprecatedAt).toISOString() : '-'}`);
   console.log(`    Destroyed:   ${key.destroyedAt ? new Date(key.destroyedAt).toISOString() : '-'}`);
+  if (key.suspendedAt) {
+    console.log(`    Suspended:   ${new Date(key.suspendedAt).toISOString()}${key.suspendedReason ? ` (${key.suspendedReason})` : ''}`);
+  }
   console.log('');
   console.log('  Policy:');
   console.log(`    TTL:         ${formatDuration(key.rotationPolicy.ttlMs)}`);
   console.log(`    Overlap:     ${formatDuration(key.rotationPolicy.overlapMs)}`);
   console.log('');
   console.log('  Metadata:');
+  console.log(`    Type:        ${formatKeyType(key)}`);
   console.log(`    Environment: ${key.metadata.environment}`);
   console.log(`    Merchant:    ${key.metadata.merchantId || '(none)'}`);
   console.log(`    Created By:  ${key.metadata.createdBy}`);
+  console.log(`    Scopes:      ${formatScopes(key)}`);
+  console.log(`    Signing:     ${key.requestSigningSecret ? 'enabled (KR-HMAC-SHA256)' : 'disabled'}`);
+  console.log('');
+  console.log('  Usage:');
+  console.log(`    Last Used:   ${formatLastUsed(usage)}`);
+  console.log(`    Last IP:     ${usage.lastUsedIp || '-'}`);
+  console.log(`    Requests:    ${usage.requests24h} (24h), ${usage.total} total`);
   console.log('');
   console.log(`  Hash:          ${key.hash}`);
+  console.log(`  Hash Algo:     ${formatHashAlgorithm(key)}`);
+  if (key.publicKey) {
+    console.log(`  Public Key:    ${JSON.stringify(key.publicKey)}`);
+  }
   
-  if (store.plaintextKeys[keyId]) {
-    console.log(`  Plaintext:     ${store.plaintextKeys[keyId]}`);
+  if (plaintextKey) {
+    console.log(`  Plaintext:     ${plaintextKey}`);
   }
   console.log('');
 
@@ -190,13 +361,7 @@ async function cmdDeprecate(keyId) {
     process.exit(1);
   }
 
-  const store = loadStore();
-  const key = store.keys[keyId];
-
-  if (!key) {
-    console.error(`  ❌ Key not found: ${keyId}`);
-    process.exit(1);
-  }
+  const key = await requireKey(keyId);
 
   if (key.deprecatedAt) {
     console.error(`  ❌ Key already deprecated`);
@@ -208,9 +373,9 @@ async function cmdDeprecate(keyId) {
     process.exit(1);
   }
 
+  const warning = usageWarning(await getKeyUsage(openStore(), keyId));
   const deprecated = deprecateSigningKey(key);
-  store.keys[keyId] = deprecated;
-  saveStore(store);
+  await updateKey(openStore(), deprecated, { actor: CLI_ACTOR });
 
   const overlapEnds = new Date(deprecated.deprecatedAt + deprecated.rotationPolicy.overlapMs);
 
@@ -222,6 +387,11 @@ async function cmdDeprecate(keyId) {
   console.log(`  Overlap Ends:  ${overlapEnds.toISOString()}`);
   console.log(`  Still Valid:   Yes (for ${formatDuration(deprecated.rotationPolicy.overlapMs)})`);
   console.log('');
+  if (warning) {
+    console.log(`  ⚠️  ${warning}.`);
+    console.log('     Make sure its clients switch keys before the overlap ends.');
+    console.log('');
+  }
 }
 
 async function cmdDestroy(keyId) {
@@ -230,22 +400,16 @@ async function cmdDestroy(keyId) {
     process.exit(1);
   }
 
-  const store = loadStore();
-  const key = store.keys[keyId];
-
-  if (!key) {
-    console.error(`  ❌ Key not found: ${keyId}`);
-    process.exit(1);
-  }
+  const key = await requireKey(keyId);
 
   if (key.destroyedAt) {
     console.error(`  ❌ Key already destroyed`);
     process.exit(1);
   }
 
+  const warning = usageWarning(await getKeyUsage(openStore(), keyId));
   const destroyed = destroySigningKey(key);
-  store.keys[keyId] = destroyed;
-  saveStore(store);
+  await updateKey(openStore(), destroyed, { actor: CLI_ACTOR });
 
   console.log('');
   console.log('  🔴 KEY DESTROYED');
@@ -254,33 +418,148 @@ async function cmdDestroy(keyId) {
   console.log(`  Destroyed At:  ${new Date(destroyed.destroyedAt).toISOString()}`);
   console.log(`  Valid:         No (immediately invalid)`);
   console.log('');
+  if (warning) {
+    console.log(`  ⚠️  ${warning}.`);
+    console.log('     Its clients will now be rejected.');
+    console.log('');
+  }
 }
 
-async function cmdRotate(keyId) {
+async function cmdSuspend(keyId, args = []) {
   if (!keyId) {
-    console.error('  ❌ Usage: node src/cli.js rotate <keyId>');
+    console.error('  ❌ Usage: node src/cli.js suspend <keyId> [--reason <text>]');
     process.exit(1);
   }
 
-  const store = loadStore();
-  const key = store.keys[keyId];
+  const key = await requireKey(keyId);
 
-  if (!key) {
-    console.error(`  ❌ Key not found: ${keyId}`);
+  if (key.destroyedAt) {
+    console.error(`  ❌ Key already destroyed`);
+    process.exit(1);
+  }
+
+  if (key.suspendedAt) {
+    console.error(`  ❌ Key already suspended`);
+    process.exit(1);
+  }
+
+  const reason = getArg(args, '--reason');
+  const warning = usageWarning(await getKeyUsage(openStore(), keyId));
+  const suspended = await updateKey(openStore(), suspendSigningKey(key, { reason }), {
+    actor: CLI_ACTOR,
+    details: reason ? { reason } : undefined
+  });
+
+  console.log('');
+  console.log('  🟠 KEY SUSPENDED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Key ID:        ${keyId}`);
+  console.log(`  Suspended At:  ${new Date(suspended.suspendedAt).toISOString()}`);
+  console.log(`  Reason:        ${suspended.suspendedReason || '-'}`);
+  console.log(`  Valid:         No (until resumed)`);
+  if (suspended.deprecatedAt) {
+    const overlapEnds = new Date(suspended.deprecatedAt + suspended.rotationPolicy.overlapMs);
+    console.log(`  Overlap Ends:  ${overlapEnds.toISOString()} (keeps running while suspended)`);
+  }
+  console.log('');
+  if (warning) {
+    console.log(`  ⚠️  ${warning}.`);
+    console.log('     Its clients are rejected with AUTH_SUSPENDED_KEY until resumed.');
+    console.log('');
+  }
+}
+
+async function cmdResume(keyId) {
+  if (!keyId) {
+    console.error('  ❌ Usage: node src/cli.js resume <keyId>');
+    process.exit(1);
+  }
+
+  const key = await requireKey(keyId);
+
+  if (!key.suspendedAt || key.destroyedAt) {
+    console.error(`  ❌ Key is not suspended`);
     process.exit(1);
   }
 
+  const resumed = await updateKey(openStore(), resumeSigningKey(key), { actor: CLI_ACTOR });
+  const validity = isSigningKeyValid(resumed);
+
+  console.log('');
+  console.log('  🟢 KEY RESUMED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Key ID:        ${keyId}`);
+  console.log(`  Suspended For: ${formatDuration(Date.now() - key.suspendedAt)}`);
+  console.log(`  Status:        ${getSigningKeyStatus(resumed)}`);
+  console.log(`  Valid:         ${validity.valid ? 'Yes' : 'No'}`);
+  console.log('');
+  if (validity.reason) {
+    console.log(`  ℹ️  ${validity.reason}`);
+    console.log('');
+  }
+}
+
+async function cmdRevoke(keyId, args = []) {
+  if (!keyId) {
+    console.error('  ❌ Usage: node src/cli.js revoke <keyId> [--reason <text>]');
+    process.exit(1);
+  }
+
+  const key = await requireKey(keyId);
+
+  if (key.destroyedAt) {
+    console.error(`  ❌ Key already ${key.revokedAt ? 'revoked' : 'destroyed'}`);
+    process.exit(1);
+  }
+
+  const reason = getArg(args, '--reason');
+  const warning = usageWarning(await getKeyUsage(openStore(), keyId));
+  const revoked = await updateKey(openStore(), revokeSigningKey(key, { reason }), {
+    actor: CLI_ACTOR,
+    details: reason ? { reason } : undefined
+  });
+
+  console.log('');
+  console.log('  ⛔ KEY REVOKED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Key ID:        ${keyId}`);
+  console.log(`  Revoked At:    ${new Date(revoked.revokedAt).toISOString()}`);
+  console.log(`  Reason:        ${revoked.revokedReason || '-'}`);
+  console.log(`  Valid:         No (permanent)`);
+  console.log('');
+  if (warning) {
+    console.log(`  ⚠️  ${warning}.`);
+    console.log('     Its clients will now be rejected.');
+    console.log('');
+  }
+}
+
+async function cmdRotate(keyId, args = []) {
+  if (!keyId) {
+    console.error('  ❌ Usage: node src/cli.js rotate <keyId>');
+    process.exit(1);
+  }
+
+  const key = await requireKey(keyId);
+
   if (key.destroyedAt) {
     console.error(`  ❌ Cannot rotate destroyed key`);
     process.exit(1);
   }
 
-  const { oldKey, newKey, plaintextKey } = await rotateSigningKey(key);
+  const policy = await loadRotationPolicy(openStore(), {
+    environment: key.metadata.environment,
+    merchantId: key.metadata.merchantId
+  });
+  const { oldKey, newKey, plaintextKey, privateKey } = await rotateSigningKey(key, { pepper: currentPepper(), policy });
+  const secret = plaintextKey ?? JSON.stringify(privateKey);
+  const delivered = await deliverPlaintext(newKey, secret, args);
   
-  store.keys[oldKey.keyId] = oldKey;
-  store.keys[newKey.keyId] = newKey;
-  store.plaintextKeys[newKey.keyId] = plaintextKey;
-  saveStore(store);
+  const store = openStore();
+  await storeRotation(store, oldKey, newKey, { actor: CLI_ACTOR });
+  if (!delivered && plaintextKey) {
+    await store.put(plaintextKeyPattern(newKey.keyId), plaintextKey);
+  }
 
   console.log('');
   console.log('  🔄 KEY ROTATED');
@@ -293,34 +572,222 @@ async function cmdRotate(keyId) {
   console.log('');
   console.log('  New Key (active):');
   console.log(`    ID:          ${newKey.keyId}`);
-  console.log(`    Plaintext:   ${plaintextKey}`);
+  console.log(`    ${privateKey ? 'Private Key:' : 'Plaintext:  '} ${delivered ? `(encrypted → ${delivered})` : secret}`);
   console.log(`    Expires:     ${new Date(newKey.expiresAt).toISOString()}`);
   console.log('');
-  console.log('  ⚠️  Save the new plaintext key!');
+  if (!delivered) {
+    console.log(`  ⚠️  Save the new ${privateKey ? 'private key' : 'plaintext key'}!`);
+    console.log('');
+  }
+}
+
+async function cmdRotateDue(args) {
+  const dryRun = args.includes('--dry-run');
+  const store = openStore();
+
+  const report = await rotateDueKeys(store, {
+    dryRun,
+    pepper: currentPepper(),
+    onRotated: async ({ newKey, plaintextKey, privateKey }) => {
+      if (plaintextKey) {
+        await store.put(plaintextKeyPattern(newKey.keyId), plaintextKey);
+      } else if (privateKey) {
+        // Not kept anywhere, so this is the only copy
+        console.log(`  🔑 ${newKey.keyId} private key: ${JSON.stringify(privateKey)}`);
+      }
+    }
+  });
+
+  console.log('');
+  console.log(`  ⏰ AUTO-ROTATION${dryRun ? ' (dry run)' : ''}`);
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Active keys:   ${report.checked}`);
+  console.log(`  Past TTL:      ${report.due}`);
+  console.log('');
+
+  if (report.due === 0) {
+    console.log('  (no keys due for rotation)');
+    console.log('');
+    return;
+  }
+
+  for (const rotated of report.rotated) {
+    console.log(dryRun
+      ? `  • ${rotated.oldKeyId} → would rotate`
+      : `  🔄 ${rotated.oldKeyId} → ${rotated.newKeyId}`);
+  }
+  for (const failure of report.failed) {
+    console.log(`  ❌ ${failure.keyId}: ${failure.error}`);
+  }
+
+  if (!dryRun) {
+    console.log('');
+    console.log('  New plaintext keys saved to local store (see: node src/cli.js read <keyId>)');
+  }
   console.log('');
 }
 
-async function cmdValidate(plaintextKey) {
-  if (!plaintextKey) {
-    console.error('  ❌ Usage: node src/cli.js validate <plaintextKey>');
+async function cmdReap(args) {
+  const dryRun = args.includes('--dry-run');
+  const retentionArg = getArg(args, '--retention');
+  const retentionMs = retentionArg ? parseDuration(retentionArg) : null;
+
+  if (retentionArg && retentionMs === null) {
+    console.error(`  ❌ Invalid --retention: ${retentionArg} (e.g. 30m, 12h, 7d)`);
+    process.exit(1);
+  }
+
+  const store = openStore();
+  const report = await reapExpiredKeys(store, { retentionMs, dryRun });
+
+  // Plaintext copies go with the purged keys
+  if (!dryRun) {
+    for (const keyId of report.purged) {
+      await store.delete(plaintextKeyPattern(keyId));
+    }
+  }
+
+  console.log('');
+  console.log(`  🧹 REAP${dryRun ? ' (dry run)' : ''}`);
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Keys checked:  ${report.checked}`);
+  console.log(`  Retention:     ${retentionMs !== null ? formatDuration(retentionMs) : '(keep destroyed keys)'}`);
+  console.log('');
+
+  if (report.destroyed.length === 0 && report.purged.length === 0 && report.failed.length === 0) {
+    console.log('  (nothing to reap)');
+    console.log('');
+    return;
+  }
+
+  for (const keyId of report.destroyed) {
+    console.log(`  🔴 ${keyId} overlap ended → ${dryRun ? 'would destroy' : 'destroyed'}`);
+  }
+  for (const keyId of report.purged) {
+    console.log(`  🗑️  ${keyId} past retention → ${dryRun ? 'would purge' : 'purged'}`);
+  }
+  for (const failure of report.failed) {
+    console.log(`  ❌ ${failure.keyId}: ${failure.error}`);
+  }
+  console.log('');
+}
+
+async function cmdRevokeMerchant(merchantId, args = []) {
+  const reason = getArg(args, '--reason');
+  if (!merchantId || merchantId.startsWith('--') || !reason) {
+    console.error('  ❌ Usage: node src/cli.js revoke:merchant <merchantId> --reason <text> [--replace] [--dry-run] [--yes]');
     process.exit(1);
   }
 
-  const hash = await hashKey(plaintextKey);
-  const store = loadStore();
+  const dryRun = args.includes('--dry-run');
+  const issueReplacement = args.includes('--replace');
+  const store = openStore();
+  const plan = await revokeAllForMerchant(store, merchantId, { reason, dryRun: true });
+
+  console.log('');
+  console.log(`  🚨 REVOKE MERCHANT${dryRun ? ' (dry run)' : ''}`);
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Merchant:      ${merchantId}`);
+  console.log(`  Reason:        ${reason}`);
+  console.log(`  Replacement:   ${issueReplacement ? 'yes (one new key)' : 'no'}`);
+  console.log('');
+
+  if (plan.destroyed.length === 0) {
+    console.log(`  (no live keys${plan.skipped.length ? `; ${plan.skipped.length} already destroyed` : ''})`);
+    console.log('');
+    return;
+  }
+
+  for (const keyId of plan.destroyed) {
+    console.log(`  🔴 ${keyId} → ${dryRun ? 'would destroy' : 'destroy'}`);
+  }
+  console.log('');
+  if (dryRun) {
+    return;
+  }
+
+  if (!args.includes('--yes')) {
+    if (!process.stdin.isTTY) {
+      console.error('  ❌ Refusing to revoke without confirmation: pass --yes when not on a terminal');
+      process.exit(1);
+    }
+    const prompt = createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await prompt.question(`  Type the merchant ID to confirm: `);
+    prompt.close();
+    if (answer.trim() !== merchantId) {
+      console.error('  ❌ Confirmation did not match - nothing was revoked');
+      process.exit(1);
+    }
+    console.log('');
+  }
+
+  const result = await revokeAllForMerchant(store, merchantId, {
+    reason,
+    issueReplacement,
+    actor: CLI_ACTOR,
+    pepper: currentPepper()
+  });
+
+  for (const keyId of result.destroyed) {
+    console.log(`  🔴 ${keyId} destroyed`);
+  }
+  for (const failure of result.failed) {
+    console.log(`  ❌ ${failure.keyId}: ${failure.error}`);
+  }
+  console.log(`  📝 Revocation:  ${result.revocation.revocationId}`);
+  console.log('');
+  if (result.replacementError) {
+    console.log(`  ❌ Replacement not issued: ${result.replacementError}`);
+    console.log('     All keys above stay revoked; create a new key with `create`.');
+    console.log('');
+  }
+
+  if (result.replacement) {
+    const { signingKey, plaintextKey, privateKey } = result.replacement;
+    const secret = plaintextKey ?? JSON.stringify(privateKey);
+    const delivered = await deliverPlaintext(signingKey, secret, args);
+    if (!delivered && plaintextKey) {
+      await store.put(plaintextKeyPattern(signingKey.keyId), plaintextKey);
+    }
 
-  let foundKey = null;
-  for (const key of Object.values(store.keys)) {
-    if (key.hash === hash) {
-      foundKey = key;
-      break;
+    console.log('  Replacement Key (active):');
+    console.log(`    ID:          ${signingKey.keyId}`);
+    console.log(`    ${privateKey ? 'Private Key:' : 'Plaintext:  '} ${delivered ? `(encrypted → ${delivered})` : secret}`);
+    console.log(`    Expires:     ${new Date(signingKey.expiresAt).toISOString()}`);
+    console.log('');
+    if (!delivered) {
+      console.log(`  ⚠️  Save the new ${privateKey ? 'private key' : 'plaintext key'}!`);
+      console.log('');
     }
   }
+}
+
+async function cmdValidate(plaintextKey) {
+  if (!plaintextKey) {
+    console.error('  ❌ Usage: node src/cli.js validate <plaintextKey>');
+    process.exit(1);
+  }
+
+  const format = validateKeyFormat(plaintextKey);
 
   console.log('');
   console.log('  🔐 KEY VALIDATION');
   console.log('  ═══════════════════════════════════════════════════════════');
   console.log(`  Input:    ${plaintextKey.substring(0, 20)}...`);
+
+  // A corrupted checksummed key cannot be in the store - no lookup needed
+  if (format.checksumMismatch) {
+    console.log(`  Checksum: ❌ Mismatch (mistyped or truncated key)`);
+    console.log(`  Valid:    ❌ Key not looked up`);
+    console.log('');
+    process.exit(1);
+  }
+
+  const peppers = parsePeppers(process.env[PEPPERS_ENV]);
+  const foundKey = await lookupByPlaintext(openStore(), plaintextKey, { peppers });
+  const hash = foundKey ? foundKey.hash : (await hashKeyCandidates(plaintextKey, peppers))[0].hash;
+
+  console.log(`  Checksum: ${format.parts?.checksum ? '✅ OK' : '— none (legacy key format)'}`);
   console.log(`  Hash:     ${hash.substring(0, 16)}...`);
 
   if (!foundKey) {
@@ -333,6 +800,10 @@ async function cmdValidate(plaintextKey) {
   const validity = isSigningKeyValid(foundKey);
   const status = getSigningKeyStatus(foundKey);
 
+  if (!validity.valid) {
+    await recordValidationFailure(openStore(), foundKey, validity.reason, { actor: CLI_ACTOR });
+  }
+
   console.log(`  Found:    Yes (${foundKey.keyId})`);
   console.log(`  Status:   ${status}`);
   console.log(`  Valid:    ${validity.valid ? '✅ Yes' : '❌ No'}`);
@@ -343,61 +814,445 @@ async function cmdValidate(plaintextKey) {
   console.log('');
 }
 
+async function cmdAudit(args) {
+  const merchantId = getArg(args, '--merchant') || getArg(args, '-m') || null;
+  const keyId = getArg(args, '--key') || undefined;
+  const limitArg = getArg(args, '--limit');
+  const limit = limitArg ? Number(limitArg) : 50;
+
+  if (!Number.isInteger(limit) || limit <= 0) {
+    console.error(`  ❌ Invalid --limit: ${limitArg}`);
+    process.exit(1);
+  }
+
+  const events = await listAuditEvents(openStore(), merchantId, { keyId, limit });
+
+  console.log('');
+  console.log('  📜 AUDIT LOG');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Merchant:    ${merchantId || '(global)'}`);
+  if (keyId) {
+    console.log(`  Key ID:      ${keyId}`);
+  }
+  console.log('');
+
+  if (events.length === 0) {
+    console.log('  (no events)');
+    console.log('');
+    return;
+  }
+
+  for (const event of events) {
+    const transition = `${event.before || '-'} → ${event.after || '-'}`;
+    console.log(`  ${new Date(event.timestamp).toISOString()}  ${event.type}`);
+    console.log(`     Key: ${event.keyId || '-'} | ${transition} | Actor: ${event.actor}`);
+    if (event.details) {
+      console.log(`     Details: ${JSON.stringify(event.details)}`);
+    }
+  }
+  console.log('');
+}
+
+async function cmdLeakReport(plaintextKey, args) {
+  if (!plaintextKey) {
+    console.error('  ❌ Usage: node src/cli.js leak:report <plaintextKey> [--url <url>] [--destroy]');
+    process.exit(1);
+  }
+
+  const { results } = await ingestLeakReport(openStore(), [{ token: plaintextKey, url: getArg(args, '--url') }], {
+    reporter: CLI_ACTOR,
+    action: args.includes('--destroy') ? 'destroy' : 'suspend',
+    peppers: parsePeppers(process.env[PEPPERS_ENV])
+  });
+  const [result] = results;
+
+  console.log('');
+  console.log('  🚨 LEAK REPORT');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Input:    ${plaintextKey.substring(0, 20)}...`);
+
+  if (result.label !== 'true_positive') {
+    console.log(`  Found:    No (not a key in this store)`);
+    console.log('');
+    process.exit(1);
+  }
+
+  console.log(`  Found:    Yes (${result.keyId})`);
+  console.log(`  Outcome:  ${result.outcome === 'none' ? 'none (key already out of service)' : result.outcome}`);
+  console.log(`  Leak ID:  ${result.leakId}`);
+  console.log('');
+}
+
+async function cmdLeaks(args) {
+  const merchantId = getArg(args, '--merchant') || getArg(args, '-m') || undefined;
+  const keyId = getArg(args, '--key') || undefined;
+  const incidents = await listLeakIncidents(openStore(), { merchantId, keyId });
+
+  console.log('');
+  console.log('  🚨 LEAK INCIDENTS');
+  console.log('  ═══════════════════════════════════════════════════════════');
+
+  if (incidents.length === 0) {
+    console.log('  (no incidents)');
+    console.log('');
+    return;
+  }
+
+  for (const incident of incidents) {
+    console.log(`  ${new Date(incident.reportedAt).toISOString()}  ${incident.leakId}`);
+    console.log(`     Key: ${incident.keyId} | Merchant: ${incident.merchantId || '(global)'} | Was: ${incident.previousStatus} | Outcome: ${incident.outcome}`);
+    console.log(`     Reporter: ${incident.reporter}${incident.url ? ` | ${incident.url}` : ''}`);
+  }
+  console.log('');
+}
+
+function cmdScanPatterns() {
+  console.log(JSON.stringify(secretScanningPatterns(), null, 2));
+}
+
+function cmdPrefixes() {
+  const prefixes = listKeyPrefixes();
+
+  console.log('');
+  console.log(`  📋 KEY PREFIXES (${prefixes.length})`);
+  console.log('  ═══════════════════════════════════════════════════════════');
+  for (const definition of prefixes) {
+    console.log(`  ${definition.prefix.padEnd(12)} ${definition.kind}${definition.builtIn ? ' (built-in)' : ''}`);
+    console.log(`     Environments: ${definition.environments ? definition.environments.join(', ') : '(all)'}`);
+    console.log(`     Default scopes: ${definition.defaultScopes ? definition.defaultScopes.join(', ') || '(none)' : '(unrestricted)'}`);
+    console.log(`     Random part: ${definition.profile.length} chars from a ${definition.profile.alphabet.length}-char alphabet`);
+  }
+  console.log('');
+}
+
+/**
+ * CLI flags of policy:set → RotationPolicy fields
+ */
+const POLICY_FLAGS = {
+  '--ttl': 'ttlMs',
+  '--overlap': 'overlapMs',
+  '--min-ttl': 'minTtlMs',
+  '--max-ttl': 'maxTtlMs',
+  '--min-overlap': 'minOverlapMs',
+  '--max-overlap': 'maxOverlapMs'
+};
+
+function printPolicyFields(policy, indent = '    ') {
+  for (const [flag, field] of Object.entries(POLICY_FLAGS)) {
+    if (policy[field] !== undefined) {
+      console.log(`${indent}${flag.slice(2).padEnd(13)}${formatDuration(policy[field])}`);
+    }
+  }
+}
+
+async function cmdPolicySet(scope, args = []) {
+  const usage = '  ❌ Usage: node src/cli.js policy:set <global|env:<env>|merchant:<id>> [--ttl 7d] [--overlap 12h] [--min-ttl 1d] [--max-ttl 90d] [--min-overlap 1h] [--max-overlap 3d]';
+  if (!scope) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const changes = {};
+  for (const [flag, field] of Object.entries(POLICY_FLAGS)) {
+    const value = getArg(args, flag);
+    if (value === null) {
+      continue;
+    }
+    const ms = parseDuration(value);
+    if (ms === null) {
+      console.error(`  ❌ Invalid ${flag}: ${value} (e.g. 30m, 12h, 7d)`);
+      process.exit(1);
+    }
+    changes[field] = ms;
+  }
+  if (Object.keys(changes).length === 0) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  // Flags change the stored policy field by field; policy:delete starts over
+  const store = openStore();
+  const existing = await getRotationPolicy(store, scope);
+  const stored = await setRotationPolicy(store, scope, { ...existing, ...changes }, { actor: CLI_ACTOR });
+
+  console.log('');
+  console.log('  📐 POLICY SET');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Scope:       ${stored.scope}`);
+  printPolicyFields(stored, '  ');
+  console.log('');
+  console.log('  Applies to keys created or rotated from now on.');
+  console.log('');
+}
+
+async function cmdPolicyGet(scope, args = []) {
+  if (!scope) {
+    console.error('  ❌ Usage: node src/cli.js policy:get <global|env:<env>|merchant:<id>> [--env <env>]');
+    process.exit(1);
+  }
+
+  const { level, id } = parsePolicyScope(scope);
+  const store = openStore();
+  const stored = await getRotationPolicy(store, scope);
+  const target = level === 'merchant'
+    ? { environment: getArg(args, '--env') || 'live', merchantId: id }
+    : { environment: level === 'env' ? id : 'live' };
+  const effective = await loadRotationPolicy(store, target);
+
+  console.log('');
+  console.log('  📐 POLICY');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Scope:       ${scope}`);
+  if (stored) {
+    console.log(`  Updated:     ${new Date(stored.updatedAt).toISOString()} by ${stored.updatedBy}`);
+    printPolicyFields(stored, '  ');
+  } else {
+    console.log('  (no policy stored for this scope)');
+  }
+  console.log('');
+  console.log(`  Effective for new ${target.environment} keys${target.merchantId ? ` of ${target.merchantId}` : ''}:`);
+  console.log(`    ${'from'.padEnd(13)}${effective.sources.join(' → ') || '(built-in defaults)'}`);
+  printPolicyFields(applyRotationPolicy(effective));
+  printPolicyFields({
+    minTtlMs: effective.minTtlMs,
+    maxTtlMs: effective.maxTtlMs,
+    minOverlapMs: effective.minOverlapMs,
+    maxOverlapMs: effective.maxOverlapMs
+  });
+  console.log('');
+}
+
+async function cmdPolicyList() {
+  const policies = await listRotationPolicies(openStore());
+
+  console.log('');
+  console.log('  📐 ROTATION POLICIES');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  if (policies.length === 0) {
+    console.log('  (none - built-in defaults apply)');
+    console.log('');
+    return;
+  }
+  for (const policy of policies) {
+    console.log(`  ${policy.scope}`);
+    printPolicyFields(policy);
+    console.log('');
+  }
+}
+
+async function cmdPolicyDelete(scope) {
+  if (!scope) {
+    console.error('  ❌ Usage: node src/cli.js policy:delete <global|env:<env>|merchant:<id>>');
+    process.exit(1);
+  }
+
+  if (!(await deleteRotationPolicy(openStore(), scope))) {
+    console.error(`  ❌ No policy stored for ${scope}`);
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(`  🗑️  Policy ${scope} deleted`);
+  console.log('');
+}
+
 async function cmdClear() {
-  saveStore({ keys: {}, plaintextKeys: {} });
+  await openStore().clear();
   console.log('');
   console.log('  🗑️  All keys cleared from local store');
   console.log('');
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// CLI COMMANDS - KV SYNC
+// CLI COMMANDS - DELIVERY
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Build KV entries from local store
+ * Encrypt a new plaintext key to --deliver-to <public JWK file> instead of
+ * printing it or saving it to the local store
+ * @returns {Promise<string|null>} - Envelope file written, or null if no --deliver-to
  */
-function buildKvEntries(store) {
-  const entries = [];
-  const merchantLists = {};
-
-  for (const key of Object.values(store.keys)) {
-    const keyJson = JSON.stringify(key);
-
-    // Entry by hash (primary lookup)
-    entries.push({
-      key: hashKeyPattern(key.hash),
-      value: keyJson
-    });
-
-    // Entry by keyId (admin lookup)
-    entries.push({
-      key: keyIdPattern(key.keyId),
-      value: keyJson
-    });
-
-    // Build merchant list
-    const merchantId = key.metadata?.merchantId || '_global';
-    if (!merchantLists[merchantId]) {
-      merchantLists[merchantId] = [];
-    }
-    merchantLists[merchantId].push(key.keyId);
+async function deliverPlaintext(signingKey, plaintextKey, args) {
+  const recipientFile = getArg(args, '--deliver-to');
+  if (!recipientFile) {
+    return null;
   }
 
-  // Add merchant list entries
-  for (const [merchantId, keyIds] of Object.entries(merchantLists)) {
-    entries.push({
-      key: merchantKeysPattern(merchantId === '_global' ? null : merchantId),
-      value: JSON.stringify(keyIds)
-    });
+  const publicJwk = JSON.parse(readFileSync(recipientFile, 'utf8'));
+  const envelope = await encryptForRecipient(plaintextKey, publicJwk, { keyId: signingKey.keyId });
+  const outFile = getArg(args, '--out') || `${signingKey.keyId}.envelope.json`;
+
+  writeFileSync(outFile, JSON.stringify(envelope, null, 2));
+  return outFile;
+}
+
+async function cmdDeliveryOpen(envelopeFile, args) {
+  const keyFile = getArg(args, '--key');
+  if (!envelopeFile || !keyFile) {
+    console.error('  ❌ Usage: node src/cli.js delivery:open <envelopeFile> --key <privateJwkFile>');
+    process.exit(1);
   }
 
-  return entries;
+  const envelope = JSON.parse(readFileSync(envelopeFile, 'utf8'));
+  const privateJwk = JSON.parse(readFileSync(keyFile, 'utf8'));
+  const plaintextKey = await decryptEnvelope(envelope, privateJwk);
+
+  console.log('');
+  console.log('  📬 DELIVERY OPENED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Key ID:      ${envelope.keyId || '(unknown)'}`);
+  console.log(`  Algorithm:   ${envelope.alg}`);
+  console.log(`  Plaintext:   ${plaintextKey}`);
+  console.log('');
+}
+
+/**
+ * Collect a delivery (e.g. of an auto-rotated key) from the admin API and
+ * open it. The envelope can only be fetched once, so it is saved to --out
+ * before decrypting.
+ */
+async function cmdDeliveryGet(deliveryId, args) {
+  const adminUrl = getArg(args, '--url');
+  const keyFile = getArg(args, '--key');
+  if (!deliveryId || !adminUrl || !keyFile) {
+    console.error('  ❌ Usage: node src/cli.js delivery:get <deliveryId> --url <adminUrl> --key <privateJwkFile> [--out <file>]');
+    process.exit(1);
+  }
+
+  const apiKey = process.env[API_KEY_ENV];
+  if (!apiKey) {
+    console.error(`  ❌ Set ${API_KEY_ENV} to an API key of the merchant the delivery is for`);
+    process.exit(1);
+  }
+
+  const privateJwk = JSON.parse(readFileSync(keyFile, 'utf8'));
+  const response = await fetch(`${adminUrl.replace(/\/+$/, '')}/deliveries/${encodeURIComponent(deliveryId)}`, {
+    headers: { 'X-API-Key': apiKey }
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.success) {
+    console.error(`  ❌ ${body?.error || `Admin API answered ${response.status}`}`);
+    process.exit(1);
+  }
+
+  const { envelope } = body.data;
+  const outFile = getArg(args, '--out') || `${deliveryId}.envelope.json`;
+  writeFileSync(outFile, JSON.stringify(envelope, null, 2));
+  const plaintextKey = await decryptEnvelope(envelope, privateJwk);
+
+  console.log('');
+  console.log('  📬 DELIVERY COLLECTED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  Delivery ID: ${deliveryId}`);
+  console.log(`  Key ID:      ${envelope.keyId || '(unknown)'}`);
+  console.log(`  Algorithm:   ${envelope.alg}`);
+  console.log(`  Envelope:    ${outFile}`);
+  console.log(`  Plaintext:   ${plaintextKey}`);
+  console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI COMMANDS - STORE ENCRYPTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function requirePassphrase(envName) {
+  const passphrase = process.env[envName];
+  if (!passphrase) {
+    console.error(`  ❌ ${envName} is not set`);
+    process.exit(1);
+  }
+  return passphrase;
+}
+
+async function cmdStoreEncrypt() {
+  const passphrase = requirePassphrase(PASSPHRASE_ENV);
+  const raw = readStoreFile();
+
+  if (isEncryptedStore(raw)) {
+    console.log('');
+    console.log(`  ℹ️  ${STORE_FILE} is already encrypted (use store:rekey to change passphrase)`);
+    console.log('');
+    return;
+  }
+
+  const envelope = await encryptStore(raw || createFileStoreDocument(), passphrase);
+  writeFileSync(STORE_FILE, JSON.stringify(envelope, null, 2));
+
+  console.log('');
+  console.log('  🔒 STORE ENCRYPTED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  File:        ${STORE_FILE}`);
+  console.log(`  Cipher:      ${envelope.cipher.name} (${envelope.kdf.name}-${envelope.kdf.hash}, ${envelope.kdf.iterations} iterations)`);
+  console.log('');
+  console.log(`  Keep ${PASSPHRASE_ENV} set to use the store.`);
+  console.log('');
+}
+
+async function cmdStoreDecrypt() {
+  const passphrase = requirePassphrase(PASSPHRASE_ENV);
+  const raw = readStoreFile();
+
+  if (!isEncryptedStore(raw)) {
+    console.log('');
+    console.log(`  ℹ️  ${STORE_FILE} is not encrypted`);
+    console.log('');
+    return;
+  }
+
+  const store = await decryptStore(raw, passphrase);
+  writeFileSync(STORE_FILE, JSON.stringify(store, null, 2));
+
+  console.log('');
+  console.log('  🔓 STORE DECRYPTED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  File:        ${STORE_FILE}`);
+  console.log('');
+  console.log(`  ⚠️  Plaintext keys are now stored in cleartext. Unset ${PASSPHRASE_ENV}`);
+  console.log('     or the next write will encrypt the store again.');
+  console.log('');
+}
+
+async function cmdStoreRekey() {
+  const passphrase = requirePassphrase(PASSPHRASE_ENV);
+  const newPassphrase = requirePassphrase(NEW_PASSPHRASE_ENV);
+  const raw = readStoreFile();
+
+  if (!isEncryptedStore(raw)) {
+    console.error(`  ❌ ${STORE_FILE} is not encrypted (use store:encrypt first)`);
+    process.exit(1);
+  }
+
+  const envelope = await rekeyStore(raw, passphrase, newPassphrase);
+  writeFileSync(STORE_FILE, JSON.stringify(envelope, null, 2));
+
+  console.log('');
+  console.log('  🔑 STORE REKEYED');
+  console.log('  ═══════════════════════════════════════════════════════════');
+  console.log(`  File:        ${STORE_FILE}`);
+  console.log('');
+  console.log(`  Set ${PASSPHRASE_ENV} to the new passphrase.`);
+  console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI COMMANDS - KV SYNC
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build KV bulk entries from the local store
+ * Plaintext entries never leave the machine, and local usage records would
+ * overwrite the usage KV has tracked, so both are excluded.
+ * @returns {Promise<Array<{key: string, value: string}>>}
+ */
+async function buildKvEntries() {
+  const entries = await openStore().entries();
+  return Object.entries(entries)
+    .filter(([name]) => !name.startsWith(PLAINTEXT_PREFIX) && !name.startsWith(usageKeyPattern('')))
+    .map(([key, value]) => ({ key, value }));
 }
 
 async function cmdKvExport() {
-  const store = loadStore();
-  const keys = Object.values(store.keys);
+  const keys = await loadKeys();
 
   if (keys.length === 0) {
     console.log('');
@@ -406,7 +1261,7 @@ async function cmdKvExport() {
     return;
   }
 
-  const entries = buildKvEntries(store);
+  const entries = await buildKvEntries();
   writeFileSync(KV_EXPORT_FILE, JSON.stringify(entries, null, 2));
 
   console.log('');
@@ -421,10 +1276,14 @@ async function cmdKvExport() {
   const hashEntries = entries.filter(e => e.key.startsWith('hash:'));
   const keyEntries = entries.filter(e => e.key.startsWith('key:'));
   const merchantEntries = entries.filter(e => e.key.startsWith('merchant:'));
+  const auditEntries = entries.filter(e => e.key.startsWith('audit:'));
+  const policyEntries = entries.filter(e => e.key.startsWith(POLICY_PREFIX));
 
   console.log(`    hash:*          ${hashEntries.length} (primary lookup)`);
   console.log(`    key:*           ${keyEntries.length} (admin lookup)`);
-  console.log(`    merchant:*      ${merchantEntries.length} (merchant lists)`);
+  console.log(`    merchant:*      ${merchantEntries.length} (merchant index)`);
+  console.log(`    audit:*         ${auditEntries.length} (audit log)`);
+  console.log(`    policy:*        ${policyEntries.length} (rotation policies)`);
   console.log('');
   console.log('  To push to KV, run:');
   console.log('    npx wrangler kv:bulk put --namespace-id <ID> .keys-kv-export.json');
@@ -432,14 +1291,14 @@ async function cmdKvExport() {
 }
 
 async function cmdKvStatus() {
-  const store = loadStore();
-  const keys = Object.values(store.keys);
+  const keys = await loadKeys();
 
   console.log('');
   console.log('  📊 KV SYNC STATUS');
   console.log('  ═══════════════════════════════════════════════════════════');
   console.log(`  Local keys:       ${keys.length}`);
   console.log(`  Store file:       ${STORE_FILE}`);
+  console.log(`  Encrypted:        ${isEncryptedStore(readStoreFile()) ? 'yes' : 'no'}`);
   console.log(`  Export file:      ${existsSync(KV_EXPORT_FILE) ? KV_EXPORT_FILE : '(not created)'}`);
   console.log('');
 
@@ -451,14 +1310,14 @@ async function cmdKvStatus() {
       byMerchant[merchantId] = { active: 0, deprecated: 0, destroyed: 0 };
     }
     const status = getSigningKeyStatus(key);
-    byMerchant[merchantId][status]++;
+    byMerchant[merchantId][status] = (byMerchant[merchantId][status] || 0) + 1;
   }
 
   if (Object.keys(byMerchant).length > 0) {
     console.log('  Keys by merchant:');
     for (const [merchantId, counts] of Object.entries(byMerchant)) {
       const display = merchantId === '_global' ? '(global)' : merchantId;
-      console.log(`    ${display}: ${counts.active} active, ${counts.deprecated} deprecated, ${counts.destroyed} destroyed`);
+      console.log(`    ${display}: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
     }
     console.log('');
   }
@@ -474,8 +1333,7 @@ async function cmdKvPush(args) {
   const execute = args.includes('--execute');
   const namespaceId = getArg(args, '--namespace') || getArg(args, '-n');
 
-  const store = loadStore();
-  const keys = Object.values(store.keys);
+  const keys = await loadKeys();
 
   if (keys.length === 0) {
     console.log('');
@@ -484,7 +1342,7 @@ async function cmdKvPush(args) {
     return;
   }
 
-  const entries = buildKvEntries(store);
+  const entries = await buildKvEntries();
 
   console.log('');
   console.log('  🚀 KV PUSH');
@@ -602,16 +1460,75 @@ function cmdHelp() {
     create                Create a new SigningKey
       --merchant, -m      Merchant ID (optional)
       --env, -e           Environment: live|test (default: live)
+      --prefix            Key prefix: sk|ak|tk|pk or a registered one (default: sk;
+                          rotation keeps it)
       --by                Created by: system|auto-rotation|user (default: user)
+      --scopes            Comma-separated scopes, e.g. keys:read,payments:write
+                          (default: unrestricted; rotation keeps the old scopes)
+      --type              Key type: secret|Ed25519|ES256 (default: secret bearer key;
+                          keypairs print the private JWK once and store only the public JWK)
+      --signing           Also accept HMAC-signed requests (KR-HMAC-SHA256; needs KEY_PEPPERS)
+      --deliver-to        Encrypt plaintext to this public JWK file (RSA or EC P-256)
+      --out               Envelope output file (default: <keyId>.envelope.json)
 
     list                  List all keys in local store
     read <keyId>          Read key details
     deprecate <keyId>     Deprecate a key (start overlap period)
     destroy <keyId>       Destroy a key (immediate invalidation)
+    suspend <keyId>       Temporarily disable a key (reversible, no overlap countdown)
+      --reason            Why, e.g. an incident reference
+    resume <keyId>        Re-enable a suspended key
+    revoke <keyId>        Revoke a compromised key (immediate, permanent)
+      --reason            Why, e.g. an incident reference
     rotate <keyId>        Rotate a key (deprecate old, create new)
+      --deliver-to, --out Same as create
+    rotate:due            Rotate every active key past its TTL
+      --dry-run           List due keys without rotating
+    reap                  Destroy keys whose overlap ended
+      --retention         Also purge destroyed keys older than this (e.g. 7d)
+      --dry-run           Report without changing anything
+    revoke:merchant <id>  Destroy every key of a merchant (breach kill switch)
+      --reason            Why (required; kept in the revocation record)
+      --replace           Mint one replacement key like the newest revoked one
+      --deliver-to, --out Same as create (replacement key)
+      --dry-run           List the keys without destroying them
+      --yes               Skip the confirmation prompt
     validate <plaintext>  Validate a plaintext key
+    audit                 Show key lifecycle events, oldest first
+      --merchant, -m      Merchant ID (default: global keys)
+      --key               Only events for this key
+      --limit             Show the newest n events (default: 50)
+    leak:report <key>     Suspend a key found in public and record the incident
+      --url               Where it was found
+      --destroy           Destroy instead of suspending
+    leaks                 Show leak incidents, oldest first
+      --merchant, -m      Only this merchant's incidents
+      --key               Only this key's incidents
+    scan:patterns         Print secret-scanning patterns (JSON) for partner programs
+    prefixes              List registered key prefixes and their semantics
+    policy:set <scope>    Set the rotation policy of global, env:<env> or merchant:<id>
+      --ttl, --overlap    Lifetime and grace period of new keys (e.g. 7d, 12h)
+      --min-ttl, --max-ttl, --min-overlap, --max-overlap
+                          Bounds for any requested value (only tighten across scopes)
+    policy:get <scope>    Show a stored policy and the effective one
+      --env               Environment for merchant scopes (default: live)
+    policy:list           List stored policies
+    policy:delete <scope> Remove a stored policy
     clear                 Clear all keys from local store
 
+  Delivery Commands:
+    delivery:open <file>  Decrypt an envelope (requires --key <privateJwkFile>)
+    delivery:get <id>     Collect a delivery from the admin API and decrypt it
+      --url               Admin API base URL (e.g. https://api.example.com/admin)
+      --key               Private JWK file of the recipient key
+      --out               Envelope output file (default: <deliveryId>.envelope.json)
+                          Authenticates with KEY_ROTATOR_API_KEY
+
+  Store Encryption Commands:
+    store:encrypt         Encrypt the local store (needs KEY_ROTATOR_STORE_PASSPHRASE)
+    store:decrypt         Decrypt the local store back to cleartext
+    store:rekey           Re-encrypt under KEY_ROTATOR_STORE_NEW_PASSPHRASE
+
   KV Sync Commands:
     kv:status             Show KV sync status
     kv:export             Export local keys to KV bulk format
@@ -622,8 +1539,10 @@ function cmdHelp() {
   Examples:
     # Local workflow
     node src/cli.js create --merchant acme_corp --env live
+    node src/cli.js create --merchant acme_corp --scopes keys:read,payments:write
     node src/cli.js list
     node src/cli.js rotate key_abc12345
+    node src/cli.js audit --merchant acme_corp
 
     # KV workflow
     node src/cli.js kv:status
@@ -635,6 +1554,12 @@ function cmdHelp() {
     .keys-kv-export.json  KV bulk export format
 
   Note: Local store includes plaintext keys for testing.
+  Set KEY_ROTATOR_STORE_PASSPHRASE to keep it encrypted at rest.
+  Set KEY_PEPPERS=id:secret[,id:secret...] to hash new keys with
+  HMAC-SHA256 under the first (current) pepper.
+  Set KEY_ROTATOR_KEY_REGISTRY to JSON such as
+  {"environments":["sandbox"],"prefixes":{"whsec":{"environments":["live","sandbox"]}}}
+  to mint keys with custom prefixes and environments.
   In production, only hashes are stored in KV.
 `);
 }
@@ -643,6 +1568,33 @@ function cmdHelp() {
 // HELPERS
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Current pepper from KEY_PEPPERS ("id:secret[,id:secret...]", current first)
+ * @returns {{id: string, secret: string}|null}
+ */
+function currentPepper() {
+  return parsePeppers(process.env[PEPPERS_ENV])[0] || null;
+}
+
+function formatHashAlgorithm(key) {
+  return key.pepperId ? `${key.hashAlgorithm}, pepper ${key.pepperId}` : (key.hashAlgorithm || 'sha256');
+}
+
+function formatKeyType(key) {
+  return key.publicKey ? `${key.keyType} keypair` : 'secret (bearer)';
+}
+
+function formatLastUsed(usage) {
+  if (!usage?.lastUsedAt) {
+    return 'never';
+  }
+  return `${new Date(usage.lastUsedAt).toISOString()} (${formatDuration(Date.now() - usage.lastUsedAt)} ago)`;
+}
+
+function formatScopes(key) {
+  return key.scopes ? (key.scopes.join(', ') || '(none)') : '(unrestricted)';
+}
+
 function getArg(args, flag) {
   const index = args.indexOf(flag);
   if (index !== -1 && args[index + 1]) {
@@ -651,6 +1603,19 @@ function getArg(args, flag) {
   return null;
 }
 
+/**
+ * Parse a duration like "90s", "30m", "12h", "7d" or plain milliseconds
+ * @returns {number|null} - Milliseconds, or null if unparseable
+ */
+function parseDuration(value) {
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * units[match[2] || 'ms'];
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -660,6 +1625,8 @@ async function main() {
   const command = args[0];
 
   try {
+    configureKeyRegistryFromEnv(process.env);
+
     switch (command) {
       // Local CRUD
       case 'create':
@@ -677,16 +1644,80 @@ async function main() {
       case 'destroy':
         await cmdDestroy(args[1]);
         break;
+      case 'suspend':
+        await cmdSuspend(args[1], args.slice(2));
+        break;
+      case 'resume':
+        await cmdResume(args[1]);
+        break;
+      case 'revoke':
+        await cmdRevoke(args[1], args.slice(2));
+        break;
       case 'rotate':
-        await cmdRotate(args[1]);
+        await cmdRotate(args[1], args.slice(2));
+        break;
+      case 'rotate:due':
+        await cmdRotateDue(args.slice(1));
+        break;
+      case 'reap':
+        await cmdReap(args.slice(1));
+        break;
+      case 'revoke:merchant':
+        await cmdRevokeMerchant(args[1], args.slice(2));
         break;
       case 'validate':
         await cmdValidate(args[1]);
         break;
+      case 'audit':
+        await cmdAudit(args.slice(1));
+        break;
+      case 'leak:report':
+        await cmdLeakReport(args[1], args.slice(2));
+        break;
+      case 'leaks':
+        await cmdLeaks(args.slice(1));
+        break;
+      case 'scan:patterns':
+        cmdScanPatterns();
+        break;
+      case 'prefixes':
+        cmdPrefixes();
+        break;
+      case 'policy:set':
+        await cmdPolicySet(args[1], args.slice(2));
+        break;
+      case 'policy:get':
+        await cmdPolicyGet(args[1], args.slice(2));
+        break;
+      case 'policy:list':
+        await cmdPolicyList();
+        break;
+      case 'policy:delete':
+        await cmdPolicyDelete(args[1]);
+        break;
       case 'clear':
         await cmdClear();
         break;
 
+      // Delivery
+      case 'delivery:open':
+        await cmdDeliveryOpen(args[1], args.slice(2));
+        break;
+      case 'delivery:get':
+        await cmdDeliveryGet(args[1], args.slice(2));
+        break;
+
+      // Store Encryption
+      case 'store:encrypt':
+        await cmdStoreEncrypt();
+        break;
+      case 'store:decrypt':
+        await cmdStoreDecrypt();
+        break;
+      case 'store:rekey':
+        await cmdStoreRekey();
+        break;
+
       // KV Sync
       case 'kv:status':
         await cmdKvStatus();
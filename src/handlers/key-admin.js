@@ -0,0 +1,729 @@
+/**
+ * Key Admin - HTTP API Worker
+ * ===========================
+ *
+ * Worker `fetch` router for SigningKey lifecycle management, so merchants can
+ * create, inspect, rotate, deprecate and destroy their own keys without the
+ * CLI. Built on key-store-kv.js and guarded by validateRequestWithRotation.
+ *
+ * @module key-admin
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EXPORTS:
+ *   - ADMIN_SCOPES        : Constant - scope required by each route
+ *   - ADMIN_ERROR_CODES   : Constant - non-auth error codes
+ *   - ADMIN_ROUTES        : Constant - route table (method, path, scope)
+ *   - matchRoute          : Pure function - resolve method + path to a route
+ *   - toPublicKey         : Pure function - SigningKey view safe to return (+ usage)
+ *   - jsonResponse        : Pure function - uncached JSON Response (shared with secret-scanning.js)
+ *   - handleAdminRequest  : Async - authenticate, authorize and dispatch
+ *   - createAdminHandler  : Factory - Worker `fetch()` handler
+ *
+ * ROUTES:
+ *   POST   /keys                   keys:write    Create a key (plaintext / private JWK returned once)
+ *   GET    /keys/:keyId            keys:read     Read a key
+ *   POST   /keys/:keyId/rotate     keys:rotate   Rotate (plaintext / private JWK returned once)
+ *   POST   /keys/:keyId/deprecate  keys:write    Start the overlap period
+ *   DELETE /keys/:keyId            keys:destroy  Destroy (immediately invalid)
+ *   GET    /merchants/:id/keys     keys:read     List a merchant's keys (_global = none)
+ *   GET    /merchants/:id/audit    keys:read     Audit events (?keyId, ?type, ?since, ?limit)
+ *   GET    /deliveries/:id         keys:read     Collect an encrypted key delivery (once)
+ *
+ * TENANCY:
+ *   A caller whose key belongs to a merchant only sees that merchant's keys;
+ *   anything else is reported as not found. Callers with no merchant (global
+ *   keys, static ADMIN_API_KEY) can manage every merchant. A scoped caller
+ *   cannot mint a key with scopes it does not hold itself, including the
+ *   default scopes of a registered prefix (body.prefix), nor rotate one:
+ *   rotation hands it the replacement's secret. Deliveries (key-delivery.js,
+ *   e.g. of auto-rotated keys) are collected by their merchant only, and an
+ *   attempt by another merchant does not consume them.
+ *
+ * AUDIT:
+ *   Every change is recorded in the audit log with the caller as actor:
+ *   key:{keyId} for SigningKey callers, 'static' for ADMIN_API_KEY.
+ *
+ * USAGE:
+ *   Key reads and merchant listings include a `usage` summary (key-usage.js).
+ *   Deprecating or destroying a key used in the last 24h still succeeds but
+ *   returns `warnings` so the caller knows traffic will start failing.
+ *
+ * RESPONSES:
+ *   Success: { success: true, data }       Errors: { success: false, error, code }
+ *   Auth failures go through createAuthError (401/403). Every response is
+ *   sent with Cache-Control: no-store since create/rotate carry plaintext.
+ *   Callers authenticated with a deprecated key also get Deprecation, Sunset
+ *   and X-API-Key-Rotate-By headers (withDeprecationHeaders).
+ *
+ * KEY REGISTRY:
+ *   createAdminHandler applies env.KEY_ROTATOR_KEY_REGISTRY (option
+ *   registryBinding) before every request, so custom prefixes and
+ *   environments can be created, read and validated; an invalid config
+ *   answers 500 ADMIN_NOT_CONFIGURED.
+ *
+ * RATE LIMITING:
+ *   Failed authentications are counted per client IP and key prefix
+ *   (rate-limiter.js); locked-out callers get 429 AUTH_RATE_LIMITED with
+ *   Retry-After. createAdminHandler enables it on the KV binding by default.
+ *
+ * USAGE:
+ *   export default {
+ *     fetch: createAdminHandler({ basePath: '/admin' }),
+ *     scheduled: createScheduledHandler()
+ *   };
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  KEY_REGISTRY_BINDING,
+  LIFECYCLE_ERROR_CODES,
+  configureKeyRegistryFromEnv,
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  getKeyPrefix,
+  getSigningKeyStatus,
+  hasScopes,
+  parsePeppers,
+  rotateSigningKey
+} from '../key-rotator.js';
+import {
+  storeKey,
+  updateKey,
+  storeRotation,
+  lookupByKeyId,
+  listMerchantKeys
+} from '../key-store-kv.js';
+import { listAuditEvents } from '../audit-log.js';
+import { retrieveDelivery } from '../key-delivery.js';
+import { flushKeyUsage, getKeyUsage, usageWarning } from '../key-usage.js';
+import { createRateLimiter } from '../rate-limiter.js';
+import { loadRotationPolicy } from '../rotation-policy.js';
+import {
+  AUTH_ERROR_CODES,
+  createAuthError,
+  requireScopes,
+  validateRequestWithRotation,
+  withDeprecationHeaders
+} from '../../auth.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Scopes checked by the admin routes
+ */
+const ADMIN_SCOPES = {
+  READ: 'keys:read',
+  WRITE: 'keys:write',
+  ROTATE: 'keys:rotate',
+  DESTROY: 'keys:destroy'
+};
+
+/**
+ * Error codes for non-auth failures
+ */
+const ADMIN_ERROR_CODES = {
+  NOT_FOUND: 'ADMIN_NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'ADMIN_METHOD_NOT_ALLOWED',
+  BAD_REQUEST: 'ADMIN_BAD_REQUEST',
+  CONFLICT: 'ADMIN_CONFLICT',
+  INTERNAL: 'ADMIN_INTERNAL_ERROR',
+  NOT_CONFIGURED: 'ADMIN_NOT_CONFIGURED'
+};
+
+/**
+ * Route table - first match wins
+ */
+const ADMIN_ROUTES = [
+  { name: 'createKey', method: 'POST', pattern: /^\/keys$/, scope: ADMIN_SCOPES.WRITE },
+  { name: 'readKey', method: 'GET', pattern: /^\/keys\/([^/]+)$/, scope: ADMIN_SCOPES.READ },
+  { name: 'rotateKey', method: 'POST', pattern: /^\/keys\/([^/]+)\/rotate$/, scope: ADMIN_SCOPES.ROTATE },
+  { name: 'deprecateKey', method: 'POST', pattern: /^\/keys\/([^/]+)\/deprecate$/, scope: ADMIN_SCOPES.WRITE },
+  { name: 'destroyKey', method: 'DELETE', pattern: /^\/keys\/([^/]+)$/, scope: ADMIN_SCOPES.DESTROY },
+  { name: 'listMerchantKeys', method: 'GET', pattern: /^\/merchants\/([^/]+)\/keys$/, scope: ADMIN_SCOPES.READ },
+  { name: 'listMerchantAudit', method: 'GET', pattern: /^\/merchants\/([^/]+)\/audit$/, scope: ADMIN_SCOPES.READ },
+  { name: 'readDelivery', method: 'GET', pattern: /^\/deliveries\/([^/]+)$/, scope: ADMIN_SCOPES.READ }
+];
+
+/**
+ * Most audit events returned by one request
+ */
+const MAX_AUDIT_EVENTS = 500;
+
+/**
+ * Path segment standing for "no merchant" in /merchants/:id/keys
+ */
+const GLOBAL_MERCHANT_SEGMENT = '_global';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve a method + path against ADMIN_ROUTES
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Path with basePath already removed
+ * @returns {{route: Object|null, params: string[], methodNotAllowed: boolean, malformed?: boolean}}
+ *   malformed: a path parameter is not valid percent-encoding
+ */
+function matchRoute(method, pathname) {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  let pathMatched = false;
+
+  for (const route of ADMIN_ROUTES) {
+    const match = route.pattern.exec(path);
+    if (!match) continue;
+
+    pathMatched = true;
+    if (route.method === method.toUpperCase()) {
+      let params;
+      try {
+        params = match.slice(1).map(param => decodeURIComponent(param));
+      } catch {
+        return { route: null, params: [], methodNotAllowed: false, malformed: true };
+      }
+      return { route, params, methodNotAllowed: false };
+    }
+  }
+
+  return { route: null, params: [], methodNotAllowed: pathMatched };
+}
+
+/**
+ * SigningKey view returned by the API (hash and request-signing secret omitted,
+ * status and requestSigning flag added)
+ * @param {Object} signingKey
+ * @param {Object} [usage] - Usage summary to include (key-usage.js)
+ * @returns {Object}
+ */
+function toPublicKey(signingKey, usage) {
+  const { hash, requestSigningSecret, ...rest } = signingKey;
+  const view = { ...rest, requestSigning: Boolean(requestSigningSecret), status: getSigningKeyStatus(signingKey) };
+  if (usage) {
+    view.usage = usage;
+  }
+  return view;
+}
+
+/**
+ * Warnings for a key about to stop working
+ * @param {KVNamespace} KV
+ * @param {string} keyId
+ * @returns {Promise<string[]>}
+ */
+async function inUseWarnings(KV, keyId) {
+  const warning = usageWarning(await getKeyUsage(KV, keyId));
+  return warning ? [warning] : [];
+}
+
+/**
+ * Build a JSON response
+ * @param {number} status
+ * @param {Object} body
+ * @returns {Response}
+ */
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+/**
+ * Build a non-auth JSON error response
+ * @param {number} status
+ * @param {string} code - From ADMIN_ERROR_CODES
+ * @param {string} message
+ * @returns {Response}
+ */
+function errorResponse(status, code, message) {
+  return jsonResponse(status, { success: false, error: message, code });
+}
+
+/**
+ * Error carrying an HTTP status, thrown by route handlers
+ * @param {number} status
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether the caller may act on keys of a merchant
+ * @param {Object} auth - Successful auth result
+ * @param {string|null} merchantId
+ * @returns {boolean}
+ */
+function canAccessMerchant(auth, merchantId) {
+  return auth.merchantId === null || auth.merchantId === (merchantId || null);
+}
+
+/**
+ * Audit actor for the caller
+ * @param {Object} auth - Successful auth result
+ * @returns {string}
+ */
+function auditActor(auth) {
+  return auth.keyId ? `key:${auth.keyId}` : auth.source;
+}
+
+/**
+ * Resolve the :id segment of /merchants/:id/... to a merchantId the caller may see
+ * @param {Object} auth - Successful auth result
+ * @param {string} segment - Decoded path segment
+ * @returns {string|null}
+ */
+function resolveMerchantSegment(auth, segment) {
+  const merchantId = segment === GLOBAL_MERCHANT_SEGMENT ? null : segment;
+  if (!canAccessMerchant(auth, merchantId)) {
+    throw httpError(404, ADMIN_ERROR_CODES.NOT_FOUND, `Merchant not found: ${segment}`);
+  }
+  return merchantId;
+}
+
+/**
+ * Parse an optional non-negative integer query parameter
+ * @param {URLSearchParams} query
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+function readIntegerParam(query, name) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw httpError(400, ADMIN_ERROR_CODES.BAD_REQUEST, `${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional duration (ms) from a request body
+ * @param {Object} body
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+function readDurationField(body, name) {
+  const value = body[name];
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw httpError(400, ADMIN_ERROR_CODES.BAD_REQUEST, `${name} must be a positive number of milliseconds`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional scope list from a request body
+ * @param {Object} body
+ * @returns {string[]|null}
+ */
+function readScopesField(body) {
+  const { scopes } = body;
+  if (scopes === undefined || scopes === null) {
+    return null;
+  }
+  if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string')) {
+    throw httpError(400, ADMIN_ERROR_CODES.BAD_REQUEST, 'scopes must be an array of strings');
+  }
+  return scopes;
+}
+
+/**
+ * Parse the JSON request body ({} when empty)
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ */
+async function readJsonBody(request) {
+  const text = await request.text();
+  if (!text.trim()) {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw httpError(400, ADMIN_ERROR_CODES.BAD_REQUEST, 'Request body must be valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, ADMIN_ERROR_CODES.BAD_REQUEST, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTE HANDLERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run a lifecycle write, turning a stale or illegal update into 409
+ */
+async function lifecycleWrite(write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (Object.values(LIFECYCLE_ERROR_CODES).includes(error.code)) {
+      throw httpError(409, ADMIN_ERROR_CODES.CONFLICT, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load a key the caller is allowed to see, or throw 404
+ */
+async function loadAccessibleKey(KV, auth, keyId) {
+  const signingKey = await lookupByKeyId(KV, keyId);
+  if (!signingKey || !canAccessMerchant(auth, signingKey.metadata?.merchantId)) {
+    throw httpError(404, ADMIN_ERROR_CODES.NOT_FOUND, `Key not found: ${keyId}`);
+  }
+  return signingKey;
+}
+
+const routeHandlers = {
+  async createKey({ KV, auth, request, pepper }) {
+    const body = await readJsonBody(request);
+
+    let merchantId = body.merchantId ?? null;
+    if (auth.merchantId !== null) {
+      if (merchantId !== null && merchantId !== auth.merchantId) {
+        throw httpError(403, AUTH_ERROR_CODES.INSUFFICIENT_SCOPE, 'Cannot create keys for another merchant');
+      }
+      merchantId = auth.merchantId;
+    }
+
+    // A scoped caller can only delegate scopes it holds (including the prefix's
+    // default scopes); unscoped requests inherit them
+    const ttlMs = readDurationField(body, 'ttlMs');
+    const overlapMs = readDurationField(body, 'overlapMs');
+    let scopes = readScopesField(body) ?? getKeyPrefix(body.prefix ?? 'sk')?.defaultScopes ?? null;
+    if (auth.scopes !== null) {
+      if (scopes === null) {
+        scopes = auth.scopes;
+      } else if (!hasScopes(auth.scopes, scopes).allowed) {
+        throw httpError(403, AUTH_ERROR_CODES.INSUFFICIENT_SCOPE,
+          `Cannot grant scopes you do not hold: ${hasScopes(auth.scopes, scopes).missing.join(', ')}`);
+      }
+    }
+
+    let created;
+    try {
+      const policy = await loadRotationPolicy(KV, { environment: body.environment, merchantId });
+      created = await createSigningKey({
+        merchantId,
+        prefix: body.prefix,
+        environment: body.environment,
+        ttlMs,
+        overlapMs,
+        policy,
+        createdBy: 'user',
+        scopes,
+        requestSigning: body.requestSigning === true,
+        keyType: body.keyType,
+        pepper
+      });
+    } catch (error) {
+      throw httpError(400, ADMIN_ERROR_CODES.BAD_REQUEST, error.message);
+    }
+
+    await storeKey(KV, created.signingKey, { actor: auditActor(auth) });
+
+    const data = { key: toPublicKey(created.signingKey), plaintextKey: created.plaintextKey };
+    if (created.privateKey) {
+      data.privateKey = created.privateKey;
+    }
+    return jsonResponse(201, { success: true, data });
+  },
+
+  async readKey({ KV, auth, params }) {
+    const signingKey = await loadAccessibleKey(KV, auth, params[0]);
+    const usage = await getKeyUsage(KV, signingKey.keyId);
+    return jsonResponse(200, { success: true, data: { key: toPublicKey(signingKey, usage) } });
+  },
+
+  async rotateKey({ KV, auth, params, pepper, onRotated }) {
+    const signingKey = await loadAccessibleKey(KV, auth, params[0]);
+    if (signingKey.destroyedAt) {
+      throw httpError(409, ADMIN_ERROR_CODES.CONFLICT, 'Cannot rotate destroyed key');
+    }
+
+    // The caller receives the replacement's secret, so as for createKey it
+    // must hold every scope the key grants (unrestricted keys: be unrestricted)
+    if (auth.scopes !== null) {
+      const missing = signingKey.scopes === null
+        ? ['(unrestricted)']
+        : hasScopes(auth.scopes, signingKey.scopes).missing;
+      if (missing.length > 0) {
+        throw httpError(403, AUTH_ERROR_CODES.INSUFFICIENT_SCOPE,
+          `Cannot rotate a key with scopes you do not hold: ${missing.join(', ')}`);
+      }
+    }
+
+    const policy = await loadRotationPolicy(KV, {
+      environment: signingKey.metadata?.environment,
+      merchantId: signingKey.metadata?.merchantId ?? null
+    });
+
+    let rotation;
+    try {
+      rotation = await rotateSigningKey(signingKey, { createdBy: 'user', policy, pepper });
+    } catch (error) {
+      throw httpError(409, ADMIN_ERROR_CODES.CONFLICT, error.message);
+    }
+    const { oldKey, newKey, plaintextKey, privateKey } = rotation;
+
+    await lifecycleWrite(() => storeRotation(KV, oldKey, newKey, { actor: auditActor(auth) }));
+
+    if (onRotated) {
+      try {
+        await onRotated({ oldKey, newKey, plaintextKey, privateKey });
+      } catch (error) {
+        console.error(`Rotation callback failed for ${newKey.keyId}:`, error.message);
+      }
+    }
+
+    const data = { oldKey: toPublicKey(oldKey), key: toPublicKey(newKey), plaintextKey };
+    if (privateKey) {
+      data.privateKey = privateKey;
+    }
+    return jsonResponse(200, { success: true, data });
+  },
+
+  async deprecateKey({ KV, auth, params }) {
+    const signingKey = await loadAccessibleKey(KV, auth, params[0]);
+
+    let deprecated;
+    try {
+      deprecated = deprecateSigningKey(signingKey);
+    } catch (error) {
+      throw httpError(409, ADMIN_ERROR_CODES.CONFLICT, error.message);
+    }
+
+    const warnings = await inUseWarnings(KV, signingKey.keyId);
+    const written = await lifecycleWrite(() => updateKey(KV, deprecated, { actor: auditActor(auth) }));
+    return jsonResponse(200, { success: true, data: { key: toPublicKey(written), warnings } });
+  },
+
+  async destroyKey({ KV, auth, params }) {
+    const signingKey = await loadAccessibleKey(KV, auth, params[0]);
+    let destroyed = destroySigningKey(signingKey);
+    const warnings = destroyed !== signingKey ? await inUseWarnings(KV, signingKey.keyId) : [];
+
+    if (destroyed !== signingKey) {
+      destroyed = await lifecycleWrite(() => updateKey(KV, destroyed, { actor: auditActor(auth) }));
+    }
+    return jsonResponse(200, { success: true, data: { key: toPublicKey(destroyed), warnings } });
+  },
+
+  async listMerchantKeys({ KV, auth, params }) {
+    const merchantId = resolveMerchantSegment(auth, params[0]);
+    const keys = await listMerchantKeys(KV, merchantId, { withUsage: true });
+    return jsonResponse(200, {
+      success: true,
+      data: { merchantId, keys: keys.map(key => toPublicKey(key)) }
+    });
+  },
+
+  async listMerchantAudit({ KV, auth, params, request }) {
+    const merchantId = resolveMerchantSegment(auth, params[0]);
+    const query = new URL(request.url).searchParams;
+    const limit = Math.min(readIntegerParam(query, 'limit') || MAX_AUDIT_EVENTS, MAX_AUDIT_EVENTS);
+
+    const events = await listAuditEvents(KV, merchantId, {
+      keyId: query.get('keyId') || undefined,
+      type: query.get('type') || undefined,
+      since: readIntegerParam(query, 'since'),
+      limit
+    });
+    return jsonResponse(200, { success: true, data: { merchantId, events } });
+  },
+
+  async readDelivery({ KV, auth, params }) {
+    // The envelope is only readable with the merchant's private key, but
+    // reading consumes it, so other merchants must not reach it at all
+    const delivery = await retrieveDelivery(KV, params[0], Date.now(), {
+      merchantId: auth.merchantId === null ? undefined : auth.merchantId
+    });
+    if (!delivery) {
+      throw httpError(404, ADMIN_ERROR_CODES.NOT_FOUND, `Delivery not found: ${params[0]}`);
+    }
+    return jsonResponse(200, { success: true, data: { deliveryId: params[0], ...delivery } });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REQUEST HANDLING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Authenticate, authorize and dispatch one admin API request
+ * @param {Request} request - Incoming request
+ * @param {KVNamespace} KV - Cloudflare KV namespace (KEY_STORE)
+ * @param {Object} [options]
+ * @param {string|null} [options.staticKey] - Fallback static key (env.ADMIN_API_KEY)
+ * @param {Array<{id: string, secret: string}>} [options.peppers] - HMAC peppers, current first
+ * @param {string} [options.basePath=''] - Prefix stripped before routing (e.g. '/admin')
+ * @param {Function} [options.onRotated] - async ({ oldKey, newKey, plaintextKey }) => void
+ * @param {Object} [options.rateLimiter] - From createRateLimiter (null = no lockout)
+ * @returns {Promise<Response>}
+ */
+async function handleAdminRequest(request, KV, options = {}) {
+  const { staticKey = null, peppers = [], basePath = '', onRotated = null, rateLimiter = null } = options;
+
+  if (!KV) {
+    return errorResponse(500, ADMIN_ERROR_CODES.NOT_CONFIGURED, 'KV namespace not configured');
+  }
+
+  const url = new URL(request.url);
+  if (basePath && url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`)) {
+    return errorResponse(404, ADMIN_ERROR_CODES.NOT_FOUND, 'Not found');
+  }
+  const pathname = url.pathname.slice(basePath.length) || '/';
+
+  const { route, params, methodNotAllowed, malformed } = matchRoute(request.method, pathname);
+  if (malformed) {
+    return errorResponse(400, ADMIN_ERROR_CODES.BAD_REQUEST, 'Malformed path parameter');
+  }
+  if (!route) {
+    return methodNotAllowed
+      ? errorResponse(405, ADMIN_ERROR_CODES.METHOD_NOT_ALLOWED, `Method ${request.method} not allowed`)
+      : errorResponse(404, ADMIN_ERROR_CODES.NOT_FOUND, 'Not found');
+  }
+
+  // Authenticate before anything touches the store
+  const auth = await validateRequestWithRotation(request, KV, staticKey, { peppers, rateLimiter });
+  if (!auth.valid) {
+    return createAuthError(auth.code, undefined, { retryAfter: auth.retryAfter });
+  }
+
+  const access = requireScopes(auth, [route.scope]);
+  if (!access.valid) {
+    return withDeprecationHeaders(createAuthError(access.code, access.error), auth);
+  }
+
+  return withDeprecationHeaders(await dispatch(route, { KV, auth, request, params, peppers, onRotated }), auth);
+}
+
+/**
+ * Run a route handler, mapping thrown errors to responses
+ * @param {Object} route - Entry of ADMIN_ROUTES
+ * @param {Object} context - { KV, auth, request, params, peppers, onRotated }
+ * @returns {Promise<Response>}
+ */
+async function dispatch(route, { KV, auth, request, params, peppers, onRotated }) {
+  try {
+    return await routeHandlers[route.name]({
+      KV,
+      auth,
+      request,
+      params,
+      pepper: peppers[0] || null,
+      onRotated
+    });
+  } catch (error) {
+    if (error.code === AUTH_ERROR_CODES.INSUFFICIENT_SCOPE) {
+      return createAuthError(error.code, error.message);
+    }
+    if (error.status) {
+      return errorResponse(error.status, error.code, error.message);
+    }
+    console.error(`Admin ${route.name} failed:`, error.message);
+    return errorResponse(500, ADMIN_ERROR_CODES.INTERNAL, 'Internal error');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORKER INTEGRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a Worker `fetch()` handler serving the admin API
+ * @param {Object} [options]
+ * @param {string} [options.binding='KEY_STORE'] - Name of the KV binding on env
+ * @param {string} [options.staticKeyBinding='ADMIN_API_KEY'] - env secret for the static fallback key
+ * @param {string} [options.pepperBinding='KEY_PEPPERS'] - env secret holding "id:secret,..." peppers
+ * @param {string} [options.basePath=''] - Path prefix the API is mounted under
+ * @param {Function} [options.onRotated] - async ({ oldKey, newKey, plaintextKey }, env) => void
+ * @param {Object|false} [options.rateLimit={}] - createRateLimiter options, or false to disable
+ * @param {string} [options.registryBinding='KEY_ROTATOR_KEY_REGISTRY'] - env var with the key
+ *   registry config (custom prefixes and environments, see configureKeyRegistry)
+ * @returns {Function} - async (request, env, ctx) => Response
+ */
+function createAdminHandler(options = {}) {
+  const {
+    binding = 'KEY_STORE',
+    staticKeyBinding = 'ADMIN_API_KEY',
+    pepperBinding = 'KEY_PEPPERS',
+    basePath = '',
+    onRotated = null,
+    rateLimit = {},
+    registryBinding = KEY_REGISTRY_BINDING
+  } = options;
+
+  return async function fetch(request, env, ctx) {
+    try {
+      configureKeyRegistryFromEnv(env, registryBinding);
+    } catch (error) {
+      console.error('Invalid key registry config:', error.message);
+      return errorResponse(500, ADMIN_ERROR_CODES.NOT_CONFIGURED, 'Key registry config is invalid');
+    }
+
+    const KV = env?.[binding];
+    const response = await handleAdminRequest(request, KV, {
+      staticKey: env?.[staticKeyBinding] || null,
+      peppers: parsePeppers(env?.[pepperBinding]),
+      basePath,
+      onRotated: onRotated ? (rotation) => onRotated(rotation, env) : null,
+      rateLimiter: KV && rateLimit !== false ? createRateLimiter(KV, rateLimit) : null
+    });
+
+    // Write buffered key usage whose debounce has passed before the isolate ends
+    if (KV && ctx?.waitUntil) {
+      ctx.waitUntil(flushKeyUsage(KV));
+    }
+    return response;
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  ADMIN_SCOPES,
+  ADMIN_ERROR_CODES,
+  ADMIN_ROUTES,
+
+  // Pure functions
+  matchRoute,
+  toPublicKey,
+  jsonResponse,
+
+  // Request handling
+  handleAdminRequest,
+
+  // Worker integration
+  createAdminHandler
+};
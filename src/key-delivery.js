@@ -0,0 +1,471 @@
+/**
+ * Key Delivery - Encrypted One-Time Envelopes
+ * ===========================================
+ *
+ * Delivers newly minted plaintext keys to merchants without the plaintext
+ * ever being logged or persisted in the clear. The plaintext is encrypted
+ * to a merchant-supplied public key and parked in KV as a one-time,
+ * expiring envelope that is deleted on first retrieval.
+ *
+ * @module key-delivery
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * ALGORITHMS (chosen from the recipient JWK):
+ *   RSA-OAEP-256      kty=RSA        random AES-256-GCM key, wrapped with RSA-OAEP (SHA-256)
+ *   ECDH-ES+A256GCM   kty=EC P-256   ephemeral ECDH → HKDF-SHA-256 → AES-256-GCM
+ *
+ *   Both encrypt the plaintext with AES-256-GCM, so its size is not bounded
+ *   by the RSA modulus (a private ES256 JWK is larger than RSA-OAEP-256 with
+ *   a 2048-bit key can hold). RSA envelopes without encryptedKey, from
+ *   before the hybrid scheme, are still decrypted.
+ *
+ * @typedef {Object} DeliveryEnvelope
+ * @property {number} version        - Envelope format version (1)
+ * @property {string} alg            - 'RSA-OAEP-256' | 'ECDH-ES+A256GCM'
+ * @property {string} keyId          - SigningKey the plaintext belongs to (AES-GCM AAD)
+ * @property {Object} [epk]          - Ephemeral public JWK (ECDH only)
+ * @property {string} [encryptedKey] - base64url RSA-OAEP wrapped AES key (RSA only)
+ * @property {string} iv             - base64url AES-GCM IV
+ * @property {string} ciphertext     - base64url AES-GCM ciphertext
+ *
+ * KV SCHEMA:
+ *   recipient:{merchantId}   → { publicKey: JWK, alg, registeredAt }
+ *   delivery:{deliveryId}    → { envelope, merchantId, createdAt, expiresAt }
+ *
+ * NOTE:
+ *   KV is eventually consistent, so "retrieve once" is best-effort across
+ *   regions. The envelope is still useless without the merchant private key.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fromBase64Url, toBase64Url } from './base64url.js';
+import { generateRandomString } from './key-rotator.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Supported envelope algorithms
+ */
+const DELIVERY_ALGORITHMS = {
+  RSA_OAEP: 'RSA-OAEP-256',
+  ECDH_ES: 'ECDH-ES+A256GCM'
+};
+
+/**
+ * Default envelope lifetime: 24 hours
+ */
+const DEFAULT_DELIVERY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * KV rejects expirationTtl below 60 seconds
+ */
+const MIN_KV_EXPIRATION_SECONDS = 60;
+
+/**
+ * HKDF info string binding derived keys to this envelope format
+ */
+const HKDF_INFO = 'key-rotator/delivery/v1';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate KV key for a merchant's registered recipient public key
+ * @param {string} merchantId - Merchant ID
+ * @returns {string}
+ */
+function recipientKeyPattern(merchantId) {
+  return `recipient:${merchantId || '_global'}`;
+}
+
+/**
+ * Generate KV key for a pending delivery
+ * @param {string} deliveryId - Delivery ID
+ * @returns {string}
+ */
+function deliveryPattern(deliveryId) {
+  return `delivery:${deliveryId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UTILITY FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pick the envelope algorithm for a recipient JWK
+ * @param {Object} jwk - Public (or private) JWK
+ * @returns {string} - One of DELIVERY_ALGORITHMS
+ */
+function detectAlgorithm(jwk) {
+  if (!jwk || typeof jwk !== 'object') {
+    throw new Error('Recipient key must be a JWK object');
+  }
+  if (jwk.kty === 'RSA') {
+    return DELIVERY_ALGORITHMS.RSA_OAEP;
+  }
+  if (jwk.kty === 'EC' && jwk.crv === 'P-256') {
+    return DELIVERY_ALGORITHMS.ECDH_ES;
+  }
+  throw new Error(`Unsupported recipient key: kty=${jwk.kty} crv=${jwk.crv || '-'}. Use RSA or EC P-256`);
+}
+
+/**
+ * Strip private members so only the public half of a JWK is ever stored
+ * @param {Object} jwk
+ * @returns {Object}
+ */
+function toPublicJwk(jwk) {
+  if (jwk.kty === 'RSA') {
+    return { kty: 'RSA', n: jwk.n, e: jwk.e };
+  }
+  return { kty: 'EC', crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+/**
+ * Derive the AES-GCM content key from an ECDH shared secret
+ * @param {CryptoKey} privateKey - Our ECDH private key
+ * @param {CryptoKey} publicKey - Their ECDH public key
+ * @param {string[]} usages - ['encrypt'] or ['decrypt']
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveContentKey(privateKey, publicKey, usages) {
+  const sharedBits = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: new TextEncoder().encode(HKDF_INFO)
+    },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    usages
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENVELOPE ENCRYPTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Encrypt a plaintext key to a recipient public key
+ * @param {string} plaintext - The plaintext API key
+ * @param {Object} publicJwk - Recipient public key (RSA or EC P-256 JWK)
+ * @param {Object} [options]
+ * @param {string} [options.keyId=null] - SigningKey ID, bound as AES-GCM AAD
+ * @returns {Promise<DeliveryEnvelope>}
+ */
+async function encryptForRecipient(plaintext, publicJwk, options = {}) {
+  if (!plaintext || typeof plaintext !== 'string') {
+    throw new Error('Plaintext must be a non-empty string');
+  }
+
+  const alg = detectAlgorithm(publicJwk);
+  const keyId = options.keyId || null;
+  const data = new TextEncoder().encode(plaintext);
+
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const aesParams = { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(keyId || '') };
+
+  if (alg === DELIVERY_ALGORITHMS.RSA_OAEP) {
+    const publicKey = await crypto.subtle.importKey(
+      'jwk',
+      toPublicJwk(publicJwk),
+      { name: 'RSA-OAEP', hash: 'SHA-256' },
+      false,
+      ['encrypt']
+    );
+    const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const ciphertext = await crypto.subtle.encrypt(aesParams, contentKey, data);
+    const encryptedKey = await crypto.subtle.encrypt(
+      { name: 'RSA-OAEP' },
+      publicKey,
+      await crypto.subtle.exportKey('raw', contentKey)
+    );
+
+    return {
+      version: 1,
+      alg,
+      keyId,
+      encryptedKey: toBase64Url(encryptedKey),
+      iv: toBase64Url(iv),
+      ciphertext: toBase64Url(ciphertext)
+    };
+  }
+
+  const recipientKey = await crypto.subtle.importKey(
+    'jwk',
+    toPublicJwk(publicJwk),
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const contentKey = await deriveContentKey(ephemeral.privateKey, recipientKey, ['encrypt']);
+
+  const ciphertext = await crypto.subtle.encrypt(aesParams, contentKey, data);
+  const epk = toPublicJwk(await crypto.subtle.exportKey('jwk', ephemeral.publicKey));
+
+  return { version: 1, alg, keyId, epk, iv: toBase64Url(iv), ciphertext: toBase64Url(ciphertext) };
+}
+
+/**
+ * Decrypt an envelope with the recipient private key (merchant side)
+ * @param {DeliveryEnvelope} envelope
+ * @param {Object} privateJwk - Recipient private key JWK
+ * @returns {Promise<string>} - The plaintext API key
+ */
+async function decryptEnvelope(envelope, privateJwk) {
+  if (!envelope || typeof envelope !== 'object' || !envelope.ciphertext) {
+    throw new Error('Invalid delivery envelope');
+  }
+  if (envelope.alg !== detectAlgorithm(privateJwk)) {
+    throw new Error(`Envelope algorithm ${envelope.alg} does not match recipient key`);
+  }
+
+  const ciphertext = fromBase64Url(envelope.ciphertext);
+  const decryptContent = async (contentKey) => new TextDecoder().decode(await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: fromBase64Url(envelope.iv),
+      additionalData: new TextEncoder().encode(envelope.keyId || '')
+    },
+    contentKey,
+    ciphertext
+  ));
+
+  if (envelope.alg === DELIVERY_ALGORITHMS.RSA_OAEP) {
+    const privateKey = await crypto.subtle.importKey(
+      'jwk',
+      privateJwk,
+      { name: 'RSA-OAEP', hash: 'SHA-256' },
+      false,
+      ['decrypt']
+    );
+    if (!envelope.encryptedKey) {
+      // Envelope from before hybrid encryption: plaintext under RSA-OAEP directly
+      return new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, ciphertext));
+    }
+    const rawKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, fromBase64Url(envelope.encryptedKey));
+    return decryptContent(await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']));
+  }
+
+  const privateKey = await crypto.subtle.importKey(
+    'jwk',
+    privateJwk,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    ['deriveBits']
+  );
+  const ephemeralKey = await crypto.subtle.importKey(
+    'jwk',
+    envelope.epk,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  return decryptContent(await deriveContentKey(privateKey, ephemeralKey, ['decrypt']));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Register (or replace) the public key a merchant wants new keys encrypted to
+ * Only the public members of the JWK are stored.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string} merchantId - Merchant ID (null for global keys)
+ * @param {Object} publicJwk - RSA or EC P-256 public JWK
+ * @returns {Promise<{publicKey: Object, alg: string, registeredAt: number}>}
+ */
+async function registerRecipientKey(KV, merchantId, publicJwk) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const alg = detectAlgorithm(publicJwk);
+  const publicKey = toPublicJwk(publicJwk);
+
+  // Fail fast on malformed keys rather than at delivery time
+  await encryptForRecipient('probe', publicKey);
+
+  const record = { publicKey, alg, registeredAt: Date.now() };
+  await KV.put(recipientKeyPattern(merchantId), JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Get a merchant's registered recipient key
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string} merchantId - Merchant ID (null for global keys)
+ * @returns {Promise<Object|null>} - Recipient record or null if none registered
+ */
+async function getRecipientKey(KV, merchantId) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const record = await KV.get(recipientKeyPattern(merchantId), { type: 'json' });
+  return record || null;
+}
+
+/**
+ * Encrypt a new plaintext key and park it in KV for one-time retrieval
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} options
+ * @param {Object} options.signingKey - The SigningKey the plaintext belongs to
+ * @param {string} options.plaintextKey - The plaintext API key
+ * @param {Object} [options.publicKey] - Recipient JWK (defaults to the merchant's registered key)
+ * @param {number} [options.ttlMs] - Envelope lifetime (default 24h)
+ * @returns {Promise<{deliveryId: string, keyId: string, merchantId: string|null, expiresAt: number}>}
+ */
+async function createDelivery(KV, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const { signingKey, plaintextKey, ttlMs = DEFAULT_DELIVERY_TTL_MS } = options;
+  if (!signingKey || !signingKey.keyId) {
+    throw new Error('Invalid SigningKey: missing keyId');
+  }
+
+  const merchantId = signingKey.metadata?.merchantId || null;
+  let publicKey = options.publicKey;
+
+  if (!publicKey) {
+    const recipient = await getRecipientKey(KV, merchantId);
+    if (!recipient) {
+      throw new Error(`No recipient key registered for merchant: ${merchantId || '(global)'}`);
+    }
+    publicKey = recipient.publicKey;
+  }
+
+  const envelope = await encryptForRecipient(plaintextKey, publicKey, { keyId: signingKey.keyId });
+  const now = Date.now();
+  const deliveryId = `dlv_${generateRandomString(24)}`;
+  const expiresAt = now + ttlMs;
+
+  await KV.put(
+    deliveryPattern(deliveryId),
+    JSON.stringify({ envelope, merchantId, createdAt: now, expiresAt }),
+    { expirationTtl: Math.max(MIN_KV_EXPIRATION_SECONDS, Math.ceil(ttlMs / 1000)) }
+  );
+
+  return { deliveryId, keyId: signingKey.keyId, merchantId, expiresAt };
+}
+
+/**
+ * Fetch a delivery envelope exactly once
+ * The entry is deleted on retrieval, and expired entries are never returned.
+ * With options.merchantId, another merchant's delivery is neither returned
+ * nor consumed.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string} deliveryId - Delivery ID
+ * @param {number} [now] - Current timestamp (for testing)
+ * @param {Object} [options]
+ * @param {string|null} [options.merchantId] - Only retrieve this merchant's delivery (null = global)
+ * @returns {Promise<{envelope: DeliveryEnvelope, merchantId: string|null, expiresAt: number}|null>}
+ */
+async function retrieveDelivery(KV, deliveryId, now = Date.now(), options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  if (!deliveryId) {
+    return null;
+  }
+
+  const record = await KV.get(deliveryPattern(deliveryId), { type: 'json' });
+  if (!record) {
+    return null;
+  }
+  if (options.merchantId !== undefined && (record.merchantId || null) !== options.merchantId) {
+    return null;
+  }
+
+  await KV.delete(deliveryPattern(deliveryId));
+
+  if (now >= record.expiresAt) {
+    return null;
+  }
+
+  return { envelope: record.envelope, merchantId: record.merchantId, expiresAt: record.expiresAt };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEDULER INTEGRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create an onRotated callback for createScheduledHandler that delivers each
+ * auto-rotated key to its merchant. Keypair SigningKeys deliver their private
+ * JWK (as JSON). Throws when the key cannot be delivered (no KV binding, no
+ * recipient key registered), so the scheduler does not commit the rotation
+ * and the merchant keeps the current key.
+ * @param {Object} [options]
+ * @param {string} [options.binding='KEY_STORE'] - Name of the KV binding on env
+ * @param {number} [options.ttlMs] - Envelope lifetime
+ * @returns {Function} - async ({ newKey, plaintextKey, privateKey }, env) => delivery
+ */
+function createDeliveryHandler(options = {}) {
+  const { binding = 'KEY_STORE', ttlMs = DEFAULT_DELIVERY_TTL_MS } = options;
+
+  return async function onRotated({ newKey, plaintextKey, privateKey }, env) {
+    const KV = env?.[binding];
+    if (!KV) {
+      throw new Error(`Key delivery failed: KV binding ${binding} not configured`);
+    }
+
+    const merchantId = newKey.metadata?.merchantId || null;
+    const recipient = await getRecipientKey(KV, merchantId);
+    if (!recipient) {
+      throw new Error(`No recipient key registered for merchant: ${merchantId || '(global)'}`);
+    }
+
+    return createDelivery(KV, {
+      signingKey: newKey,
+      plaintextKey: plaintextKey ?? JSON.stringify(privateKey),
+      publicKey: recipient.publicKey,
+      ttlMs
+    });
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  DELIVERY_ALGORITHMS,
+  DEFAULT_DELIVERY_TTL_MS,
+
+  // Key patterns
+  recipientKeyPattern,
+  deliveryPattern,
+
+  // Envelope encryption
+  encryptForRecipient,
+  decryptEnvelope,
+
+  // KV operations
+  registerRecipientKey,
+  getRecipientKey,
+  createDelivery,
+  retrieveDelivery,
+
+  // Scheduler integration
+  createDeliveryHandler
+};
@@ -0,0 +1,749 @@
+/**
+ * Key Notifier - Signed Lifecycle Webhooks
+ * ========================================
+ *
+ * Tells merchants about their keys before requests start failing. Each
+ * scheduled sweep over listAllKeys plans the lifecycle events a merchant has
+ * not yet been told about and POSTs them, HMAC-signed, to the merchant's
+ * registered webhook endpoint. Each sweep makes one attempt per delivery;
+ * a retryable failure is recorded and retried by a later sweep with
+ * exponential backoff, and a delivery that never succeeds is parked in a
+ * dead-letter record. Nothing sleeps inside the cron invocation.
+ *
+ * @module key-notifier
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EVENTS:
+ *   key.expiring_soon   - Active key within expiringWithinMs of its TTL (or past it)
+ *   key.rotated         - Key deprecated (data.newKeyId when the audit log knows it,
+ *                         data.deliveryId when the new secret awaits collection)
+ *   key.overlap_ending  - Deprecated key within overlapEndingWithinMs of being destroyed
+ *   key.destroyed       - Key destroyed within the last recentMs
+ *
+ * @typedef {Object} WebhookPayload
+ * @property {string} id               - whk_ + 24 random characters
+ * @property {string} type             - One of WEBHOOK_EVENTS
+ * @property {number} createdAt        - Epoch ms
+ * @property {Object} data             - { keyId, merchantId, environment, status,
+ *                                         expiresAt, deprecatedAt, overlapEndsAt,
+ *                                         destroyedAt, newKeyId?, deliveryId? }
+ *
+ * SIGNATURE:
+ *   X-Webhook-Signature: t={epoch seconds},v1={hex HMAC-SHA256(secret, "{t}.{body}")}
+ *
+ *   Receivers recompute the HMAC over the raw body and reject timestamps
+ *   outside a tolerance window (verifyWebhookSignature does both).
+ *
+ * KV SCHEMA:
+ *   webhook:{merchantId|_global}                  → { url, secret, events, registeredAt }
+ *   webhook-sent:{event}:{keyId}                  → { payloadId, sentAt, deadLettered }  (expires)
+ *   webhook-retry:{merchantId|_global}:{id}       → PendingRetry JSON
+ *   webhook-dlq:{merchantId|_global}:{ts}:{id}    → DeadLetter JSON
+ *
+ *   The sent marker is written after the first attempt, so an event is
+ *   planned once; from then on only its retry record (same payload id)
+ *   is attempted again, until it is delivered or dead-lettered.
+ *
+ * @typedef {Object} PendingRetry
+ * @property {WebhookPayload} payload  - Payload as first sent
+ * @property {string} url              - Endpoint it failed against
+ * @property {number} attempts         - Attempts made so far
+ * @property {number} nextAttemptAt    - Epoch ms before which sweeps leave it alone
+ * @property {number|null} lastStatus  - HTTP status of the last attempt
+ * @property {string|null} lastError
+ *
+ * USAGE:
+ *   export default {
+ *     scheduled: createScheduledHandler({ notify: true })   // key-scheduler.js
+ *   };
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { KEY_STATUS, generateRandomString, getSigningKeyStatus } from './key-rotator.js';
+import { listAllKeys } from './key-store-kv.js';
+import { AUDIT_EVENTS, listAuditEvents } from './audit-log.js';
+import { computeRequestSignature } from './request-signing.js';
+import { timingSafeEqual } from './timing-safe.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Webhook event types
+ */
+const WEBHOOK_EVENTS = {
+  EXPIRING_SOON: 'key.expiring_soon',
+  ROTATED: 'key.rotated',
+  OVERLAP_ENDING: 'key.overlap_ending',
+  DESTROYED: 'key.destroyed'
+};
+
+/**
+ * Header carrying the payload signature
+ */
+const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Sweep and delivery defaults
+ */
+const NOTIFY_DEFAULTS = {
+  expiringWithinMs: 7 * 24 * 60 * 60 * 1000,  // 7 days
+  overlapEndingWithinMs: 6 * 60 * 60 * 1000,  // 6 hours (default overlap is 24h)
+  recentMs: 7 * 24 * 60 * 60 * 1000,          // 7 days
+  maxAttempts: 4,                             // across sweeps, not within one
+  baseDelayMs: 60 * 1000,                     // 1 minute, then 2, 4, ... before the next attempt
+  timeoutMs: 10000
+};
+
+/**
+ * How long a sent marker suppresses a repeat notification: 30 days,
+ * comfortably longer than any planning window above
+ */
+const SENT_MARKER_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Default tolerance for signature timestamps: 5 minutes
+ */
+const DEFAULT_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Digits in the zero-padded timestamp of a dead-letter KV key
+ */
+const TIMESTAMP_DIGITS = 13;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate KV key for a merchant's webhook endpoint
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @returns {string}
+ */
+function webhookEndpointPattern(merchantId) {
+  return `webhook:${merchantId || '_global'}`;
+}
+
+/**
+ * Generate KV key marking an event as already notified
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {string} keyId - SigningKey ID
+ * @returns {string}
+ */
+function sentMarkerPattern(event, keyId) {
+  return `webhook-sent:${event}:${keyId}`;
+}
+
+/**
+ * Prefix of pending retries (one merchant's, or every merchant's without an argument)
+ * @param {string|null} [merchantId] - Merchant ID (null for global keys)
+ * @returns {string}
+ */
+function retryPrefix(merchantId) {
+  return merchantId === undefined ? 'webhook-retry:' : `webhook-retry:${merchantId || '_global'}:`;
+}
+
+/**
+ * Prefix of one merchant's dead-lettered deliveries
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @returns {string}
+ */
+function deadLetterPrefix(merchantId) {
+  return `webhook-dlq:${merchantId || '_global'}:`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIGNING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sign a raw webhook body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Exact request body
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {Promise<string>} - X-Webhook-Signature header value
+ */
+async function signWebhookPayload(secret, body, now = Date.now()) {
+  if (!secret) {
+    throw new Error('Webhook secret is required');
+  }
+  const timestamp = Math.floor(now / 1000);
+  // Same hex HMAC-SHA256 as request signing, over "{t}.{body}"
+  return `t=${timestamp},v1=${await computeRequestSignature(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Verify a webhook signature header against the raw body (receiver side)
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw request body
+ * @param {string|null} header - X-Webhook-Signature value
+ * @param {Object} [options]
+ * @param {number} [options.toleranceMs=300000] - Accepted clock skew / replay window
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<boolean>}
+ */
+async function verifyWebhookSignature(secret, body, header, options = {}) {
+  const { toleranceMs = DEFAULT_SIGNATURE_TOLERANCE_MS, now = Date.now() } = options;
+  if (!secret || !header) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) {
+    return false;
+  }
+
+  return timingSafeEqual(await computeRequestSignature(secret, `${timestamp}.${body}`), parts.v1);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Public view of a SigningKey for webhook payloads (no hash)
+ * @param {Object} signingKey
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {Object}
+ */
+function keyEventData(signingKey, now = Date.now()) {
+  const deprecatedAt = signingKey.deprecatedAt || null;
+  return {
+    keyId: signingKey.keyId,
+    merchantId: signingKey.metadata?.merchantId || null,
+    environment: signingKey.metadata?.environment || null,
+    status: getSigningKeyStatus(signingKey, now),
+    expiresAt: signingKey.expiresAt,
+    deprecatedAt,
+    overlapEndsAt: deprecatedAt ? deprecatedAt + signingKey.rotationPolicy.overlapMs : null,
+    destroyedAt: signingKey.destroyedAt || null
+  };
+}
+
+/**
+ * Plan the lifecycle notifications due for a set of keys (no KV access,
+ * no dedup - callers skip events that already have a sent marker)
+ * @param {Object[]} signingKeys - SigningKey objects
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number} [options.expiringWithinMs=7d] - Warn this long before expiresAt
+ * @param {number} [options.overlapEndingWithinMs=6h] - Warn this long before the overlap ends
+ * @param {number} [options.recentMs=7d] - Only report rotations/destructions this recent
+ * @returns {Array<{event: string, signingKey: Object}>}
+ */
+function planNotifications(signingKeys, options = {}) {
+  const {
+    now = Date.now(),
+    expiringWithinMs = NOTIFY_DEFAULTS.expiringWithinMs,
+    overlapEndingWithinMs = NOTIFY_DEFAULTS.overlapEndingWithinMs,
+    recentMs = NOTIFY_DEFAULTS.recentMs
+  } = options;
+  const planned = [];
+
+  for (const key of signingKeys || []) {
+    const status = getSigningKeyStatus(key, now);
+
+    if (status === KEY_STATUS.ACTIVE) {
+      if (key.expiresAt - now <= expiringWithinMs) {
+        planned.push({ event: WEBHOOK_EVENTS.EXPIRING_SOON, signingKey: key });
+      }
+    } else if (status === KEY_STATUS.DEPRECATED || status === KEY_STATUS.EXPIRED) {
+      if (now - key.deprecatedAt <= recentMs) {
+        planned.push({ event: WEBHOOK_EVENTS.ROTATED, signingKey: key });
+      }
+      const overlapEndsAt = key.deprecatedAt + key.rotationPolicy.overlapMs;
+      if (overlapEndsAt - now <= overlapEndingWithinMs) {
+        planned.push({ event: WEBHOOK_EVENTS.OVERLAP_ENDING, signingKey: key });
+      }
+    } else if (status === KEY_STATUS.DESTROYED) {
+      if (now - key.destroyedAt <= recentMs) {
+        planned.push({ event: WEBHOOK_EVENTS.DESTROYED, signingKey: key });
+      }
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * Build a webhook payload
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} signingKey - Key the event is about
+ * @param {Object} [extra] - Additional data fields (e.g. newKeyId)
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {WebhookPayload}
+ */
+function buildWebhookPayload(event, signingKey, extra = {}, now = Date.now()) {
+  if (!Object.values(WEBHOOK_EVENTS).includes(event)) {
+    throw new Error(`Invalid webhook event: ${event}`);
+  }
+  return {
+    id: `whk_${generateRandomString(24)}`,
+    type: event,
+    createdAt: now,
+    data: { ...keyEventData(signingKey, now), ...extra }
+  };
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * Network errors, timeouts, 408, 429 and 5xx are; other 4xx are not.
+ * @param {number|null} status - HTTP status (null for network errors)
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DELIVERY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * POST a signed payload to an endpoint (one attempt)
+ * Retries are the sweep's job: it records a retryable failure and attempts
+ * it again on a later tick (see runNotificationSweep).
+ * @param {{url: string, secret: string}} endpoint - Registered endpoint
+ * @param {WebhookPayload} payload - Payload to send
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<{delivered: boolean, retryable: boolean, status: number|null, error: string|null}>}
+ */
+async function deliverWebhook(endpoint, payload, options = {}) {
+  if (!endpoint?.url || !endpoint?.secret) {
+    throw new Error('Webhook endpoint requires url and secret');
+  }
+
+  const {
+    fetch: fetchImpl = globalThis.fetch,
+    timeoutMs = NOTIFY_DEFAULTS.timeoutMs
+  } = options;
+
+  const body = JSON.stringify(payload);
+  let status = null;
+  let error = null;
+
+  try {
+    // Signed at send time so a retried payload is inside the receiver's tolerance
+    const response = await fetchImpl(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': payload.id,
+        'X-Webhook-Event': payload.type,
+        [WEBHOOK_SIGNATURE_HEADER]: await signWebhookPayload(endpoint.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    status = response.status;
+    if (response.ok) {
+      return { delivered: true, retryable: false, status, error: null };
+    }
+    error = `HTTP ${status}`;
+  } catch (e) {
+    error = e.message;
+  }
+
+  return { delivered: false, retryable: isRetryableStatus(status), status, error };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Register (or replace) a merchant's webhook endpoint
+ * A signing secret is generated unless one is supplied.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @param {Object} endpoint
+ * @param {string} endpoint.url - https:// URL (http:// only for localhost)
+ * @param {string} [endpoint.secret] - Signing secret
+ * @param {string[]} [endpoint.events] - Subscribed events (default all)
+ * @returns {Promise<{url: string, secret: string, events: string[], registeredAt: number}>}
+ */
+async function registerWebhookEndpoint(KV, merchantId, endpoint = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint.url);
+  } catch {
+    throw new Error(`Invalid webhook URL: ${endpoint.url}`);
+  }
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    throw new Error('Webhook URL must use https');
+  }
+
+  const events = endpoint.events || Object.values(WEBHOOK_EVENTS);
+  const unknown = events.filter(e => !Object.values(WEBHOOK_EVENTS).includes(e));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid webhook event: ${unknown.join(', ')}`);
+  }
+
+  const record = {
+    url: url.toString(),
+    secret: endpoint.secret || `whsec_${generateRandomString(32)}`,
+    events,
+    registeredAt: Date.now()
+  };
+  await KV.put(webhookEndpointPattern(merchantId), JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Get a merchant's webhook endpoint
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @returns {Promise<Object|null>} - Endpoint record or null if none registered
+ */
+async function getWebhookEndpoint(KV, merchantId) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const record = await KV.get(webhookEndpointPattern(merchantId), { type: 'json' });
+  return record || null;
+}
+
+/**
+ * Remove a merchant's webhook endpoint
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @returns {Promise<void>}
+ */
+async function removeWebhookEndpoint(KV, merchantId) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  await KV.delete(webhookEndpointPattern(merchantId));
+}
+
+/**
+ * Park a delivery that exhausted its retries
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {{url: string}} endpoint - Endpoint that failed
+ * @param {WebhookPayload} payload - Undelivered payload
+ * @param {{attempts: number, status: number|null, error: string|null}} result - Last attempt
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {Promise<Object>} - The dead-letter record
+ */
+async function recordDeadLetter(KV, endpoint, payload, result, now = Date.now()) {
+  const record = {
+    payload,
+    url: endpoint.url,
+    attempts: result.attempts,
+    lastStatus: result.status,
+    lastError: result.error,
+    failedAt: now
+  };
+  const name = `${deadLetterPrefix(payload.data.merchantId)}${String(now).padStart(TIMESTAMP_DIGITS, '0')}:${payload.id}`;
+  await KV.put(name, JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Record a failed delivery for a later sweep to retry
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {{url: string}} endpoint - Endpoint that failed
+ * @param {WebhookPayload} payload - Undelivered payload
+ * @param {{attempts: number, status: number|null, error: string|null}} result - Last attempt
+ * @param {Object} [options]
+ * @param {number} [options.baseDelayMs=60000] - Delay after the first attempt, doubled after each
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<PendingRetry>}
+ */
+async function recordPendingRetry(KV, endpoint, payload, result, options = {}) {
+  const { baseDelayMs = NOTIFY_DEFAULTS.baseDelayMs, now = Date.now() } = options;
+  const record = {
+    payload,
+    url: endpoint.url,
+    attempts: result.attempts,
+    nextAttemptAt: now + baseDelayMs * 2 ** (result.attempts - 1),
+    lastStatus: result.status,
+    lastError: result.error
+  };
+  await KV.put(`${retryPrefix(payload.data.merchantId)}${payload.id}`, JSON.stringify(record));
+  return record;
+}
+
+/**
+ * List pending retries, due or not
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string|null} [merchantId] - Only this merchant's (all merchants when omitted)
+ * @returns {Promise<PendingRetry[]>}
+ */
+async function listPendingRetries(KV, merchantId) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const records = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix: retryPrefix(merchantId), cursor });
+    for (const item of listResult.keys) {
+      const record = await KV.get(item.name, { type: 'json' });
+      if (record) {
+        records.push(record);
+      }
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return records;
+}
+
+/**
+ * List a merchant's dead-lettered deliveries, oldest first
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {string|null} merchantId - Merchant ID (null for global keys)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Keep only the newest N
+ * @returns {Promise<Object[]>}
+ */
+async function listDeadLetters(KV, merchantId, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const records = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix: deadLetterPrefix(merchantId), cursor });
+    for (const item of listResult.keys) {
+      const record = await KV.get(item.name, { type: 'json' });
+      if (record) {
+        records.push(record);
+      }
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return options.limit ? records.slice(-options.limit) : records;
+}
+
+/**
+ * Replacement key ID for a rotated key, and the delivery holding its secret
+ * (auto-rotation), from its key.rotated audit event
+ * @param {KVNamespace} KV
+ * @param {Object} signingKey - The deprecated key
+ * @returns {Promise<{newKeyId: string|null, deliveryId?: string}>}
+ */
+async function findRotationDetails(KV, signingKey) {
+  const [event] = await listAuditEvents(KV, signingKey.metadata?.merchantId || null, {
+    keyId: signingKey.keyId,
+    type: AUDIT_EVENTS.ROTATED,
+    limit: 1
+  });
+  const details = { newKeyId: event?.details?.newKeyId || null };
+  if (event?.details?.deliveryId) {
+    details.deliveryId = event.details.deliveryId;
+  }
+  return details;
+}
+
+/**
+ * Record the outcome of one delivery attempt
+ * Delivered: the retry record (if any) is removed. Retryable and under
+ * maxAttempts: a retry record is written for a later sweep. Otherwise the
+ * payload is dead-lettered. The sent marker reflects the outcome.
+ * @param {KVNamespace} KV
+ * @param {Object} endpoint
+ * @param {WebhookPayload} payload
+ * @param {number} attempts - Attempts including this one
+ * @param {Object} result - deliverWebhook result
+ * @param {Object} options - Sweep options (maxAttempts, baseDelayMs, now)
+ * @returns {Promise<'sent'|'retrying'|'deadLettered'>}
+ */
+async function settleDelivery(KV, endpoint, payload, attempts, result, options) {
+  const { maxAttempts = NOTIFY_DEFAULTS.maxAttempts, now } = options;
+  const retryName = `${retryPrefix(payload.data.merchantId)}${payload.id}`;
+  const attempt = { attempts, status: result.status, error: result.error };
+
+  let outcome = 'sent';
+  if (!result.delivered) {
+    outcome = result.retryable && attempts < maxAttempts ? 'retrying' : 'deadLettered';
+  }
+
+  if (outcome === 'retrying') {
+    await recordPendingRetry(KV, endpoint, payload, attempt, options);
+  } else {
+    if (outcome === 'deadLettered') {
+      await recordDeadLetter(KV, endpoint, payload, attempt, now);
+    }
+    if (attempts > 1) {
+      await KV.delete(retryName);
+    }
+  }
+
+  await KV.put(
+    sentMarkerPattern(payload.type, payload.data.keyId),
+    JSON.stringify({ payloadId: payload.id, sentAt: now, deadLettered: outcome === 'deadLettered' }),
+    { expirationTtl: SENT_MARKER_TTL_SECONDS }
+  );
+  return outcome;
+}
+
+/**
+ * Retry due deliveries, then plan, sign and deliver every lifecycle
+ * notification not sent yet
+ * Each delivery gets one attempt per sweep; retryable failures are retried by
+ * later sweeps (baseDelayMs, 2×, 4×, ... apart) up to maxAttempts in total.
+ * Merchants without an endpoint, or not subscribed to an event, are skipped.
+ * A failure on one notification is recorded and does not stop the sweep.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} [options] - planNotifications and deliverWebhook options, plus:
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number} [options.maxAttempts=4] - Attempts before dead-lettering
+ * @param {number} [options.baseDelayMs=60000] - Wait before the first retry
+ * @param {boolean} [options.dryRun=false] - Report planned notifications without sending
+ * @returns {Promise<{checked: number, planned: number, sent: Object[], retrying: Object[], skipped: number, deadLettered: Object[], failed: Object[], dryRun: boolean}>}
+ */
+async function runNotificationSweep(KV, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const { now = Date.now(), dryRun = false } = options;
+  const keys = await listAllKeys(KV);
+  const planned = planNotifications(keys, { ...options, now });
+  const retries = await listPendingRetries(KV);
+  const report = {
+    checked: keys.length,
+    planned: planned.length,
+    sent: [],
+    retrying: [],
+    skipped: 0,
+    deadLettered: [],
+    failed: [],
+    dryRun
+  };
+  const endpoints = new Map();
+
+  async function endpointFor(merchantId) {
+    if (!endpoints.has(merchantId)) {
+      endpoints.set(merchantId, await getWebhookEndpoint(KV, merchantId));
+    }
+    return endpoints.get(merchantId);
+  }
+
+  async function attempt(entry, endpoint, payload, attempts) {
+    const result = await deliverWebhook(endpoint, payload, options);
+    const outcome = await settleDelivery(KV, endpoint, payload, attempts, result, { ...options, now });
+    report[outcome].push(result.delivered
+      ? { ...entry, payloadId: payload.id, attempts }
+      : { ...entry, payloadId: payload.id, attempts, error: result.error });
+  }
+
+  for (const retry of retries) {
+    const { payload } = retry;
+    const entry = { event: payload.type, keyId: payload.data.keyId, merchantId: payload.data.merchantId };
+    if (retry.nextAttemptAt > now) {
+      continue;
+    }
+
+    try {
+      const endpoint = await endpointFor(entry.merchantId);
+      if (!endpoint || !endpoint.events.includes(entry.event)) {
+        // Endpoint removed or unsubscribed since the first attempt
+        if (!dryRun) {
+          await KV.delete(`${retryPrefix(entry.merchantId)}${payload.id}`);
+        }
+        report.skipped++;
+        continue;
+      }
+      if (dryRun) {
+        report.sent.push(entry);
+        continue;
+      }
+      await attempt(entry, endpoint, payload, retry.attempts + 1);
+    } catch (error) {
+      report.failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  for (const { event, signingKey } of planned) {
+    const merchantId = signingKey.metadata?.merchantId || null;
+    const entry = { event, keyId: signingKey.keyId, merchantId };
+
+    try {
+      const endpoint = await endpointFor(merchantId);
+      if (!endpoint || !endpoint.events.includes(event) || await KV.get(sentMarkerPattern(event, signingKey.keyId))) {
+        report.skipped++;
+        continue;
+      }
+      if (dryRun) {
+        report.sent.push(entry);
+        continue;
+      }
+
+      const extra = event === WEBHOOK_EVENTS.ROTATED
+        ? await findRotationDetails(KV, signingKey)
+        : {};
+      await attempt(entry, endpoint, buildWebhookPayload(event, signingKey, extra, now), 1);
+    } catch (error) {
+      report.failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  return report;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  WEBHOOK_EVENTS,
+  WEBHOOK_SIGNATURE_HEADER,
+  NOTIFY_DEFAULTS,
+
+  // Key patterns
+  webhookEndpointPattern,
+  sentMarkerPattern,
+  retryPrefix,
+  deadLetterPrefix,
+
+  // Signing
+  signWebhookPayload,
+  verifyWebhookSignature,
+
+  // Pure functions
+  planNotifications,
+  buildWebhookPayload,
+  isRetryableStatus,
+
+  // Delivery
+  deliverWebhook,
+
+  // KV operations
+  registerWebhookEndpoint,
+  getWebhookEndpoint,
+  removeWebhookEndpoint,
+  recordPendingRetry,
+  listPendingRetries,
+  recordDeadLetter,
+  listDeadLetters,
+  runNotificationSweep
+};
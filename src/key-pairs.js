@@ -0,0 +1,187 @@
+/**
+ * Key Pairs - Asymmetric Signing Primitives
+ * =========================================
+ *
+ * WebCrypto helpers behind asymmetric SigningKeys: keypair generation, JWK
+ * thumbprints, and raw sign/verify. Lifecycle-aware wrappers (deprecated
+ * keys still verify during the overlap, destroyed keys never do) live in
+ * key-rotator.js as signWithSigningKey / verifyWithSigningKey.
+ *
+ * @module key-pairs
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * ALGORITHMS (JOSE names):
+ *   Ed25519   kty=OKP crv=Ed25519   EdDSA, 64-byte signature
+ *   ES256     kty=EC  crv=P-256     ECDSA SHA-256, 64-byte r||s signature (JWS format)
+ *
+ * SIGNATURES:
+ *   base64url without padding, so they drop straight into a JWS.
+ *
+ * THUMBPRINTS:
+ *   RFC 7638 SHA-256 over the required public members, hex encoded. Stored
+ *   as SigningKey.hash with a "jwk:" prefix so it can never collide with the
+ *   hex hash of a presented bearer key.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fromBase64Url, toBase64Url } from './base64url.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Supported keypair algorithms → WebCrypto parameters
+ */
+const KEY_PAIR_ALGORITHMS = {
+  Ed25519: {
+    generate: { name: 'Ed25519' },
+    import: { name: 'Ed25519' },
+    sign: { name: 'Ed25519' }
+  },
+  ES256: {
+    generate: { name: 'ECDSA', namedCurve: 'P-256' },
+    import: { name: 'ECDSA', namedCurve: 'P-256' },
+    sign: { name: 'ECDSA', hash: 'SHA-256' }
+  }
+};
+
+/**
+ * Public JWK members that take part in a thumbprint, per key type (RFC 7638)
+ */
+const THUMBPRINT_MEMBERS = {
+  OKP: ['crv', 'kty', 'x'],
+  EC: ['crv', 'kty', 'x', 'y']
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENCODING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * String or bytes → bytes
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KEY PAIRS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parameters for an algorithm, or throw
+ * @param {string} algorithm - One of KEY_PAIR_ALGORITHMS
+ * @returns {Object}
+ */
+function algorithmParams(algorithm) {
+  const params = KEY_PAIR_ALGORITHMS[algorithm];
+  if (!params) {
+    throw new Error(`Unsupported key algorithm: ${algorithm}. Valid: ${Object.keys(KEY_PAIR_ALGORITHMS).join(', ')}`);
+  }
+  return params;
+}
+
+/**
+ * Generate a keypair and export both halves as JWKs
+ * @param {string} algorithm - 'Ed25519' | 'ES256'
+ * @param {string} kid - Key ID recorded in both JWKs
+ * @returns {Promise<{publicKey: Object, privateKey: Object}>}
+ */
+async function generateKeyPair(algorithm, kid) {
+  const params = algorithmParams(algorithm);
+  const pair = await crypto.subtle.generateKey(params.generate, true, ['sign', 'verify']);
+
+  const publicJwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+  const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  const members = THUMBPRINT_MEMBERS[publicJwk.kty];
+
+  const publicKey = { kid, alg: algorithm, use: 'sig' };
+  for (const member of members) {
+    publicKey[member] = publicJwk[member];
+  }
+
+  return {
+    publicKey,
+    privateKey: { ...publicKey, d: privateJwk.d }
+  };
+}
+
+/**
+ * RFC 7638 JWK thumbprint (SHA-256, hex)
+ * @param {Object} jwk - Public (or private) JWK
+ * @returns {Promise<string>}
+ */
+async function jwkThumbprint(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk?.kty];
+  if (!members) {
+    throw new Error(`Unsupported JWK key type: ${jwk?.kty}`);
+  }
+
+  // Members in lexicographic order, no whitespace
+  const canonical = JSON.stringify(Object.fromEntries(members.map(member => [member, jwk[member]])));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign data with a private JWK
+ * @param {Object} privateJwk - From generateKeyPair (alg selects the algorithm)
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>} - base64url signature
+ */
+async function signWithPrivateKey(privateJwk, data) {
+  if (!privateJwk?.d) {
+    throw new Error('Private JWK is required to sign');
+  }
+
+  const params = algorithmParams(privateJwk.alg);
+  const { kid, alg, use, ...keyMembers } = privateJwk;
+  const key = await crypto.subtle.importKey('jwk', keyMembers, params.import, false, ['sign']);
+  return toBase64Url(await crypto.subtle.sign(params.sign, key, toBytes(data)));
+}
+
+/**
+ * Verify a signature with a public JWK
+ * Malformed signatures verify as false rather than throwing.
+ * @param {Object} publicJwk - Public JWK (alg selects the algorithm)
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @param {string} signature - base64url signature
+ * @returns {Promise<boolean>}
+ */
+async function verifyWithPublicKey(publicJwk, data, signature) {
+  const params = algorithmParams(publicJwk?.alg);
+  if (typeof signature !== 'string' || signature.length === 0) {
+    return false;
+  }
+
+  const { kid, alg, use, d, ...keyMembers } = publicJwk;
+  const key = await crypto.subtle.importKey('jwk', keyMembers, params.import, false, ['verify']);
+  try {
+    return await crypto.subtle.verify(params.sign, key, fromBase64Url(signature), toBytes(data));
+  } catch {
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  KEY_PAIR_ALGORITHMS,
+
+  // Key pairs
+  generateKeyPair,
+  jwkThumbprint,
+  signWithPrivateKey,
+  verifyWithPublicKey
+};
@@ -0,0 +1,328 @@
+/**
+ * Key Revocation - Merchant Kill Switch
+ * =====================================
+ *
+ * Destroys every SigningKey of one merchant in a single operation (e.g. after
+ * the merchant reports a breach), optionally mints one replacement key, and
+ * keeps a revocation record of what was done and why.
+ *
+ * @module key-revocation
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EXPORTS:
+ *   - planMerchantRevocation : Pure function - which keys to destroy, replacement template
+ *   - revokeAllForMerchant   : Async - destroy all of a merchant's keys, record it
+ *   - listRevocations        : Async - a merchant's revocation records, oldest first
+ *   - revocationKeyPrefix    : Pure function - KV prefix of a merchant's records
+ *   - revocationKeyPattern   : Pure function - KV key of one record
+ *
+ * @typedef {Object} RevocationRecord
+ * @property {string} revocationId      - rev_ + 16 random characters
+ * @property {string} merchantId
+ * @property {string} reason
+ * @property {string} actor
+ * @property {number} revokedAt         - Epoch ms
+ * @property {string[]} destroyedKeyIds - Keys destroyed by this revocation
+ * @property {Object[]} failed          - { keyId, error } for keys that could not be destroyed
+ * @property {string|null} replacementKeyId
+ * @property {string|null} replacementError - Why the replacement could not be issued
+ *
+ * KV SCHEMA:
+ *   revocation:{merchantId}:{timestamp 13 digits}:{revocationId} → RevocationRecord JSON
+ *
+ * NOTE:
+ *   Keys are destroyed (hard cutoff, no overlap) through destroySigningKey and
+ *   updateKey, so each one also gets a key.destroyed audit event carrying the
+ *   reason and revocationId. The replacement's plaintext key (or private JWK)
+ *   is returned once and is never part of the revocation record.
+ *
+ *   The replacement follows the merchant's rotation policy (rotation-policy.js)
+ *   like a rotation does: the policy's lifetime beats the template's, and its
+ *   bounds apply. A replacement that fails to be created or stored does not
+ *   undo the destroys; the record is written anyway with replacementError.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  LIFECYCLE_ERROR_CODES,
+  createSigningKey,
+  destroySigningKey,
+  generateRandomString
+} from './key-rotator.js';
+import { listMerchantKeys, lookupByKeyId, storeKey, updateKey } from './key-store-kv.js';
+import { loadRotationPolicy } from './rotation-policy.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Actor recorded when the caller does not name one
+ */
+const DEFAULT_REVOCATION_ACTOR = 'system';
+
+/**
+ * Digits in the zero-padded timestamp of a revocation KV key
+ */
+const TIMESTAMP_DIGITS = 13;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prefix of one merchant's revocation records
+ * @param {string} merchantId
+ * @returns {string}
+ */
+function revocationKeyPrefix(merchantId) {
+  return `revocation:${merchantId}:`;
+}
+
+/**
+ * KV key of one revocation record (sorts chronologically within the merchant)
+ * @param {string} merchantId
+ * @param {number} timestamp - Epoch ms
+ * @param {string} revocationId
+ * @returns {string}
+ */
+function revocationKeyPattern(merchantId, timestamp, revocationId) {
+  return `${revocationKeyPrefix(merchantId)}${String(timestamp).padStart(TIMESTAMP_DIGITS, '0')}:${revocationId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Split a merchant's keys into those to destroy and those already gone
+ * The newest key still alive is the template for a replacement, so it keeps
+ * the environment, type, scopes, signing and rotation policy clients expect.
+ * @param {Object[]} signingKeys - The merchant's SigningKeys
+ * @returns {{toDestroy: Object[], skipped: Object[], template: Object|null}}
+ */
+function planMerchantRevocation(signingKeys) {
+  const toDestroy = [];
+  const skipped = [];
+
+  for (const key of signingKeys || []) {
+    if (key.destroyedAt) {
+      skipped.push(key);
+    } else {
+      toDestroy.push(key);
+    }
+  }
+
+  const template = toDestroy.reduce(
+    (newest, key) => (!newest || key.createdAt > newest.createdAt ? key : newest),
+    null
+  );
+
+  return { toDestroy, skipped, template };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Destroy one key, re-reading it once if it changed since it was listed
+ * @param {KVNamespace} KV
+ * @param {Object} signingKey - As listed
+ * @param {Object} updateOptions - Passed to updateKey
+ * @returns {Promise<Object>} - The destroyed key as written
+ */
+async function destroyListedKey(KV, signingKey, updateOptions) {
+  try {
+    return await updateKey(KV, destroySigningKey(signingKey), updateOptions);
+  } catch (error) {
+    if (error.code !== LIFECYCLE_ERROR_CODES.STALE_VERSION) {
+      throw error;
+    }
+    const current = await lookupByKeyId(KV, signingKey.keyId);
+    if (!current) {
+      throw new Error(`Key disappeared during revocation: ${signingKey.keyId}`);
+    }
+    return current.destroyedAt ? current : updateKey(KV, destroySigningKey(current), updateOptions);
+  }
+}
+
+/**
+ * Mint and store a replacement modelled on the newest revoked key
+ * @param {KVNamespace} KV
+ * @param {string} merchantId
+ * @param {Object} template - From planMerchantRevocation
+ * @param {Object} options - actor, createdBy, pepper
+ * @returns {Promise<{signingKey: Object, plaintextKey: string|null, privateKey?: Object}>}
+ */
+async function issueReplacementKey(KV, merchantId, template, { actor, createdBy, pepper }) {
+  const environment = template.metadata?.environment;
+  const policy = await loadRotationPolicy(KV, { environment, merchantId });
+
+  const replacement = await createSigningKey({
+    merchantId,
+    prefix: template.metadata?.prefix,
+    environment,
+    keyType: template.keyType,
+    scopes: template.scopes,
+    requestSigning: Boolean(template.requestSigningSecret),
+    ttlMs: policy?.ttlMs || template.rotationPolicy?.ttlMs,
+    overlapMs: policy?.overlapMs || template.rotationPolicy?.overlapMs,
+    policy,
+    createdBy,
+    pepper
+  });
+  await storeKey(KV, replacement.signingKey, { actor });
+  return replacement;
+}
+
+/**
+ * Destroy every key of a merchant and write a revocation record
+ * Keys that fail to destroy are reported (and recorded) rather than aborting
+ * the rest; an incident is the wrong time to stop half way. The same goes
+ * for the replacement: its failure is recorded, not thrown.
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} merchantId - Merchant whose keys are revoked
+ * @param {Object} options
+ * @param {string} options.reason - Why (required; recorded everywhere)
+ * @param {boolean} [options.issueReplacement=false] - Mint one new key modelled on the newest revoked one
+ * @param {string} [options.actor='system'] - Audit actor
+ * @param {string} [options.createdBy='user'] - createdBy of the replacement key
+ * @param {{id: string, secret: string}} [options.pepper] - Current pepper for the replacement hash
+ * @param {boolean} [options.dryRun=false] - Report what would happen without writing
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<{
+ *   revocation: RevocationRecord|null,
+ *   destroyed: string[],
+ *   skipped: string[],
+ *   failed: Object[],
+ *   replacement: {signingKey: Object, plaintextKey: string|null, privateKey?: Object}|null,
+ *   replacementError: string|null,
+ *   dryRun: boolean
+ * }>}
+ */
+async function revokeAllForMerchant(KV, merchantId, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  if (typeof merchantId !== 'string' || merchantId.length === 0) {
+    throw new Error('merchantId is required');
+  }
+
+  const {
+    reason,
+    issueReplacement = false,
+    actor = DEFAULT_REVOCATION_ACTOR,
+    createdBy = 'user',
+    pepper = null,
+    dryRun = false,
+    now = Date.now()
+  } = options;
+
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    throw new Error('A revocation reason is required');
+  }
+
+  const { toDestroy, skipped, template } = planMerchantRevocation(await listMerchantKeys(KV, merchantId));
+  const result = {
+    revocation: null,
+    destroyed: toDestroy.map(key => key.keyId),
+    skipped: skipped.map(key => key.keyId),
+    failed: [],
+    replacement: null,
+    replacementError: null,
+    dryRun
+  };
+
+  if (dryRun) {
+    return result;
+  }
+
+  const revocationId = `rev_${generateRandomString(16)}`;
+  const updateOptions = { actor, details: { reason, revocationId } };
+
+  for (const key of toDestroy) {
+    try {
+      await destroyListedKey(KV, key, updateOptions);
+    } catch (error) {
+      result.failed.push({ keyId: key.keyId, error: error.message });
+    }
+  }
+
+  const failedIds = new Set(result.failed.map(f => f.keyId));
+  result.destroyed = result.destroyed.filter(id => !failedIds.has(id));
+
+  if (issueReplacement && template) {
+    try {
+      result.replacement = await issueReplacementKey(KV, merchantId, template, { actor, createdBy, pepper });
+    } catch (error) {
+      result.replacementError = error.message;
+    }
+  }
+
+  const revocation = {
+    revocationId,
+    merchantId,
+    reason,
+    actor,
+    revokedAt: now,
+    destroyedKeyIds: result.destroyed,
+    failed: result.failed,
+    replacementKeyId: result.replacement?.signingKey.keyId ?? null,
+    replacementError: result.replacementError
+  };
+  await KV.put(revocationKeyPattern(merchantId, now, revocationId), JSON.stringify(revocation));
+  result.revocation = revocation;
+
+  return result;
+}
+
+/**
+ * A merchant's revocation records, oldest first
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} merchantId
+ * @returns {Promise<RevocationRecord[]>}
+ */
+async function listRevocations(KV, merchantId) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const records = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix: revocationKeyPrefix(merchantId), cursor });
+    for (const item of listResult.keys) {
+      const record = await KV.get(item.name, { type: 'json' });
+      if (record) {
+        records.push(record);
+      }
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return records.sort((a, b) => a.revokedAt - b.revokedAt);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // KV key patterns
+  revocationKeyPrefix,
+  revocationKeyPattern,
+
+  // Pure functions
+  planMerchantRevocation,
+
+  // KV operations
+  revokeAllForMerchant,
+  listRevocations
+};
@@ -0,0 +1,314 @@
+/**
+ * Key Scheduler - Auto-Rotation Engine
+ * ====================================
+ *
+ * Acts on needsRotation(): finds every active SigningKey past its TTL and
+ * rotates it, persisting the deprecated old key and the new active key.
+ *
+ * @module key-scheduler
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EXPORTS:
+ *   - findDueKeys             : Pure function - filter keys that need rotation
+ *   - rotateDueKeys           : Async - sweep KV and rotate every due key
+ *   - createScheduledHandler  : Factory - Worker `scheduled()` cron handler
+ *
+ * @typedef {Object} RotationReport
+ * @property {number} checked       - Keys inspected
+ * @property {number} due           - Keys past TTL
+ * @property {Object[]} rotated     - { oldKeyId, newKeyId, merchantId, deliveryId }
+ * @property {Object[]} skipped     - { keyId, merchantId, reason } - due but left active
+ * @property {Object[]} failed      - { keyId, error, orphaned? } - orphaned: { newKeyId, deliveryId }
+ * @property {boolean} dryRun       - True if nothing was written
+ *
+ * USAGE:
+ *   // wrangler.toml: [triggers] crons = ["0 * * * *"]
+ *   export default {
+ *     scheduled: createScheduledHandler({
+ *       onRotated: createDeliveryHandler(),  // from key-delivery.js
+ *       notify: true,                        // lifecycle webhooks, key-notifier.js
+ *       tokenIssuer: { issuer: 'https://auth.example.com' }   // JWT keys, token-issuer.js
+ *     })
+ *   };
+ *
+ * NOTE:
+ *   The new plaintext key (or private JWK, for keypair SigningKeys) is never
+ *   part of the report. It is handed to the onRotated callback only, which is
+ *   responsible for delivering it. The callback runs before the rotation is
+ *   stored: if it throws, the old key stays active and the key is reported
+ *   as failed. Without a callback nothing is rotated - due keys are reported
+ *   as skipped, since their new secret could not reach the merchant.
+ *   If storing the rotation fails after delivery (e.g. the key changed
+ *   meanwhile: STALE_VERSION), the merchant holds a key whose rotation was
+ *   not committed; the failure carries it as `orphaned` so the delivery can
+ *   be discarded or the merchant told to ignore it.
+ *   A deliveryId returned by the callback (createDeliveryHandler does) is
+ *   recorded in the report and in the key.rotated audit event, so the
+ *   key.rotated webhook tells the merchant which delivery to collect
+ *   (GET /deliveries/:deliveryId on the admin API).
+ *
+ *   createScheduledHandler applies env.KEY_ROTATOR_KEY_REGISTRY first, so
+ *   keys with a custom prefix rotate into that prefix instead of failing.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  KEY_REGISTRY_BINDING,
+  KEY_STATUS,
+  configureKeyRegistryFromEnv,
+  needsRotation,
+  parsePeppers,
+  rotateSigningKey
+} from './key-rotator.js';
+import { storeRotation, listAllKeys, listMerchantKeys } from './key-store-kv.js';
+import { loadRotationPolicy } from './rotation-policy.js';
+import { runNotificationSweep } from './key-notifier.js';
+import { createTokenIssuer } from './token-issuer.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * createdBy value recorded on keys minted by the scheduler
+ */
+const AUTO_ROTATION_CREATED_BY = 'auto-rotation';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Filter SigningKeys that are past TTL and still active
+ * @param {Object[]} signingKeys - SigningKey objects
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {Object[]} - Keys where needsRotation() is true
+ */
+function findDueKeys(signingKeys, now = Date.now()) {
+  if (!Array.isArray(signingKeys)) {
+    return [];
+  }
+  return signingKeys.filter(key => needsRotation(key, now));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rotate every SigningKey in KV that is past its TTL
+ * New key is stored and old key persisted deprecated via storeRotation,
+ * which also writes the key.rotated audit event. New keys get their TTL and
+ * overlap from the rotation policy registry (rotation-policy.js), falling
+ * back to the old key's.
+ * The new key is handed to onRotated before anything is stored; a key whose
+ * delivery throws stays active and is reported as failed, so it is retried
+ * on the next sweep. Without onRotated due keys are only reported (skipped).
+ * A failure on one key is recorded and does not stop the sweep.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} [options]
+ * @param {string|null} [options.merchantId] - Limit sweep to one merchant (null = global keys)
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {boolean} [options.dryRun=false] - Report due keys without rotating
+ * @param {{id: string, secret: string}} [options.pepper] - Hash new keys under this pepper
+ * @param {Function} [options.onRotated] - async ({ oldKey, newKey, plaintextKey, privateKey }) =>
+ *   { deliveryId }|void; required to rotate (throw to keep the old key active)
+ * @returns {Promise<RotationReport>}
+ */
+async function rotateDueKeys(KV, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const { now = Date.now(), dryRun = false, onRotated = null, pepper = null } = options;
+
+  const keys = options.merchantId !== undefined
+    ? await listMerchantKeys(KV, options.merchantId)
+    : await listAllKeys(KV, { status: KEY_STATUS.ACTIVE });
+
+  const dueKeys = findDueKeys(keys, now);
+  const policies = new Map();
+  const report = {
+    checked: keys.length,
+    due: dueKeys.length,
+    rotated: [],
+    skipped: [],
+    failed: [],
+    dryRun
+  };
+
+  if (dryRun) {
+    report.rotated = dueKeys.map(key => ({
+      oldKeyId: key.keyId,
+      newKeyId: null,
+      merchantId: key.metadata?.merchantId || null,
+      deliveryId: null
+    }));
+    return report;
+  }
+
+  // Rotating without a way to deliver the new secret would strand the merchant
+  // on a deprecated key
+  if (!onRotated) {
+    report.skipped = dueKeys.map(key => ({
+      keyId: key.keyId,
+      merchantId: key.metadata?.merchantId || null,
+      reason: 'No onRotated callback to deliver the new key'
+    }));
+    return report;
+  }
+
+  for (const key of dueKeys) {
+    try {
+      // Policies are read once per environment / merchant per sweep
+      const target = { environment: key.metadata?.environment, merchantId: key.metadata?.merchantId ?? null };
+      const policyKey = `${target.environment}:${target.merchantId ?? ''}`;
+      if (!policies.has(policyKey)) {
+        policies.set(policyKey, await loadRotationPolicy(KV, target));
+      }
+
+      const { oldKey, newKey, plaintextKey, privateKey } = await rotateSigningKey(key, {
+        createdBy: AUTO_ROTATION_CREATED_BY,
+        policy: policies.get(policyKey),
+        pepper
+      });
+
+      // Deliver first: a failed delivery leaves the old key active and untouched
+      const delivery = await onRotated({ oldKey, newKey, plaintextKey, privateKey });
+      const deliveryId = delivery?.deliveryId || null;
+      try {
+        await storeRotation(KV, oldKey, newKey, { actor: AUTO_ROTATION_CREATED_BY, deliveryId });
+      } catch (error) {
+        report.failed.push({
+          keyId: key.keyId,
+          error: error.message,
+          orphaned: { newKeyId: newKey.keyId, deliveryId }
+        });
+        continue;
+      }
+
+      report.rotated.push({
+        oldKeyId: oldKey.keyId,
+        newKeyId: newKey.keyId,
+        merchantId: newKey.metadata?.merchantId || null,
+        deliveryId
+      });
+    } catch (error) {
+      report.failed.push({ keyId: key.keyId, error: error.message });
+    }
+  }
+
+  return report;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORKER INTEGRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a Worker `scheduled()` handler that runs rotateDueKeys on each cron tick
+ * @param {Object} [options]
+ * @param {string} [options.binding='KEY_STORE'] - Name of the KV binding on env
+ * @param {string} [options.pepperBinding='KEY_PEPPERS'] - env secret holding "id:secret,..." peppers
+ * @param {Function} [options.onRotated] - async ({ oldKey, newKey, plaintextKey, privateKey }, env) =>
+ *   { deliveryId }|void; without it due keys are reported, not rotated (e.g. createDeliveryHandler())
+ * @param {boolean|Object} [options.notify=false] - After rotating, run the lifecycle webhook
+ *   sweep (runNotificationSweep); an object is passed through as its options.
+ *   Its report is attached as report.notifications.
+ * @param {Object} [options.tokenIssuer] - Also rotate / destroy the token issuer's keys
+ *   (createTokenIssuer options; the secret is read from env[secretBinding],
+ *   default 'TOKEN_ISSUER_SECRET'). Its report is attached as report.tokenIssuer.
+ * @param {string} [options.registryBinding='KEY_ROTATOR_KEY_REGISTRY'] - env var with the key
+ *   registry config (custom prefixes and environments, see configureKeyRegistry)
+ * @returns {Function} - async (controller, env, ctx) => RotationReport
+ */
+function createScheduledHandler(options = {}) {
+  const {
+    binding = 'KEY_STORE',
+    pepperBinding = 'KEY_PEPPERS',
+    onRotated = null,
+    notify = false,
+    tokenIssuer = null,
+    registryBinding = KEY_REGISTRY_BINDING
+  } = options;
+
+  return async function scheduled(controller, env, ctx) {
+    try {
+      configureKeyRegistryFromEnv(env, registryBinding);
+    } catch (error) {
+      // Keys of unregistered prefixes are reported as failed below
+      console.error('Invalid key registry config:', error.message);
+    }
+
+    const KV = env?.[binding];
+    if (!KV) {
+      console.error(`Auto-rotation skipped: KV binding ${binding} not configured`);
+      return null;
+    }
+
+    const now = controller?.scheduledTime || Date.now();
+    const report = await rotateDueKeys(KV, {
+      now,
+      pepper: parsePeppers(env[pepperBinding])[0] || null,
+      onRotated: onRotated ? (rotation) => onRotated(rotation, env) : null
+    });
+
+    console.log(`Auto-rotation: ${report.rotated.length}/${report.due} rotated, ${report.failed.length} failed`);
+    for (const failure of report.failed) {
+      console.error(`Auto-rotation failed for ${failure.keyId}: ${failure.error}` +
+        (failure.orphaned ? ` (orphaned delivery of ${failure.orphaned.newKeyId}: ${failure.orphaned.deliveryId || 'no deliveryId'})` : ''));
+    }
+    for (const skipped of report.skipped) {
+      console.error(`Auto-rotation skipped ${skipped.keyId}: ${skipped.reason}`);
+    }
+
+    // Runs after rotation so keys rotated on this tick are announced on this tick
+    if (notify) {
+      try {
+        const notifyOptions = typeof notify === 'object' ? notify : {};
+        report.notifications = await runNotificationSweep(KV, { ...notifyOptions, now });
+        const n = report.notifications;
+        console.log(`Key notifications: ${n.sent.length} sent, ${n.retrying.length} retrying, ${n.deadLettered.length} dead-lettered, ${n.failed.length} failed`);
+      } catch (error) {
+        console.error(`Key notifications failed: ${error.message}`);
+      }
+    }
+
+    if (tokenIssuer) {
+      try {
+        const { secretBinding = 'TOKEN_ISSUER_SECRET', ...issuerOptions } = tokenIssuer;
+        const issuer = createTokenIssuer(KV, { ...issuerOptions, secret: env[secretBinding] });
+        report.tokenIssuer = await issuer.maintain(now);
+        const t = report.tokenIssuer;
+        console.log(`Token issuer: ${t.rotated ? `rotated to ${t.rotated.newKeyId}` : 'no rotation'}, ${t.destroyed.length} destroyed`);
+      } catch (error) {
+        console.error(`Token issuer maintenance failed: ${error.message}`);
+      }
+    }
+
+    return report;
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  AUTO_ROTATION_CREATED_BY,
+
+  // Pure functions
+  findDueKeys,
+
+  // KV operations
+  rotateDueKeys,
+
+  // Worker integration
+  createScheduledHandler
+};
@@ -13,14 +13,82 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  * 
  * Key Patterns:
- *   hash:{sha256}           → SigningKey JSON (primary lookup)
+ *   hash:{sha256|hmac}      → SigningKey JSON (primary lookup)
  *   key:{keyId}             → SigningKey JSON (admin lookup)
- *   merchant:{id}:keys      → Array of keyIds (list per merchant)
+ *   merchant:{id}:key:{keyId} → keyId (one index entry per key, listed by prefix)
+ *   merchant:{id}:keys      → Array of keyIds (legacy list, read and pruned only)
+ *   audit:{id}:{ts}:{evt}   → AuditEvent JSON (see audit-log.js)
+ *   usage:{keyId}           → UsageRecord JSON (see key-usage.js)
+ * 
+ * AUDIT:
+ *   storeKey / updateKey / deleteKey / storeRotation append an audit event
+ *   (audit-log.js) under audit:{merchantId}:... unless called with
+ *   { audit: false }. Pass { actor } to record who made the change.
+ * 
+ * MERCHANT INDEX:
+ *   Each key gets its own merchant:{id}:key:{keyId} entry instead of being
+ *   appended to a shared JSON array, so concurrent storeKey / deleteKey calls
+ *   for one merchant never overwrite each other's changes. Lists written by
+ *   earlier versions are still read (and cleaned up by deleteKey).
+ * 
+ * VERSIONING:
+ *   updateKey is a compare-and-set on SigningKey.version: pass the key as you
+ *   read it (plus your changes) and it is written with version + 1. A stored
+ *   key that has moved on (STALE_VERSION) or a status change KEY_TRANSITIONS
+ *   does not allow (ILLEGAL_TRANSITION) is refused with error.code set. The
+ *   check is a read followed by separate writes, not an atomic
+ *   compare-and-set: two writers racing inside the same read window can both
+ *   succeed on KV and on D1 alike (D1 only makes the read current). Only a
+ *   single writer (the memory adapter inside one Durable Object) makes it
+ *   strict.
+ * 
+ * VALIDATION:
+ *   validateKey reports a `code` from KEY_VALIDATION_CODES, the same strings
+ *   auth.js answers with: suspended keys get AUTH_SUSPENDED_KEY, other
+ *   found-but-invalid keys AUTH_EXPIRED_KEY, unknown or mistyped keys
+ *   AUTH_INVALID_KEY. Valid keys have code null.
+ * 
+ * STORAGE:
+ *   Every `KV` parameter accepts a Cloudflare KV binding or any other
+ *   StorageAdapter (adapters/storage-adapter.js): memory, file or D1.
+ * 
+ * PEPPERS:
+ *   Lookups accept { peppers: [current, ...previous] }. Each pepper's
+ *   HMAC-SHA256 is tried in order, then bare SHA-256 for legacy keys.
+ *   After a successful validation, keys not hashed under the current pepper
+ *   are rehashed (migrateKeyHash) so old peppers can eventually be retired.
  * 
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-import { hashKey, isSigningKeyValid, getSigningKeyStatus } from './key-rotator.js';
+import {
+  HASH_ALGORITHMS,
+  KEY_STATUS,
+  LIFECYCLE_ERROR_CODES,
+  assertTransition,
+  hmacHashKey,
+  hashKeyCandidates,
+  isSigningKeyValid,
+  getSigningKeyStatus,
+  destroySigningKey,
+  validateKeyFormat
+} from './key-rotator.js';
+import { AUDIT_EVENTS, lifecycleEventType, recordAuditEvent } from './audit-log.js';
+import { deleteKeyUsage, getKeyUsageMap, recordKeyUsage } from './key-usage.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Codes validateKey reports for rejected keys (shared with AUTH_ERROR_CODES)
+ */
+const KEY_VALIDATION_CODES = {
+  MISSING_KEY: 'AUTH_MISSING_KEY',
+  INVALID_KEY: 'AUTH_INVALID_KEY',
+  EXPIRED_KEY: 'AUTH_EXPIRED_KEY',
+  SUSPENDED_KEY: 'AUTH_SUSPENDED_KEY'
+};
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // KV KEY PATTERNS
@@ -45,7 +113,7 @@ function keyIdPattern(keyId) {
 }
 
 /**
- * Generate KV key for merchant's key list
+ * Generate KV key for merchant's legacy key list (JSON array)
  * @param {string} merchantId - Merchant ID
  * @returns {string}
  */
@@ -53,18 +121,40 @@ function merchantKeysPattern(merchantId) {
   return `merchant:${merchantId || '_global'}:keys`;
 }
 
+/**
+ * Generate the KV prefix shared by a merchant's key index entries
+ * @param {string} merchantId - Merchant ID
+ * @returns {string}
+ */
+function merchantKeyIndexPrefix(merchantId) {
+  return `merchant:${merchantId || '_global'}:key:`;
+}
+
+/**
+ * Generate KV key for one entry of a merchant's key index
+ * @param {string} merchantId - Merchant ID
+ * @param {string} keyId - Key ID
+ * @returns {string}
+ */
+function merchantKeyIndexPattern(merchantId, keyId) {
+  return `${merchantKeyIndexPrefix(merchantId)}${keyId}`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // STORAGE OPERATIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
  * Store a SigningKey in KV
- * Creates entries for hash lookup, keyId lookup, and merchant list
+ * Creates entries for hash lookup, keyId lookup, and merchant index
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {Object} signingKey - SigningKey object
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Audit actor (default: metadata.createdBy)
+ * @param {boolean} [options.audit=true] - Record a key.created audit event
  * @returns {Promise<void>}
  */
-async function storeKey(KV, signingKey) {
+async function storeKey(KV, signingKey, options = {}) {
   if (!KV) {
     throw new Error('KV namespace is required');
   }
@@ -81,23 +171,80 @@ async function storeKey(KV, signingKey) {
   // Store by keyId (admin lookup)
   await KV.put(keyIdPattern(signingKey.keyId), keyJson);
 
-  // Update merchant's key list
-  const merchantKey = merchantKeysPattern(merchantId);
-  const existingList = await KV.get(merchantKey, { type: 'json' }) || [];
-  
-  if (!existingList.includes(signingKey.keyId)) {
-    existingList.push(signingKey.keyId);
-    await KV.put(merchantKey, JSON.stringify(existingList));
+  // Add to merchant's key index (own entry - no read-modify-write)
+  await KV.put(merchantKeyIndexPattern(merchantId, signingKey.keyId), signingKey.keyId);
+
+  if (options.audit !== false) {
+    await recordAuditEvent(KV, {
+      type: AUDIT_EVENTS.CREATED,
+      actor: options.actor || signingKey.metadata?.createdBy,
+      keyId: signingKey.keyId,
+      merchantId,
+      after: getSigningKeyStatus(signingKey)
+    });
+  }
+}
+
+/**
+ * Throw unless an update is based on the stored version of the key
+ * Keys from before versioning count as version 0.
+ * @param {Object|null} stored - SigningKey currently in KV
+ * @param {Object} signingKey - Updated SigningKey (version as read)
+ * @throws {Error} - code STALE_VERSION
+ */
+function assertCurrentVersion(stored, signingKey) {
+  if (stored && (stored.version ?? 0) !== (signingKey.version ?? 0)) {
+    const error = new Error(
+      `Stale update for ${signingKey.keyId}: stored version is ${stored.version ?? 0}, update is based on ${signingKey.version ?? 0}`
+    );
+    error.code = LIFECYCLE_ERROR_CODES.STALE_VERSION;
+    throw error;
+  }
+}
+
+/**
+ * Lifecycle timestamps that are final once written
+ * Clearing one would walk a key back (e.g. deprecated → suspended → active)
+ * through moves that each look legal on their own.
+ */
+const FINAL_LIFECYCLE_FIELDS = ['deprecatedAt', 'destroyedAt', 'revokedAt'];
+
+/**
+ * Throw if an update clears or changes a final lifecycle timestamp
+ * @param {Object|null} stored - SigningKey currently in KV
+ * @param {Object} signingKey - Updated SigningKey
+ * @throws {Error} - code ILLEGAL_TRANSITION
+ */
+function assertFinalTimestamps(stored, signingKey) {
+  for (const field of FINAL_LIFECYCLE_FIELDS) {
+    if (stored?.[field] && signingKey[field] !== stored[field]) {
+      const error = new Error(
+        `Illegal update of ${signingKey.keyId}: ${field} cannot change once set`
+      );
+      error.code = LIFECYCLE_ERROR_CODES.ILLEGAL_TRANSITION;
+      throw error;
+    }
   }
 }
 
 /**
  * Update a SigningKey in KV (e.g., after deprecation)
+ * Compare-and-set on version: signingKey.version must equal the stored
+ * version, and the status change must be allowed by KEY_TRANSITIONS.
+ * deprecatedAt, destroyedAt and revokedAt cannot be cleared or changed once
+ * stored.
+ * The audit event type follows the status change (deprecated, suspended, resumed,
+ * destroyed, revoked, or updated).
  * @param {KVNamespace} KV - Cloudflare KV namespace
- * @param {Object} signingKey - Updated SigningKey object
- * @returns {Promise<void>}
+ * @param {Object} signingKey - Updated SigningKey object (version as read)
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Audit actor (default 'system')
+ * @param {boolean} [options.audit=true] - Record an audit event
+ * @param {Object} [options.details] - Extra audit event details
+ * @returns {Promise<Object>} - The SigningKey as written (version incremented)
+ * @throws {Error} - code STALE_VERSION or ILLEGAL_TRANSITION (LIFECYCLE_ERROR_CODES)
  */
-async function updateKey(KV, signingKey) {
+async function updateKey(KV, signingKey, options = {}) {
   if (!KV) {
     throw new Error('KV namespace is required');
   }
@@ -105,30 +252,142 @@ async function updateKey(KV, signingKey) {
     throw new Error('Invalid SigningKey: missing keyId or hash');
   }
 
-  const keyJson = JSON.stringify(signingKey);
+  const now = Date.now();
+  const previous = await lookupByKeyId(KV, signingKey.keyId);
+  const baseVersion = signingKey.version ?? 0;
+
+  assertCurrentVersion(previous, signingKey);
+  assertFinalTimestamps(previous, signingKey);
+
+  const before = previous ? getSigningKeyStatus(previous, now) : null;
+  const after = getSigningKeyStatus(signingKey, now);
+  if (previous) {
+    assertTransition(before, after);
+  }
+
+  const written = { ...signingKey, version: baseVersion + 1 };
+  const keyJson = JSON.stringify(written);
 
   // Update both lookups
-  await KV.put(hashKeyPattern(signingKey.hash), keyJson);
-  await KV.put(keyIdPattern(signingKey.keyId), keyJson);
+  await KV.put(hashKeyPattern(written.hash), keyJson);
+  await KV.put(keyIdPattern(written.keyId), keyJson);
+
+  if (options.audit !== false) {
+    await recordAuditEvent(KV, {
+      type: lifecycleEventType(before, after),
+      actor: options.actor,
+      keyId: written.keyId,
+      merchantId: written.metadata?.merchantId,
+      before,
+      after,
+      details: options.details
+    });
+  }
+
+  return written;
+}
+
+/**
+ * Persist a rotation: store the new key, then deprecate the old one
+ * The new key is written first so the merchant is never left without an
+ * active key. Records key.created, key.deprecated and key.rotated events.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} oldKey - Deprecated SigningKey (from rotateSigningKey)
+ * @param {Object} newKey - New active SigningKey
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Audit actor (default: newKey.metadata.createdBy)
+ * @param {boolean} [options.audit=true] - Record audit events
+ * @param {string} [options.deliveryId] - Delivery carrying the new secret (key.rotated details)
+ * @returns {Promise<void>}
+ * @throws {Error} - code STALE_VERSION if oldKey was changed since it was read
+ */
+async function storeRotation(KV, oldKey, newKey, options = {}) {
+  const actor = options.actor || newKey?.metadata?.createdBy;
+  const audit = options.audit !== false;
+  const previous = await lookupByKeyId(KV, oldKey.keyId);
+
+  // Checked up front too, so a stale rotation does not leave an orphaned new key
+  assertCurrentVersion(previous, oldKey);
+
+  await storeKey(KV, newKey, { ...options, actor });
+  await updateKey(KV, oldKey, { ...options, actor, details: { newKeyId: newKey.keyId } });
+
+  if (audit) {
+    await recordAuditEvent(KV, {
+      type: AUDIT_EVENTS.ROTATED,
+      actor,
+      keyId: oldKey.keyId,
+      merchantId: oldKey.metadata?.merchantId,
+      before: previous ? getSigningKeyStatus(previous) : null,
+      after: getSigningKeyStatus(oldKey),
+      details: options.deliveryId
+        ? { newKeyId: newKey.keyId, deliveryId: options.deliveryId }
+        : { newKeyId: newKey.keyId }
+    });
+  }
 }
 
 /**
  * Lookup SigningKey by plaintext key
- * Hashes the key internally and looks up by hash
+ * Hashes the key internally (under each pepper, then bare SHA-256) and looks up by hash.
+ * A key whose checksum suffix does not match is never looked up.
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {string} plaintextKey - The plaintext API key
+ * @param {Object} [options]
+ * @param {Array<{id: string, secret: string}>} [options.peppers=[]] - Current pepper first
+ * @param {boolean} [options.allowUnpeppered=true] - Also try bare SHA-256 (legacy keys)
  * @returns {Promise<Object|null>} - SigningKey or null if not found
  */
-async function lookupByPlaintext(KV, plaintextKey) {
+async function lookupByPlaintext(KV, plaintextKey, options = {}) {
   if (!KV) {
     throw new Error('KV namespace is required');
   }
   if (!plaintextKey || typeof plaintextKey !== 'string') {
     return null;
   }
+  if (validateKeyFormat(plaintextKey).checksumMismatch) {
+    return null;
+  }
+
+  const candidates = await hashKeyCandidates(plaintextKey, options.peppers || [], options);
+  for (const { hash } of candidates) {
+    const signingKey = await lookupByHash(KV, hash);
+    if (signingKey) {
+      return signingKey;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rehash a SigningKey under the current pepper (migration on successful validation)
+ * Writes the new hash entry before removing the old one, so lookups never miss.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} signingKey - SigningKey as currently stored
+ * @param {string} plaintextKey - The plaintext API key that just validated
+ * @param {{id: string, secret: string}} pepper - Current pepper
+ * @returns {Promise<Object|null>} - Rehashed SigningKey, or null if already current
+ */
+async function migrateKeyHash(KV, signingKey, plaintextKey, pepper) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  if (!pepper || signingKey.pepperId === pepper.id) {
+    return null;
+  }
+
+  const hash = await hmacHashKey(plaintextKey, pepper);
+  const rehashed = {
+    ...signingKey,
+    hash,
+    hashAlgorithm: HASH_ALGORITHMS.HMAC_SHA256,
+    pepperId: pepper.id
+  };
 
-  const hash = await hashKey(plaintextKey);
-  return await lookupByHash(KV, hash);
+  const written = await updateKey(KV, rehashed, { details: { rehashedTo: pepper.id } });
+  await KV.delete(hashKeyPattern(signingKey.hash));
+
+  return written;
 }
 
 /**
@@ -178,34 +437,58 @@ async function listMerchantKeyIds(KV, merchantId) {
     throw new Error('KV namespace is required');
   }
 
-  const list = await KV.get(merchantKeysPattern(merchantId), { type: 'json' });
-  return list || [];
+  const prefix = merchantKeyIndexPrefix(merchantId);
+  const keyIds = new Set(await KV.get(merchantKeysPattern(merchantId), { type: 'json' }) || []);
+
+  let cursor = null;
+  do {
+    const listResult = await KV.list({ prefix, cursor });
+    for (const item of listResult.keys) {
+      keyIds.add(item.name.slice(prefix.length));
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return [...keyIds];
 }
 
 /**
  * List all SigningKeys for a merchant (full objects)
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {string} merchantId - Merchant ID (null for global keys)
- * @returns {Promise<Object[]>} - Array of SigningKey objects
+ * @param {Object} [options]
+ * @param {boolean} [options.withUsage=false] - Attach each key's UsageSummary as key.usage
+ * @param {number} [options.now] - Current timestamp for the usage window (for testing)
+ * @returns {Promise<Object[]>} - Array of SigningKey objects, oldest first
  */
-async function listMerchantKeys(KV, merchantId) {
+async function listMerchantKeys(KV, merchantId, options = {}) {
   const keyIds = await listMerchantKeyIds(KV, merchantId);
   
   const keys = await Promise.all(
     keyIds.map(keyId => lookupByKeyId(KV, keyId))
   );
   
-  return keys.filter(k => k !== null);
+  // Index entries list in key order, not creation order
+  const sorted = keys.filter(k => k !== null).sort((a, b) => a.createdAt - b.createdAt);
+  if (!options.withUsage) {
+    return sorted;
+  }
+
+  const usage = await getKeyUsageMap(KV, sorted.map(key => key.keyId), { now: options.now });
+  return sorted.map(key => ({ ...key, usage: usage[key.keyId] }));
 }
 
 /**
  * Delete a SigningKey from KV
- * Removes all associated entries (hash, keyId, from merchant list)
+ * Removes all associated entries (hash, keyId, merchant index)
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {string} keyId - Key ID to delete
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Audit actor (default 'system')
+ * @param {boolean} [options.audit=true] - Record a key.deleted audit event
  * @returns {Promise<boolean>} - True if deleted, false if not found
  */
-async function deleteKey(KV, keyId) {
+async function deleteKey(KV, keyId, options = {}) {
   if (!KV) {
     throw new Error('KV namespace is required');
   }
@@ -227,15 +510,31 @@ async function deleteKey(KV, keyId) {
   // Delete keyId lookup
   await KV.delete(keyIdPattern(keyId));
 
-  // Remove from merchant's key list
-  const merchantKey = merchantKeysPattern(merchantId);
-  const existingList = await KV.get(merchantKey, { type: 'json' }) || [];
-  const newList = existingList.filter(id => id !== keyId);
-  
-  if (newList.length > 0) {
-    await KV.put(merchantKey, JSON.stringify(newList));
-  } else {
-    await KV.delete(merchantKey);
+  // Remove from merchant's key index
+  await KV.delete(merchantKeyIndexPattern(merchantId, keyId));
+
+  // Keys stored before the per-key index may still sit in a legacy list
+  const legacyKey = merchantKeysPattern(merchantId);
+  const legacyList = await KV.get(legacyKey, { type: 'json' });
+  if (legacyList?.includes(keyId)) {
+    const newList = legacyList.filter(id => id !== keyId);
+    if (newList.length > 0) {
+      await KV.put(legacyKey, JSON.stringify(newList));
+    } else {
+      await KV.delete(legacyKey);
+    }
+  }
+
+  await deleteKeyUsage(KV, keyId);
+
+  if (options.audit !== false) {
+    await recordAuditEvent(KV, {
+      type: AUDIT_EVENTS.DELETED,
+      actor: options.actor,
+      keyId,
+      merchantId,
+      before: getSigningKeyStatus(signingKey)
+    });
   }
 
   return true;
@@ -246,7 +545,7 @@ async function deleteKey(KV, keyId) {
  * Uses KV list API to enumerate all keys
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {Object} [options] - Options
- * @param {string} [options.status] - Filter by status (active, deprecated, destroyed)
+ * @param {string} [options.status] - Filter by status (one of KEY_STATUS)
  * @returns {Promise<Object[]>} - Array of SigningKey objects
  */
 async function listAllKeys(KV, options = {}) {
@@ -284,44 +583,203 @@ async function listAllKeys(KV, options = {}) {
  * Combines lookup + validation in one operation
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {string} plaintextKey - The plaintext API key
- * @returns {Promise<Object>} - Auth result with validity and metadata
+ * @param {Object} [options]
+ * @param {Array<{id: string, secret: string}>} [options.peppers] - Current pepper first
+ * @param {string} [options.actor] - Audit actor for failed validations (default 'system')
+ * @param {Object} [options.auditDetails] - Extra details for failed-validation events (e.g. ip)
+ * @param {string|null} [options.ip] - Client IP recorded as lastUsedIp
+ * @param {boolean} [options.trackUsage=true] - Record the use of a valid key (key-usage.js)
+ * @param {Object} [options.usageTracker] - Tracker to use instead of the shared one
+ * @returns {Promise<Object>} - Auth result with validity, metadata and code
+ *   (KEY_VALIDATION_CODES, null when valid)
  */
-async function validateKey(KV, plaintextKey) {
+async function validateKey(KV, plaintextKey, options = {}) {
   if (!KV) {
     return { valid: false, error: 'KV namespace not configured' };
   }
   if (!plaintextKey) {
-    return { valid: false, error: 'No key provided' };
+    return { valid: false, code: KEY_VALIDATION_CODES.MISSING_KEY, error: 'No key provided' };
+  }
+  if (validateKeyFormat(plaintextKey).checksumMismatch) {
+    return { valid: false, code: KEY_VALIDATION_CODES.INVALID_KEY, error: 'Key checksum mismatch', found: false };
   }
 
-  const signingKey = await lookupByPlaintext(KV, plaintextKey);
+  const signingKey = await lookupByPlaintext(KV, plaintextKey, options);
   
   if (!signingKey) {
-    return { valid: false, error: 'Key not found', found: false };
+    return { valid: false, code: KEY_VALIDATION_CODES.INVALID_KEY, error: 'Key not found', found: false };
   }
 
   const validity = isSigningKeyValid(signingKey);
   const status = getSigningKeyStatus(signingKey);
 
+  let rehashed = false;
+  if (validity.valid && options.peppers?.length) {
+    try {
+      rehashed = (await migrateKeyHash(KV, signingKey, plaintextKey, options.peppers[0])) !== null;
+    } catch (error) {
+      // Migration is opportunistic - never fail a valid request over it
+      console.error('Key hash migration failed:', error.message);
+    }
+  }
+
+  if (!validity.valid) {
+    await recordValidationFailure(KV, signingKey, validity.reason, options);
+  } else if (options.trackUsage !== false) {
+    await recordKeyUsage(KV, signingKey.keyId, { ip: options.ip, tracker: options.usageTracker });
+  }
+
+  let code = null;
+  if (!validity.valid) {
+    code = status === KEY_STATUS.SUSPENDED ? KEY_VALIDATION_CODES.SUSPENDED_KEY : KEY_VALIDATION_CODES.EXPIRED_KEY;
+  }
+
   return {
     valid: validity.valid,
+    code,
     found: true,
     keyId: signingKey.keyId,
     status,
     merchantId: signingKey.metadata?.merchantId || null,
     environment: signingKey.metadata?.environment || null,
+    scopes: signingKey.scopes ?? null,
     isDeprecated: signingKey.deprecatedAt !== null,
+    isSuspended: status === KEY_STATUS.SUSPENDED,
+    suspendedReason: signingKey.suspendedReason ?? null,
     remainingMs: validity.remainingMs,
-    reason: validity.reason
+    reason: validity.reason,
+    rehashed
   };
 }
 
+/**
+ * Record a key.validated_failed event for a key that was found but rejected
+ * Auditing is best effort here - a KV hiccup must not turn a 401 into a 500.
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} signingKey - The rejected SigningKey
+ * @param {string} reason - Why validation failed
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Audit actor
+ * @param {Object} [options.auditDetails] - Extra event details
+ * @returns {Promise<void>}
+ */
+async function recordValidationFailure(KV, signingKey, reason, options = {}) {
+  try {
+    const status = getSigningKeyStatus(signingKey);
+    await recordAuditEvent(KV, {
+      type: AUDIT_EVENTS.VALIDATION_FAILED,
+      actor: options.actor,
+      keyId: signingKey.keyId,
+      merchantId: signingKey.metadata?.merchantId,
+      before: status,
+      after: status,
+      details: { reason, ...options.auditDetails }
+    });
+  } catch (error) {
+    console.error('Audit write failed:', error.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REAPING (overlap ended → destroyed → purged)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Plan which keys to destroy and purge (pure - no KV access)
+ * - Deprecated keys past deprecatedAt + overlapMs are destroyed
+ * - Destroyed keys older than retentionMs are purged (only if retentionMs is set)
+ * @param {Object[]} signingKeys - SigningKey objects
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number|null} [options.retentionMs=null] - Keep destroyed keys this long before purging
+ * @returns {{toDestroy: Object[], toPurge: Object[]}}
+ */
+function planReap(signingKeys, options = {}) {
+  const { now = Date.now(), retentionMs = null } = options;
+  const toDestroy = [];
+  const toPurge = [];
+
+  for (const key of signingKeys || []) {
+    let destroyedAt = key.destroyedAt;
+
+    if (!destroyedAt && key.deprecatedAt) {
+      const overlapEndsAt = key.deprecatedAt + key.rotationPolicy.overlapMs;
+      if (now >= overlapEndsAt) {
+        toDestroy.push(key);
+        destroyedAt = now;
+      }
+    }
+
+    if (destroyedAt && retentionMs !== null && now - destroyedAt >= retentionMs) {
+      toPurge.push(key);
+    }
+  }
+
+  return { toDestroy, toPurge };
+}
+
+/**
+ * Destroy deprecated keys whose overlap window has ended, then optionally
+ * purge destroyed keys from KV once their retention period has passed
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number|null} [options.retentionMs=null] - Purge destroyed keys after this long (null = never purge)
+ * @param {boolean} [options.dryRun=false] - Report without writing
+ * @param {string} [options.actor='reaper'] - Audit actor
+ * @returns {Promise<{checked: number, destroyed: string[], purged: string[], failed: Object[], dryRun: boolean}>}
+ */
+async function reapExpiredKeys(KV, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const { dryRun = false, actor = 'reaper' } = options;
+  const keys = await listAllKeys(KV);
+  const { toDestroy, toPurge } = planReap(keys, options);
+
+  const report = {
+    checked: keys.length,
+    destroyed: toDestroy.map(k => k.keyId),
+    purged: toPurge.map(k => k.keyId),
+    failed: [],
+    dryRun
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  for (const key of toDestroy) {
+    try {
+      await updateKey(KV, destroySigningKey(key), { actor });
+    } catch (error) {
+      report.failed.push({ keyId: key.keyId, error: error.message });
+    }
+  }
+
+  for (const key of toPurge) {
+    try {
+      await deleteKey(KV, key.keyId, { actor });
+    } catch (error) {
+      report.failed.push({ keyId: key.keyId, error: error.message });
+    }
+  }
+
+  const failedIds = new Set(report.failed.map(f => f.keyId));
+  report.destroyed = report.destroyed.filter(id => !failedIds.has(id));
+  report.purged = report.purged.filter(id => !failedIds.has(id));
+
+  return report;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // BATCH OPERATIONS (for CLI sync)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
  * Push multiple keys to KV (for CLI sync)
+ * Not audited: the keys' lifecycle was already recorded where they were created.
  * @param {KVNamespace} KV - Cloudflare KV namespace
  * @param {Object[]} signingKeys - Array of SigningKey objects
  * @returns {Promise<{success: number, failed: number, errors: string[]}>}
@@ -335,7 +793,7 @@ async function pushKeys(KV, signingKeys) {
 
   for (const key of signingKeys) {
     try {
-      await storeKey(KV, key);
+      await storeKey(KV, key, { audit: false });
       results.success++;
     } catch (error) {
       results.failed++;
@@ -360,18 +818,25 @@ async function pullKeys(KV) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export {
+  // Constants
+  KEY_VALIDATION_CODES,
+
   // Key patterns (for testing/debugging)
   hashKeyPattern,
   keyIdPattern,
   merchantKeysPattern,
+  merchantKeyIndexPrefix,
+  merchantKeyIndexPattern,
 
   // Core operations
   storeKey,
   updateKey,
+  storeRotation,
   lookupByPlaintext,
   lookupByHash,
   lookupByKeyId,
   deleteKey,
+  migrateKeyHash,
 
   // List operations
   listMerchantKeyIds,
@@ -380,6 +845,11 @@ export {
 
   // Validation
   validateKey,
+  recordValidationFailure,
+
+  // Reaping
+  planReap,
+  reapExpiredKeys,
 
   // Batch operations
   pushKeys,
@@ -0,0 +1,397 @@
+/**
+ * Key Usage - Last-Used Tracking & Request Counts
+ * ===============================================
+ *
+ * Records when each SigningKey was last used, from which IP, and how many
+ * requests it served in the last 24 hours, so a deprecated key's remaining
+ * traffic is visible before its overlap ends.
+ *
+ * @module key-usage
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * @typedef {Object} UsageRecord
+ * @property {string} keyId
+ * @property {number} lastUsedAt            - Epoch ms of the last flushed use
+ * @property {string|null} lastUsedIp
+ * @property {number} total                 - Requests counted since tracking began
+ * @property {Object<string, number>} hourly - Hour start (epoch ms) → requests, last 24h only
+ *
+ * @typedef {Object} UsageSummary
+ * @property {number|null} lastUsedAt
+ * @property {string|null} lastUsedIp
+ * @property {number} requests24h
+ * @property {number} total
+ *
+ * KV SCHEMA:
+ *   usage:{keyId} → UsageRecord JSON (removed with the key by deleteKey)
+ *
+ * WRITES:
+ *   Validation runs on every request, so uses are buffered in the isolate
+ *   and written at most once per key per debounceMs (default 60s). The first
+ *   use of a key in an isolate is written straight away. With sampleRate < 1
+ *   only that fraction of requests is counted, each weighted 1/sampleRate.
+ *   Writes are read-modify-write: concurrent isolates can lose a few counts,
+ *   which is fine for "is this key still in use?".
+ *   Buffered uses live only as long as the isolate: Worker handlers pass
+ *   flushKeyUsage(KV) to ctx.waitUntil so keys whose debounce has elapsed
+ *   are written before it ends. Flushing honours the debounce too, so a busy
+ *   key still costs one write per debounceMs; uses buffered since a key's
+ *   last write are lost if the isolate is evicted before its next one.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { formatDuration } from './key-rotator.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Width of one request-count bucket
+ */
+const USAGE_BUCKET_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Rolling window the request counts cover
+ */
+const USAGE_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Minimum time between KV writes for one key
+ */
+const DEFAULT_USAGE_DEBOUNCE_MS = 60 * 1000; // 60 seconds
+
+/**
+ * A key used within this long counts as "still in use"
+ */
+const IN_USE_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * KV key of a key's usage record
+ * @param {string} keyId
+ * @returns {string}
+ */
+function usageKeyPattern(keyId) {
+  return `usage:${keyId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fold buffered uses into a usage record, dropping buckets outside the window
+ * @param {UsageRecord|null} record - Stored record (null if none yet)
+ * @param {{keyId: string, count: number, lastUsedAt: number, lastUsedIp: string|null, hourly: Object<string, number>}} delta
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {UsageRecord}
+ */
+function mergeUsage(record, delta, now = Date.now()) {
+  const hourly = {};
+  for (const source of [record?.hourly || {}, delta.hourly]) {
+    for (const [bucket, count] of Object.entries(source)) {
+      if (now - Number(bucket) < USAGE_WINDOW_MS) {
+        hourly[bucket] = (hourly[bucket] || 0) + count;
+      }
+    }
+  }
+
+  const newer = !record || delta.lastUsedAt >= record.lastUsedAt;
+
+  return {
+    keyId: delta.keyId,
+    lastUsedAt: newer ? delta.lastUsedAt : record.lastUsedAt,
+    lastUsedIp: newer ? (delta.lastUsedIp ?? record?.lastUsedIp ?? null) : record.lastUsedIp,
+    total: (record?.total || 0) + delta.count,
+    hourly
+  };
+}
+
+/**
+ * Summarize a usage record
+ * @param {UsageRecord|null} record
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {UsageSummary}
+ */
+function summarizeUsage(record, now = Date.now()) {
+  if (!record) {
+    return { lastUsedAt: null, lastUsedIp: null, requests24h: 0, total: 0 };
+  }
+
+  let requests24h = 0;
+  for (const [bucket, count] of Object.entries(record.hourly || {})) {
+    if (now - Number(bucket) < USAGE_WINDOW_MS) {
+      requests24h += count;
+    }
+  }
+
+  return {
+    lastUsedAt: record.lastUsedAt ?? null,
+    lastUsedIp: record.lastUsedIp ?? null,
+    requests24h,
+    total: record.total || 0
+  };
+}
+
+/**
+ * Whether a key has been used recently
+ * @param {UsageSummary|null} summary
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {number} [options.withinMs=IN_USE_WINDOW_MS]
+ * @returns {boolean}
+ */
+function isKeyInUse(summary, options = {}) {
+  const { now = Date.now(), withinMs = IN_USE_WINDOW_MS } = options;
+  return Boolean(summary?.lastUsedAt) && now - summary.lastUsedAt < withinMs;
+}
+
+/**
+ * Warning to show before deprecating or destroying a key that still has traffic
+ * @param {UsageSummary|null} summary
+ * @param {Object} [options] - See isKeyInUse
+ * @returns {string|null} - null when the key is not in use
+ */
+function usageWarning(summary, options = {}) {
+  if (!isKeyInUse(summary, options)) {
+    return null;
+  }
+  const now = options.now ?? Date.now();
+  return `Key still in use: last used ${formatDuration(now - summary.lastUsedAt)} ago` +
+    `${summary.lastUsedIp ? ` from ${summary.lastUsedIp}` : ''}, ` +
+    `${summary.requests24h} request(s) in the last 24h`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Usage summary of one key
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} keyId
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<UsageSummary>}
+ */
+async function getKeyUsage(KV, keyId, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  const record = await KV.get(usageKeyPattern(keyId), { type: 'json' });
+  return summarizeUsage(record, options.now);
+}
+
+/**
+ * Usage summaries of several keys
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string[]} keyIds
+ * @param {Object} [options] - See getKeyUsage
+ * @returns {Promise<Object<string, UsageSummary>>} - keyId → summary
+ */
+async function getKeyUsageMap(KV, keyIds, options = {}) {
+  const summaries = await Promise.all(keyIds.map(keyId => getKeyUsage(KV, keyId, options)));
+  return Object.fromEntries(keyIds.map((keyId, i) => [keyId, summaries[i]]));
+}
+
+/**
+ * Remove a key's usage record
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} keyId
+ * @returns {Promise<void>}
+ */
+async function deleteKeyUsage(KV, keyId) {
+  await KV.delete(usageKeyPattern(keyId));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRACKER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a usage tracker that buffers uses and writes them debounced
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=60000] - Minimum time between writes per key
+ * @param {number} [options.sampleRate=1] - Fraction of requests counted (0 < rate <= 1)
+ * @param {Function} [options.random=Math.random] - () => [0, 1) (for testing sampling)
+ * @returns {{record: Function, flush: Function, pendingCount: Function}}
+ */
+function createUsageTracker(options = {}) {
+  const {
+    debounceMs = DEFAULT_USAGE_DEBOUNCE_MS,
+    sampleRate = 1,
+    random = Math.random
+  } = options;
+
+  if (!(sampleRate > 0 && sampleRate <= 1)) {
+    throw new Error(`Invalid sampleRate: ${sampleRate}. Expected 0 < sampleRate <= 1`);
+  }
+
+  const pending = new Map();   // keyId → buffered delta
+  const flushedAt = new Map(); // keyId → last write
+
+  async function write(KV, keyId, now) {
+    const delta = pending.get(keyId);
+    if (!delta) {
+      return;
+    }
+    pending.delete(keyId);
+    flushedAt.set(keyId, now);
+
+    const record = await KV.get(usageKeyPattern(keyId), { type: 'json' });
+    await KV.put(usageKeyPattern(keyId), JSON.stringify(mergeUsage(record, delta, now)));
+  }
+
+  return {
+    /**
+     * Count one use of a key, writing to KV if the debounce period has passed
+     * @param {KVNamespace} KV
+     * @param {string} keyId
+     * @param {Object} [useOptions]
+     * @param {string|null} [useOptions.ip] - Client IP
+     * @param {number} [useOptions.now] - Current timestamp (for testing)
+     * @returns {Promise<boolean>} - True if the use was written to KV
+     */
+    async record(KV, keyId, useOptions = {}) {
+      const { ip = null, now = Date.now() } = useOptions;
+      if (!KV || !keyId || random() >= sampleRate) {
+        return false;
+      }
+
+      const weight = 1 / sampleRate;
+      const bucket = String(now - (now % USAGE_BUCKET_MS));
+      const delta = pending.get(keyId) || { keyId, count: 0, lastUsedAt: now, lastUsedIp: null, hourly: {} };
+      delta.count += weight;
+      delta.hourly[bucket] = (delta.hourly[bucket] || 0) + weight;
+      delta.lastUsedAt = Math.max(delta.lastUsedAt, now);
+      delta.lastUsedIp = ip ?? delta.lastUsedIp;
+      pending.set(keyId, delta);
+
+      const last = flushedAt.get(keyId);
+      if (last !== undefined && now - last < debounceMs) {
+        return false;
+      }
+      await write(KV, keyId, now);
+      return true;
+    },
+
+    /**
+     * Write buffered uses of keys whose debounce period has passed
+     * (e.g. from ctx.waitUntil at the end of a request)
+     * @param {KVNamespace} KV
+     * @param {Object} [flushOptions]
+     * @param {number} [flushOptions.now] - Current timestamp (for testing)
+     * @param {boolean} [flushOptions.force=false] - Write every buffered use, debounced or not
+     * @returns {Promise<number>} - Number of keys written
+     */
+    async flush(KV, flushOptions = {}) {
+      const { now = Date.now(), force = false } = flushOptions;
+      const keyIds = [...pending.keys()].filter(keyId => {
+        const last = flushedAt.get(keyId);
+        return force || last === undefined || now - last >= debounceMs;
+      });
+      for (const keyId of keyIds) {
+        await write(KV, keyId, now);
+      }
+      return keyIds.length;
+    },
+
+    /**
+     * Number of keys with buffered, unwritten uses
+     * @returns {number}
+     */
+    pendingCount() {
+      return pending.size;
+    }
+  };
+}
+
+/**
+ * Tracker shared by validateKey and validateRequestWithRotation
+ */
+const defaultUsageTracker = createUsageTracker();
+
+/**
+ * Count one use of a key on the shared tracker (never throws)
+ * @param {KVNamespace} KV
+ * @param {string} keyId
+ * @param {Object} [options]
+ * @param {string|null} [options.ip] - Client IP
+ * @param {Object} [options.tracker] - Tracker to use instead of the shared one
+ * @returns {Promise<boolean>} - True if the use was written to KV
+ */
+async function recordKeyUsage(KV, keyId, options = {}) {
+  const tracker = options.tracker || defaultUsageTracker;
+  try {
+    return await tracker.record(KV, keyId, { ip: options.ip ?? null, now: options.now });
+  } catch (error) {
+    // Usage is informational - never fail a request over it
+    console.error('Key usage write failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Write the uses buffered on a tracker whose debounce has passed (never throws)
+ * For ctx.waitUntil at the end of a request: buffered uses would otherwise
+ * be dropped when the isolate is evicted.
+ * @param {KVNamespace} KV
+ * @param {Object} [options]
+ * @param {Object} [options.tracker] - Tracker to flush instead of the shared one
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @param {boolean} [options.force=false] - Also write uses still within the debounce period
+ * @returns {Promise<number>} - Number of keys written
+ */
+async function flushKeyUsage(KV, options = {}) {
+  const tracker = options.tracker || defaultUsageTracker;
+  if (!KV || tracker.pendingCount() === 0) {
+    return 0;
+  }
+  try {
+    return await tracker.flush(KV, { now: options.now, force: options.force });
+  } catch (error) {
+    console.error('Key usage flush failed:', error.message);
+    return 0;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  USAGE_BUCKET_MS,
+  USAGE_WINDOW_MS,
+  DEFAULT_USAGE_DEBOUNCE_MS,
+  IN_USE_WINDOW_MS,
+
+  // Key patterns
+  usageKeyPattern,
+
+  // Pure functions
+  mergeUsage,
+  summarizeUsage,
+  isKeyInUse,
+  usageWarning,
+
+  // KV operations
+  getKeyUsage,
+  getKeyUsageMap,
+  deleteKeyUsage,
+
+  // Tracker
+  createUsageTracker,
+  defaultUsageTracker,
+  recordKeyUsage,
+  flushKeyUsage
+};
@@ -0,0 +1,222 @@
+/**
+ * Rate Limiter - Failed Authentication Lockout
+ * ============================================
+ *
+ * Sliding-window failure counter per client IP and per key prefix. Once an
+ * identifier reaches maxFailures failed lookups inside windowMs it is locked
+ * out for lockoutMs, and validateRequestWithRotation answers AUTH_RATE_LIMITED
+ * (429 + Retry-After) without touching the hash: lookup path.
+ *
+ * @module rate-limiter
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} limited              - True if any identifier is locked out
+ * @property {string|null} identifier       - The locked identifier (first found)
+ * @property {number} retryAfterSeconds     - Seconds until the lockout ends (0 if not limited)
+ *
+ * IDENTIFIERS:
+ *   ip:{CF-Connecting-IP}     - One client hammering many keys
+ *   prefix:{first 12 chars}  - Many clients guessing one key family
+ *
+ * STORAGE:
+ *   ratelimit:{identifier} → { failures: number[], lockedUntil: number|null }
+ *
+ *   Any StorageAdapter works: the KV binding itself (counts are eventually
+ *   consistent across locations, so a distributed attacker gets a few extra
+ *   tries) or createMemoryAdapter() inside a Durable Object for strict counts.
+ *   Entries expire on their own once the window and lockout have passed.
+ *
+ * USAGE:
+ *   const rateLimiter = createRateLimiter(env.KEY_STORE, { maxFailures: 10 });
+ *   const auth = await validateRequestWithRotation(request, env.KEY_STORE, null, { rateLimiter });
+ *   if (!auth.valid) return createAuthError(auth.code, auth.error, { retryAfter: auth.retryAfter });
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Default limits
+ */
+const RATE_LIMIT_DEFAULTS = {
+  maxFailures: 10,
+  windowMs: 5 * 60 * 1000,  // 5 minutes
+  lockoutMs: 15 * 60 * 1000 // 15 minutes
+};
+
+/**
+ * Characters of the presented key used as the prefix identifier
+ * ("sk_live_" + 4 random characters)
+ */
+const KEY_PREFIX_LENGTH = 12;
+
+/**
+ * Shortest expirationTtl Cloudflare KV accepts
+ */
+const MIN_KV_TTL_SECONDS = 60;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Storage key for an identifier
+ * @param {string} identifier
+ * @returns {string}
+ */
+function rateLimitKeyPattern(identifier) {
+  return `ratelimit:${identifier}`;
+}
+
+/**
+ * Identifiers to count a request against
+ * @param {Request} request - Incoming request
+ * @param {string|null} providedKey - Key presented by the client
+ * @returns {string[]}
+ */
+function rateLimitIdentifiers(request, providedKey) {
+  const identifiers = [];
+  const ip = request?.headers?.get('CF-Connecting-IP');
+  if (ip) {
+    identifiers.push(`ip:${ip}`);
+  }
+  if (providedKey) {
+    identifiers.push(`prefix:${providedKey.slice(0, KEY_PREFIX_LENGTH)}`);
+  }
+  return identifiers;
+}
+
+/**
+ * Add one failure to a record
+ * @param {{failures: number[], lockedUntil: number|null}|null} record
+ * @param {Object} limits - maxFailures, windowMs, lockoutMs
+ * @param {number} now
+ * @returns {{failures: number[], lockedUntil: number|null}}
+ */
+function addFailure(record, limits, now) {
+  const failures = (record?.failures || []).filter(at => now - at < limits.windowMs);
+  failures.push(now);
+
+  let lockedUntil = record?.lockedUntil && record.lockedUntil > now ? record.lockedUntil : null;
+  if (failures.length >= limits.maxFailures) {
+    lockedUntil = now + limits.lockoutMs;
+  }
+
+  // Only the newest maxFailures timestamps can matter
+  return { failures: failures.slice(-limits.maxFailures), lockedUntil };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIMITER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a failed-authentication rate limiter
+ * @param {KVNamespace} store - KV binding or any StorageAdapter
+ * @param {Object} [options]
+ * @param {number} [options.maxFailures=10] - Failures inside the window that trigger a lockout
+ * @param {number} [options.windowMs=300000] - Sliding window for counting failures
+ * @param {number} [options.lockoutMs=900000] - How long a lockout lasts
+ * @returns {{check: Function, recordFailure: Function, reset: Function, limits: Object}}
+ */
+function createRateLimiter(store, options = {}) {
+  if (!store) {
+    throw new Error('Rate limiter store is required');
+  }
+
+  const limits = { ...RATE_LIMIT_DEFAULTS, ...options };
+  if (!(limits.maxFailures >= 1) || !(limits.windowMs > 0) || !(limits.lockoutMs > 0)) {
+    throw new Error('Invalid rate limit: maxFailures must be >= 1, windowMs and lockoutMs > 0');
+  }
+
+  const ttlSeconds = Math.max(
+    MIN_KV_TTL_SECONDS,
+    Math.ceil(Math.max(limits.windowMs, limits.lockoutMs) / 1000)
+  );
+
+  return {
+    limits,
+
+    /**
+     * Whether any identifier is locked out
+     * @param {string[]} identifiers
+     * @param {number} [now]
+     * @returns {Promise<RateLimitDecision>}
+     */
+    async check(identifiers, now = Date.now()) {
+      for (const identifier of identifiers) {
+        const record = await store.get(rateLimitKeyPattern(identifier), { type: 'json' });
+        if (record?.lockedUntil && record.lockedUntil > now) {
+          return {
+            limited: true,
+            identifier,
+            retryAfterSeconds: Math.ceil((record.lockedUntil - now) / 1000)
+          };
+        }
+      }
+      return { limited: false, identifier: null, retryAfterSeconds: 0 };
+    },
+
+    /**
+     * Count one failed authentication against every identifier
+     * @param {string[]} identifiers
+     * @param {number} [now]
+     * @returns {Promise<RateLimitDecision>} - Whether this failure triggered a lockout
+     */
+    async recordFailure(identifiers, now = Date.now()) {
+      let decision = { limited: false, identifier: null, retryAfterSeconds: 0 };
+
+      for (const identifier of identifiers) {
+        const name = rateLimitKeyPattern(identifier);
+        const record = addFailure(await store.get(name, { type: 'json' }), limits, now);
+        await store.put(name, JSON.stringify(record), { expirationTtl: ttlSeconds });
+
+        if (record.lockedUntil && !decision.limited) {
+          decision = {
+            limited: true,
+            identifier,
+            retryAfterSeconds: Math.ceil((record.lockedUntil - now) / 1000)
+          };
+        }
+      }
+      return decision;
+    },
+
+    /**
+     * Clear failures and lockouts (e.g. after an operator unblocks a client)
+     * @param {string[]} identifiers
+     * @returns {Promise<void>}
+     */
+    async reset(identifiers) {
+      for (const identifier of identifiers) {
+        await store.delete(rateLimitKeyPattern(identifier));
+      }
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  RATE_LIMIT_DEFAULTS,
+  KEY_PREFIX_LENGTH,
+
+  // Pure functions
+  rateLimitKeyPattern,
+  rateLimitIdentifiers,
+  addFailure,
+
+  // Limiter
+  createRateLimiter
+};
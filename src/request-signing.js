@@ -0,0 +1,343 @@
+/**
+ * Request Signing - HMAC Request Authentication
+ * =============================================
+ *
+ * Alternative to sending the API key on every request: the client signs a
+ * canonical description of the request with a secret derived from its key
+ * and sends only the keyId and the signature. A captured request cannot be
+ * altered (method, path, query and body are covered), replayed (nonce) or
+ * held back and sent later (timestamp).
+ *
+ * @module request-signing
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * HEADER:
+ *   Authorization: KR-HMAC-SHA256 keyId=key_abc12345,ts=1767225600,nonce=<16-64 chars>,signature=<hex>
+ *
+ * CANONICAL STRING (lines joined with \n):
+ *   KR-HMAC-SHA256
+ *   {METHOD}                      uppercase
+ *   {path}{?query}                exactly as sent
+ *   {hex SHA-256 of the body}     empty body hashes the empty string
+ *   {ts}                          epoch seconds
+ *   {nonce}
+ *
+ * SECRET:
+ *   secret = deriveRequestSigningSecret(plaintextKey)   (key-rotator.js)
+ *   signature = hex HMAC-SHA256(secret, canonical string)
+ *
+ *   Only keys created with requestSigning: true store the derived secret,
+ *   sealed under the pepper (SigningKey.requestSigningSecret, see
+ *   sealRequestSigningSecret); rotation carries the setting over. Verifiers
+ *   need the pepper the secret was sealed under in options.peppers.
+ *
+ * NONCES:
+ *   nonce:{keyId}:{nonce} → "1", expiring after the accepted skew window on
+ *   both sides of "now". On the KV binding replays are caught best-effort
+ *   (eventual consistency); a createMemoryAdapter() inside a Durable Object
+ *   gives strict once-only semantics.
+ *
+ * USAGE (client):
+ *   const headers = await signRequest(
+ *     { method: 'POST', url: 'https://api.example.com/v1/charges', body },
+ *     { keyId, plaintextKey }
+ *   );
+ *   await fetch(url, { method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body });
+ *
+ * USAGE (server): validateRequestWithRotation(request, KV, null, { peppers })
+ * in auth.js accepts signed requests transparently.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { deriveRequestSigningSecret, generateRandomString } from './key-rotator.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Authorization scheme (and first line of the canonical string)
+ */
+const REQUEST_SIGNING_SCHEME = 'KR-HMAC-SHA256';
+
+/**
+ * Default accepted clock skew between client and server: 5 minutes
+ */
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Accepted nonce format
+ */
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Shortest expirationTtl Cloudflare KV accepts
+ */
+const MIN_KV_TTL_SECONDS = 60;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Storage key for a used nonce
+ * @param {string} keyId
+ * @param {string} nonce
+ * @returns {string}
+ */
+function nonceKeyPattern(keyId, nonce) {
+  return `nonce:${keyId}:${nonce}`;
+}
+
+/**
+ * Parse a KR-HMAC-SHA256 Authorization header
+ * @param {string|null} value - Authorization header value
+ * @returns {{keyId: string, timestamp: number, nonce: string, signature: string}|null|false}
+ *   null if the header uses another scheme, false if it is malformed
+ */
+function parseSignatureHeader(value) {
+  if (typeof value !== 'string' || !value.startsWith(`${REQUEST_SIGNING_SCHEME} `)) {
+    return null;
+  }
+
+  const params = {};
+  for (const part of value.slice(REQUEST_SIGNING_SCHEME.length + 1).split(',')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      params[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  }
+
+  const timestamp = Number(params.ts);
+  if (!params.keyId || !Number.isInteger(timestamp) || !NONCE_PATTERN.test(params.nonce || '') ||
+      !/^[a-f0-9]{64}$/.test(params.signature || '')) {
+    return false;
+  }
+
+  return { keyId: params.keyId, timestamp, nonce: params.nonce, signature: params.signature };
+}
+
+/**
+ * Format a KR-HMAC-SHA256 Authorization header
+ * @param {{keyId: string, timestamp: number, nonce: string, signature: string}} parts
+ * @returns {string}
+ */
+function formatSignatureHeader({ keyId, timestamp, nonce, signature }) {
+  return `${REQUEST_SIGNING_SCHEME} keyId=${keyId},ts=${timestamp},nonce=${nonce},signature=${signature}`;
+}
+
+/**
+ * Build the canonical string that gets signed
+ * @param {Object} parts
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.path - Path plus query string, as sent
+ * @param {string} parts.bodyHash - Hex SHA-256 of the body
+ * @param {number} parts.timestamp - Epoch seconds
+ * @param {string} parts.nonce
+ * @returns {string}
+ */
+function buildCanonicalRequest({ method, path, bodyHash, timestamp, nonce }) {
+  return [REQUEST_SIGNING_SCHEME, method.toUpperCase(), path, bodyHash, String(timestamp), nonce].join('\n');
+}
+
+/**
+ * Path plus query string of a URL, as signed
+ * @param {string} url - Absolute URL
+ * @returns {string}
+ */
+function canonicalPath(url) {
+  const parsed = new URL(url);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Whether a signature timestamp is inside the accepted skew window
+ * @param {number} timestamp - Epoch seconds from the header
+ * @param {number} [maxSkewMs=300000]
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isWithinSkew(timestamp, maxSkewMs = DEFAULT_MAX_SKEW_MS, now = Date.now()) {
+  return Math.abs(now - timestamp * 1000) <= maxSkewMs;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CRYPTO
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Bytes as lowercase hex
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hex SHA-256 of a request body
+ * @param {string|ArrayBuffer|Uint8Array|null} body
+ * @returns {Promise<string>}
+ */
+async function hashBody(body) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : (body ?? new Uint8Array(0));
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * Hex HMAC-SHA256 of a canonical string
+ * @param {string} secret - Request-signing secret
+ * @param {string} canonical - From buildCanonicalRequest
+ * @returns {Promise<string>}
+ */
+async function computeRequestSignature(secret, canonical) {
+  if (!secret) {
+    throw new Error('Request-signing secret is required');
+  }
+  const encoder = new TextEncoder();
+  const hmacKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', hmacKey, encoder.encode(canonical)));
+}
+
+/**
+ * Sign a request (client side)
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Absolute URL
+ * @param {string|ArrayBuffer|Uint8Array} [request.body]
+ * @param {Object} credentials
+ * @param {string} credentials.keyId - SigningKey ID
+ * @param {string} [credentials.plaintextKey] - API key (the secret is derived from it)
+ * @param {string} [credentials.secret] - Request-signing secret, if already derived
+ * @param {number} [credentials.now] - Current timestamp (for testing)
+ * @param {string} [credentials.nonce] - Nonce (random by default)
+ * @returns {Promise<{Authorization: string}>}
+ */
+async function signRequest(request, credentials = {}) {
+  const { keyId, plaintextKey, now = Date.now() } = credentials;
+  if (!keyId) {
+    throw new Error('keyId is required to sign a request');
+  }
+
+  const secret = credentials.secret || await deriveRequestSigningSecret(plaintextKey);
+  const timestamp = Math.floor(now / 1000);
+  const nonce = credentials.nonce || generateRandomString(24);
+  const canonical = buildCanonicalRequest({
+    method: request.method || 'GET',
+    path: canonicalPath(request.url),
+    bodyHash: await hashBody(request.body),
+    timestamp,
+    nonce
+  });
+
+  const signature = await computeRequestSignature(secret, canonical);
+  return { Authorization: formatSignatureHeader({ keyId, timestamp, nonce, signature }) };
+}
+
+/**
+ * Recompute and compare the signature of an incoming request (server side)
+ * Reads the body from a clone, so the handler can still consume it.
+ * @param {Request} request - Incoming request
+ * @param {{keyId: string, timestamp: number, nonce: string, signature: string}} parts - Parsed header
+ * @param {string} secret - Opened request-signing secret (openRequestSigningSecret)
+ * @returns {Promise<boolean>}
+ */
+async function verifyRequestSignature(request, parts, secret) {
+  if (!secret || !parts) {
+    return false;
+  }
+
+  const body = ['GET', 'HEAD'].includes(request.method) ? null : await request.clone().arrayBuffer();
+  const canonical = buildCanonicalRequest({
+    method: request.method,
+    path: canonicalPath(request.url),
+    bodyHash: await hashBody(body),
+    timestamp: parts.timestamp,
+    nonce: parts.nonce
+  });
+  const expected = await computeRequestSignature(secret, canonical);
+
+  // Both are 64 hex characters (enforced by parseSignatureHeader)
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ parts.signature.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NONCE STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a nonce store for replay protection
+ * @param {KVNamespace} store - KV binding or any StorageAdapter
+ * @param {Object} [options]
+ * @param {number} [options.maxSkewMs=300000] - Must match the verifier's skew window
+ * @returns {{claim: Function}}
+ */
+function createNonceStore(store, options = {}) {
+  if (!store) {
+    throw new Error('Nonce store is required');
+  }
+
+  const { maxSkewMs = DEFAULT_MAX_SKEW_MS } = options;
+
+  // A nonce only needs remembering while its timestamp could still be accepted
+  const ttlSeconds = Math.max(MIN_KV_TTL_SECONDS, Math.ceil((2 * maxSkewMs) / 1000));
+
+  return {
+    /**
+     * Record a nonce as used
+     * @param {string} keyId
+     * @param {string} nonce
+     * @returns {Promise<boolean>} - False if the nonce was already used
+     */
+    async claim(keyId, nonce) {
+      const name = nonceKeyPattern(keyId, nonce);
+      if (await store.get(name)) {
+        return false;
+      }
+      await store.put(name, '1', { expirationTtl: ttlSeconds });
+      return true;
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  REQUEST_SIGNING_SCHEME,
+  DEFAULT_MAX_SKEW_MS,
+
+  // Pure functions
+  nonceKeyPattern,
+  parseSignatureHeader,
+  formatSignatureHeader,
+  buildCanonicalRequest,
+  canonicalPath,
+  isWithinSkew,
+
+  // Crypto
+  hashBody,
+  computeRequestSignature,
+  signRequest,
+  verifyRequestSignature,
+
+  // Nonce store
+  createNonceStore
+};
@@ -0,0 +1,368 @@
+/**
+ * Rotation Policy - TTL / Overlap Registry
+ * ========================================
+ *
+ * Rotation policies stored in KV at three levels - global, per environment
+ * and per merchant - and resolved into the single policy that
+ * createSigningKey / rotateSigningKey apply to a new key.
+ *
+ * @module rotation-policy
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EXPORTS:
+ *   - parsePolicyScope       : Pure function - 'global' | 'env:{env}' | 'merchant:{id}' → scope
+ *   - policyKeyPattern       : Pure function - KV key of a scope's policy
+ *   - normalizePolicy        : Pure function - validate a policy document, or throw
+ *   - resolveRotationPolicy  : Pure function - merge global → env → merchant layers
+ *   - setRotationPolicy      : Async - validate and store a scope's policy
+ *   - getRotationPolicy      : Async - one scope's stored policy
+ *   - deleteRotationPolicy   : Async - remove a scope's policy
+ *   - listRotationPolicies   : Async - every stored policy
+ *   - loadRotationPolicy     : Async - resolved policy for an environment / merchant
+ *
+ * @typedef {Object} RotationPolicy
+ * @property {number} [ttlMs]         - Lifetime of new keys
+ * @property {number} [overlapMs]     - Grace period when they are rotated
+ * @property {number} [minTtlMs]      - Lower bound for any requested TTL
+ * @property {number} [maxTtlMs]      - Upper bound for any requested TTL
+ * @property {number} [minOverlapMs]  - Lower bound for any requested overlap
+ * @property {number} [maxOverlapMs]  - Upper bound for any requested overlap
+ *
+ * KV SCHEMA:
+ *   policy:global              → RotationPolicy JSON (+ scope, updatedAt, updatedBy)
+ *   policy:env:{environment}   → RotationPolicy JSON
+ *   policy:merchant:{id}       → RotationPolicy JSON
+ *
+ * RESOLUTION:
+ *   ttlMs / overlapMs: the most specific level that sets them wins. Unset,
+ *   createSigningKey uses DEFAULT_TTL_MS / DEFAULT_OVERLAP_MS and
+ *   rotateSigningKey keeps the old key's values.
+ *   Bounds only tighten: the highest min and lowest max across all levels
+ *   apply, so a merchant override cannot escape a global guardrail (if they
+ *   cross, the max wins). Values, explicit ones included, are clamped into
+ *   the bounds by applyRotationPolicy in key-rotator.js; overlap always stays
+ *   within clampOverlap.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  MAX_OVERLAP_MS,
+  MIN_OVERLAP_MS,
+  formatDuration,
+  listEnvironments
+} from './key-rotator.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * KV prefix of every stored policy
+ */
+const POLICY_PREFIX = 'policy:';
+
+/**
+ * Policy levels, least to most specific
+ */
+const POLICY_LEVELS = {
+  GLOBAL: 'global',
+  ENVIRONMENT: 'env',
+  MERCHANT: 'merchant'
+};
+
+/**
+ * Duration fields a policy may set
+ */
+const POLICY_FIELDS = ['ttlMs', 'overlapMs', 'minTtlMs', 'maxTtlMs', 'minOverlapMs', 'maxOverlapMs'];
+
+/**
+ * Shortest TTL a policy may ask for: 1 hour
+ */
+const MIN_POLICY_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Longest TTL a policy may ask for: 365 days
+ */
+const MAX_POLICY_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCOPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a policy scope string
+ * @param {string} scope - 'global', 'env:{environment}' or 'merchant:{merchantId}'
+ * @returns {{level: string, id: string|null, scope: string}}
+ * @throws {Error} - Unknown level, environment or empty merchant ID
+ */
+function parsePolicyScope(scope) {
+  if (scope === POLICY_LEVELS.GLOBAL) {
+    return { level: POLICY_LEVELS.GLOBAL, id: null, scope };
+  }
+
+  const separator = typeof scope === 'string' ? scope.indexOf(':') : -1;
+  const level = separator > 0 ? scope.slice(0, separator) : null;
+  const id = separator > 0 ? scope.slice(separator + 1) : '';
+
+  if (level === POLICY_LEVELS.ENVIRONMENT) {
+    if (!listEnvironments().includes(id)) {
+      throw new Error(`Invalid environment: ${id}. Valid: ${listEnvironments().join(', ')}`);
+    }
+    return { level, id, scope };
+  }
+  if (level === POLICY_LEVELS.MERCHANT && id.length > 0) {
+    return { level, id, scope };
+  }
+
+  throw new Error(`Invalid policy scope: ${scope}. Use global, env:<environment> or merchant:<merchantId>`);
+}
+
+/**
+ * KV key of a scope's policy
+ * @param {string} scope - See parsePolicyScope
+ * @returns {string}
+ */
+function policyKeyPattern(scope) {
+  return `${POLICY_PREFIX}${parsePolicyScope(scope).scope}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a policy document and keep only its duration fields
+ * @param {Object} policy - Partial RotationPolicy
+ * @returns {RotationPolicy}
+ * @throws {Error} - Non-integer or out-of-range values, min above max, empty policy
+ */
+function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Policy must be an object');
+  }
+
+  const normalized = {};
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isSafeInteger(value) || value <= 0) {
+      throw new Error(`${field} must be a positive integer (ms)`);
+    }
+    normalized[field] = value;
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    throw new Error(`Policy sets none of: ${POLICY_FIELDS.join(', ')}`);
+  }
+
+  for (const field of ['ttlMs', 'minTtlMs', 'maxTtlMs']) {
+    if (normalized[field] !== undefined &&
+        (normalized[field] < MIN_POLICY_TTL_MS || normalized[field] > MAX_POLICY_TTL_MS)) {
+      throw new Error(`${field} must be between ${formatDuration(MIN_POLICY_TTL_MS)} and ${formatDuration(MAX_POLICY_TTL_MS)}`);
+    }
+  }
+  for (const field of ['overlapMs', 'minOverlapMs', 'maxOverlapMs']) {
+    if (normalized[field] !== undefined &&
+        (normalized[field] < MIN_OVERLAP_MS || normalized[field] > MAX_OVERLAP_MS)) {
+      throw new Error(`${field} must be between ${formatDuration(MIN_OVERLAP_MS)} and ${formatDuration(MAX_OVERLAP_MS)}`);
+    }
+  }
+
+  const { ttlMs, overlapMs, minTtlMs, maxTtlMs, minOverlapMs, maxOverlapMs } = normalized;
+  if (minTtlMs !== undefined && maxTtlMs !== undefined && minTtlMs > maxTtlMs) {
+    throw new Error('minTtlMs must not exceed maxTtlMs');
+  }
+  if (minOverlapMs !== undefined && maxOverlapMs !== undefined && minOverlapMs > maxOverlapMs) {
+    throw new Error('minOverlapMs must not exceed maxOverlapMs');
+  }
+  if (ttlMs !== undefined && (ttlMs < (minTtlMs ?? ttlMs) || ttlMs > (maxTtlMs ?? ttlMs))) {
+    throw new Error('ttlMs must lie within minTtlMs..maxTtlMs');
+  }
+  if (overlapMs !== undefined && (overlapMs < (minOverlapMs ?? overlapMs) || overlapMs > (maxOverlapMs ?? overlapMs))) {
+    throw new Error('overlapMs must lie within minOverlapMs..maxOverlapMs');
+  }
+
+  return normalized;
+}
+
+/**
+ * Merge policy layers into the policy applied to a new key
+ * @param {Array<Object|null>} layers - Stored policies, least to most specific (global, env, merchant)
+ * @returns {RotationPolicy & {sources: string[]}} - Only the fields some layer sets;
+ *   sources lists the scopes that contributed
+ */
+function resolveRotationPolicy(layers = []) {
+  const resolved = { sources: [] };
+
+  for (const layer of layers) {
+    if (!layer) {
+      continue;
+    }
+    resolved.sources.push(layer.scope || 'unknown');
+
+    for (const field of ['ttlMs', 'overlapMs']) {
+      if (layer[field] !== undefined) {
+        resolved[field] = layer[field];
+      }
+    }
+    for (const field of ['minTtlMs', 'minOverlapMs']) {
+      if (layer[field] !== undefined) {
+        resolved[field] = Math.max(resolved[field] ?? 0, layer[field]);
+      }
+    }
+    for (const field of ['maxTtlMs', 'maxOverlapMs']) {
+      if (layer[field] !== undefined) {
+        resolved[field] = Math.min(resolved[field] ?? Infinity, layer[field]);
+      }
+    }
+  }
+
+  return resolved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate and store a scope's policy (replaces any previous one)
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} scope - See parsePolicyScope
+ * @param {Object} policy - Partial RotationPolicy
+ * @param {Object} [options]
+ * @param {string} [options.actor='system'] - Recorded as updatedBy
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<Object>} - The stored document
+ */
+async function setRotationPolicy(KV, scope, policy, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const key = policyKeyPattern(scope);
+  const { actor = 'system', now = Date.now() } = options;
+  const stored = {
+    scope,
+    ...normalizePolicy(policy),
+    updatedAt: now,
+    updatedBy: actor
+  };
+
+  await KV.put(key, JSON.stringify(stored));
+  return stored;
+}
+
+/**
+ * One scope's stored policy
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} scope - See parsePolicyScope
+ * @returns {Promise<Object|null>}
+ */
+async function getRotationPolicy(KV, scope) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  return KV.get(policyKeyPattern(scope), { type: 'json' });
+}
+
+/**
+ * Remove a scope's policy
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {string} scope - See parsePolicyScope
+ * @returns {Promise<boolean>} - False if there was none
+ */
+async function deleteRotationPolicy(KV, scope) {
+  const existing = await getRotationPolicy(KV, scope);
+  if (!existing) {
+    return false;
+  }
+  await KV.delete(policyKeyPattern(scope));
+  return true;
+}
+
+/**
+ * Every stored policy, global first, then environments, then merchants
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @returns {Promise<Object[]>}
+ */
+async function listRotationPolicies(KV) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const policies = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix: POLICY_PREFIX, cursor });
+    for (const item of listResult.keys) {
+      const policy = await KV.get(item.name, { type: 'json' });
+      if (policy) {
+        policies.push(policy);
+      }
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  const order = Object.values(POLICY_LEVELS);
+  const levelOf = policy => order.indexOf(policy.scope === POLICY_LEVELS.GLOBAL ? POLICY_LEVELS.GLOBAL : policy.scope.split(':')[0]);
+  return policies.sort((a, b) => levelOf(a) - levelOf(b) || a.scope.localeCompare(b.scope));
+}
+
+/**
+ * Resolved policy for keys of an environment / merchant
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {Object} [target]
+ * @param {string} [target.environment='live']
+ * @param {string|null} [target.merchantId=null]
+ * @returns {Promise<Object>} - See resolveRotationPolicy
+ */
+async function loadRotationPolicy(KV, target = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const environment = target.environment || 'live';
+  const merchantId = target.merchantId || null;
+  const scopes = [POLICY_LEVELS.GLOBAL, `${POLICY_LEVELS.ENVIRONMENT}:${environment}`];
+  if (merchantId) {
+    scopes.push(`${POLICY_LEVELS.MERCHANT}:${merchantId}`);
+  }
+
+  const layers = await Promise.all(scopes.map(scope => getRotationPolicy(KV, scope)));
+  return resolveRotationPolicy(layers);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  POLICY_PREFIX,
+  POLICY_LEVELS,
+  MIN_POLICY_TTL_MS,
+  MAX_POLICY_TTL_MS,
+
+  // Scopes
+  parsePolicyScope,
+  policyKeyPattern,
+
+  // Pure functions
+  normalizePolicy,
+  resolveRotationPolicy,
+
+  // KV operations
+  setRotationPolicy,
+  getRotationPolicy,
+  deleteRotationPolicy,
+  listRotationPolicies,
+  loadRotationPolicy
+};
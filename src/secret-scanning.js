@@ -0,0 +1,664 @@
+/**
+ * Secret Scanning - Partner Patterns and Leaked-Key Reports
+ * =========================================================
+ *
+ * Lets secret-scanning services (GitHub's partner program and similar) find
+ * our keys and tell us about them. The patterns are derived from the key
+ * format constants in key-rotator.js; reports are batches of tokens found
+ * in public places, signed by the reporting party. Each token is hashed and
+ * looked up like a presented key, and matches are suspended (or destroyed)
+ * at once, with an incident record of where the token was found.
+ *
+ * @module secret-scanning
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EXPORTS:
+ *   - secretScanningPatterns      : Pure function - { type, regex, description } per secret key prefix
+ *   - parseReporterKeys           : Pure function - reporter public JWKs from config
+ *   - verifyLeakReportSignature   : Async - check a report body against a reporter key
+ *   - ingestLeakReport            : Async - look up reported tokens, lock matches, record incidents
+ *   - listLeakIncidents           : Async - incident records, oldest first
+ *   - handleLeakReport            : Async - verify + ingest one HTTP report
+ *   - createSecretScanningHandler : Factory - Worker `fetch()` handler
+ *
+ * REPORTS (GitHub secret scanning format):
+ *   POST /secret-scanning/reports
+ *   Github-Public-Key-Identifier: <kid>
+ *   Github-Public-Key-Signature:  <signature of the raw body>
+ *   [{ "token": "sk_live_…", "type": "key_rotator_sk_key", "url": "https://…", "source": "content" }]
+ *
+ *   Response: [{ "token_hash": "<sha256>", "token_type": "…", "label": "true_positive" | "false_positive" }]
+ *
+ *   Reporter keys are public JWKs (ES256 or Ed25519, key-pairs.js) with a
+ *   kid and an optional reporter name. ES256 signatures may be JOSE r||s or
+ *   ASN.1 DER (what GitHub sends), base64 or base64url.
+ *
+ * KV SCHEMA:
+ *   leak:{timestamp 13 digits}:{leakId} → LeakIncident JSON
+ *
+ * @typedef {Object} LeakIncident
+ * @property {string} leakId          - leak_ + 16 random characters
+ * @property {string} keyId
+ * @property {string|null} merchantId
+ * @property {string} tokenHash       - SHA-256 of the reported token (never the token)
+ * @property {string|null} tokenType
+ * @property {string|null} url        - Where the token was found
+ * @property {string|null} source     - e.g. 'content', 'commit'
+ * @property {string} reporter
+ * @property {string} previousStatus  - Key status when the report arrived
+ * @property {string} outcome         - 'suspended' | 'destroyed' | 'none' (already inactive)
+ * @property {number} reportedAt      - Epoch ms
+ *
+ * NOTE:
+ *   Suspension is the default so a false alarm can be undone with
+ *   resumeSigningKey; the key.suspended / key.destroyed audit events carry
+ *   the leakId, reporter and url. Tokens whose checksum does not match are
+ *   not ours and are never looked up. A batch with a malformed entry is
+ *   refused as a whole before any key is touched.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  KEY_CHECKSUM_LENGTH,
+  KEY_REGISTRY_BINDING,
+  KEY_STATUS,
+  LIFECYCLE_ERROR_CODES,
+  PREFIX_KINDS,
+  configureKeyRegistryFromEnv,
+  destroySigningKey,
+  generateRandomString,
+  getSigningKeyStatus,
+  hashKey,
+  hashKeyCandidates,
+  keyProfileFor,
+  listEnvironments,
+  listKeyPrefixes,
+  parsePeppers,
+  suspendSigningKey,
+  validateKeyFormat
+} from './key-rotator.js';
+import { lookupByHash, lookupByKeyId, updateKey } from './key-store-kv.js';
+import { fromBase64Url, toBase64Url } from './base64url.js';
+import { KEY_PAIR_ALGORITHMS, verifyWithPublicKey } from './key-pairs.js';
+import { jsonResponse } from './handlers/key-admin.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Paths served by createSecretScanningHandler
+ */
+const SECRET_SCANNING_PATHS = {
+  PATTERNS: '/secret-scanning/patterns',
+  REPORTS: '/secret-scanning/reports'
+};
+
+/**
+ * Headers carrying the reporter's key ID and signature (GitHub's names)
+ */
+const SIGNATURE_HEADERS = {
+  KEY_ID: 'Github-Public-Key-Identifier',
+  SIGNATURE: 'Github-Public-Key-Signature'
+};
+
+/**
+ * What happens to a key reported as leaked
+ */
+const LEAK_ACTIONS = {
+  SUSPEND: 'suspend',
+  DESTROY: 'destroy'
+};
+
+/**
+ * Error codes of the report endpoint
+ */
+const LEAK_REPORT_ERROR_CODES = {
+  NOT_CONFIGURED: 'LEAK_NOT_CONFIGURED',
+  UNKNOWN_REPORTER: 'LEAK_UNKNOWN_REPORTER',
+  INVALID_SIGNATURE: 'LEAK_INVALID_SIGNATURE',
+  BAD_REQUEST: 'LEAK_BAD_REQUEST'
+};
+
+/**
+ * Most tokens accepted in one report
+ */
+const MAX_LEAK_REPORT_TOKENS = 1000;
+
+/**
+ * Prefix of pattern type names (type = key_rotator_{prefix}_key)
+ */
+const PATTERN_TYPE_PREFIX = 'key_rotator_';
+
+/**
+ * Digits in the zero-padded timestamp of a leak KV key
+ */
+const TIMESTAMP_DIGITS = 13;
+
+/**
+ * Bytes in each of r and s of a P-256 signature
+ */
+const ES256_INTEGER_BYTES = 32;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prefix of all leak incident records
+ * @returns {string}
+ */
+function leakKeyPrefix() {
+  return 'leak:';
+}
+
+/**
+ * KV key of one leak incident (sorts chronologically)
+ * @param {number} timestamp - Epoch ms
+ * @param {string} leakId
+ * @returns {string}
+ */
+function leakKeyPattern(timestamp, leakId) {
+  return `${leakKeyPrefix()}${String(timestamp).padStart(TIMESTAMP_DIGITS, '0')}:${leakId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Regex character class for an alphanumeric alphabet, runs collapsed to ranges
+ * @param {string} alphabet
+ * @returns {string} - e.g. "[0-9A-Za-z]"
+ */
+function alphabetClass(alphabet) {
+  const codes = [...new Set(alphabet)].map(char => char.charCodeAt(0)).sort((a, b) => a - b);
+  let body = '';
+  for (let i = 0; i < codes.length;) {
+    let end = i;
+    while (end + 1 < codes.length && codes[end + 1] === codes[end] + 1) {
+      end++;
+    }
+    body += end - i >= 2
+      ? `${String.fromCharCode(codes[i])}-${String.fromCharCode(codes[end])}`
+      : String.fromCharCode(...codes.slice(i, end + 1));
+    i = end + 1;
+  }
+  return `[${body}]`;
+}
+
+/**
+ * Patterns to register with secret-scanning partners, one per secret key prefix
+ * Matches both checksummed keys and the older form without a checksum, in the
+ * environments the prefix allows. Publishable prefixes are meant to be public
+ * and get no pattern.
+ * @param {Object} [options]
+ * @param {Object} [options.keyProfiles] - prefix → { length, alphabet } (key-rotator KEY_PROFILES)
+ * @returns {Array<{type: string, regex: string, description: string}>}
+ */
+function secretScanningPatterns(options = {}) {
+  return listKeyPrefixes().filter(({ kind }) => kind === PREFIX_KINDS.SECRET).map(definition => {
+    const { prefix } = definition;
+    const environments = (definition.environments || listEnvironments()).join('|');
+    const { length, alphabet } = keyProfileFor(prefix, options.keyProfiles);
+    return {
+      type: `${PATTERN_TYPE_PREFIX}${prefix}_key`,
+      regex: `\\b${prefix}_(?:${environments})_${alphabetClass(alphabet)}{${length}}(?:[0-9A-Za-z]{${KEY_CHECKSUM_LENGTH}})?\\b`,
+      description: `key-rotator ${prefix} key: ${prefix}_{${environments}}_ + ${length} random + optional ${KEY_CHECKSUM_LENGTH}-char CRC32 checksum`
+    };
+  });
+}
+
+/**
+ * Reporter public keys from config
+ * @param {string|Object[]|null} value - JSON array of public JWKs (kid, alg, optional reporter)
+ * @returns {Object[]}
+ */
+function parseReporterKeys(value) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+
+  const keys = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(keys)) {
+    throw new Error('Reporter keys must be a JSON array of public JWKs');
+  }
+
+  for (const jwk of keys) {
+    if (typeof jwk?.kid !== 'string' || jwk.kid.length === 0) {
+      throw new Error('Every reporter key needs a kid');
+    }
+    if (!KEY_PAIR_ALGORITHMS[jwk.alg]) {
+      throw new Error(`Unsupported reporter key algorithm: ${jwk.alg}. Valid: ${Object.keys(KEY_PAIR_ALGORITHMS).join(', ')}`);
+    }
+    if (jwk.d) {
+      throw new Error(`Reporter key ${jwk.kid} is a private key`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * ASN.1 DER ECDSA signature → JOSE r||s bytes
+ * @param {Uint8Array} der
+ * @returns {Uint8Array|null} - null if not a DER signature
+ */
+function derToJoseSignature(der) {
+  // SEQUENCE (short-form length) of two INTEGERs
+  if (der[0] !== 0x30 || der[1] !== der.length - 2) {
+    return null;
+  }
+
+  const jose = new Uint8Array(ES256_INTEGER_BYTES * 2);
+  let offset = 2;
+  for (let i = 0; i < 2; i++) {
+    if (der[offset] !== 0x02) {
+      return null;
+    }
+    let integer = der.slice(offset + 2, offset + 2 + der[offset + 1]);
+    offset += 2 + der[offset + 1];
+
+    // DER adds a leading zero to keep the integer positive
+    while (integer.length > ES256_INTEGER_BYTES && integer[0] === 0) {
+      integer = integer.slice(1);
+    }
+    if (integer.length > ES256_INTEGER_BYTES) {
+      return null;
+    }
+    jose.set(integer, (i + 1) * ES256_INTEGER_BYTES - integer.length);
+  }
+
+  return offset === der.length ? jose : null;
+}
+
+/**
+ * Signature in the form verifyWithPublicKey expects (base64url, JOSE r||s)
+ * @param {string} signature - base64 or base64url; DER or raw
+ * @param {string} alg
+ * @returns {string|null}
+ */
+function normalizeSignature(signature, alg) {
+  let bytes;
+  try {
+    bytes = fromBase64Url(signature.trim());
+  } catch {
+    return null;
+  }
+
+  if (alg === 'ES256' && bytes.length !== ES256_INTEGER_BYTES * 2) {
+    const jose = derToJoseSignature(bytes);
+    return jose ? toBase64Url(jose) : null;
+  }
+  return toBase64Url(bytes);
+}
+
+/**
+ * Update that locks a leaked key, or null if it is already out of service
+ * @param {Object} signingKey
+ * @param {string} action - LEAK_ACTIONS value
+ * @param {string} reason - suspendedReason
+ * @param {number} now
+ * @returns {Object|null}
+ */
+function leakedKeyUpdate(signingKey, action, reason, now) {
+  const status = getSigningKeyStatus(signingKey, now);
+  if (status === KEY_STATUS.DESTROYED || status === KEY_STATUS.REVOKED) {
+    return null;
+  }
+  if (action === LEAK_ACTIONS.DESTROY) {
+    return destroySigningKey(signingKey);
+  }
+  return status === KEY_STATUS.SUSPENDED ? null : suspendSigningKey(signingKey, { reason, now });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Verify a report body against the reporter key named by keyId
+ * @param {string} body - Raw request body, exactly as received
+ * @param {string|null} keyId - Reporter key identifier header
+ * @param {string|null} signature - Signature header
+ * @param {Object[]} reporterKeys - From parseReporterKeys
+ * @returns {Promise<{valid: boolean, reporter: string|null, code: string|null}>}
+ */
+async function verifyLeakReportSignature(body, keyId, signature, reporterKeys) {
+  const jwk = reporterKeys.find(key => key.kid === keyId);
+  if (!jwk) {
+    return { valid: false, reporter: null, code: LEAK_REPORT_ERROR_CODES.UNKNOWN_REPORTER };
+  }
+
+  const normalized = typeof signature === 'string' ? normalizeSignature(signature, jwk.alg) : null;
+  const { reporter, ...publicJwk } = jwk;
+  if (!normalized || !(await verifyWithPublicKey(publicJwk, body, normalized))) {
+    return { valid: false, reporter: null, code: LEAK_REPORT_ERROR_CODES.INVALID_SIGNATURE };
+  }
+
+  return { valid: true, reporter: reporter || jwk.kid, code: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Stored key matching a reported token, if any
+ * @param {KVNamespace} KV
+ * @param {string} token
+ * @param {Array<{id: string, secret: string}>} peppers
+ * @returns {Promise<Object|null>}
+ */
+async function lookupReportedToken(KV, token, peppers) {
+  for (const { hash } of await hashKeyCandidates(token, peppers)) {
+    const signingKey = await lookupByHash(KV, hash);
+    if (signingKey) {
+      return signingKey;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lock a leaked key, re-reading it once if it changed since the lookup
+ * @param {KVNamespace} KV
+ * @param {Object} signingKey - As looked up
+ * @param {string} action - LEAK_ACTIONS value
+ * @param {{reason: string, now: number, updateOptions: Object}} context
+ * @returns {Promise<Object|null>} - The key as written, or null if nothing to do
+ */
+async function lockLeakedKey(KV, signingKey, action, { reason, now, updateOptions }) {
+  const update = leakedKeyUpdate(signingKey, action, reason, now);
+  if (!update) {
+    return null;
+  }
+
+  try {
+    return await updateKey(KV, update, updateOptions);
+  } catch (error) {
+    if (error.code !== LIFECYCLE_ERROR_CODES.STALE_VERSION) {
+      throw error;
+    }
+    const current = await lookupByKeyId(KV, signingKey.keyId);
+    const retry = current ? leakedKeyUpdate(current, action, reason, now) : null;
+    return retry ? updateKey(KV, retry, updateOptions) : null;
+  }
+}
+
+/**
+ * Look up each reported token and lock the keys that match
+ * Every entry is checked before the first lookup, so a malformed batch
+ * changes nothing. Tokens are only ever handled as hashes after the lookup:
+ * neither the results nor the incident records contain them.
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {Array<{token: string, type?: string, url?: string, source?: string}>} reports
+ * @param {Object} [options]
+ * @param {string} [options.reporter='unknown'] - Verified reporter name
+ * @param {string} [options.action='suspend'] - LEAK_ACTIONS value
+ * @param {Array<{id: string, secret: string}>} [options.peppers=[]] - Current pepper first
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<{results: Object[], incidents: LeakIncident[]}>}
+ *   results: { tokenHash, type, label: 'true_positive'|'false_positive', keyId, outcome, leakId }
+ * @throws {Error} - Not an array, too many entries, an entry without a token, invalid action
+ */
+async function ingestLeakReport(KV, reports, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  if (!Array.isArray(reports)) {
+    throw new Error('A leak report must be an array of tokens');
+  }
+  if (reports.length > MAX_LEAK_REPORT_TOKENS) {
+    throw new Error(`A leak report may contain at most ${MAX_LEAK_REPORT_TOKENS} tokens`);
+  }
+  const malformed = reports.findIndex(report => typeof report?.token !== 'string' || report.token.length === 0);
+  if (malformed !== -1) {
+    throw new Error(`Every reported entry needs a token (entry ${malformed} has none)`);
+  }
+
+  const {
+    reporter = 'unknown',
+    action = LEAK_ACTIONS.SUSPEND,
+    peppers = [],
+    now = Date.now()
+  } = options;
+
+  if (!Object.values(LEAK_ACTIONS).includes(action)) {
+    throw new Error(`Invalid leak action: ${action}. Valid: ${Object.values(LEAK_ACTIONS).join(', ')}`);
+  }
+
+  const results = [];
+  const incidents = [];
+
+  for (const report of reports) {
+    const tokenHash = await hashKey(report.token);
+    const result = { tokenHash, type: report.type ?? null, label: 'false_positive', keyId: null, outcome: null, leakId: null };
+    results.push(result);
+
+    // A broken checksum means the token is not one of ours - no lookup
+    const signingKey = validateKeyFormat(report.token).checksumMismatch
+      ? null
+      : await lookupReportedToken(KV, report.token, peppers);
+    if (!signingKey) {
+      continue;
+    }
+
+    const leakId = `leak_${generateRandomString(16)}`;
+    const url = typeof report.url === 'string' ? report.url : null;
+    const locked = await lockLeakedKey(KV, signingKey, action, {
+      reason: `Leaked: reported by ${reporter}${url ? ` at ${url}` : ''}`,
+      now,
+      updateOptions: { actor: `reporter:${reporter}`, details: { leakId, reporter, url, source: report.source ?? null } }
+    });
+
+    const incident = {
+      leakId,
+      keyId: signingKey.keyId,
+      merchantId: signingKey.metadata?.merchantId || null,
+      tokenHash,
+      tokenType: result.type,
+      url,
+      source: report.source ?? null,
+      reporter,
+      previousStatus: getSigningKeyStatus(signingKey, now),
+      outcome: locked ? (locked.destroyedAt ? 'destroyed' : 'suspended') : 'none',
+      reportedAt: now
+    };
+    await KV.put(leakKeyPattern(now, leakId), JSON.stringify(incident));
+    incidents.push(incident);
+
+    Object.assign(result, { label: 'true_positive', keyId: incident.keyId, outcome: incident.outcome, leakId });
+  }
+
+  return { results, incidents };
+}
+
+/**
+ * Leak incident records, oldest first
+ * @param {KVNamespace} KV - Cloudflare KV namespace or storage adapter
+ * @param {Object} [options]
+ * @param {string} [options.merchantId] - Only this merchant's incidents
+ * @param {string} [options.keyId] - Only this key's incidents
+ * @returns {Promise<LeakIncident[]>}
+ */
+async function listLeakIncidents(KV, options = {}) {
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+
+  const { merchantId, keyId } = options;
+  const incidents = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix: leakKeyPrefix(), cursor });
+    for (const item of listResult.keys) {
+      const incident = await KV.get(item.name, { type: 'json' });
+      if (incident &&
+          (merchantId === undefined || incident.merchantId === merchantId) &&
+          (keyId === undefined || incident.keyId === keyId)) {
+        incidents.push(incident);
+      }
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return incidents.sort((a, b) => a.reportedAt - b.reportedAt);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REQUEST HANDLING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Verify and ingest one leak report request
+ * @param {Request} request - POST with the signed JSON body
+ * @param {KVNamespace} KV - Cloudflare KV namespace
+ * @param {Object} [options]
+ * @param {Object[]} [options.reporterKeys=[]] - From parseReporterKeys
+ * @param {string} [options.action='suspend'] - LEAK_ACTIONS value
+ * @param {Array<{id: string, secret: string}>} [options.peppers=[]] - Current pepper first
+ * @param {{KEY_ID: string, SIGNATURE: string}} [options.headers=SIGNATURE_HEADERS]
+ * @returns {Promise<Response>} - 200 [{ token_hash, token_type, label }] or { error, code }
+ */
+async function handleLeakReport(request, KV, options = {}) {
+  const { reporterKeys = [], action = LEAK_ACTIONS.SUSPEND, peppers = [], headers = SIGNATURE_HEADERS } = options;
+
+  if (!KV || reporterKeys.length === 0) {
+    return jsonResponse(503, { error: 'Leak reports are not configured', code: LEAK_REPORT_ERROR_CODES.NOT_CONFIGURED });
+  }
+
+  // Verify the exact bytes received, before parsing anything
+  const body = await request.text();
+  const verified = await verifyLeakReportSignature(
+    body,
+    request.headers.get(headers.KEY_ID),
+    request.headers.get(headers.SIGNATURE),
+    reporterKeys
+  );
+  if (!verified.valid) {
+    return jsonResponse(401, { error: 'Report signature could not be verified', code: verified.code });
+  }
+
+  let reports;
+  try {
+    reports = JSON.parse(body);
+  } catch {
+    return jsonResponse(400, { error: 'Report body must be JSON', code: LEAK_REPORT_ERROR_CODES.BAD_REQUEST });
+  }
+
+  let ingested;
+  try {
+    ingested = await ingestLeakReport(KV, reports, { reporter: verified.reporter, action, peppers });
+  } catch (error) {
+    return jsonResponse(400, { error: error.message, code: LEAK_REPORT_ERROR_CODES.BAD_REQUEST });
+  }
+
+  return jsonResponse(200, ingested.results.map(result => ({
+    token_hash: result.tokenHash,
+    token_type: result.type,
+    label: result.label
+  })));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORKER INTEGRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a Worker `fetch()` handler for the patterns and report endpoints
+ * @param {Object} [options]
+ * @param {string} [options.binding='KEY_STORE'] - Name of the KV binding on env
+ * @param {string} [options.reportersBinding='SECRET_SCANNING_REPORTERS'] - env var with reporter JWKs (JSON)
+ * @param {string} [options.pepperBinding='KEY_PEPPERS'] - env secret holding "id:secret,..." peppers
+ * @param {string} [options.action='suspend'] - LEAK_ACTIONS value applied to matches
+ * @param {string} [options.registryBinding='KEY_ROTATOR_KEY_REGISTRY'] - env var with the key
+ *   registry config, so custom prefixes get patterns and their leaks are found
+ * @returns {Function} - async (request, env, ctx) => Response
+ */
+function createSecretScanningHandler(options = {}) {
+  const {
+    binding = 'KEY_STORE',
+    reportersBinding = 'SECRET_SCANNING_REPORTERS',
+    pepperBinding = 'KEY_PEPPERS',
+    action = LEAK_ACTIONS.SUSPEND,
+    registryBinding = KEY_REGISTRY_BINDING
+  } = options;
+
+  return async function fetch(request, env, ctx) {
+    try {
+      configureKeyRegistryFromEnv(env, registryBinding);
+    } catch (error) {
+      console.error('Invalid key registry config:', error.message);
+    }
+
+    const { pathname } = new URL(request.url);
+
+    if (pathname === SECRET_SCANNING_PATHS.PATTERNS) {
+      if (request.method !== 'GET') {
+        return new Response('Method Not Allowed', { status: 405, headers: { Allow: 'GET' } });
+      }
+      return new Response(JSON.stringify(secretScanningPatterns()), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=3600' }
+      });
+    }
+
+    if (pathname === SECRET_SCANNING_PATHS.REPORTS) {
+      if (request.method !== 'POST') {
+        return new Response('Method Not Allowed', { status: 405, headers: { Allow: 'POST' } });
+      }
+      let reporterKeys;
+      try {
+        reporterKeys = parseReporterKeys(env?.[reportersBinding]);
+      } catch (error) {
+        console.error('Invalid secret scanning reporter keys:', error.message);
+        reporterKeys = [];
+      }
+      return handleLeakReport(request, env?.[binding], {
+        reporterKeys,
+        peppers: parsePeppers(env?.[pepperBinding]),
+        action
+      });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  SECRET_SCANNING_PATHS,
+  SIGNATURE_HEADERS,
+  LEAK_ACTIONS,
+  LEAK_REPORT_ERROR_CODES,
+  MAX_LEAK_REPORT_TOKENS,
+
+  // KV key patterns
+  leakKeyPrefix,
+  leakKeyPattern,
+
+  // Pure functions
+  secretScanningPatterns,
+  parseReporterKeys,
+
+  // Verification
+  verifyLeakReportSignature,
+
+  // KV operations
+  ingestLeakReport,
+  listLeakIncidents,
+
+  // Worker integration
+  handleLeakReport,
+  createSecretScanningHandler
+};
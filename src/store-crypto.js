@@ -0,0 +1,249 @@
+/**
+ * Store Crypto - Encrypted-at-Rest Local Store
+ * ============================================
+ *
+ * Passphrase-based encryption for the CLI's local key store (.keys.json),
+ * which otherwise holds plaintext keys in cleartext. The whole document is
+ * encrypted with AES-256-GCM under a PBKDF2-SHA-256 derived key.
+ * Uses Web Crypto API only, so it runs in Node and Workers alike.
+ *
+ * @module store-crypto
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ENCRYPTED STORE FORMAT (version 1)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   {
+ *     "format": "key-rotator-store",
+ *     "version": 1,
+ *     "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64url>" },
+ *     "cipher": { "name": "AES-GCM", "iv": "<base64url>" },
+ *     "ciphertext": "<base64url>"
+ *   }
+ *
+ *   The format/version header is bound to the ciphertext as AES-GCM AAD, so
+ *   it cannot be altered without failing decryption.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fromBase64Url, toBase64Url } from './base64url.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format marker written to every encrypted store
+ */
+const STORE_FORMAT = 'key-rotator-store';
+
+/**
+ * Current encrypted store version
+ */
+const STORE_VERSION = 1;
+
+/**
+ * PBKDF2 iterations for new stores (OWASP 2023 guidance for SHA-256)
+ */
+const DEFAULT_KDF_ITERATIONS = 600000;
+
+/**
+ * Minimum accepted passphrase length
+ */
+const MIN_PASSPHRASE_LENGTH = 12;
+
+/**
+ * Derived keys cached per (passphrase, salt, iterations) so load + save in
+ * one CLI run only pays for PBKDF2 once
+ */
+const derivedKeyCache = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UTILITY FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * AES-GCM additional data for a given header
+ * @param {number} version
+ * @returns {Uint8Array}
+ */
+function headerAad(version) {
+  return new TextEncoder().encode(`${STORE_FORMAT}:${version}`);
+}
+
+/**
+ * Validate a passphrase
+ * @param {string} passphrase
+ */
+function assertPassphrase(passphrase) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    throw new Error('Passphrase is required');
+  }
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Derive the AES-GCM store key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveStoreKey(passphrase, salt, iterations) {
+  const cacheKey = `${passphrase}\u0000${toBase64Url(salt)}\u0000${iterations}`;
+  if (derivedKeyCache.has(cacheKey)) {
+    return derivedKeyCache.get(cacheKey);
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+
+  derivedKeyCache.set(cacheKey, key);
+  return key;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE ENCRYPTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check whether a parsed store document is an encrypted envelope
+ * @param {Object} document - Parsed JSON from the store file
+ * @returns {boolean}
+ */
+function isEncryptedStore(document) {
+  return Boolean(
+    document &&
+    typeof document === 'object' &&
+    document.format === STORE_FORMAT &&
+    typeof document.ciphertext === 'string'
+  );
+}
+
+/**
+ * Encrypt a store document
+ * @param {Object} document - Plain store document ({ keys, plaintextKeys })
+ * @param {string} passphrase - Store passphrase
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 iterations (default 600000)
+ * @param {string} [options.salt] - base64url salt to reuse (default: fresh 16 bytes)
+ * @returns {Promise<Object>} - Encrypted store envelope
+ */
+async function encryptStore(document, passphrase, options = {}) {
+  assertPassphrase(passphrase);
+  if (!document || typeof document !== 'object') {
+    throw new Error('Store document must be an object');
+  }
+
+  const iterations = options.iterations || DEFAULT_KDF_ITERATIONS;
+  let salt;
+  if (options.salt) {
+    salt = fromBase64Url(options.salt);
+  } else {
+    salt = new Uint8Array(16);
+    crypto.getRandomValues(salt);
+  }
+
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+
+  const key = await deriveStoreKey(passphrase, salt, iterations);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerAad(STORE_VERSION) },
+    key,
+    new TextEncoder().encode(JSON.stringify(document))
+  );
+
+  return {
+    format: STORE_FORMAT,
+    version: STORE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64Url(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64Url(iv) },
+    ciphertext: toBase64Url(ciphertext)
+  };
+}
+
+/**
+ * Decrypt a store envelope
+ * @param {Object} envelope - Encrypted store envelope
+ * @param {string} passphrase - Store passphrase
+ * @returns {Promise<Object>} - Plain store document
+ */
+async function decryptStore(envelope, passphrase) {
+  if (!isEncryptedStore(envelope)) {
+    throw new Error('Not an encrypted store');
+  }
+  if (envelope.version !== STORE_VERSION) {
+    throw new Error(`Unsupported store version: ${envelope.version}`);
+  }
+  if (envelope.kdf?.name !== 'PBKDF2' || envelope.cipher?.name !== 'AES-GCM') {
+    throw new Error(`Unsupported store encryption: ${envelope.kdf?.name}/${envelope.cipher?.name}`);
+  }
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+
+  const key = await deriveStoreKey(passphrase, fromBase64Url(envelope.kdf.salt), envelope.kdf.iterations);
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(envelope.cipher.iv), additionalData: headerAad(envelope.version) },
+      key,
+      fromBase64Url(envelope.ciphertext)
+    );
+  } catch {
+    throw new Error('Failed to decrypt store (wrong passphrase or corrupted file)');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Re-encrypt a store envelope under a new passphrase (fresh salt and IV)
+ * @param {Object} envelope - Encrypted store envelope
+ * @param {string} oldPassphrase
+ * @param {string} newPassphrase
+ * @param {Object} [options] - Passed to encryptStore
+ * @returns {Promise<Object>} - New encrypted store envelope
+ */
+async function rekeyStore(envelope, oldPassphrase, newPassphrase, options = {}) {
+  const document = await decryptStore(envelope, oldPassphrase);
+  return encryptStore(document, newPassphrase, {
+    iterations: options.iterations || envelope.kdf.iterations
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  STORE_FORMAT,
+  STORE_VERSION,
+  DEFAULT_KDF_ITERATIONS,
+  MIN_PASSPHRASE_LENGTH,
+
+  // Store encryption
+  isEncryptedStore,
+  encryptStore,
+  decryptStore,
+  rekeyStore
+};
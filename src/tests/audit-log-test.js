@@ -0,0 +1,284 @@
+/**
+ * Audit Log Test
+ * ==============
+ *
+ * Tests audit event building, storage and querying, and the events written
+ * by the key-store-kv.js lifecycle operations.
+ * Run: node src/tests/audit-log-test.js
+ */
+
+import {
+  AUDIT_EVENTS,
+  auditPrefix,
+  auditKeyPattern,
+  buildAuditEvent,
+  lifecycleEventType,
+  recordAuditEvent,
+  listAuditEvents
+} from '../audit-log.js';
+import {
+  storeKey,
+  updateKey,
+  deleteKey,
+  storeRotation,
+  validateKey,
+  reapExpiredKeys,
+  pushKeys
+} from '../key-store-kv.js';
+import {
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  rotateSigningKey
+} from '../key-rotator.js';
+import { createMemoryAdapter } from '../adapters/memory-adapter.js';
+
+const MERCHANT = 'merchant_audit';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Events
+    auditKeyPattern_format: { pass: false },
+    buildAuditEvent_fields: { pass: false },
+    buildAuditEvent_invalid_type: { pass: false },
+    lifecycleEventType_transitions: { pass: false },
+
+    // Storage & queries
+    list_chronological: { pass: false },
+    list_filters: { pass: false },
+    list_limit_keeps_newest: { pass: false },
+    list_merchant_isolation: { pass: false },
+    record_retention: { pass: false },
+
+    // Lifecycle writers
+    storeKey_records_created: { pass: false },
+    updateKey_records_deprecated: { pass: false },
+    updateKey_records_destroyed: { pass: false },
+    deleteKey_records_deleted: { pass: false },
+    storeRotation_records_rotation: { pass: false },
+    validateKey_records_failure: { pass: false },
+    reaper_actor: { pass: false },
+    audit_disabled: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Events
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const sample = buildAuditEvent({
+      type: AUDIT_EVENTS.CREATED,
+      keyId: 'key_abc',
+      merchantId: MERCHANT,
+      after: 'active',
+      timestamp: 42
+    });
+    results.auditKeyPattern_format.pass =
+      auditPrefix(null) === 'audit:_global:' &&
+      auditKeyPattern(sample) === `audit:${MERCHANT}:0000000000042:${sample.eventId}`;
+
+    results.buildAuditEvent_fields.pass =
+      /^evt_[A-Za-z0-9]{16}$/.test(sample.eventId) &&
+      sample.actor === 'system' &&
+      sample.before === null &&
+      sample.after === 'active' &&
+      !('details' in sample) &&
+      buildAuditEvent({ type: AUDIT_EVENTS.UPDATED, details: { a: 1 } }).details.a === 1;
+
+    try {
+      buildAuditEvent({ type: 'key.renamed' });
+      results.buildAuditEvent_invalid_type.pass = false;
+    } catch (e) {
+      results.buildAuditEvent_invalid_type.pass = e.message.includes('key.renamed');
+    }
+
+    results.lifecycleEventType_transitions.pass =
+      lifecycleEventType('active', 'deprecated') === AUDIT_EVENTS.DEPRECATED &&
+      lifecycleEventType('deprecated', 'destroyed') === AUDIT_EVENTS.DESTROYED &&
+      lifecycleEventType('active', 'destroyed') === AUDIT_EVENTS.DESTROYED &&
+      lifecycleEventType('destroyed', 'destroyed') === AUDIT_EVENTS.UPDATED &&
+      lifecycleEventType('deprecated', 'suspended') === AUDIT_EVENTS.SUSPENDED &&
+      lifecycleEventType('suspended', 'active') === AUDIT_EVENTS.RESUMED &&
+      lifecycleEventType('suspended', 'destroyed') === AUDIT_EVENTS.DESTROYED &&
+      lifecycleEventType('active', 'active') === AUDIT_EVENTS.UPDATED;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Storage & queries
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const store = createMemoryAdapter();
+    await recordAuditEvent(store, { type: AUDIT_EVENTS.DEPRECATED, keyId: 'key_a', merchantId: MERCHANT, timestamp: 3000 });
+    await recordAuditEvent(store, { type: AUDIT_EVENTS.CREATED, keyId: 'key_a', merchantId: MERCHANT, timestamp: 1000 });
+    await recordAuditEvent(store, { type: AUDIT_EVENTS.CREATED, keyId: 'key_b', merchantId: MERCHANT, timestamp: 2000 });
+    await recordAuditEvent(store, { type: AUDIT_EVENTS.CREATED, keyId: 'key_g', merchantId: null, timestamp: 1500 });
+
+    const all = await listAuditEvents(store, MERCHANT);
+    results.list_chronological.pass =
+      all.map(e => e.timestamp).join() === '1000,2000,3000';
+
+    const forKeyA = await listAuditEvents(store, MERCHANT, { keyId: 'key_a' });
+    const created = await listAuditEvents(store, MERCHANT, { type: AUDIT_EVENTS.CREATED });
+    const window = await listAuditEvents(store, MERCHANT, { since: 2000, until: 3000 });
+    results.list_filters.pass =
+      forKeyA.length === 2 &&
+      created.map(e => e.keyId).join() === 'key_a,key_b' &&
+      window.length === 1 && window[0].keyId === 'key_b';
+
+    const newest = await listAuditEvents(store, MERCHANT, { limit: 2 });
+    results.list_limit_keeps_newest.pass =
+      newest.map(e => e.timestamp).join() === '2000,3000';
+
+    const global = await listAuditEvents(store, null);
+    results.list_merchant_isolation.pass =
+      global.length === 1 && global[0].keyId === 'key_g' &&
+      (await listAuditEvents(store, 'merchant_other')).length === 0;
+
+    let clock = Date.now();
+    const expiring = createMemoryAdapter({ now: () => clock });
+    await recordAuditEvent(expiring, { type: AUDIT_EVENTS.CREATED, merchantId: MERCHANT }, { retentionSeconds: 60 });
+    const beforeExpiry = (await listAuditEvents(expiring, MERCHANT)).length;
+    clock += 61000;
+    results.record_retention.pass =
+      beforeExpiry === 1 &&
+      (await listAuditEvents(expiring, MERCHANT)).length === 0;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Lifecycle writers
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMemoryAdapter();
+    const { signingKey } = await createSigningKey({ merchantId: MERCHANT, createdBy: 'user' });
+    await storeKey(KV, signingKey);
+    const [createdEvent] = await listAuditEvents(KV, MERCHANT, { type: AUDIT_EVENTS.CREATED });
+    results.storeKey_records_created.pass =
+      createdEvent.keyId === signingKey.keyId &&
+      createdEvent.actor === 'user' &&
+      createdEvent.before === null &&
+      createdEvent.after === 'active';
+
+    const deprecated = await updateKey(KV, deprecateSigningKey(signingKey), { actor: 'cli' });
+    const [deprecatedEvent] = await listAuditEvents(KV, MERCHANT, { type: AUDIT_EVENTS.DEPRECATED });
+    results.updateKey_records_deprecated.pass =
+      deprecatedEvent.actor === 'cli' &&
+      deprecatedEvent.before === 'active' &&
+      deprecatedEvent.after === 'deprecated';
+
+    await updateKey(KV, destroySigningKey(deprecated));
+    const [destroyedEvent] = await listAuditEvents(KV, MERCHANT, { type: AUDIT_EVENTS.DESTROYED });
+    results.updateKey_records_destroyed.pass =
+      destroyedEvent.actor === 'system' &&
+      destroyedEvent.before === 'deprecated' &&
+      destroyedEvent.after === 'destroyed';
+
+    await deleteKey(KV, signingKey.keyId, { actor: 'admin' });
+    const [deletedEvent] = await listAuditEvents(KV, MERCHANT, { type: AUDIT_EVENTS.DELETED });
+    results.deleteKey_records_deleted.pass =
+      deletedEvent.actor === 'admin' &&
+      deletedEvent.before === 'destroyed' &&
+      deletedEvent.after === null &&
+      (await listAuditEvents(KV, MERCHANT, { keyId: signingKey.keyId })).length === 4;
+
+    const rotationKV = createMemoryAdapter();
+    const original = await createSigningKey({ merchantId: MERCHANT });
+    await storeKey(rotationKV, original.signingKey);
+    const { oldKey, newKey } = await rotateSigningKey(original.signingKey, { createdBy: 'auto-rotation' });
+    await storeRotation(rotationKV, oldKey, newKey);
+    const [rotatedEvent] = await listAuditEvents(rotationKV, MERCHANT, { type: AUDIT_EVENTS.ROTATED });
+    const newKeyEvents = await listAuditEvents(rotationKV, MERCHANT, { keyId: newKey.keyId });
+    results.storeRotation_records_rotation.pass =
+      rotatedEvent.keyId === oldKey.keyId &&
+      rotatedEvent.actor === 'auto-rotation' &&
+      rotatedEvent.before === 'active' && rotatedEvent.after === 'deprecated' &&
+      rotatedEvent.details.newKeyId === newKey.keyId &&
+      newKeyEvents.length === 1 && newKeyEvents[0].type === AUDIT_EVENTS.CREATED &&
+      (await listAuditEvents(rotationKV, MERCHANT, { type: AUDIT_EVENTS.DEPRECATED })).length === 1;
+
+    const failureKV = createMemoryAdapter();
+    const failing = await createSigningKey({ merchantId: MERCHANT });
+    await storeKey(failureKV, destroySigningKey(failing.signingKey));
+    const validation = await validateKey(failureKV, failing.plaintextKey, { actor: 'request', auditDetails: { ip: '203.0.113.7' } });
+    const [failureEvent] = await listAuditEvents(failureKV, MERCHANT, { type: AUDIT_EVENTS.VALIDATION_FAILED });
+    await validateKey(failureKV, 'sk_live_unknown_key_000000000000');
+    results.validateKey_records_failure.pass =
+      validation.valid === false &&
+      failureEvent.keyId === failing.signingKey.keyId &&
+      failureEvent.actor === 'request' &&
+      failureEvent.details.ip === '203.0.113.7' &&
+      typeof failureEvent.details.reason === 'string' &&
+      (await listAuditEvents(failureKV, MERCHANT, { type: AUDIT_EVENTS.VALIDATION_FAILED })).length === 1;
+
+    const reapKV = createMemoryAdapter();
+    const reapable = deprecateSigningKey((await createSigningKey({ merchantId: MERCHANT })).signingKey);
+    await storeKey(reapKV, reapable);
+    await reapExpiredKeys(reapKV, { now: reapable.deprecatedAt + reapable.rotationPolicy.overlapMs });
+    const [reapedEvent] = await listAuditEvents(reapKV, MERCHANT, { type: AUDIT_EVENTS.DESTROYED });
+    results.reaper_actor.pass = reapedEvent?.actor === 'reaper';
+
+    const quietKV = createMemoryAdapter();
+    await storeKey(quietKV, signingKey, { audit: false });
+    await updateKey(quietKV, deprecateSigningKey(signingKey), { audit: false });
+    await pushKeys(quietKV, [newKey]);
+    await deleteKey(quietKV, signingKey.keyId, { audit: false });
+    results.audit_disabled.pass = (await listAuditEvents(quietKV, MERCHANT)).length === 0;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  AUDIT LOG - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Events': ['auditKeyPattern_format', 'buildAuditEvent_fields', 'buildAuditEvent_invalid_type', 'lifecycleEventType_transitions'],
+    'Storage & Queries': ['list_chronological', 'list_filters', 'list_limit_keeps_newest', 'list_merchant_isolation', 'record_retention'],
+    'Lifecycle Writers': ['storeKey_records_created', 'updateKey_records_deprecated', 'updateKey_records_destroyed', 'deleteKey_records_deleted', 'storeRotation_records_rotation', 'validateKey_records_failure', 'reaper_actor', 'audit_disabled']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
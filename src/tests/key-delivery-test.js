@@ -0,0 +1,310 @@
+/**
+ * Key Delivery Test
+ * =================
+ *
+ * Tests encrypted one-time delivery envelopes using a mock KV namespace.
+ * Run: node src/tests/key-delivery-test.js
+ */
+
+import {
+  DELIVERY_ALGORITHMS,
+  recipientKeyPattern,
+  deliveryPattern,
+  encryptForRecipient,
+  decryptEnvelope,
+  registerRecipientKey,
+  getRecipientKey,
+  createDelivery,
+  retrieveDelivery,
+  createDeliveryHandler
+} from '../key-delivery.js';
+
+import { createSigningKey, KEY_TYPES } from '../key-rotator.js';
+import { toBase64Url } from '../base64url.js';
+
+import { createMockKV } from './mock-kv.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate a recipient keypair as JWKs (what a merchant would do)
+ */
+async function generateRecipient(kind) {
+  const params = kind === 'rsa'
+    ? { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' }
+    : { name: 'ECDH', namedCurve: 'P-256' };
+  const usages = kind === 'rsa' ? ['encrypt', 'decrypt'] : ['deriveBits'];
+
+  const pair = await crypto.subtle.generateKey(params, true, usages);
+  return {
+    publicJwk: await crypto.subtle.exportKey('jwk', pair.publicKey),
+    privateJwk: await crypto.subtle.exportKey('jwk', pair.privateKey)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Key patterns
+    recipientKeyPattern_format: { pass: false },
+    deliveryPattern_format: { pass: false },
+
+    // Envelope encryption
+    envelope_rsa_roundtrip: { pass: false },
+    envelope_ecdh_roundtrip: { pass: false },
+    envelope_no_plaintext: { pass: false },
+    envelope_keyId_bound: { pass: false },
+    envelope_wrong_key_rejected: { pass: false },
+    envelope_unsupported_key: { pass: false },
+
+    // Recipient registry
+    registerRecipientKey_public_only: { pass: false },
+    registerRecipientKey_rejects_invalid: { pass: false },
+
+    // One-time delivery
+    createDelivery_stores_ciphertext: { pass: false },
+    createDelivery_requires_recipient: { pass: false },
+    retrieveDelivery_once: { pass: false },
+    retrieveDelivery_expired: { pass: false },
+
+    // Scheduler integration
+    deliveryHandler_delivers: { pass: false },
+    deliveryHandler_rejects_unregistered: { pass: false },
+    deliveryHandler_es256_over_rsa: { pass: false }
+  };
+
+  try {
+    const rsa = await generateRecipient('rsa');
+    const ec = await generateRecipient('ec');
+    const { signingKey, plaintextKey } = await createSigningKey({ merchantId: 'merchant_dlv' });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Key Patterns
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.recipientKeyPattern_format.pass =
+      recipientKeyPattern('merchant_abc') === 'recipient:merchant_abc' &&
+      recipientKeyPattern(null) === 'recipient:_global';
+
+    results.deliveryPattern_format.pass =
+      deliveryPattern('dlv_abc') === 'delivery:dlv_abc';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Envelope encryption
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const rsaEnvelope = await encryptForRecipient(plaintextKey, rsa.publicJwk, { keyId: signingKey.keyId });
+    // Envelopes from before hybrid encryption (plaintext under RSA-OAEP) still open
+    const legacyRsaKey = await crypto.subtle.importKey('jwk', rsa.publicJwk, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt']);
+    const legacyRsaEnvelope = {
+      version: 1,
+      alg: DELIVERY_ALGORITHMS.RSA_OAEP,
+      keyId: signingKey.keyId,
+      ciphertext: toBase64Url(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, legacyRsaKey, new TextEncoder().encode(plaintextKey)))
+    };
+    let rsaKeyIdBound = false;
+    try {
+      await decryptEnvelope({ ...rsaEnvelope, keyId: 'key_tampered' }, rsa.privateJwk);
+    } catch {
+      rsaKeyIdBound = true;
+    }
+    results.envelope_rsa_roundtrip.pass =
+      rsaEnvelope.alg === DELIVERY_ALGORITHMS.RSA_OAEP &&
+      typeof rsaEnvelope.encryptedKey === 'string' &&
+      (await decryptEnvelope(rsaEnvelope, rsa.privateJwk)) === plaintextKey &&
+      (await decryptEnvelope(legacyRsaEnvelope, rsa.privateJwk)) === plaintextKey &&
+      rsaKeyIdBound;
+
+    const ecEnvelope = await encryptForRecipient(plaintextKey, ec.publicJwk, { keyId: signingKey.keyId });
+    results.envelope_ecdh_roundtrip.pass =
+      ecEnvelope.alg === DELIVERY_ALGORITHMS.ECDH_ES &&
+      typeof ecEnvelope.epk === 'object' &&
+      ecEnvelope.epk.d === undefined &&
+      (await decryptEnvelope(ecEnvelope, ec.privateJwk)) === plaintextKey;
+
+    results.envelope_no_plaintext.pass =
+      !JSON.stringify(rsaEnvelope).includes(plaintextKey) &&
+      !JSON.stringify(ecEnvelope).includes(plaintextKey);
+
+    // Tampering with the bound keyId breaks AES-GCM authentication
+    try {
+      await decryptEnvelope({ ...ecEnvelope, keyId: 'key_tampered' }, ec.privateJwk);
+      results.envelope_keyId_bound.pass = false;
+    } catch {
+      results.envelope_keyId_bound.pass = true;
+    }
+
+    const otherEc = await generateRecipient('ec');
+    try {
+      await decryptEnvelope(ecEnvelope, otherEc.privateJwk);
+      results.envelope_wrong_key_rejected.pass = false;
+    } catch {
+      results.envelope_wrong_key_rejected.pass = true;
+    }
+
+    try {
+      await encryptForRecipient(plaintextKey, { kty: 'oct', k: 'abc' });
+      results.envelope_unsupported_key.pass = false;
+    } catch (e) {
+      results.envelope_unsupported_key.pass = e.message.includes('Unsupported recipient key');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Recipient registry
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+
+    // Passing the private JWK by mistake must still only store the public half
+    await registerRecipientKey(KV, 'merchant_dlv', ec.privateJwk);
+    const recipient = await getRecipientKey(KV, 'merchant_dlv');
+    results.registerRecipientKey_public_only.pass =
+      recipient !== null &&
+      recipient.alg === DELIVERY_ALGORITHMS.ECDH_ES &&
+      recipient.publicKey.d === undefined &&
+      recipient.publicKey.x === ec.publicJwk.x;
+
+    try {
+      await registerRecipientKey(KV, 'merchant_bad', { kty: 'EC', crv: 'P-256', x: 'bad', y: 'bad' });
+      results.registerRecipientKey_rejects_invalid.pass = false;
+    } catch {
+      results.registerRecipientKey_rejects_invalid.pass =
+        (await getRecipientKey(KV, 'merchant_bad')) === null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // One-time delivery
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const delivery = await createDelivery(KV, { signingKey, plaintextKey });
+    const rawEntry = KV._getStore().get(deliveryPattern(delivery.deliveryId));
+    results.createDelivery_stores_ciphertext.pass =
+      delivery.deliveryId.startsWith('dlv_') &&
+      delivery.keyId === signingKey.keyId &&
+      delivery.merchantId === 'merchant_dlv' &&
+      typeof rawEntry === 'string' &&
+      !rawEntry.includes(plaintextKey);
+
+    const { signingKey: orphanKey, plaintextKey: orphanPlaintext } = await createSigningKey({
+      merchantId: 'merchant_unregistered'
+    });
+    try {
+      await createDelivery(KV, { signingKey: orphanKey, plaintextKey: orphanPlaintext });
+      results.createDelivery_requires_recipient.pass = false;
+    } catch (e) {
+      results.createDelivery_requires_recipient.pass = e.message.includes('No recipient key');
+    }
+
+    const first = await retrieveDelivery(KV, delivery.deliveryId);
+    const second = await retrieveDelivery(KV, delivery.deliveryId);
+    results.retrieveDelivery_once.pass =
+      first !== null &&
+      (await decryptEnvelope(first.envelope, ec.privateJwk)) === plaintextKey &&
+      second === null;
+
+    const shortLived = await createDelivery(KV, { signingKey, plaintextKey, ttlMs: 1000 });
+    const late = await retrieveDelivery(KV, shortLived.deliveryId, shortLived.expiresAt + 1);
+    results.retrieveDelivery_expired.pass =
+      late === null &&
+      KV._getStore().get(deliveryPattern(shortLived.deliveryId)) === undefined;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Scheduler integration
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const onRotated = createDeliveryHandler();
+    const handled = await onRotated({ newKey: signingKey, plaintextKey }, { KEY_STORE: KV });
+    const handledEnvelope = await retrieveDelivery(KV, handled.deliveryId);
+    results.deliveryHandler_delivers.pass =
+      handled !== null &&
+      (await decryptEnvelope(handledEnvelope.envelope, ec.privateJwk)) === plaintextKey;
+
+    // Throwing keeps the scheduler from committing a rotation nobody can receive
+    let rejected = null;
+    try {
+      await onRotated({ newKey: orphanKey, plaintextKey: orphanPlaintext }, { KEY_STORE: KV });
+    } catch (error) {
+      rejected = error.message;
+    }
+    results.deliveryHandler_rejects_unregistered.pass =
+      rejected !== null &&
+      rejected.includes('No recipient key registered');
+
+    // An ES256 private JWK is larger than RSA-OAEP can encrypt directly
+    await registerRecipientKey(KV, 'merchant_rsa', rsa.publicJwk);
+    const { signingKey: ecSigningKey, privateKey: ecPrivateKey } = await createSigningKey({
+      keyType: KEY_TYPES.ES256,
+      merchantId: 'merchant_rsa'
+    });
+    const ecHandled = await onRotated({ newKey: ecSigningKey, plaintextKey: null, privateKey: ecPrivateKey }, { KEY_STORE: KV });
+    const ecRetrieved = await retrieveDelivery(KV, ecHandled.deliveryId);
+    const ecDelivered = JSON.parse(await decryptEnvelope(ecRetrieved.envelope, rsa.privateJwk));
+    results.deliveryHandler_es256_over_rsa.pass =
+      ecRetrieved.envelope.alg === DELIVERY_ALGORITHMS.RSA_OAEP &&
+      ecDelivered.d === ecPrivateKey.d &&
+      ecDelivered.kid === ecSigningKey.keyId;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY DELIVERY - ENCRYPTED ENVELOPE TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Key Patterns': ['recipientKeyPattern_format', 'deliveryPattern_format'],
+    'Envelope Encryption': ['envelope_rsa_roundtrip', 'envelope_ecdh_roundtrip', 'envelope_no_plaintext', 'envelope_keyId_bound', 'envelope_wrong_key_rejected', 'envelope_unsupported_key'],
+    'Recipient Registry': ['registerRecipientKey_public_only', 'registerRecipientKey_rejects_invalid'],
+    'One-Time Delivery': ['createDelivery_stores_ciphertext', 'createDelivery_requires_recipient', 'retrieveDelivery_once', 'retrieveDelivery_expired'],
+    'Scheduler Integration': ['deliveryHandler_delivers', 'deliveryHandler_rejects_unregistered', 'deliveryHandler_es256_over_rsa']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,417 @@
+/**
+ * Key Notifier Test
+ * =================
+ *
+ * Tests lifecycle webhook planning, signing, retries across sweeps and dead-lettering
+ * against a local HTTP stand-in for the merchant endpoint.
+ * Run: node src/tests/key-notifier-test.js
+ */
+
+import http from 'node:http';
+
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SIGNATURE_HEADER,
+  sentMarkerPattern,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  planNotifications,
+  buildWebhookPayload,
+  isRetryableStatus,
+  deliverWebhook,
+  registerWebhookEndpoint,
+  getWebhookEndpoint,
+  listPendingRetries,
+  listDeadLetters,
+  runNotificationSweep
+} from '../key-notifier.js';
+import { createScheduledHandler } from '../key-scheduler.js';
+import { storeKey, storeRotation } from '../key-store-kv.js';
+import {
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  rotateSigningKey
+} from '../key-rotator.js';
+import { createMemoryAdapter } from '../adapters/memory-adapter.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const SECRET = 'whsec_test_secret';
+
+/**
+ * Local HTTP stand-in for a merchant webhook endpoint
+ * Answers each request with the next status in `statuses` (then 200) and
+ * records method, headers and raw body.
+ */
+function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, headers: req.headers, body });
+      res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+        received,
+        statuses,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Signing
+    sign_and_verify: { pass: false },
+    verify_rejects_tampered: { pass: false },
+    verify_rejects_stale: { pass: false },
+
+    // Planning
+    plan_expiring_soon: { pass: false },
+    plan_rotated_and_overlap_ending: { pass: false },
+    plan_destroyed_recent_only: { pass: false },
+    buildWebhookPayload_shape: { pass: false },
+    retryable_statuses: { pass: false },
+
+    // Endpoints
+    register_endpoint: { pass: false },
+    register_rejects_http: { pass: false },
+
+    // Delivery (local HTTP stand-in)
+    deliver_signed_post: { pass: false },
+    deliver_single_attempt: { pass: false },
+    deliver_no_retry_on_4xx: { pass: false },
+    deliver_network_error: { pass: false },
+
+    // Sweep
+    sweep_sends_once: { pass: false },
+    sweep_skips_unsubscribed: { pass: false },
+    sweep_rotated_new_key_id: { pass: false },
+    sweep_retries_next_sweep: { pass: false },
+    sweep_dead_letter: { pass: false },
+    scheduled_handler_notify: { pass: false }
+  };
+
+  const receiver = await startReceiver();
+
+  try {
+    const now = Date.now();
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Signing
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const body = JSON.stringify({ hello: 'world' });
+    const header = await signWebhookPayload(SECRET, body, now);
+    results.sign_and_verify.pass =
+      /^t=\d+,v1=[0-9a-f]{64}$/.test(header) &&
+      await verifyWebhookSignature(SECRET, body, header, { now });
+
+    results.verify_rejects_tampered.pass =
+      !(await verifyWebhookSignature(SECRET, body + ' ', header, { now })) &&
+      !(await verifyWebhookSignature('whsec_other', body, header, { now })) &&
+      !(await verifyWebhookSignature(SECRET, body, null, { now })) &&
+      !(await verifyWebhookSignature(SECRET, body, 'garbage', { now }));
+
+    results.verify_rejects_stale.pass =
+      !(await verifyWebhookSignature(SECRET, body, header, { now: now + 10 * 60 * 1000 })) &&
+      await verifyWebhookSignature(SECRET, body, header, { now: now + 10 * 60 * 1000, toleranceMs: 11 * 60 * 1000 });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Planning
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const { signingKey: fresh } = await createSigningKey({ merchantId: 'merchant_n', ttlMs: 30 * DAY });
+    const { signingKey: expiring } = await createSigningKey({ merchantId: 'merchant_n', ttlMs: 3 * DAY });
+    const expiringPlan = planNotifications([fresh, expiring], { now });
+    results.plan_expiring_soon.pass =
+      expiringPlan.length === 1 &&
+      expiringPlan[0].event === WEBHOOK_EVENTS.EXPIRING_SOON &&
+      expiringPlan[0].signingKey.keyId === expiring.keyId;
+
+    const deprecated = deprecateSigningKey(fresh);
+    const overlapEndsAt = deprecated.deprecatedAt + deprecated.rotationPolicy.overlapMs;
+    const justRotated = planNotifications([deprecated], { now }).map(p => p.event);
+    const nearEnd = planNotifications([deprecated], { now: overlapEndsAt - 60000, recentMs: 60000 }).map(p => p.event);
+    results.plan_rotated_and_overlap_ending.pass =
+      justRotated.join() === WEBHOOK_EVENTS.ROTATED &&
+      nearEnd.join() === WEBHOOK_EVENTS.OVERLAP_ENDING;
+
+    const destroyed = destroySigningKey(deprecated);
+    results.plan_destroyed_recent_only.pass =
+      planNotifications([destroyed], { now }).map(p => p.event).join() === WEBHOOK_EVENTS.DESTROYED &&
+      planNotifications([destroyed], { now: now + 8 * DAY }).length === 0;
+
+    const payload = buildWebhookPayload(WEBHOOK_EVENTS.ROTATED, deprecated, { newKeyId: 'key_next' }, now);
+    const endedPayload = buildWebhookPayload(WEBHOOK_EVENTS.OVERLAP_ENDING, deprecated, {}, overlapEndsAt);
+    let invalidEventRejected = false;
+    try {
+      buildWebhookPayload('key.unknown', deprecated);
+    } catch (e) {
+      invalidEventRejected = e.message.includes('Invalid webhook event');
+    }
+    results.buildWebhookPayload_shape.pass =
+      payload.id.startsWith('whk_') &&
+      payload.type === WEBHOOK_EVENTS.ROTATED &&
+      payload.createdAt === now &&
+      payload.data.keyId === deprecated.keyId &&
+      payload.data.merchantId === 'merchant_n' &&
+      payload.data.status === 'deprecated' &&
+      payload.data.overlapEndsAt === overlapEndsAt &&
+      payload.data.newKeyId === 'key_next' &&
+      endedPayload.data.status === 'expired' &&
+      !('hash' in payload.data) &&
+      invalidEventRejected;
+
+    results.retryable_statuses.pass =
+      isRetryableStatus(null) && isRetryableStatus(500) && isRetryableStatus(503) &&
+      isRetryableStatus(429) && isRetryableStatus(408) &&
+      !isRetryableStatus(400) && !isRetryableStatus(404) && !isRetryableStatus(410);
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Endpoints
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMemoryAdapter();
+    const registered = await registerWebhookEndpoint(KV, 'merchant_n', { url: receiver.url });
+    const stored = await getWebhookEndpoint(KV, 'merchant_n');
+    results.register_endpoint.pass =
+      registered.secret.startsWith('whsec_') &&
+      stored.url === receiver.url &&
+      stored.events.length === Object.keys(WEBHOOK_EVENTS).length &&
+      (await getWebhookEndpoint(KV, 'merchant_none')) === null;
+
+    let httpRejected = false;
+    let eventRejected = false;
+    try {
+      await registerWebhookEndpoint(KV, 'merchant_n', { url: 'http://hooks.example.com/' });
+    } catch (e) {
+      httpRejected = e.message.includes('https');
+    }
+    try {
+      await registerWebhookEndpoint(KV, 'merchant_n', { url: 'https://hooks.example.com/', events: ['key.nope'] });
+    } catch (e) {
+      eventRejected = e.message.includes('key.nope');
+    }
+    results.register_rejects_http.pass = httpRejected && eventRejected;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Delivery (local HTTP stand-in)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const endpoint = { url: receiver.url, secret: SECRET };
+    const delivered = await deliverWebhook(endpoint, payload);
+    const request = receiver.received[0];
+    results.deliver_signed_post.pass =
+      delivered.delivered === true &&
+      delivered.status === 200 &&
+      request.method === 'POST' &&
+      request.headers['x-webhook-event'] === WEBHOOK_EVENTS.ROTATED &&
+      request.headers['x-webhook-id'] === payload.id &&
+      JSON.parse(request.body).data.keyId === deprecated.keyId &&
+      await verifyWebhookSignature(SECRET, request.body, request.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()]);
+
+    // A retryable failure is reported, not retried in-process
+    receiver.received.length = 0;
+    receiver.statuses.push(503);
+    const unavailable = await deliverWebhook(endpoint, payload);
+    results.deliver_single_attempt.pass =
+      unavailable.delivered === false &&
+      unavailable.retryable === true &&
+      unavailable.status === 503 &&
+      receiver.received.length === 1;
+
+    receiver.received.length = 0;
+    receiver.statuses.push(410);
+    const gone = await deliverWebhook(endpoint, payload);
+    results.deliver_no_retry_on_4xx.pass =
+      gone.delivered === false &&
+      gone.retryable === false &&
+      gone.status === 410 &&
+      receiver.received.length === 1;
+
+    const unreachable = await deliverWebhook({ url: 'http://127.0.0.1:1/hooks', secret: SECRET }, payload);
+    results.deliver_network_error.pass =
+      unreachable.delivered === false &&
+      unreachable.retryable === true &&
+      unreachable.status === null &&
+      typeof unreachable.error === 'string';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Sweep
+    // ─────────────────────────────────────────────────────────────────────────
+
+    receiver.received.length = 0;
+    await storeKey(KV, expiring);
+    await storeKey(KV, fresh);
+    const firstSweep = await runNotificationSweep(KV, { now });
+    const secondSweep = await runNotificationSweep(KV, { now });
+    results.sweep_sends_once.pass =
+      firstSweep.checked === 2 &&
+      firstSweep.sent.length === 1 &&
+      firstSweep.sent[0].keyId === expiring.keyId &&
+      firstSweep.sent[0].event === WEBHOOK_EVENTS.EXPIRING_SOON &&
+      secondSweep.sent.length === 0 &&
+      secondSweep.skipped === 1 &&
+      receiver.received.length === 1 &&
+      (await KV.get(sentMarkerPattern(WEBHOOK_EVENTS.EXPIRING_SOON, expiring.keyId))) !== null;
+
+    const quietKV = createMemoryAdapter();
+    await registerWebhookEndpoint(quietKV, 'merchant_n', { url: receiver.url, events: [WEBHOOK_EVENTS.DESTROYED] });
+    await storeKey(quietKV, expiring);
+    const quiet = await runNotificationSweep(quietKV, { now });
+    results.sweep_skips_unsubscribed.pass =
+      quiet.planned === 1 &&
+      quiet.sent.length === 0 &&
+      quiet.skipped === 1;
+
+    receiver.received.length = 0;
+    const rotation = await rotateSigningKey(fresh, { createdBy: 'auto-rotation' });
+    await storeRotation(KV, rotation.oldKey, rotation.newKey);
+    const rotatedSweep = await runNotificationSweep(KV, { now });
+    const rotatedBody = JSON.parse(receiver.received[0]?.body || '{}');
+    results.sweep_rotated_new_key_id.pass =
+      rotatedSweep.sent.length === 1 &&
+      rotatedBody.type === WEBHOOK_EVENTS.ROTATED &&
+      rotatedBody.data.keyId === fresh.keyId &&
+      rotatedBody.data.newKeyId === rotation.newKey.keyId;
+
+    // A failed delivery waits for a later sweep instead of sleeping in this one
+    receiver.received.length = 0;
+    const retryKV = createMemoryAdapter();
+    await registerWebhookEndpoint(retryKV, 'merchant_n', { url: receiver.url, secret: SECRET });
+    await storeKey(retryKV, expiring);
+    receiver.statuses.push(503);
+    const failedSweep = await runNotificationSweep(retryKV, { now });
+    const [pending] = await listPendingRetries(retryKV, 'merchant_n');
+    const earlySweep = await runNotificationSweep(retryKV, { now: now + MINUTE - 1 });
+    const dueSweep = await runNotificationSweep(retryKV, { now: now + MINUTE });
+    const retriedIds = receiver.received.map(r => r.headers['x-webhook-id']);
+    results.sweep_retries_next_sweep.pass =
+      failedSweep.retrying.length === 1 &&
+      failedSweep.sent.length === 0 &&
+      pending?.attempts === 1 &&
+      pending.nextAttemptAt === now + MINUTE &&
+      earlySweep.sent.length === 0 &&
+      dueSweep.sent.length === 1 &&
+      dueSweep.sent[0].attempts === 2 &&
+      retriedIds.length === 2 &&
+      retriedIds[0] === retriedIds[1] &&
+      (await listPendingRetries(retryKV)).length === 0;
+
+    const dlqKV = createMemoryAdapter();
+    await registerWebhookEndpoint(dlqKV, 'merchant_n', { url: receiver.url, secret: SECRET });
+    await storeKey(dlqKV, expiring);
+    receiver.statuses.push(500, 500, 500);
+    const dlqSweeps = [];
+    for (const at of [now, now + MINUTE, now + 3 * MINUTE]) {
+      dlqSweeps.push(await runNotificationSweep(dlqKV, { now: at, maxAttempts: 3 }));
+    }
+    const deadLetters = await listDeadLetters(dlqKV, 'merchant_n');
+    const afterDlqSweep = await runNotificationSweep(dlqKV, { now: now + DAY });
+    results.sweep_dead_letter.pass =
+      dlqSweeps.map(r => `${r.retrying.length}/${r.deadLettered.length}`).join() === '1/0,1/0,0/1' &&
+      deadLetters.length === 1 &&
+      deadLetters[0].attempts === 3 &&
+      deadLetters[0].lastStatus === 500 &&
+      deadLetters[0].payload.data.keyId === expiring.keyId &&
+      (await listPendingRetries(dlqKV)).length === 0 &&
+      afterDlqSweep.skipped === 1 &&
+      afterDlqSweep.deadLettered.length === 0;
+
+    receiver.received.length = 0;
+    const cronKV = createMemoryAdapter();
+    await registerWebhookEndpoint(cronKV, 'merchant_n', { url: receiver.url });
+    const { signingKey: due } = await createSigningKey({ merchantId: 'merchant_n', ttlMs: 30 * DAY });
+    await storeKey(cronKV, { ...due, expiresAt: Date.now() - 1000 });
+    const originalLog = console.log;
+    console.log = () => {};
+    const cronReport = await createScheduledHandler({ onRotated: async () => ({ deliveryId: 'dlv_cron' }), notify: true })(
+      { scheduledTime: Date.now() },
+      { KEY_STORE: cronKV }
+    );
+    console.log = originalLog;
+    const cronEvents = receiver.received.map(r => JSON.parse(r.body));
+    results.scheduled_handler_notify.pass =
+      cronReport.rotated.length === 1 &&
+      cronReport.notifications.sent.length === 1 &&
+      cronEvents.length === 1 &&
+      cronEvents[0].type === WEBHOOK_EVENTS.ROTATED &&
+      cronEvents[0].data.newKeyId === cronReport.rotated[0].newKeyId &&
+      cronEvents[0].data.deliveryId === 'dlv_cron';
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  } finally {
+    await receiver.close();
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY NOTIFIER - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Signing': ['sign_and_verify', 'verify_rejects_tampered', 'verify_rejects_stale'],
+    'Planning': ['plan_expiring_soon', 'plan_rotated_and_overlap_ending', 'plan_destroyed_recent_only', 'buildWebhookPayload_shape', 'retryable_statuses'],
+    'Endpoints': ['register_endpoint', 'register_rejects_http'],
+    'Delivery': ['deliver_signed_post', 'deliver_single_attempt', 'deliver_no_retry_on_4xx', 'deliver_network_error'],
+    'Sweep': ['sweep_sends_once', 'sweep_skips_unsubscribed', 'sweep_rotated_new_key_id', 'sweep_retries_next_sweep', 'sweep_dead_letter', 'scheduled_handler_notify']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
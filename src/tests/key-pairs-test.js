@@ -0,0 +1,333 @@
+/**
+ * Key Pairs Test
+ * ==============
+ *
+ * Tests Ed25519 / ES256 keypair SigningKeys: generation, sign/verify and the
+ * deprecate / overlap / destroy lifecycle applied to the public key.
+ * Run: node src/tests/key-pairs-test.js
+ */
+
+import {
+  generateKeyPair,
+  jwkThumbprint,
+  signWithPrivateKey,
+  verifyWithPublicKey
+} from '../key-pairs.js';
+import {
+  KEY_TYPES,
+  HASH_ALGORITHMS,
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  rotateSigningKey,
+  signWithSigningKey,
+  verifyWithSigningKey
+} from '../key-rotator.js';
+import { storeKey, lookupByKeyId, validateKey } from '../key-store-kv.js';
+import { handleAdminRequest } from '../handlers/key-admin.js';
+import { createMockKV } from './mock-kv.js';
+
+const MESSAGE = 'POST /v1/charges {"amount":1000}';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Primitives
+    ed25519_jwk_shape: { pass: false },
+    es256_jwk_shape: { pass: false },
+    thumbprint_deterministic: { pass: false },
+    raw_sign_verify: { pass: false },
+
+    // SigningKey creation
+    create_ed25519_key: { pass: false },
+    create_es256_key: { pass: false },
+    create_invalid_key_type: { pass: false },
+    create_keypair_with_request_signing: { pass: false },
+
+    // Sign / verify
+    sign_verify_roundtrip: { pass: false },
+    verify_rejects_tampering: { pass: false },
+    verify_rejects_other_key: { pass: false },
+    sign_requires_matching_private_key: { pass: false },
+
+    // Lifecycle
+    deprecated_verifies_in_overlap: { pass: false },
+    deprecated_fails_after_overlap: { pass: false },
+    destroyed_never_verifies: { pass: false },
+    rotation_keeps_key_type: { pass: false },
+
+    // Storage
+    store_roundtrip_public_only: { pass: false },
+    public_jwk_not_a_bearer_key: { pass: false },
+    admin_create_returns_private_key: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Primitives
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const ed = await generateKeyPair('Ed25519', 'kid_ed');
+    results.ed25519_jwk_shape.pass =
+      ed.publicKey.kty === 'OKP' &&
+      ed.publicKey.crv === 'Ed25519' &&
+      ed.publicKey.kid === 'kid_ed' &&
+      ed.publicKey.use === 'sig' &&
+      ed.publicKey.d === undefined &&
+      typeof ed.privateKey.d === 'string' &&
+      ed.privateKey.x === ed.publicKey.x;
+
+    const ec = await generateKeyPair('ES256', 'kid_ec');
+    results.es256_jwk_shape.pass =
+      ec.publicKey.kty === 'EC' &&
+      ec.publicKey.crv === 'P-256' &&
+      typeof ec.publicKey.y === 'string' &&
+      ec.publicKey.d === undefined &&
+      typeof ec.privateKey.d === 'string';
+
+    // Thumbprint ignores kid/alg/use and the private member
+    const thumbprint = await jwkThumbprint(ed.publicKey);
+    results.thumbprint_deterministic.pass =
+      /^[a-f0-9]{64}$/.test(thumbprint) &&
+      thumbprint === await jwkThumbprint({ ...ed.publicKey, kid: 'other' }) &&
+      thumbprint === await jwkThumbprint(ed.privateKey) &&
+      thumbprint !== await jwkThumbprint(ec.publicKey);
+
+    const rawSignature = await signWithPrivateKey(ec.privateKey, MESSAGE);
+    results.raw_sign_verify.pass =
+      /^[A-Za-z0-9_-]{86}$/.test(rawSignature) &&
+      await verifyWithPublicKey(ec.publicKey, MESSAGE, rawSignature) &&
+      !(await verifyWithPublicKey(ec.publicKey, MESSAGE, 'not-a-signature')) &&
+      !(await verifyWithPublicKey(ec.publicKey, MESSAGE, ''));
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SigningKey creation
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const edKey = await createSigningKey({ keyType: KEY_TYPES.ED25519, environment: 'test', merchantId: 'merchant_a' });
+    results.create_ed25519_key.pass =
+      edKey.plaintextKey === null &&
+      edKey.signingKey.keyType === 'Ed25519' &&
+      edKey.signingKey.hashAlgorithm === HASH_ALGORITHMS.JWK_THUMBPRINT &&
+      edKey.signingKey.hash === `jwk:${await jwkThumbprint(edKey.signingKey.publicKey)}` &&
+      edKey.signingKey.publicKey.kid === edKey.signingKey.keyId &&
+      edKey.signingKey.publicKey.d === undefined &&
+      edKey.privateKey.kid === edKey.signingKey.keyId &&
+      typeof edKey.privateKey.d === 'string' &&
+      edKey.signingKey.metadata.merchantId === 'merchant_a';
+
+    const ecKey = await createSigningKey({ keyType: KEY_TYPES.ES256 });
+    results.create_es256_key.pass =
+      ecKey.signingKey.keyType === 'ES256' &&
+      ecKey.signingKey.publicKey.crv === 'P-256' &&
+      ecKey.signingKey.publicKey.alg === 'ES256' &&
+      ecKey.signingKey.requestSigningSecret === null;
+
+    let invalidTypeThrew = false;
+    try {
+      await createSigningKey({ keyType: 'RSA' });
+    } catch {
+      invalidTypeThrew = true;
+    }
+    const secretKey = await createSigningKey();
+    results.create_invalid_key_type.pass =
+      invalidTypeThrew &&
+      secretKey.signingKey.keyType === KEY_TYPES.SECRET &&
+      secretKey.signingKey.publicKey === null &&
+      secretKey.privateKey === undefined;
+
+    let requestSigningThrew = false;
+    try {
+      await createSigningKey({ keyType: KEY_TYPES.ED25519, requestSigning: true });
+    } catch {
+      requestSigningThrew = true;
+    }
+    results.create_keypair_with_request_signing.pass = requestSigningThrew;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Sign / verify
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const edSignature = await signWithSigningKey(edKey.signingKey, edKey.privateKey, MESSAGE);
+    const ecSignature = await signWithSigningKey(ecKey.signingKey, ecKey.privateKey, MESSAGE);
+    const edVerified = await verifyWithSigningKey(edKey.signingKey, MESSAGE, edSignature);
+    const ecVerified = await verifyWithSigningKey(ecKey.signingKey, MESSAGE, ecSignature);
+    results.sign_verify_roundtrip.pass =
+      edVerified.valid === true &&
+      edVerified.isDeprecated === false &&
+      ecVerified.valid === true;
+
+    const tampered = await verifyWithSigningKey(edKey.signingKey, `${MESSAGE} `, edSignature);
+    results.verify_rejects_tampering.pass =
+      tampered.valid === false &&
+      tampered.reason === 'Signature does not match';
+
+    const otherEd = await createSigningKey({ keyType: KEY_TYPES.ED25519 });
+    const crossKey = await verifyWithSigningKey(otherEd.signingKey, MESSAGE, edSignature);
+    const crossAlgorithm = await verifyWithSigningKey(ecKey.signingKey, MESSAGE, edSignature);
+    results.verify_rejects_other_key.pass = !crossKey.valid && !crossAlgorithm.valid;
+
+    let mismatchThrew = false;
+    try {
+      await signWithSigningKey(edKey.signingKey, otherEd.privateKey, MESSAGE);
+    } catch {
+      mismatchThrew = true;
+    }
+    let secretKeyThrew = false;
+    try {
+      await signWithSigningKey(secretKey.signingKey, edKey.privateKey, MESSAGE);
+    } catch {
+      secretKeyThrew = true;
+    }
+    results.sign_requires_matching_private_key.pass = mismatchThrew && secretKeyThrew;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Lifecycle
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const deprecated = deprecateSigningKey(edKey.signingKey);
+    const inOverlap = await verifyWithSigningKey(deprecated, MESSAGE, edSignature);
+    const inOverlapSignature = await signWithSigningKey(deprecated, edKey.privateKey, MESSAGE);
+    results.deprecated_verifies_in_overlap.pass =
+      inOverlap.valid === true &&
+      inOverlap.isDeprecated === true &&
+      (await verifyWithSigningKey(deprecated, MESSAGE, inOverlapSignature)).valid;
+
+    const afterOverlapAt = deprecated.deprecatedAt + deprecated.rotationPolicy.overlapMs + 1;
+    const afterOverlap = await verifyWithSigningKey(deprecated, MESSAGE, edSignature, afterOverlapAt);
+    let signAfterOverlapThrew = false;
+    try {
+      await signWithSigningKey(deprecated, edKey.privateKey, MESSAGE, afterOverlapAt);
+    } catch {
+      signAfterOverlapThrew = true;
+    }
+    results.deprecated_fails_after_overlap.pass =
+      afterOverlap.valid === false &&
+      signAfterOverlapThrew;
+
+    const destroyed = destroySigningKey(ecKey.signingKey);
+    const destroyedVerify = await verifyWithSigningKey(destroyed, MESSAGE, ecSignature);
+    let signDestroyedThrew = false;
+    try {
+      await signWithSigningKey(destroyed, ecKey.privateKey, MESSAGE);
+    } catch {
+      signDestroyedThrew = true;
+    }
+    results.destroyed_never_verifies.pass =
+      destroyedVerify.valid === false &&
+      signDestroyedThrew;
+
+    const rotation = await rotateSigningKey(edKey.signingKey);
+    const rotatedSignature = await signWithSigningKey(rotation.newKey, rotation.privateKey, MESSAGE);
+    results.rotation_keeps_key_type.pass =
+      rotation.plaintextKey === null &&
+      rotation.newKey.keyType === KEY_TYPES.ED25519 &&
+      rotation.privateKey.kid === rotation.newKey.keyId &&
+      rotation.newKey.publicKey.x !== edKey.signingKey.publicKey.x &&
+      rotation.oldKey.deprecatedAt !== null &&
+      (await verifyWithSigningKey(rotation.newKey, MESSAGE, rotatedSignature)).valid &&
+      (await verifyWithSigningKey(rotation.oldKey, MESSAGE, edSignature)).valid &&
+      !(await verifyWithSigningKey(rotation.newKey, MESSAGE, edSignature)).valid;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Storage
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+    await storeKey(KV, edKey.signingKey);
+    const stored = await lookupByKeyId(KV, edKey.signingKey.keyId);
+    const rawRecords = JSON.stringify([...KV._getStore().values()]);
+    results.store_roundtrip_public_only.pass =
+      stored !== null &&
+      stored.keyType === KEY_TYPES.ED25519 &&
+      stored.publicKey.x === edKey.signingKey.publicKey.x &&
+      !rawRecords.includes(edKey.privateKey.d) &&
+      (await verifyWithSigningKey(stored, MESSAGE, edSignature)).valid;
+
+    // Neither the public JWK nor its thumbprint authenticates as a bearer key
+    const asBearer = await validateKey(KV, JSON.stringify(edKey.signingKey.publicKey), { trackUsage: false });
+    const thumbprintAsBearer = await validateKey(KV, edKey.signingKey.hash.slice(4), { trackUsage: false });
+    results.public_jwk_not_a_bearer_key.pass = !asBearer.valid && !thumbprintAsBearer.valid;
+
+    const adminKV = createMockKV();
+    const response = await handleAdminRequest(new Request('https://admin.example.com/keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'static-admin-key-for-tests' },
+      body: JSON.stringify({ keyType: 'ES256', environment: 'test' })
+    }), adminKV, { staticKey: 'static-admin-key-for-tests' });
+    const created = await response.json();
+    const badType = await handleAdminRequest(new Request('https://admin.example.com/keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'static-admin-key-for-tests' },
+      body: JSON.stringify({ keyType: 'RSA' })
+    }), adminKV, { staticKey: 'static-admin-key-for-tests' });
+    results.admin_create_returns_private_key.pass =
+      response.status === 201 &&
+      created.data.plaintextKey === null &&
+      created.data.privateKey.kid === created.data.key.keyId &&
+      created.data.key.keyType === 'ES256' &&
+      created.data.key.publicKey.d === undefined &&
+      badType.status === 400;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY PAIRS - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Primitives': ['ed25519_jwk_shape', 'es256_jwk_shape', 'thumbprint_deterministic', 'raw_sign_verify'],
+    'SigningKey Creation': ['create_ed25519_key', 'create_es256_key', 'create_invalid_key_type', 'create_keypair_with_request_signing'],
+    'Sign / Verify': ['sign_verify_roundtrip', 'verify_rejects_tampering', 'verify_rejects_other_key', 'sign_requires_matching_private_key'],
+    'Lifecycle': ['deprecated_verifies_in_overlap', 'deprecated_fails_after_overlap', 'destroyed_never_verifies', 'rotation_keeps_key_type'],
+    'Storage': ['store_roundtrip_public_only', 'public_jwk_not_a_bearer_key', 'admin_create_returns_private_key']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,331 @@
+/**
+ * Key Prefix Registry Test
+ * ========================
+ *
+ * Tests registrable key prefixes and environments: declaration, validation,
+ * and how generateKey, validateKeyFormat, createSigningKey, rotation,
+ * rotation policies and secret-scanning patterns honor them.
+ * Run: node src/tests/key-prefix-registry-test.js
+ */
+
+import {
+  KEY_CHECKSUM_LENGTH,
+  KEY_PROFILES,
+  PREFIX_KINDS,
+  VALID_ENVIRONMENTS,
+  VALID_PREFIXES,
+  configureKeyRegistry,
+  createSigningKey,
+  generateKey,
+  getKeyPrefix,
+  listEnvironments,
+  listKeyPrefixes,
+  registerEnvironment,
+  registerKeyPrefix,
+  rotateSigningKey,
+  validateKeyFormat
+} from '../key-rotator.js';
+
+import { parsePolicyScope } from '../rotation-policy.js';
+import { SECRET_SCANNING_PATHS, createSecretScanningHandler, secretScanningPatterns } from '../secret-scanning.js';
+import { createAdminHandler } from '../handlers/key-admin.js';
+import { createMockKV } from './mock-kv.js';
+
+const HEX = '0123456789abcdef';
+const PEPPER = { id: 'pepper_registry', secret: 'p'.repeat(32) };
+
+/**
+ * True when fn throws an error whose message includes text
+ */
+function throwsWith(fn, text) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.message.includes(text);
+  }
+}
+
+async function rejectsWith(fn, text) {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return error.message.includes(text);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Registry
+    built_in_prefixes: { pass: false },
+    registerEnvironment_validates: { pass: false },
+    registerKeyPrefix_definition: { pass: false },
+    registerKeyPrefix_rejects: { pass: false },
+    configureKeyRegistry_json: { pass: false },
+
+    // Key format
+    generateKey_custom_prefix: { pass: false },
+    generateKey_allowed_environments: { pass: false },
+    validateKeyFormat_custom_prefix: { pass: false },
+    validateKeyFormat_unregistered: { pass: false },
+
+    // SigningKeys
+    createSigningKey_default_scopes: { pass: false },
+    createSigningKey_publishable_no_signing: { pass: false },
+    rotation_keeps_prefix: { pass: false },
+    keypair_custom_environment: { pass: false },
+
+    // Consumers
+    policy_scope_custom_environment: { pass: false },
+    scanning_patterns_secret_only: { pass: false },
+    worker_handlers_load_registry: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Registry
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const builtIns = listKeyPrefixes();
+    results.built_in_prefixes.pass =
+      builtIns.map(definition => definition.prefix).join() === VALID_PREFIXES.join() &&
+      builtIns.every(definition => definition.builtIn && definition.environments === null && definition.defaultScopes === null) &&
+      getKeyPrefix('sk').kind === PREFIX_KINDS.SECRET &&
+      getKeyPrefix('PK').kind === PREFIX_KINDS.PUBLISHABLE &&
+      getKeyPrefix('sk').profile === KEY_PROFILES.sk &&
+      getKeyPrefix('whsec') === null &&
+      listEnvironments().join() === VALID_ENVIRONMENTS.join();
+
+    results.registerEnvironment_validates.pass =
+      registerEnvironment('sandbox').includes('sandbox') &&
+      registerEnvironment('sandbox').filter(env => env === 'sandbox').length === 1 &&
+      ['Sandbox', 'sand_box', 's', '9lives', ''].every(name => throwsWith(() => registerEnvironment(name), 'Invalid environment name'));
+
+    const whsec = registerKeyPrefix('whsec', {
+      environments: ['live', 'sandbox'],
+      defaultScopes: ['webhooks:sign', 'webhooks:sign']
+    });
+    results.registerKeyPrefix_definition.pass =
+      Object.isFrozen(whsec) &&
+      whsec.kind === PREFIX_KINDS.SECRET &&
+      whsec.environments.join() === 'live,sandbox' &&
+      whsec.defaultScopes.join() === 'webhooks:sign' &&
+      whsec.profile.length === 32 &&
+      whsec.builtIn === false &&
+      getKeyPrefix('whsec') === whsec &&
+      listKeyPrefixes().at(-1) === whsec;
+
+    results.registerKeyPrefix_rejects.pass =
+      throwsWith(() => registerKeyPrefix('whsec'), 'already registered') &&
+      throwsWith(() => registerKeyPrefix('sk'), 'already registered') &&
+      throwsWith(() => registerKeyPrefix('wh_sec'), 'Invalid prefix name') &&
+      throwsWith(() => registerKeyPrefix('WH'), 'Invalid prefix name') &&
+      throwsWith(() => registerKeyPrefix('rk', { kind: 'private' }), 'Invalid prefix kind') &&
+      throwsWith(() => registerKeyPrefix('rk', { environments: ['qa'] }), 'Unknown environment: qa') &&
+      throwsWith(() => registerKeyPrefix('rk', { environments: [] }), 'non-empty array') &&
+      throwsWith(() => registerKeyPrefix('rk', { defaultScopes: ['webhooks'] }), 'Invalid scope') &&
+      throwsWith(() => registerKeyPrefix('rk', { profile: { length: 16 } }), 'entropy') &&
+      getKeyPrefix('rk') === null;
+
+    configureKeyRegistry(JSON.stringify({
+      environments: ['preview'],
+      prefixes: {
+        pub: { kind: 'publishable' },
+        hx: { environments: ['preview'], profile: { length: 40, alphabet: HEX } },
+        whsec: { kind: 'publishable' }
+      }
+    }));
+    results.configureKeyRegistry_json.pass =
+      listEnvironments().includes('preview') &&
+      getKeyPrefix('pub').kind === PREFIX_KINDS.PUBLISHABLE &&
+      getKeyPrefix('hx').profile.alphabet === HEX &&
+      getKeyPrefix('whsec') === whsec &&
+      configureKeyRegistry(undefined).length === listKeyPrefixes().length &&
+      throwsWith(() => configureKeyRegistry('{not json'), 'valid JSON') &&
+      throwsWith(() => configureKeyRegistry('[]'), 'must be an object');
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Key format
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const webhookKey = generateKey('whsec', 'sandbox');
+    const hexKey = generateKey('hx', 'preview');
+    results.generateKey_custom_prefix.pass =
+      webhookKey.startsWith('whsec_sandbox_') &&
+      webhookKey.length === 'whsec_sandbox_'.length + 32 + KEY_CHECKSUM_LENGTH &&
+      /^hx_preview_[0-9a-f]{40}[0-9A-Za-z]{6}$/.test(hexKey) &&
+      generateKey('sk', 'sandbox').startsWith('sk_sandbox_');
+
+    results.generateKey_allowed_environments.pass =
+      throwsWith(() => generateKey('whsec', 'test'), 'not allowed for whsec keys. Allowed: live, sandbox') &&
+      throwsWith(() => generateKey('hx', 'live'), 'not allowed for hx keys') &&
+      throwsWith(() => generateKey('whsec', 'qa'), 'Invalid environment: qa') &&
+      throwsWith(() => generateKey('rk', 'live'), 'Invalid prefix: rk. Valid: sk, pk, ak, tk, whsec');
+
+    const parsed = validateKeyFormat(webhookKey);
+    results.validateKeyFormat_custom_prefix.pass =
+      parsed.valid === true &&
+      parsed.parts.prefix === 'whsec' &&
+      parsed.parts.environment === 'sandbox' &&
+      parsed.parts.kind === PREFIX_KINDS.SECRET &&
+      validateKeyFormat(hexKey).valid === true &&
+      validateKeyFormat(generateKey('pub', 'live')).parts.kind === PREFIX_KINDS.PUBLISHABLE &&
+      validateKeyFormat(generateKey('sk', 'live')).parts.kind === PREFIX_KINDS.SECRET;
+
+    // Well-formed keys whose prefix or environment is not (or no longer) allowed
+    const testWebhookKey = webhookKey.replace('_sandbox_', '_test_');
+    results.validateKeyFormat_unregistered.pass =
+      validateKeyFormat(testWebhookKey).error.includes('not allowed for whsec keys') &&
+      validateKeyFormat(webhookKey.replace('whsec_', 'rk_')).error.startsWith('Invalid prefix: rk') &&
+      validateKeyFormat(webhookKey.replace('_sandbox_', '_qa_')).error.startsWith('Invalid environment: qa') &&
+      validateKeyFormat(testWebhookKey).parts === null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // SigningKeys
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const { signingKey: webhookSigningKey, plaintextKey } = await createSigningKey({ prefix: 'whsec', environment: 'sandbox' });
+    const { signingKey: narrowed } = await createSigningKey({ prefix: 'whsec', scopes: ['webhooks:read'] });
+    const { signingKey: unrestricted } = await createSigningKey({ prefix: 'sk' });
+    results.createSigningKey_default_scopes.pass =
+      plaintextKey.startsWith('whsec_sandbox_') &&
+      webhookSigningKey.metadata.prefix === 'whsec' &&
+      webhookSigningKey.scopes.join() === 'webhooks:sign' &&
+      !Object.isFrozen(webhookSigningKey.scopes) &&
+      narrowed.scopes.join() === 'webhooks:read' &&
+      unrestricted.scopes === null &&
+      unrestricted.metadata.prefix === 'sk' &&
+      await rejectsWith(() => createSigningKey({ prefix: 'whsec', environment: 'test' }), 'not allowed for whsec keys');
+
+    const { signingKey: publishable } = await createSigningKey({ prefix: 'pk' });
+    results.createSigningKey_publishable_no_signing.pass =
+      publishable.requestSigningSecret === null &&
+      await rejectsWith(() => createSigningKey({ prefix: 'pk', requestSigning: true }), 'publishable') &&
+      await rejectsWith(() => createSigningKey({ prefix: 'pub', requestSigning: true }), 'publishable') &&
+      (await createSigningKey({ prefix: 'whsec', requestSigning: true, pepper: PEPPER })).signingKey.requestSigningSecret !== null;
+
+    const rotation = await rotateSigningKey(webhookSigningKey);
+    results.rotation_keeps_prefix.pass =
+      rotation.plaintextKey.startsWith('whsec_sandbox_') &&
+      rotation.newKey.metadata.prefix === 'whsec' &&
+      rotation.newKey.scopes.join() === 'webhooks:sign' &&
+      // Keys stored before prefixes were recorded rotate as sk
+      (await rotateSigningKey({ ...unrestricted, metadata: { ...unrestricted.metadata, prefix: undefined } }))
+        .plaintextKey.startsWith('sk_live_');
+
+    const { signingKey: keypair } = await createSigningKey({ keyType: 'Ed25519', environment: 'sandbox' });
+    results.keypair_custom_environment.pass =
+      keypair.metadata.environment === 'sandbox' &&
+      keypair.metadata.prefix === undefined &&
+      await rejectsWith(() => createSigningKey({ keyType: 'Ed25519', environment: 'qa' }), 'Invalid environment: qa');
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Consumers
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.policy_scope_custom_environment.pass =
+      parsePolicyScope('env:sandbox').id === 'sandbox' &&
+      throwsWith(() => parsePolicyScope('env:qa'), 'Invalid environment: qa');
+
+    const patterns = secretScanningPatterns();
+    const webhookPattern = patterns.find(pattern => pattern.type === 'key_rotator_whsec_key');
+    results.scanning_patterns_secret_only.pass =
+      patterns.map(pattern => pattern.type).join() ===
+        ['sk', 'ak', 'tk', 'whsec', 'hx'].map(prefix => `key_rotator_${prefix}_key`).join() &&
+      new RegExp(webhookPattern.regex).exec(`WEBHOOK_SECRET=${webhookKey}`)?.[0] === webhookKey &&
+      !new RegExp(webhookPattern.regex).test(testWebhookKey) &&
+      new RegExp(patterns[0].regex).test(generateKey('sk', 'preview'));
+
+    // Worker entry points register what env.KEY_ROTATOR_KEY_REGISTRY declares
+    const workerEnv = {
+      KEY_STORE: createMockKV(),
+      ADMIN_API_KEY: 'static-admin-key-for-tests',
+      KEY_ROTATOR_KEY_REGISTRY: JSON.stringify({ environments: ['edge'], prefixes: { rk: { environments: ['edge'] } } })
+    };
+    const unknownBefore = getKeyPrefix('rk') === null;
+    const adminHandler = createAdminHandler();
+    const createdResponse = await adminHandler(new Request('https://admin.example.com/keys', {
+      method: 'POST',
+      headers: { 'X-API-Key': workerEnv.ADMIN_API_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prefix: 'rk', environment: 'edge' })
+    }), workerEnv, {});
+    const created = await createdResponse.json();
+    const patternsResponse = await createSecretScanningHandler()(
+      new Request(`https://api.example.com${SECRET_SCANNING_PATHS.PATTERNS}`), workerEnv, {}
+    );
+    const brokenResponse = await adminHandler(new Request('https://admin.example.com/keys'), {
+      ...workerEnv,
+      KEY_ROTATOR_KEY_REGISTRY: '{not json'
+    }, {});
+    results.worker_handlers_load_registry.pass =
+      unknownBefore &&
+      createdResponse.status === 201 &&
+      created.data.plaintextKey.startsWith('rk_edge_') &&
+      (await patternsResponse.json()).some(pattern => pattern.type === 'key_rotator_rk_key') &&
+      brokenResponse.status === 500 &&
+      (await brokenResponse.json()).code === 'ADMIN_NOT_CONFIGURED';
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY PREFIX REGISTRY - PREFIXES AND ENVIRONMENTS TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Registry': ['built_in_prefixes', 'registerEnvironment_validates', 'registerKeyPrefix_definition', 'registerKeyPrefix_rejects', 'configureKeyRegistry_json'],
+    'Key Format': ['generateKey_custom_prefix', 'generateKey_allowed_environments', 'validateKeyFormat_custom_prefix', 'validateKeyFormat_unregistered'],
+    'SigningKeys': ['createSigningKey_default_scopes', 'createSigningKey_publishable_no_signing', 'rotation_keeps_prefix', 'keypair_custom_environment'],
+    'Consumers': ['policy_scope_custom_environment', 'scanning_patterns_secret_only', 'worker_handlers_load_registry']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        const details = result.details ? ` (${JSON.stringify(result.details)})` : '';
+        console.log(`     ${status} ${testName}${details}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,256 @@
+/**
+ * Key Profile Test
+ * ================
+ *
+ * Tests per-prefix key profiles (length, alphabet, entropy floor) and checks
+ * generated key material statistically for uniformity.
+ * Run: node src/tests/key-profile-test.js
+ */
+
+import {
+  BASE62_ALPHABET,
+  KEY_CHECKSUM_LENGTH,
+  KEY_PROFILES,
+  MIN_KEY_ENTROPY_BITS,
+  VALID_PREFIXES,
+  createSigningKey,
+  generateKey,
+  generateRandomString,
+  keyEntropyBits,
+  keyProfileFor,
+  normalizeKeyProfile,
+  validateKeyFormat
+} from '../key-rotator.js';
+
+import { secretScanningPatterns } from '../secret-scanning.js';
+
+const HEX = '0123456789abcdef';
+
+/**
+ * Pearson chi-square statistic of character counts against a uniform alphabet
+ */
+function chiSquare(samples, alphabet) {
+  const counts = new Map([...alphabet].map(char => [char, 0]));
+  let total = 0;
+  for (const sample of samples) {
+    for (const char of sample) {
+      counts.set(char, counts.get(char) + 1);
+      total++;
+    }
+  }
+  const expected = total / alphabet.length;
+  let statistic = 0;
+  for (const count of counts.values()) {
+    statistic += (count - expected) ** 2 / expected;
+  }
+  return statistic;
+}
+
+/**
+ * Chi-square value exceeded with probability ~1e-6 (Wilson-Hilferty approximation)
+ */
+function chiSquareCritical(degreesOfFreedom) {
+  const z = 4.75;
+  const k = degreesOfFreedom;
+  return k * (1 - 2 / (9 * k) + z * Math.sqrt(2 / (9 * k))) ** 3;
+}
+
+/**
+ * The pre-rejection-sampling generator, kept to show the test detects bias
+ */
+function moduloBiasedString(length, alphabet) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Profiles
+    default_profiles: { pass: false },
+    normalizeKeyProfile_rejects: { pass: false },
+    entropy_floor_boundary: { pass: false },
+    generateKey_custom_profile: { pass: false },
+    generateKey_rejects_weak_profile: { pass: false },
+    validateKeyFormat_profile_alphabet: { pass: false },
+    createSigningKey_key_profiles: { pass: false },
+    scanning_patterns_follow_profiles: { pass: false },
+
+    // Statistics
+    uniform_base62_characters: { pass: false },
+    uniform_first_position: { pass: false },
+    uniform_large_alphabet: { pass: false },
+    detects_modulo_bias: { pass: false },
+    no_repeated_keys: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Profiles
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.default_profiles.pass =
+      VALID_PREFIXES.every(prefix =>
+        KEY_PROFILES[prefix].length === 32 &&
+        KEY_PROFILES[prefix].alphabet === BASE62_ALPHABET &&
+        keyEntropyBits(KEY_PROFILES[prefix]) > 190
+      ) &&
+      Object.isFrozen(KEY_PROFILES.sk) &&
+      keyProfileFor('sk', { pk: { length: 40, alphabet: HEX } }) === KEY_PROFILES.sk;
+
+    const badProfiles = [
+      null,
+      { length: 20 },
+      { length: 0, alphabet: HEX },
+      { length: 129, alphabet: HEX },
+      { length: 32.5 },
+      { length: 64, alphabet: 'aab' },
+      { length: 64, alphabet: 'ab_cd' },
+      { length: 200, alphabet: 'a' }
+    ];
+    results.normalizeKeyProfile_rejects.pass = badProfiles.every(profile => {
+      try {
+        normalizeKeyProfile(profile);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+
+    let hex31Threw = false;
+    try {
+      normalizeKeyProfile({ length: 31, alphabet: HEX });
+    } catch (error) {
+      hex31Threw = error.message.includes(`${MIN_KEY_ENTROPY_BITS}`);
+    }
+    results.entropy_floor_boundary.pass =
+      keyEntropyBits(normalizeKeyProfile({ length: 32, alphabet: HEX })) === MIN_KEY_ENTROPY_BITS &&
+      normalizeKeyProfile({ length: 22 }).alphabet === BASE62_ALPHABET &&
+      hex31Threw;
+
+    const hexProfiles = { ak: { length: 40, alphabet: HEX } };
+    const hexKey = generateKey('ak', 'test', { keyProfiles: hexProfiles });
+    const hexRandom = hexKey.slice('ak_test_'.length, -KEY_CHECKSUM_LENGTH);
+    const hexParsed = validateKeyFormat(hexKey, { keyProfiles: hexProfiles });
+    results.generateKey_custom_profile.pass =
+      /^[0-9a-f]{40}$/.test(hexRandom) &&
+      hexParsed.valid === true &&
+      hexParsed.parts.random === hexRandom &&
+      validateKeyFormat(hexKey).valid === false &&
+      generateKey('sk', 'test', { keyProfiles: hexProfiles }).length === 'sk_test_'.length + 32 + KEY_CHECKSUM_LENGTH;
+
+    let weakThrew = false;
+    try {
+      generateKey('sk', 'live', { keyProfiles: { sk: { length: 16 } } });
+    } catch {
+      weakThrew = true;
+    }
+    results.generateKey_rejects_weak_profile.pass = weakThrew;
+
+    // Right length and checksum-free, but a character outside the hex alphabet
+    const legacyHex = generateKey('ak', 'live', { keyProfiles: hexProfiles, checksum: false });
+    const outsideAlphabet = `${legacyHex.slice(0, -1)}z`;
+    const flipped = hexKey.slice(0, -1) + (hexKey.endsWith('a') ? 'b' : 'a');
+    results.validateKeyFormat_profile_alphabet.pass =
+      validateKeyFormat(legacyHex, { keyProfiles: hexProfiles }).valid === true &&
+      validateKeyFormat(outsideAlphabet, { keyProfiles: hexProfiles }).error.includes('alphabet') &&
+      validateKeyFormat(flipped, { keyProfiles: hexProfiles }).checksumMismatch === true;
+
+    const { plaintextKey } = await createSigningKey({ prefix: 'ak', keyProfiles: hexProfiles });
+    results.createSigningKey_key_profiles.pass =
+      plaintextKey.length === 'ak_live_'.length + 40 + KEY_CHECKSUM_LENGTH &&
+      validateKeyFormat(plaintextKey, { keyProfiles: hexProfiles }).valid === true;
+
+    const akPattern = secretScanningPatterns({ keyProfiles: hexProfiles }).find(p => p.type === 'key_rotator_ak_key');
+    results.scanning_patterns_follow_profiles.pass =
+      new RegExp(akPattern.regex).exec(`token=${hexKey};`)?.[0] === hexKey &&
+      !new RegExp(akPattern.regex).test(generateKey('ak', 'live'));
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Statistics
+    // ─────────────────────────────────────────────────────────────────────────
+
+    // 2000 keys x 32 characters: ~1032 of each base62 character expected
+    const randomParts = Array.from({ length: 2000 }, () =>
+      validateKeyFormat(generateKey('sk', 'live')).parts.random
+    );
+    const base62Statistic = chiSquare(randomParts, BASE62_ALPHABET);
+    results.uniform_base62_characters.pass = base62Statistic < chiSquareCritical(BASE62_ALPHABET.length - 1);
+    results.uniform_base62_characters.details = { chiSquare: Math.round(base62Statistic) };
+
+    // Every position is drawn independently - the first is as uniform as the whole
+    const firstStatistic = chiSquare(randomParts.map(part => part[0]), BASE62_ALPHABET);
+    results.uniform_first_position.pass = firstStatistic < chiSquareCritical(BASE62_ALPHABET.length - 1);
+
+    // 200 symbols: modulo reduction would favour the first 56 twofold
+    const wideAlphabet = Array.from({ length: 200 }, (_, i) => String.fromCharCode(0x100 + i)).join('');
+    const wideSamples = Array.from({ length: 100 }, () => generateRandomString(400, wideAlphabet));
+    results.uniform_large_alphabet.pass = chiSquare(wideSamples, wideAlphabet) < chiSquareCritical(wideAlphabet.length - 1);
+
+    const biasedSamples = Array.from({ length: 2000 }, () => moduloBiasedString(32, BASE62_ALPHABET));
+    const biasedStatistic = chiSquare(biasedSamples, BASE62_ALPHABET);
+    results.detects_modulo_bias.pass = biasedStatistic > chiSquareCritical(BASE62_ALPHABET.length - 1);
+    results.detects_modulo_bias.details = { chiSquare: Math.round(biasedStatistic) };
+
+    results.no_repeated_keys.pass = new Set(randomParts).size === randomParts.length;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY PROFILES - LENGTH, ALPHABET AND ENTROPY TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Profiles': ['default_profiles', 'normalizeKeyProfile_rejects', 'entropy_floor_boundary', 'generateKey_custom_profile', 'generateKey_rejects_weak_profile', 'validateKeyFormat_profile_alphabet', 'createSigningKey_key_profiles', 'scanning_patterns_follow_profiles'],
+    'Statistics': ['uniform_base62_characters', 'uniform_first_position', 'uniform_large_alphabet', 'detects_modulo_bias', 'no_repeated_keys']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        const details = result.details ? ` (${JSON.stringify(result.details)})` : '';
+        console.log(`     ${status} ${testName}${details}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
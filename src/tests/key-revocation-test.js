@@ -0,0 +1,292 @@
+/**
+ * Key Revocation Test
+ * ===================
+ *
+ * Tests the merchant kill switch against a mock KV namespace.
+ * Run: node src/tests/key-revocation-test.js
+ */
+
+import {
+  planMerchantRevocation,
+  revokeAllForMerchant,
+  listRevocations,
+  revocationKeyPattern
+} from '../key-revocation.js';
+
+import {
+  storeKey,
+  updateKey,
+  lookupByKeyId,
+  listMerchantKeys,
+  validateKey
+} from '../key-store-kv.js';
+
+import {
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  getSigningKeyStatus,
+  KEY_STATUS
+} from '../key-rotator.js';
+
+import { AUDIT_EVENTS, listAuditEvents } from '../audit-log.js';
+import { setRotationPolicy } from '../rotation-policy.js';
+import { createMockKV } from './mock-kv.js';
+
+const PEPPER = { id: 'pepper_rev', secret: 'r'.repeat(32) };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Planning
+    revocationKeyPattern_format: { pass: false },
+    plan_splits_destroyed: { pass: false },
+    plan_template_newest: { pass: false },
+
+    // Kill switch
+    revoke_requires_reason: { pass: false },
+    revoke_dry_run: { pass: false },
+    revoke_destroys_all: { pass: false },
+    revoke_other_merchants_untouched: { pass: false },
+    revoke_audits_each_key: { pass: false },
+    revoke_writes_record: { pass: false },
+    revoke_stale_key_retried: { pass: false },
+
+    // Replacement
+    revoke_issues_replacement: { pass: false },
+    revoke_no_replacement_without_keys: { pass: false },
+    revoke_replacement_follows_policy: { pass: false },
+    revoke_records_replacement_failure: { pass: false }
+  };
+
+  try {
+    const MERCHANT = 'merchant_breach';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Planning
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.revocationKeyPattern_format.pass =
+      revocationKeyPattern(MERCHANT, 42, 'rev_x') === 'revocation:merchant_breach:0000000000042:rev_x';
+
+    const { signingKey: older } = await createSigningKey({ merchantId: MERCHANT });
+    const { signingKey: newer } = await createSigningKey({
+      merchantId: MERCHANT,
+      environment: 'test',
+      scopes: ['keys:read'],
+      requestSigning: true,
+      pepper: PEPPER
+    });
+    newer.createdAt = older.createdAt + 1000;
+    const { signingKey: goneBase } = await createSigningKey({ merchantId: MERCHANT });
+    const gone = destroySigningKey(goneBase);
+
+    const plan = planMerchantRevocation([older, gone, newer]);
+    results.plan_splits_destroyed.pass =
+      plan.toDestroy.length === 2 &&
+      plan.skipped.length === 1 &&
+      plan.skipped[0].keyId === gone.keyId &&
+      planMerchantRevocation(null).toDestroy.length === 0;
+
+    results.plan_template_newest.pass =
+      plan.template.keyId === newer.keyId &&
+      planMerchantRevocation([gone]).template === null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Kill switch
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+    const deprecatedOlder = deprecateSigningKey(older);
+    await storeKey(KV, deprecatedOlder);
+    await storeKey(KV, newer);
+    await storeKey(KV, gone);
+    const { signingKey: bystander, plaintextKey: bystanderPk } = await createSigningKey({ merchantId: 'merchant_other' });
+    await storeKey(KV, bystander);
+
+    let missingReasonThrew = false;
+    try {
+      await revokeAllForMerchant(KV, MERCHANT, { reason: '  ' });
+    } catch {
+      missingReasonThrew = true;
+    }
+    let missingMerchantThrew = false;
+    try {
+      await revokeAllForMerchant(KV, '', { reason: 'breach' });
+    } catch {
+      missingMerchantThrew = true;
+    }
+    results.revoke_requires_reason.pass = missingReasonThrew && missingMerchantThrew;
+
+    const dryRun = await revokeAllForMerchant(KV, MERCHANT, { reason: 'breach', issueReplacement: true, dryRun: true });
+    results.revoke_dry_run.pass =
+      dryRun.dryRun === true &&
+      dryRun.destroyed.length === 2 &&
+      dryRun.skipped.length === 1 &&
+      dryRun.revocation === null &&
+      dryRun.replacement === null &&
+      getSigningKeyStatus(await lookupByKeyId(KV, newer.keyId)) === KEY_STATUS.ACTIVE &&
+      (await listRevocations(KV, MERCHANT)).length === 0;
+
+    const revoked = await revokeAllForMerchant(KV, MERCHANT, { reason: 'INC-1 breach', actor: 'oncall' });
+    const afterKeys = await listMerchantKeys(KV, MERCHANT);
+    results.revoke_destroys_all.pass =
+      revoked.destroyed.length === 2 &&
+      revoked.failed.length === 0 &&
+      revoked.replacement === null &&
+      afterKeys.length === 3 &&
+      afterKeys.every(key => getSigningKeyStatus(key) === KEY_STATUS.DESTROYED);
+
+    results.revoke_other_merchants_untouched.pass =
+      (await validateKey(KV, bystanderPk, { trackUsage: false })).valid === true;
+
+    const destroyedEvents = await listAuditEvents(KV, MERCHANT, { type: AUDIT_EVENTS.DESTROYED });
+    results.revoke_audits_each_key.pass =
+      destroyedEvents.length === 2 &&
+      destroyedEvents.every(event =>
+        event.actor === 'oncall' &&
+        event.details?.reason === 'INC-1 breach' &&
+        event.details?.revocationId === revoked.revocation.revocationId
+      );
+
+    const [record] = await listRevocations(KV, MERCHANT);
+    results.revoke_writes_record.pass =
+      record?.revocationId === revoked.revocation.revocationId &&
+      record.revocationId.startsWith('rev_') &&
+      record.reason === 'INC-1 breach' &&
+      record.actor === 'oncall' &&
+      record.destroyedKeyIds.length === 2 &&
+      record.replacementKeyId === null &&
+      (await listRevocations(KV, 'merchant_other')).length === 0;
+
+    // A key that changed after it was listed is re-read and still destroyed
+    const staleKV = createMockKV();
+    const { signingKey: moving } = await createSigningKey({ merchantId: MERCHANT });
+    await storeKey(staleKV, moving);
+    let raced = false;
+    const racingKV = { ...staleKV };
+    racingKV.get = async (name, options) => {
+      const value = await staleKV.get(name, options);
+      // Another writer updates the key right after the kill switch lists it
+      if (!raced && name === `key:${moving.keyId}` && value?.version === 1) {
+        raced = true;
+        await updateKey(staleKV, { ...value, metadata: { ...value.metadata, note: 'edited' } }, { audit: false });
+      }
+      return value;
+    };
+    const staleRun = await revokeAllForMerchant(racingKV, MERCHANT, { reason: 'race' });
+    results.revoke_stale_key_retried.pass =
+      raced &&
+      staleRun.failed.length === 0 &&
+      getSigningKeyStatus(await lookupByKeyId(staleKV, moving.keyId)) === KEY_STATUS.DESTROYED;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Replacement
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const replaceKV = createMockKV();
+    await storeKey(replaceKV, older);
+    await storeKey(replaceKV, newer);
+    const replaced = await revokeAllForMerchant(replaceKV, MERCHANT, { reason: 'breach', issueReplacement: true, pepper: PEPPER });
+    const replacement = replaced.replacement?.signingKey;
+    const replacementCheck = await validateKey(replaceKV, replaced.replacement?.plaintextKey, { peppers: [PEPPER], trackUsage: false });
+    results.revoke_issues_replacement.pass =
+      replacement?.metadata.merchantId === MERCHANT &&
+      replacement.metadata.environment === 'test' &&
+      JSON.stringify(replacement.scopes) === JSON.stringify(['keys:read']) &&
+      replacement.requestSigningSecret !== null &&
+      replacementCheck.valid === true &&
+      replaced.revocation.replacementKeyId === replacement.keyId &&
+      !JSON.stringify(replaced.revocation).includes(replaced.replacement.plaintextKey) &&
+      !replaced.destroyed.includes(replacement.keyId);
+
+    const emptyRun = await revokeAllForMerchant(createMockKV(), 'merchant_empty', { reason: 'breach', issueReplacement: true });
+    results.revoke_no_replacement_without_keys.pass =
+      emptyRun.destroyed.length === 0 &&
+      emptyRun.replacement === null &&
+      emptyRun.revocation.replacementKeyId === null;
+
+    // The merchant's policy lifetime beats the template's, within its bounds
+    const policyKV = createMockKV();
+    await storeKey(policyKV, older);
+    await setRotationPolicy(policyKV, `merchant:${MERCHANT}`, { ttlMs: 2 * 86400000, maxOverlapMs: 2 * 3600000 });
+    const policyRun = await revokeAllForMerchant(policyKV, MERCHANT, { reason: 'breach', issueReplacement: true });
+    const policyReplacement = policyRun.replacement?.signingKey;
+    results.revoke_replacement_follows_policy.pass =
+      older.rotationPolicy.overlapMs > 2 * 3600000 &&
+      policyReplacement?.rotationPolicy.ttlMs === 2 * 86400000 &&
+      policyReplacement.rotationPolicy.overlapMs === 2 * 3600000;
+
+    // A replacement that cannot be minted (signing template, no pepper) still leaves a record
+    const failKV = createMockKV();
+    await storeKey(failKV, newer);
+    const failRun = await revokeAllForMerchant(failKV, MERCHANT, { reason: 'breach', issueReplacement: true });
+    const [failRecord] = await listRevocations(failKV, MERCHANT);
+    results.revoke_records_replacement_failure.pass =
+      failRun.replacement === null &&
+      /pepper/.test(failRun.replacementError) &&
+      failRun.destroyed.includes(newer.keyId) &&
+      failRecord?.revocationId === failRun.revocation.revocationId &&
+      failRecord.replacementKeyId === null &&
+      failRecord.replacementError === failRun.replacementError;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY REVOCATION - MERCHANT KILL SWITCH TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Planning': ['revocationKeyPattern_format', 'plan_splits_destroyed', 'plan_template_newest'],
+    'Kill Switch': ['revoke_requires_reason', 'revoke_dry_run', 'revoke_destroys_all', 'revoke_other_merchants_untouched', 'revoke_audits_each_key', 'revoke_writes_record', 'revoke_stale_key_retried'],
+    'Replacement': ['revoke_issues_replacement', 'revoke_no_replacement_without_keys', 'revoke_replacement_follows_policy', 'revoke_records_replacement_failure']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -19,10 +19,10 @@ async function runTests() {
 
   // Group results by category
   const categories = {
-    'Utility Functions': ['generateKey_valid', 'generateKey_invalid_prefix', 'generateKey_invalid_env', 'generateKeyId', 'hashKey_valid', 'hashKey_deterministic', 'validateKeyFormat_valid', 'validateKeyFormat_invalid', 'formatDuration', 'clampOverlap_min', 'clampOverlap_max'],
-    'SigningKey Creation': ['createSigningKey_shape', 'createSigningKey_hash', 'createSigningKey_policy', 'createSigningKey_metadata', 'createSigningKey_custom_merchant', 'createSigningKey_custom_createdBy'],
-    'SigningKey Lifecycle': ['deprecate_sets_timestamp', 'deprecate_still_valid', 'deprecate_overlap_expires', 'destroy_sets_timestamp', 'destroy_immediately_invalid', 'status_transitions'],
-    'Rotation': ['needsRotation_active', 'needsRotation_expired', 'rotateSigningKey']
+    'Utility Functions': ['generateKey_valid', 'generateKey_invalid_prefix', 'generateKey_invalid_env', 'generateKeyId', 'hashKey_valid', 'hashKey_deterministic', 'hmacHashKey_valid', 'hmacHashKey_pepper_dependent', 'parsePeppers', 'hashKeyCandidates_order', 'validateKeyFormat_valid', 'validateKeyFormat_invalid', 'keyChecksum_crc32', 'validateKeyFormat_checksum', 'formatDuration', 'clampOverlap_min', 'clampOverlap_max'],
+    'SigningKey Creation': ['createSigningKey_shape', 'createSigningKey_hash', 'createSigningKey_policy', 'applyRotationPolicy_bounds', 'applyRotationPolicy_rejects_invalid', 'createSigningKey_metadata', 'createSigningKey_custom_merchant', 'createSigningKey_custom_createdBy', 'createSigningKey_pepper', 'createSigningKey_scopes', 'createSigningKey_invalid_scope', 'hasScopes_check'],
+    'SigningKey Lifecycle': ['deprecate_sets_timestamp', 'deprecate_still_valid', 'deprecate_overlap_expires', 'destroy_sets_timestamp', 'destroy_immediately_invalid', 'status_transitions', 'expired_after_overlap', 'transition_table', 'suspend_and_resume', 'suspendSigningKey_reason', 'resumeSigningKey_restores', 'revoke_is_terminal', 'revokeSigningKey_reason'],
+    'Rotation': ['needsRotation_active', 'needsRotation_expired', 'rotateSigningKey', 'rotateSigningKey_requires_pepper']
   };
 
   for (const [category, tests] of Object.entries(categories)) {
@@ -0,0 +1,301 @@
+/**
+ * Key Scheduler Test
+ * ==================
+ *
+ * Tests the auto-rotation engine against a mock KV namespace.
+ * Run: node src/tests/key-scheduler-test.js
+ */
+
+import {
+  findDueKeys,
+  rotateDueKeys,
+  createScheduledHandler
+} from '../key-scheduler.js';
+
+import {
+  storeKey,
+  updateKey,
+  lookupByKeyId,
+  listMerchantKeys
+} from '../key-store-kv.js';
+
+import {
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  getSigningKeyStatus,
+  KEY_STATUS
+} from '../key-rotator.js';
+
+import { AUDIT_EVENTS, listAuditEvents } from '../audit-log.js';
+
+import { createMockKV } from './mock-kv.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Pure selection
+    findDueKeys_selects_expired: { pass: false },
+    findDueKeys_skips_deprecated: { pass: false },
+    findDueKeys_invalid_input: { pass: false },
+
+    // KV sweep
+    rotateDueKeys_dry_run: { pass: false },
+    rotateDueKeys_rotates_expired: { pass: false },
+    rotateDueKeys_persists_old_key: { pass: false },
+    rotateDueKeys_persists_new_key: { pass: false },
+    rotateDueKeys_skips_fresh: { pass: false },
+    rotateDueKeys_idempotent: { pass: false },
+    rotateDueKeys_merchant_filter: { pass: false },
+    rotateDueKeys_onRotated: { pass: false },
+    rotateDueKeys_records_delivery: { pass: false },
+    rotateDueKeys_requires_delivery: { pass: false },
+    rotateDueKeys_delivery_failure_keeps_key: { pass: false },
+    rotateDueKeys_reports_orphaned_delivery: { pass: false },
+
+    // Worker integration
+    scheduled_handler_runs: { pass: false },
+    scheduled_handler_missing_binding: { pass: false }
+  };
+
+  try {
+    const now = Date.now();
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Pure selection
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const { signingKey: fresh } = await createSigningKey();
+    const expired = { ...fresh, keyId: 'key_expired1', expiresAt: now - 1000 };
+    const deprecatedExpired = { ...deprecateSigningKey(expired), keyId: 'key_expired2' };
+    const destroyedExpired = { ...destroySigningKey(expired), keyId: 'key_expired3' };
+
+    const due = findDueKeys([fresh, expired], now);
+    results.findDueKeys_selects_expired.pass =
+      due.length === 1 &&
+      due[0].keyId === 'key_expired1';
+
+    results.findDueKeys_skips_deprecated.pass =
+      findDueKeys([deprecatedExpired, destroyedExpired], now).length === 0;
+
+    results.findDueKeys_invalid_input.pass =
+      Array.isArray(findDueKeys(null)) &&
+      findDueKeys(null).length === 0;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // KV sweep
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+
+    const { signingKey: activeKey } = await createSigningKey({ merchantId: 'merchant_sched' });
+    const { signingKey: baseExpired } = await createSigningKey({
+      merchantId: 'merchant_sched',
+      environment: 'test'
+    });
+    const expiredKey = { ...baseExpired, expiresAt: now - 60000 };
+
+    await storeKey(KV, activeKey);
+    await storeKey(KV, expiredKey);
+
+    // Dry run reports but writes nothing
+    const dryReport = await rotateDueKeys(KV, { now, dryRun: true });
+    const afterDry = await lookupByKeyId(KV, expiredKey.keyId);
+    results.rotateDueKeys_dry_run.pass =
+      dryReport.dryRun === true &&
+      dryReport.due === 1 &&
+      dryReport.rotated[0].oldKeyId === expiredKey.keyId &&
+      afterDry.deprecatedAt === null;
+
+    // Real sweep
+    const delivered = [];
+    const report = await rotateDueKeys(KV, {
+      now,
+      onRotated: async (rotation) => {
+        delivered.push(rotation);
+        return { deliveryId: 'dlv_sched' };
+      }
+    });
+    results.rotateDueKeys_rotates_expired.pass =
+      report.checked === 2 &&
+      report.due === 1 &&
+      report.rotated.length === 1 &&
+      report.failed.length === 0 &&
+      report.rotated[0].oldKeyId === expiredKey.keyId;
+
+    const storedOld = await lookupByKeyId(KV, expiredKey.keyId);
+    results.rotateDueKeys_persists_old_key.pass =
+      storedOld !== null &&
+      getSigningKeyStatus(storedOld) === KEY_STATUS.DEPRECATED;
+
+    const newKeyId = report.rotated[0].newKeyId;
+    const storedNew = await lookupByKeyId(KV, newKeyId);
+    const merchantKeys = await listMerchantKeys(KV, 'merchant_sched');
+    results.rotateDueKeys_persists_new_key.pass =
+      storedNew !== null &&
+      storedNew.metadata.createdBy === 'auto-rotation' &&
+      storedNew.metadata.environment === 'test' &&
+      merchantKeys.some(k => k.keyId === newKeyId);
+
+    const storedActive = await lookupByKeyId(KV, activeKey.keyId);
+    results.rotateDueKeys_skips_fresh.pass =
+      storedActive.deprecatedAt === null;
+
+    // Second sweep has nothing to do
+    const secondReport = await rotateDueKeys(KV, { now });
+    results.rotateDueKeys_idempotent.pass =
+      secondReport.due === 0 &&
+      secondReport.rotated.length === 0;
+
+    // Merchant filter only touches that merchant
+    const { signingKey: otherBase } = await createSigningKey({ merchantId: 'merchant_other' });
+    await storeKey(KV, { ...otherBase, expiresAt: now - 1000 });
+    const filtered = await rotateDueKeys(KV, { now, merchantId: 'merchant_sched' });
+    const otherStored = await lookupByKeyId(KV, otherBase.keyId);
+    results.rotateDueKeys_merchant_filter.pass =
+      filtered.due === 0 &&
+      otherStored.deprecatedAt === null;
+
+    // onRotated receives the plaintext, report never does
+    results.rotateDueKeys_onRotated.pass =
+      delivered.length === 1 &&
+      delivered[0].newKey.keyId === newKeyId &&
+      typeof delivered[0].plaintextKey === 'string' &&
+      !JSON.stringify(report).includes(delivered[0].plaintextKey);
+
+    // The delivery the merchant collects the new key from is reported and audited
+    const [rotatedEvent] = await listAuditEvents(KV, 'merchant_sched', {
+      keyId: expiredKey.keyId,
+      type: AUDIT_EVENTS.ROTATED
+    });
+    results.rotateDueKeys_records_delivery.pass =
+      report.rotated[0].deliveryId === 'dlv_sched' &&
+      rotatedEvent?.details?.deliveryId === 'dlv_sched' &&
+      rotatedEvent.details.newKeyId === newKeyId;
+
+    // No delivery callback: the due key is reported and left active
+    const undelivered = await rotateDueKeys(KV, { now, merchantId: 'merchant_other' });
+    results.rotateDueKeys_requires_delivery.pass =
+      undelivered.due === 1 &&
+      undelivered.rotated.length === 0 &&
+      undelivered.skipped[0]?.keyId === otherBase.keyId &&
+      (await lookupByKeyId(KV, otherBase.keyId)).deprecatedAt === null;
+
+    // A failed delivery is not committed
+    const failedDelivery = await rotateDueKeys(KV, {
+      now,
+      merchantId: 'merchant_other',
+      onRotated: async () => { throw new Error('no recipient key'); }
+    });
+    results.rotateDueKeys_delivery_failure_keeps_key.pass =
+      failedDelivery.rotated.length === 0 &&
+      failedDelivery.failed[0]?.error === 'no recipient key' &&
+      (await lookupByKeyId(KV, otherBase.keyId)).deprecatedAt === null &&
+      (await listMerchantKeys(KV, 'merchant_other')).length === 1;
+
+    // The key changes while its replacement is being delivered: the rotation
+    // is not stored, and the delivery the merchant got is reported
+    const staleKV = createMockKV();
+    const { signingKey: staleBase } = await createSigningKey({ merchantId: 'merchant_stale' });
+    await storeKey(staleKV, { ...staleBase, expiresAt: now - 1000 });
+    const staleReport = await rotateDueKeys(staleKV, {
+      now,
+      onRotated: async ({ newKey }) => {
+        const current = await lookupByKeyId(staleKV, staleBase.keyId);
+        await updateKey(staleKV, { ...current, scopes: ['keys:read'] });
+        return { deliveryId: `dlv_${newKey.keyId}` };
+      }
+    });
+    const staleFailure = staleReport.failed[0];
+    results.rotateDueKeys_reports_orphaned_delivery.pass =
+      staleReport.rotated.length === 0 &&
+      staleFailure?.keyId === staleBase.keyId &&
+      staleFailure.error.includes('version') &&
+      staleFailure.orphaned?.deliveryId === `dlv_${staleFailure.orphaned.newKeyId}` &&
+      (await lookupByKeyId(staleKV, staleFailure.orphaned.newKeyId)) === null &&
+      (await lookupByKeyId(staleKV, staleBase.keyId)).deprecatedAt === null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Worker integration
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+
+    try {
+      const scheduled = createScheduledHandler({ onRotated: async () => {} });
+      const cronReport = await scheduled({ scheduledTime: now }, { KEY_STORE: KV }, {});
+      results.scheduled_handler_runs.pass =
+        cronReport !== null &&
+        cronReport.rotated.length === 1 &&
+        cronReport.rotated[0].oldKeyId === otherBase.keyId;
+
+      const skipped = await scheduled({ scheduledTime: now }, {}, {});
+      results.scheduled_handler_missing_binding.pass = skipped === null;
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+    }
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY SCHEDULER - AUTO-ROTATION TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Due Key Selection': ['findDueKeys_selects_expired', 'findDueKeys_skips_deprecated', 'findDueKeys_invalid_input'],
+    'KV Sweep': ['rotateDueKeys_dry_run', 'rotateDueKeys_rotates_expired', 'rotateDueKeys_persists_old_key', 'rotateDueKeys_persists_new_key', 'rotateDueKeys_skips_fresh', 'rotateDueKeys_idempotent', 'rotateDueKeys_merchant_filter', 'rotateDueKeys_onRotated', 'rotateDueKeys_records_delivery', 'rotateDueKeys_requires_delivery', 'rotateDueKeys_delivery_failure_keeps_key', 'rotateDueKeys_reports_orphaned_delivery'],
+    'Worker Integration': ['scheduled_handler_runs', 'scheduled_handler_missing_binding']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
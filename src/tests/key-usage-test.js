@@ -0,0 +1,257 @@
+/**
+ * Key Usage Test
+ * ==============
+ *
+ * Tests last-used tracking, rolling request counts and the debounced tracker.
+ * Run: node src/tests/key-usage-test.js
+ */
+
+import {
+  USAGE_BUCKET_MS,
+  USAGE_WINDOW_MS,
+  usageKeyPattern,
+  mergeUsage,
+  summarizeUsage,
+  isKeyInUse,
+  usageWarning,
+  getKeyUsage,
+  createUsageTracker
+} from '../key-usage.js';
+import { storeKey, validateKey, deleteKey } from '../key-store-kv.js';
+import { createSigningKey } from '../key-rotator.js';
+import { validateRequestWithRotation } from '../../auth.js';
+import { createMemoryAdapter } from '../adapters/memory-adapter.js';
+
+const HOUR = USAGE_BUCKET_MS;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Pure functions
+    usageKeyPattern_format: { pass: false },
+    mergeUsage_accumulates: { pass: false },
+    mergeUsage_drops_old_buckets: { pass: false },
+    summarizeUsage_window: { pass: false },
+    isKeyInUse_window: { pass: false },
+    usageWarning_message: { pass: false },
+
+    // Tracker
+    tracker_first_use_written: { pass: false },
+    tracker_debounced: { pass: false },
+    tracker_flush: { pass: false },
+    tracker_sampling: { pass: false },
+    tracker_invalid_sample_rate: { pass: false },
+
+    // Integration
+    validateKey_records_usage: { pass: false },
+    validateKey_invalid_not_recorded: { pass: false },
+    validateRequest_records_ip: { pass: false },
+    deleteKey_removes_usage: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Pure functions
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.usageKeyPattern_format.pass = usageKeyPattern('key_abc') === 'usage:key_abc';
+
+    const now = 100 * HOUR + 1234;
+    const thisHour = String(100 * HOUR);
+    const delta = { keyId: 'key_a', count: 2, lastUsedAt: now, lastUsedIp: '198.51.100.1', hourly: { [thisHour]: 2 } };
+    const merged = mergeUsage(
+      { keyId: 'key_a', lastUsedAt: now - HOUR, lastUsedIp: '198.51.100.9', total: 5, hourly: { [thisHour]: 1 } },
+      delta,
+      now
+    );
+    results.mergeUsage_accumulates.pass =
+      merged.total === 7 &&
+      merged.hourly[thisHour] === 3 &&
+      merged.lastUsedAt === now &&
+      merged.lastUsedIp === '198.51.100.1';
+
+    const stale = mergeUsage(
+      { keyId: 'key_a', lastUsedAt: now - USAGE_WINDOW_MS, lastUsedIp: null, total: 9, hourly: { [String(now - USAGE_WINDOW_MS - HOUR)]: 9 } },
+      delta,
+      now
+    );
+    results.mergeUsage_drops_old_buckets.pass =
+      Object.keys(stale.hourly).length === 1 &&
+      stale.total === 11;
+
+    const summary = summarizeUsage(merged, now + 23 * HOUR);
+    const later = summarizeUsage(merged, now + 25 * HOUR);
+    results.summarizeUsage_window.pass =
+      summary.requests24h === 3 &&
+      later.requests24h === 0 &&
+      later.total === 7 &&
+      summarizeUsage(null).lastUsedAt === null;
+
+    results.isKeyInUse_window.pass =
+      isKeyInUse(summary, { now: now + HOUR }) === true &&
+      isKeyInUse(summary, { now: now + 25 * HOUR }) === false &&
+      isKeyInUse(summary, { now: now + 2 * HOUR, withinMs: HOUR }) === false &&
+      isKeyInUse(summarizeUsage(null)) === false;
+
+    const warning = usageWarning(summary, { now: now + 2 * HOUR });
+    results.usageWarning_message.pass =
+      warning.includes('2h ago') &&
+      warning.includes('198.51.100.1') &&
+      warning.includes('3 request(s)') &&
+      usageWarning(summary, { now: now + 25 * HOUR }) === null;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Tracker
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMemoryAdapter();
+    const tracker = createUsageTracker({ debounceMs: 60000 });
+    const t0 = Date.now();
+
+    const firstWritten = await tracker.record(KV, 'key_t', { ip: '192.0.2.1', now: t0 });
+    results.tracker_first_use_written.pass =
+      firstWritten === true &&
+      (await getKeyUsage(KV, 'key_t', { now: t0 })).total === 1;
+
+    const secondWritten = await tracker.record(KV, 'key_t', { ip: '192.0.2.2', now: t0 + 1000 });
+    const thirdWritten = await tracker.record(KV, 'key_t', { ip: '192.0.2.3', now: t0 + 2000 });
+    const beforeDebounce = await getKeyUsage(KV, 'key_t', { now: t0 + 2000 });
+    const afterWritten = await tracker.record(KV, 'key_t', { ip: '192.0.2.4', now: t0 + 61000 });
+    const afterDebounce = await getKeyUsage(KV, 'key_t', { now: t0 + 61000 });
+    results.tracker_debounced.pass =
+      secondWritten === false && thirdWritten === false &&
+      beforeDebounce.total === 1 &&
+      afterWritten === true &&
+      afterDebounce.total === 4 &&
+      afterDebounce.lastUsedIp === '192.0.2.4' &&
+      afterDebounce.lastUsedAt === t0 + 61000;
+
+    // Flushing honours the debounce; force drains the buffer
+    await tracker.record(KV, 'key_t', { now: t0 + 62000 });
+    const pendingBefore = tracker.pendingCount();
+    const flushedEarly = await tracker.flush(KV, { now: t0 + 63000 });
+    const totalEarly = (await getKeyUsage(KV, 'key_t', { now: t0 + 63000 })).total;
+    const flushed = await tracker.flush(KV, { now: t0 + 121000 });
+    await tracker.record(KV, 'key_t', { now: t0 + 122000 });
+    const forced = await tracker.flush(KV, { now: t0 + 123000, force: true });
+    results.tracker_flush.pass =
+      pendingBefore === 1 &&
+      flushedEarly === 0 &&
+      totalEarly === 4 &&
+      flushed === 1 &&
+      forced === 1 &&
+      tracker.pendingCount() === 0 &&
+      (await getKeyUsage(KV, 'key_t', { now: t0 + 123000 })).total === 6;
+
+    const rolls = [0.1, 0.9, 0.2, 0.8];
+    const sampled = createUsageTracker({ debounceMs: 0, sampleRate: 0.5, random: () => rolls.shift() });
+    for (let i = 0; i < 4; i++) {
+      await sampled.record(KV, 'key_s', { now: t0 + i });
+    }
+    results.tracker_sampling.pass = (await getKeyUsage(KV, 'key_s', { now: t0 + 4 })).total === 4;
+
+    try {
+      createUsageTracker({ sampleRate: 0 });
+      results.tracker_invalid_sample_rate.pass = false;
+    } catch (e) {
+      results.tracker_invalid_sample_rate.pass = e.message.includes('sampleRate');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Integration
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const store = createMemoryAdapter();
+    const { signingKey, plaintextKey } = await createSigningKey({ merchantId: 'merchant_usage' });
+    await storeKey(store, signingKey);
+
+    const usageTracker = createUsageTracker({ debounceMs: 0 });
+    await validateKey(store, plaintextKey, { ip: '203.0.113.5', usageTracker });
+    await validateKey(store, plaintextKey, { usageTracker, trackUsage: false });
+    const afterValidate = await getKeyUsage(store, signingKey.keyId);
+    results.validateKey_records_usage.pass =
+      afterValidate.total === 1 &&
+      afterValidate.requests24h === 1 &&
+      afterValidate.lastUsedIp === '203.0.113.5';
+
+    const destroyedStore = createMemoryAdapter();
+    const destroyedKey = await createSigningKey({});
+    await storeKey(destroyedStore, { ...destroyedKey.signingKey, destroyedAt: Date.now() });
+    await validateKey(destroyedStore, destroyedKey.plaintextKey, { usageTracker });
+    results.validateKey_invalid_not_recorded.pass =
+      (await getKeyUsage(destroyedStore, destroyedKey.signingKey.keyId)).total === 0;
+
+    const request = new Request('https://api.example.com/', {
+      headers: { 'X-API-Key': plaintextKey, 'CF-Connecting-IP': '203.0.113.77' }
+    });
+    const auth = await validateRequestWithRotation(request, store, null, { usageTracker });
+    const afterRequest = await getKeyUsage(store, signingKey.keyId);
+    results.validateRequest_records_ip.pass =
+      auth.valid === true &&
+      afterRequest.total === 2 &&
+      afterRequest.lastUsedIp === '203.0.113.77';
+
+    await deleteKey(store, signingKey.keyId);
+    results.deleteKey_removes_usage.pass =
+      (await store.get(usageKeyPattern(signingKey.keyId))) === null;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  KEY USAGE - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Pure Functions': ['usageKeyPattern_format', 'mergeUsage_accumulates', 'mergeUsage_drops_old_buckets', 'summarizeUsage_window', 'isKeyInUse_window', 'usageWarning_message'],
+    'Tracker': ['tracker_first_use_written', 'tracker_debounced', 'tracker_flush', 'tracker_sampling', 'tracker_invalid_sample_rate'],
+    'Integration': ['validateKey_records_usage', 'validateKey_invalid_not_recorded', 'validateRequest_records_ip', 'deleteKey_removes_usage']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
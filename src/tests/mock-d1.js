@@ -0,0 +1,92 @@
+/**
+ * Mock D1 Database
+ * ================
+ *
+ * In-memory stand-in for a Cloudflare D1 binding. It only understands the
+ * statements issued by adapters/d1-adapter.js and throws on anything else,
+ * so an unexpected query fails the test instead of passing silently.
+ */
+
+/**
+ * Create a mock D1 database for testing
+ */
+function createMockD1() {
+  const tables = new Map();
+
+  function rows(table) {
+    if (!tables.has(table)) {
+      throw new Error(`no such table: ${table}`);
+    }
+    return tables.get(table);
+  }
+
+  function execute(sql, args) {
+    let match;
+
+    if ((match = /^CREATE TABLE IF NOT EXISTS (\w+) /.exec(sql))) {
+      if (!tables.has(match[1])) {
+        tables.set(match[1], new Map());
+      }
+      return { results: [] };
+    }
+
+    if ((match = /^SELECT value, expiration FROM (\w+) WHERE name = \?1$/.exec(sql))) {
+      const row = rows(match[1]).get(args[0]);
+      return { results: row ? [{ ...row }] : [] };
+    }
+
+    if ((match = /^INSERT INTO (\w+) \(name, value, expiration\) VALUES \(\?1, \?2, \?3\) ON CONFLICT\(name\) DO UPDATE/.exec(sql))) {
+      rows(match[1]).set(args[0], { name: args[0], value: args[1], expiration: args[2] ?? null });
+      return { results: [] };
+    }
+
+    if ((match = /^DELETE FROM (\w+) WHERE name = \?1$/.exec(sql))) {
+      rows(match[1]).delete(args[0]);
+      return { results: [] };
+    }
+
+    if ((match = /^SELECT name, expiration FROM (\w+) WHERE substr\(name, 1, \?1\) = \?2 AND name > \?3 AND \(expiration IS NULL OR expiration > \?4\) ORDER BY name LIMIT \?5$/.exec(sql))) {
+      const [prefixLength, prefix, after, nowSeconds, limit] = args;
+      const results = [...rows(match[1]).values()]
+        .filter(row => row.name.slice(0, prefixLength) === prefix && row.name > after)
+        .filter(row => row.expiration === null || row.expiration > nowSeconds)
+        .sort((a, b) => (a.name < b.name ? -1 : 1))
+        .slice(0, limit)
+        .map(row => ({ name: row.name, expiration: row.expiration }));
+      return { results };
+    }
+
+    throw new Error(`Mock D1 does not support: ${sql}`);
+  }
+
+  function statement(sql, args = []) {
+    return {
+      bind(...values) {
+        return statement(sql, values);
+      },
+      async first() {
+        return execute(sql, args).results[0] || null;
+      },
+      async run() {
+        execute(sql, args);
+        return { success: true };
+      },
+      async all() {
+        return { success: true, results: execute(sql, args).results };
+      }
+    };
+  }
+
+  return {
+    prepare(sql) {
+      return statement(sql);
+    },
+
+    // Test helper: raw rows of a table
+    _getRows(table) {
+      return rows(table);
+    }
+  };
+}
+
+export { createMockD1 };
@@ -0,0 +1,59 @@
+/**
+ * Mock KV Namespace
+ * =================
+ * 
+ * In-memory stand-in for a Cloudflare KV namespace, shared by the test runners.
+ */
+
+/**
+ * Create a mock KV namespace for testing
+ */
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    async get(key, options = {}) {
+      const value = store.get(key);
+      if (!value) return null;
+
+      if (options.type === 'json') {
+        try {
+          return JSON.parse(value);
+        } catch {
+          return null;
+        }
+      }
+      return value;
+    },
+
+    async put(key, value) {
+      store.set(key, value);
+    },
+
+    async delete(key) {
+      store.delete(key);
+    },
+
+    async list({ prefix = '', cursor = null } = {}) {
+      const keys = [];
+      for (const key of store.keys()) {
+        if (key.startsWith(prefix)) {
+          keys.push({ name: key });
+        }
+      }
+      return { keys, list_complete: true, cursor: null };
+    },
+
+    // Test helper: get raw store
+    _getStore() {
+      return store;
+    },
+
+    // Test helper: clear store
+    _clear() {
+      store.clear();
+    }
+  };
+}
+
+export { createMockKV };
@@ -0,0 +1,229 @@
+/**
+ * Rate Limiter Test
+ * =================
+ *
+ * Tests the failed-authentication lockout on its own and wired into
+ * validateRequestWithRotation.
+ * Run: node src/tests/rate-limiter-test.js
+ */
+
+import {
+  RATE_LIMIT_DEFAULTS,
+  rateLimitKeyPattern,
+  rateLimitIdentifiers,
+  addFailure,
+  createRateLimiter
+} from '../rate-limiter.js';
+import { AUTH_ERROR_CODES, validateRequestWithRotation } from '../../auth.js';
+import { createSigningKey } from '../key-rotator.js';
+import { storeKey } from '../key-store-kv.js';
+import { createMemoryAdapter } from '../adapters/memory-adapter.js';
+
+const LIMITS = { maxFailures: 3, windowMs: 60000, lockoutMs: 120000 };
+
+/**
+ * Request presenting an API key from a client IP
+ */
+function makeRequest(apiKey, ip) {
+  const headers = { 'X-API-Key': apiKey };
+  if (ip) {
+    headers['CF-Connecting-IP'] = ip;
+  }
+  return new Request('https://api.example.com/', { headers });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Pure functions
+    identifiers_ip_and_prefix: { pass: false },
+    addFailure_sliding_window: { pass: false },
+    addFailure_locks_at_max: { pass: false },
+
+    // Limiter
+    limiter_defaults: { pass: false },
+    limiter_invalid_options: { pass: false },
+    limiter_lockout_and_expiry: { pass: false },
+    limiter_reset: { pass: false },
+
+    // validateRequestWithRotation
+    auth_locks_ip_after_failures: { pass: false },
+    auth_locks_key_prefix: { pass: false },
+    auth_valid_not_counted: { pass: false },
+    auth_fails_open: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Pure functions
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const ids = rateLimitIdentifiers(makeRequest('sk_live_abcdefghijklmnop', '192.0.2.10'), 'sk_live_abcdefghijklmnop');
+    results.identifiers_ip_and_prefix.pass =
+      ids.join() === 'ip:192.0.2.10,prefix:sk_live_abcd' &&
+      rateLimitIdentifiers(makeRequest('x'), 'sk_test_1234zzzz').join() === 'prefix:sk_test_1234' &&
+      rateLimitKeyPattern('ip:192.0.2.10') === 'ratelimit:ip:192.0.2.10';
+
+    const t0 = 1_000_000;
+    let record = addFailure(null, LIMITS, t0);
+    record = addFailure(record, LIMITS, t0 + 10000);
+    const slid = addFailure(record, LIMITS, t0 + 65000);
+    results.addFailure_sliding_window.pass =
+      slid.failures.length === 2 &&
+      slid.lockedUntil === null;
+
+    const locked = addFailure(record, LIMITS, t0 + 20000);
+    results.addFailure_locks_at_max.pass =
+      locked.lockedUntil === t0 + 20000 + LIMITS.lockoutMs &&
+      addFailure(locked, LIMITS, t0 + 30000).failures.length === LIMITS.maxFailures;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Limiter
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.limiter_defaults.pass =
+      createRateLimiter(createMemoryAdapter()).limits.maxFailures === RATE_LIMIT_DEFAULTS.maxFailures;
+
+    try {
+      createRateLimiter(createMemoryAdapter(), { maxFailures: 0 });
+      results.limiter_invalid_options.pass = false;
+    } catch (e) {
+      results.limiter_invalid_options.pass = e.message.includes('maxFailures');
+    }
+
+    let clock = Date.now();
+    const store = createMemoryAdapter({ now: () => clock });
+    const limiter = createRateLimiter(store, LIMITS);
+    const first = await limiter.recordFailure(['ip:a'], clock);
+    await limiter.recordFailure(['ip:a'], clock + 1000);
+    const third = await limiter.recordFailure(['ip:a'], clock + 2000);
+    const during = await limiter.check(['ip:b', 'ip:a'], clock + 62000);
+    const after = await limiter.check(['ip:a'], clock + 2000 + LIMITS.lockoutMs);
+    clock += 2000 + LIMITS.lockoutMs + 1000;
+    results.limiter_lockout_and_expiry.pass =
+      first.limited === false &&
+      third.limited === true && third.retryAfterSeconds === 120 &&
+      during.limited === true && during.identifier === 'ip:a' && during.retryAfterSeconds === 60 &&
+      after.limited === false &&
+      (await store.get(rateLimitKeyPattern('ip:a'))) === null;
+
+    for (let i = 0; i < 3; i++) {
+      await limiter.recordFailure(['ip:c']);
+    }
+    const lockedBeforeReset = (await limiter.check(['ip:c'])).limited;
+    await limiter.reset(['ip:c']);
+    results.limiter_reset.pass =
+      lockedBeforeReset === true &&
+      (await limiter.check(['ip:c'])).limited === false;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // validateRequestWithRotation
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMemoryAdapter();
+    const { signingKey, plaintextKey } = await createSigningKey({ merchantId: 'merchant_rl' });
+    await storeKey(KV, signingKey);
+    const rateLimiter = createRateLimiter(createMemoryAdapter(), LIMITS);
+
+    const guesses = [];
+    for (let i = 0; i < 3; i++) {
+      guesses.push(await validateRequestWithRotation(
+        makeRequest(`sk_live_guess_${i}`, '198.51.100.66'), KV, null, { rateLimiter }));
+    }
+    const blocked = await validateRequestWithRotation(makeRequest(plaintextKey, '198.51.100.66'), KV, null, { rateLimiter });
+    const otherIp = await validateRequestWithRotation(makeRequest(plaintextKey, '198.51.100.67'), KV, null, { rateLimiter });
+    results.auth_locks_ip_after_failures.pass =
+      guesses.every(g => g.code === AUTH_ERROR_CODES.INVALID_KEY) &&
+      blocked.valid === false &&
+      blocked.code === AUTH_ERROR_CODES.RATE_LIMITED &&
+      blocked.retryAfter === 120 &&
+      otherIp.valid === true;
+
+    const prefixLimiter = createRateLimiter(createMemoryAdapter(), LIMITS);
+    for (let i = 0; i < 3; i++) {
+      await validateRequestWithRotation(makeRequest(`sk_test_zzzz${i}bbbbbbbbbbbbbbbbbbbbbbbbbbb`, `203.0.113.${i}`), KV, null, { rateLimiter: prefixLimiter });
+    }
+    const prefixBlocked = await validateRequestWithRotation(makeRequest('sk_test_zzzz9ccccccccccccccccccccccccccc', '203.0.113.50'), KV, null, { rateLimiter: prefixLimiter });
+    results.auth_locks_key_prefix.pass = prefixBlocked.code === AUTH_ERROR_CODES.RATE_LIMITED;
+
+    const quietLimiter = createRateLimiter(createMemoryAdapter(), LIMITS);
+    for (let i = 0; i < 5; i++) {
+      await validateRequestWithRotation(makeRequest(plaintextKey, '192.0.2.99'), KV, null, { rateLimiter: quietLimiter });
+    }
+    const stillValid = await validateRequestWithRotation(makeRequest(plaintextKey, '192.0.2.99'), KV, null, { rateLimiter: quietLimiter });
+    results.auth_valid_not_counted.pass = stillValid.valid === true;
+
+    const brokenStore = {
+      async get() { throw new Error('store down'); },
+      async put() { throw new Error('store down'); },
+      async delete() {},
+      async list() { return { keys: [], list_complete: true, cursor: null }; }
+    };
+    const originalError = console.error;
+    console.error = () => {};
+    const failOpen = await validateRequestWithRotation(makeRequest(plaintextKey, '192.0.2.1'), KV, null, {
+      rateLimiter: createRateLimiter(brokenStore, LIMITS)
+    });
+    console.error = originalError;
+    results.auth_fails_open.pass = failOpen.valid === true;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  RATE LIMITER - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Pure Functions': ['identifiers_ip_and_prefix', 'addFailure_sliding_window', 'addFailure_locks_at_max'],
+    'Limiter': ['limiter_defaults', 'limiter_invalid_options', 'limiter_lockout_and_expiry', 'limiter_reset'],
+    'validateRequestWithRotation': ['auth_locks_ip_after_failures', 'auth_locks_key_prefix', 'auth_valid_not_counted', 'auth_fails_open']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
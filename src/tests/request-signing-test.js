@@ -0,0 +1,310 @@
+/**
+ * Request Signing Test
+ * ====================
+ *
+ * Tests the KR-HMAC-SHA256 request-signing scheme on its own and wired into
+ * validateRequestWithRotation.
+ * Run: node src/tests/request-signing-test.js
+ */
+
+import {
+  REQUEST_SIGNING_SCHEME,
+  nonceKeyPattern,
+  parseSignatureHeader,
+  formatSignatureHeader,
+  buildCanonicalRequest,
+  isWithinSkew,
+  hashBody,
+  signRequest,
+  verifyRequestSignature,
+  createNonceStore
+} from '../request-signing.js';
+import { AUTH_ERROR_CODES, validateRequestWithRotation } from '../../auth.js';
+import {
+  createSigningKey,
+  deprecateSigningKey,
+  destroySigningKey,
+  deriveRequestSigningSecret,
+  hashKey,
+  openRequestSigningSecret,
+  rotateSigningKey
+} from '../key-rotator.js';
+import { storeKey, updateKey } from '../key-store-kv.js';
+import { toPublicKey } from '../handlers/key-admin.js';
+import { createMemoryAdapter } from '../adapters/memory-adapter.js';
+
+const URL_BASE = 'https://api.example.com';
+const PEPPER = { id: 'pepper_sig', secret: 's'.repeat(32) };
+const peppers = [PEPPER];
+
+/**
+ * Build a signed Request the way a client would
+ */
+async function signedRequest(method, path, body, credentials) {
+  const url = `${URL_BASE}${path}`;
+  const headers = await signRequest({ method, url, body }, credentials);
+  return new Request(url, { method, headers, body });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Pure functions
+    parse_header_roundtrip: { pass: false },
+    parse_header_other_scheme: { pass: false },
+    parse_header_malformed: { pass: false },
+    canonical_request_format: { pass: false },
+    skew_window: { pass: false },
+
+    // Signing
+    secret_sealed_at_rest: { pass: false },
+    sign_and_verify: { pass: false },
+    verify_rejects_tampering: { pass: false },
+    nonce_store_claims_once: { pass: false },
+
+    // validateRequestWithRotation
+    auth_signed_valid: { pass: false },
+    auth_body_still_readable: { pass: false },
+    auth_tampered_body: { pass: false },
+    auth_stale_timestamp: { pass: false },
+    auth_replayed_nonce: { pass: false },
+    auth_key_without_signing: { pass: false },
+    auth_requires_pepper: { pass: false },
+    auth_deprecated_overlap: { pass: false },
+    auth_destroyed_key: { pass: false },
+    auth_malformed_header: { pass: false },
+
+    // Key lifecycle
+    rotation_keeps_signing: { pass: false },
+    public_view_hides_secret: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Pure functions
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const parts = { keyId: 'key_abc12345', timestamp: 1767225600, nonce: 'n'.repeat(24), signature: 'a'.repeat(64) };
+    const header = formatSignatureHeader(parts);
+    const parsed = parseSignatureHeader(header);
+    results.parse_header_roundtrip.pass =
+      header.startsWith(`${REQUEST_SIGNING_SCHEME} keyId=key_abc12345,ts=1767225600,`) &&
+      parsed.keyId === parts.keyId &&
+      parsed.timestamp === parts.timestamp &&
+      parsed.nonce === parts.nonce &&
+      parsed.signature === parts.signature;
+
+    results.parse_header_other_scheme.pass =
+      parseSignatureHeader('Bearer sk_live_abc') === null &&
+      parseSignatureHeader(null) === null;
+
+    results.parse_header_malformed.pass =
+      parseSignatureHeader(`${REQUEST_SIGNING_SCHEME} keyId=key_abc12345`) === false &&
+      parseSignatureHeader(formatSignatureHeader({ ...parts, nonce: 'short' })) === false &&
+      parseSignatureHeader(formatSignatureHeader({ ...parts, signature: 'xyz' })) === false &&
+      parseSignatureHeader(formatSignatureHeader({ ...parts, timestamp: 'soon' })) === false;
+
+    const emptyHash = await hashBody(null);
+    results.canonical_request_format.pass =
+      buildCanonicalRequest({ method: 'post', path: '/v1/charges?x=1', bodyHash: emptyHash, timestamp: 10, nonce: 'abc' }) ===
+        `${REQUEST_SIGNING_SCHEME}\nPOST\n/v1/charges?x=1\n${emptyHash}\n10\nabc` &&
+      emptyHash === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+    results.skew_window.pass =
+      isWithinSkew(nowSeconds, 300000, now) &&
+      isWithinSkew(nowSeconds - 299, 300000, now) &&
+      !isWithinSkew(nowSeconds - 301, 300000, now) &&
+      !isWithinSkew(nowSeconds + 301, 300000, now);
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Signing
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMemoryAdapter();
+    const { signingKey, plaintextKey } = await createSigningKey({ merchantId: 'merchant_sig', requestSigning: true, pepper: PEPPER });
+    await storeKey(KV, signingKey);
+    const credentials = { keyId: signingKey.keyId, plaintextKey };
+    const secret = await openRequestSigningSecret(signingKey.requestSigningSecret, peppers, signingKey.keyId);
+    const derived = await deriveRequestSigningSecret(plaintextKey);
+
+    let unpepperedRejected = false;
+    try {
+      await createSigningKey({ requestSigning: true });
+    } catch (e) {
+      unpepperedRejected = e.message.includes('pepper');
+    }
+    results.secret_sealed_at_rest.pass =
+      secret === derived &&
+      derived !== await hashKey(plaintextKey) &&
+      signingKey.requestSigningSecret.startsWith('enc1:pepper_sig:') &&
+      !signingKey.requestSigningSecret.includes(derived) &&
+      (await openRequestSigningSecret(signingKey.requestSigningSecret, [], signingKey.keyId)) === null &&
+      (await openRequestSigningSecret(signingKey.requestSigningSecret, peppers, 'key_other000')) === null &&
+      unpepperedRejected;
+
+    const body = JSON.stringify({ amount: 1000 });
+    const request = await signedRequest('POST', '/v1/charges?currency=usd', body, credentials);
+    const requestParts = parseSignatureHeader(request.headers.get('Authorization'));
+    results.sign_and_verify.pass =
+      await verifyRequestSignature(request, requestParts, secret);
+
+    const otherBody = new Request(request.url, { method: 'POST', headers: request.headers, body: body.replace('1000', '9000') });
+    const otherPath = new Request(`${URL_BASE}/v1/refunds?currency=usd`, { method: 'POST', headers: request.headers, body });
+    const otherMethod = new Request(request.url, { method: 'PUT', headers: request.headers, body });
+    results.verify_rejects_tampering.pass =
+      !(await verifyRequestSignature(otherBody, requestParts, secret)) &&
+      !(await verifyRequestSignature(otherPath, requestParts, secret)) &&
+      !(await verifyRequestSignature(otherMethod, requestParts, secret)) &&
+      !(await verifyRequestSignature(request, requestParts, 'f'.repeat(64)));
+
+    const nonceStore = createNonceStore(createMemoryAdapter());
+    results.nonce_store_claims_once.pass =
+      (await nonceStore.claim('key_a', 'nonce_1')) === true &&
+      (await nonceStore.claim('key_a', 'nonce_1')) === false &&
+      (await nonceStore.claim('key_b', 'nonce_1')) === true &&
+      nonceKeyPattern('key_a', 'nonce_1') === 'nonce:key_a:nonce_1';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // validateRequestWithRotation
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const valid = await validateRequestWithRotation(request, KV, null, { peppers });
+    results.auth_signed_valid.pass =
+      valid.valid === true &&
+      valid.source === 'signed' &&
+      valid.keyId === signingKey.keyId &&
+      valid.merchantId === 'merchant_sig' &&
+      valid.isDeprecated === false;
+
+    results.auth_body_still_readable.pass = (await request.text()) === body;
+
+    const tampered = await signedRequest('POST', '/v1/charges', body, credentials);
+    const tamperedBody = new Request(tampered.url, { method: 'POST', headers: tampered.headers, body: '{}' });
+    const tamperedResult = await validateRequestWithRotation(tamperedBody, KV, null, { peppers });
+    results.auth_tampered_body.pass = tamperedResult.code === AUTH_ERROR_CODES.INVALID_SIGNATURE;
+
+    const stale = await signedRequest('GET', '/v1/charges', undefined, { ...credentials, now: now - 10 * 60 * 1000 });
+    const staleResult = await validateRequestWithRotation(stale, KV, null, { peppers });
+    results.auth_stale_timestamp.pass = staleResult.code === AUTH_ERROR_CODES.REQUEST_EXPIRED;
+
+    const once = await signedRequest('GET', '/v1/charges', undefined, credentials);
+    const replay = new Request(once.url, { headers: once.headers });
+    const first = await validateRequestWithRotation(once, KV, null, { peppers });
+    const second = await validateRequestWithRotation(replay, KV, null, { peppers });
+    results.auth_replayed_nonce.pass =
+      first.valid === true &&
+      second.valid === false &&
+      second.code === AUTH_ERROR_CODES.REPLAYED_REQUEST;
+
+    const bearerOnly = await createSigningKey({ merchantId: 'merchant_sig' });
+    await storeKey(KV, bearerOnly.signingKey);
+    const unsigned = await validateRequestWithRotation(
+      await signedRequest('GET', '/v1/charges', undefined, { keyId: bearerOnly.signingKey.keyId, plaintextKey: bearerOnly.plaintextKey }),
+      KV, null, { peppers }
+    );
+    results.auth_key_without_signing.pass = unsigned.code === AUTH_ERROR_CODES.INVALID_SIGNATURE;
+
+    // The stored secret cannot be opened without the pepper it was sealed under
+    const withoutPepper = await validateRequestWithRotation(await signedRequest('GET', '/v1/charges', undefined, credentials), KV);
+    results.auth_requires_pepper.pass = withoutPepper.code === AUTH_ERROR_CODES.INVALID_SIGNATURE;
+
+    const deprecatedKey = await updateKey(KV, deprecateSigningKey(signingKey));
+    const deprecatedResult = await validateRequestWithRotation(await signedRequest('GET', '/v1/charges', undefined, credentials), KV, null, { peppers });
+    results.auth_deprecated_overlap.pass =
+      deprecatedResult.valid === true &&
+      deprecatedResult.isDeprecated === true &&
+      deprecatedResult.remainingMs > 0;
+
+    await updateKey(KV, destroySigningKey(deprecatedKey));
+    const destroyedResult = await validateRequestWithRotation(await signedRequest('GET', '/v1/charges', undefined, credentials), KV, null, { peppers });
+    results.auth_destroyed_key.pass =
+      destroyedResult.valid === false &&
+      destroyedResult.code === AUTH_ERROR_CODES.EXPIRED_KEY;
+
+    const malformed = new Request(`${URL_BASE}/v1/charges`, {
+      headers: { Authorization: `${REQUEST_SIGNING_SCHEME} keyId=${signingKey.keyId}` }
+    });
+    results.auth_malformed_header.pass =
+      (await validateRequestWithRotation(malformed, KV, null, { peppers })).code === AUTH_ERROR_CODES.MALFORMED_HEADER;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Key lifecycle
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const rotated = await rotateSigningKey(signingKey, { pepper: PEPPER });
+    const rotatedPlain = await rotateSigningKey(bearerOnly.signingKey);
+    results.rotation_keeps_signing.pass =
+      (await openRequestSigningSecret(rotated.newKey.requestSigningSecret, peppers, rotated.newKey.keyId)) ===
+        await deriveRequestSigningSecret(rotated.plaintextKey) &&
+      rotatedPlain.newKey.requestSigningSecret === null;
+
+    const publicView = toPublicKey(signingKey);
+    results.public_view_hides_secret.pass =
+      !('requestSigningSecret' in publicView) &&
+      !('hash' in publicView) &&
+      publicView.requestSigning === true &&
+      toPublicKey(bearerOnly.signingKey).requestSigning === false;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  REQUEST SIGNING - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Pure Functions': ['parse_header_roundtrip', 'parse_header_other_scheme', 'parse_header_malformed', 'canonical_request_format', 'skew_window'],
+    'Signing': ['secret_sealed_at_rest', 'sign_and_verify', 'verify_rejects_tampering', 'nonce_store_claims_once'],
+    'validateRequestWithRotation': ['auth_signed_valid', 'auth_body_still_readable', 'auth_tampered_body', 'auth_stale_timestamp', 'auth_replayed_nonce', 'auth_key_without_signing', 'auth_requires_pepper', 'auth_deprecated_overlap', 'auth_destroyed_key', 'auth_malformed_header'],
+    'Key Lifecycle': ['rotation_keeps_signing', 'public_view_hides_secret']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
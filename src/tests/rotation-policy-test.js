@@ -0,0 +1,287 @@
+/**
+ * Rotation Policy Test
+ * ====================
+ *
+ * Tests the rotation policy registry against a mock KV namespace.
+ * Run: node src/tests/rotation-policy-test.js
+ */
+
+import {
+  parsePolicyScope,
+  policyKeyPattern,
+  normalizePolicy,
+  resolveRotationPolicy,
+  setRotationPolicy,
+  getRotationPolicy,
+  deleteRotationPolicy,
+  listRotationPolicies,
+  loadRotationPolicy
+} from '../rotation-policy.js';
+
+import { rotateDueKeys } from '../key-scheduler.js';
+import { storeKey, listMerchantKeys } from '../key-store-kv.js';
+
+import {
+  createSigningKey,
+  rotateSigningKey,
+  DEFAULT_TTL_MS,
+  DEFAULT_OVERLAP_MS,
+  MIN_OVERLAP_MS
+} from '../key-rotator.js';
+
+import { createMockKV } from './mock-kv.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Scopes
+    parsePolicyScope_levels: { pass: false },
+    parsePolicyScope_invalid: { pass: false },
+    policyKeyPattern_format: { pass: false },
+
+    // Validation and resolution
+    normalizePolicy_valid: { pass: false },
+    normalizePolicy_rejects: { pass: false },
+    resolve_most_specific_wins: { pass: false },
+    resolve_bounds_only_tighten: { pass: false },
+
+    // KV registry
+    set_get_roundtrip: { pass: false },
+    list_ordered_by_level: { pass: false },
+    delete_policy: { pass: false },
+    load_effective_policy: { pass: false },
+
+    // Key creation and rotation
+    createSigningKey_uses_policy: { pass: false },
+    createSigningKey_clamped_to_bounds: { pass: false },
+    rotateSigningKey_policy_beats_inherited: { pass: false },
+    rotateSigningKey_without_policy_inherits: { pass: false },
+    rotateDueKeys_uses_registry: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Scopes
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.parsePolicyScope_levels.pass =
+      parsePolicyScope('global').level === 'global' &&
+      parsePolicyScope('env:test').id === 'test' &&
+      parsePolicyScope('merchant:acme:eu').id === 'acme:eu';
+
+    const invalidScopes = ['', 'env:prod', 'merchant:', 'tenant:acme', null];
+    results.parsePolicyScope_invalid.pass = invalidScopes.every(scope => {
+      try {
+        parsePolicyScope(scope);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+
+    results.policyKeyPattern_format.pass =
+      policyKeyPattern('global') === 'policy:global' &&
+      policyKeyPattern('env:live') === 'policy:env:live' &&
+      policyKeyPattern('merchant:acme') === 'policy:merchant:acme';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Validation and resolution
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const normalized = normalizePolicy({ ttlMs: 7 * DAY, overlapMs: 12 * HOUR, note: 'dropped', maxTtlMs: null });
+    results.normalizePolicy_valid.pass =
+      JSON.stringify(normalized) === JSON.stringify({ ttlMs: 7 * DAY, overlapMs: 12 * HOUR });
+
+    const invalidPolicies = [
+      {},
+      [],
+      { ttlMs: -1 },
+      { ttlMs: 1.5 * DAY + 0.5 },
+      { ttlMs: 60 * 1000 },
+      { overlapMs: 30 * DAY },
+      { minTtlMs: 10 * DAY, maxTtlMs: 5 * DAY },
+      { ttlMs: 30 * DAY, maxTtlMs: 7 * DAY }
+    ];
+    results.normalizePolicy_rejects.pass = invalidPolicies.every(policy => {
+      try {
+        normalizePolicy(policy);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+
+    const layered = resolveRotationPolicy([
+      { scope: 'global', ttlMs: 30 * DAY, overlapMs: DAY },
+      { scope: 'env:test', ttlMs: 7 * DAY },
+      null
+    ]);
+    results.resolve_most_specific_wins.pass =
+      layered.ttlMs === 7 * DAY &&
+      layered.overlapMs === DAY &&
+      layered.sources.join() === 'global,env:test' &&
+      resolveRotationPolicy([]).ttlMs === undefined;
+
+    const bounded = resolveRotationPolicy([
+      { scope: 'global', maxTtlMs: 90 * DAY, minOverlapMs: HOUR },
+      { scope: 'merchant:acme', maxTtlMs: 365 * DAY, minTtlMs: DAY, minOverlapMs: 10 * 60 * 1000 }
+    ]);
+    results.resolve_bounds_only_tighten.pass =
+      bounded.maxTtlMs === 90 * DAY &&
+      bounded.minTtlMs === DAY &&
+      bounded.minOverlapMs === HOUR;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // KV registry
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+    const stored = await setRotationPolicy(KV, 'env:test', { ttlMs: 7 * DAY }, { actor: 'ops', now: 1000 });
+    const fetched = await getRotationPolicy(KV, 'env:test');
+    results.set_get_roundtrip.pass =
+      stored.scope === 'env:test' &&
+      fetched.ttlMs === 7 * DAY &&
+      fetched.updatedBy === 'ops' &&
+      fetched.updatedAt === 1000 &&
+      (await getRotationPolicy(KV, 'env:live')) === null;
+
+    await setRotationPolicy(KV, 'merchant:acme', { ttlMs: 3 * DAY });
+    await setRotationPolicy(KV, 'global', { overlapMs: 12 * HOUR, maxOverlapMs: 2 * DAY });
+    await setRotationPolicy(KV, 'merchant:beta', { minTtlMs: 2 * DAY });
+    const listed = await listRotationPolicies(KV);
+    results.list_ordered_by_level.pass =
+      listed.map(policy => policy.scope).join() === 'global,env:test,merchant:acme,merchant:beta';
+
+    await setRotationPolicy(KV, 'env:dev', { ttlMs: DAY });
+    results.delete_policy.pass =
+      (await deleteRotationPolicy(KV, 'env:dev')) === true &&
+      (await deleteRotationPolicy(KV, 'env:dev')) === false &&
+      (await getRotationPolicy(KV, 'env:dev')) === null;
+
+    const effective = await loadRotationPolicy(KV, { environment: 'test', merchantId: 'acme' });
+    const liveDefault = await loadRotationPolicy(KV, {});
+    results.load_effective_policy.pass =
+      effective.ttlMs === 3 * DAY &&
+      effective.overlapMs === 12 * HOUR &&
+      effective.maxOverlapMs === 2 * DAY &&
+      effective.sources.join() === 'global,env:test,merchant:acme' &&
+      liveDefault.sources.join() === 'global' &&
+      liveDefault.ttlMs === undefined;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Key creation and rotation
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const { signingKey: fromPolicy } = await createSigningKey({ environment: 'test', merchantId: 'acme', policy: effective });
+    const { signingKey: liveKey } = await createSigningKey({ policy: liveDefault });
+    results.createSigningKey_uses_policy.pass =
+      fromPolicy.rotationPolicy.ttlMs === 3 * DAY &&
+      fromPolicy.rotationPolicy.overlapMs === 12 * HOUR &&
+      fromPolicy.expiresAt - fromPolicy.createdAt === 3 * DAY &&
+      liveKey.rotationPolicy.ttlMs === DEFAULT_TTL_MS;
+
+    const { signingKey: clamped } = await createSigningKey({
+      ttlMs: 400 * DAY,
+      overlapMs: 6 * DAY,
+      policy: { maxTtlMs: 90 * DAY, maxOverlapMs: 2 * DAY }
+    });
+    const { signingKey: raised } = await createSigningKey({
+      ttlMs: HOUR,
+      overlapMs: 1,
+      policy: { minTtlMs: DAY }
+    });
+    results.createSigningKey_clamped_to_bounds.pass =
+      clamped.rotationPolicy.ttlMs === 90 * DAY &&
+      clamped.rotationPolicy.overlapMs === 2 * DAY &&
+      raised.rotationPolicy.ttlMs === DAY &&
+      raised.rotationPolicy.overlapMs === MIN_OVERLAP_MS;
+
+    const { signingKey: legacy } = await createSigningKey({ environment: 'test', ttlMs: 60 * DAY, overlapMs: 3 * DAY });
+    const { newKey: rotatedUnderPolicy } = await rotateSigningKey(legacy, { policy: { ttlMs: 7 * DAY } });
+    results.rotateSigningKey_policy_beats_inherited.pass =
+      rotatedUnderPolicy.rotationPolicy.ttlMs === 7 * DAY &&
+      rotatedUnderPolicy.rotationPolicy.overlapMs === 3 * DAY;
+
+    const { newKey: inheritedNoPolicy } = await rotateSigningKey(legacy);
+    const { newKey: inheritedEmptyPolicy } = await rotateSigningKey(legacy, { policy: resolveRotationPolicy([]) });
+    results.rotateSigningKey_without_policy_inherits.pass =
+      inheritedNoPolicy.rotationPolicy.ttlMs === 60 * DAY &&
+      inheritedEmptyPolicy.rotationPolicy.ttlMs === 60 * DAY &&
+      inheritedEmptyPolicy.rotationPolicy.overlapMs === 3 * DAY &&
+      DEFAULT_OVERLAP_MS !== 3 * DAY;
+
+    // The scheduler reads the registry for each due key
+    const sweepKV = createMockKV();
+    await setRotationPolicy(sweepKV, 'merchant:acme', { ttlMs: 14 * DAY });
+    const { signingKey: due } = await createSigningKey({ merchantId: 'acme' });
+    await storeKey(sweepKV, { ...due, expiresAt: Date.now() - 1000 });
+    const sweep = await rotateDueKeys(sweepKV, { merchantId: 'acme', onRotated: async () => {} });
+    const sweptNew = (await listMerchantKeys(sweepKV, 'acme')).find(key => key.keyId === sweep.rotated[0]?.newKeyId);
+    results.rotateDueKeys_uses_registry.pass =
+      sweep.rotated.length === 1 &&
+      sweptNew?.rotationPolicy.ttlMs === 14 * DAY;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  ROTATION POLICY - REGISTRY TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Scopes': ['parsePolicyScope_levels', 'parsePolicyScope_invalid', 'policyKeyPattern_format'],
+    'Validation and Resolution': ['normalizePolicy_valid', 'normalizePolicy_rejects', 'resolve_most_specific_wins', 'resolve_bounds_only_tighten'],
+    'KV Registry': ['set_get_roundtrip', 'list_ordered_by_level', 'delete_policy', 'load_effective_policy'],
+    'Key Creation and Rotation': ['createSigningKey_uses_policy', 'createSigningKey_clamped_to_bounds', 'rotateSigningKey_policy_beats_inherited', 'rotateSigningKey_without_policy_inherits', 'rotateDueKeys_uses_registry']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
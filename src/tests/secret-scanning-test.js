@@ -0,0 +1,376 @@
+/**
+ * Secret Scanning Test
+ * ====================
+ *
+ * Tests partner patterns, reporter signatures and leaked-key ingestion
+ * against a mock KV namespace.
+ * Run: node src/tests/secret-scanning-test.js
+ */
+
+import {
+  SIGNATURE_HEADERS,
+  LEAK_REPORT_ERROR_CODES,
+  MAX_LEAK_REPORT_TOKENS,
+  secretScanningPatterns,
+  parseReporterKeys,
+  verifyLeakReportSignature,
+  ingestLeakReport,
+  listLeakIncidents,
+  createSecretScanningHandler
+} from '../secret-scanning.js';
+
+import { storeKey, lookupByKeyId } from '../key-store-kv.js';
+
+import {
+  KEY_STATUS,
+  VALID_PREFIXES,
+  createSigningKey,
+  destroySigningKey,
+  generateKey,
+  getSigningKeyStatus,
+  hashKey
+} from '../key-rotator.js';
+
+import { fromBase64Url } from '../base64url.js';
+import { generateKeyPair, signWithPrivateKey } from '../key-pairs.js';
+import { AUDIT_EVENTS, listAuditEvents } from '../audit-log.js';
+import { createMockKV } from './mock-kv.js';
+
+// pk is publishable and has no scanning pattern
+const SECRET_PREFIXES = VALID_PREFIXES.filter(prefix => prefix !== 'pk');
+
+/**
+ * JOSE r||s signature (base64url) → base64 ASN.1 DER, as GitHub sends it
+ */
+function joseToDer(signature) {
+  const raw = fromBase64Url(signature);
+  const integers = [raw.slice(0, 32), raw.slice(32)].map(bytes => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const trimmed = bytes.slice(start);
+    const body = trimmed[0] & 0x80 ? [0, ...trimmed] : [...trimmed];
+    return [0x02, body.length, ...body];
+  });
+  const sequence = [...integers[0], ...integers[1]];
+  return btoa(String.fromCharCode(0x30, sequence.length, ...sequence));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Patterns
+    patterns_cover_prefixes: { pass: false },
+    patterns_match_keys: { pass: false },
+
+    // Reporter signatures
+    parseReporterKeys_validates: { pass: false },
+    signature_jose_valid: { pass: false },
+    signature_der_valid: { pass: false },
+    signature_rejects_tampering: { pass: false },
+
+    // Ingestion
+    ingest_suspends_match: { pass: false },
+    ingest_false_positive: { pass: false },
+    ingest_records_incident: { pass: false },
+    ingest_audits_leak: { pass: false },
+    ingest_destroy_action: { pass: false },
+    ingest_already_inactive: { pass: false },
+    ingest_rejects_malformed: { pass: false },
+    ingest_malformed_batch_changes_nothing: { pass: false },
+
+    // Endpoint
+    handler_patterns: { pass: false },
+    handler_report_verified: { pass: false },
+    handler_report_rejected: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Patterns
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const patterns = secretScanningPatterns();
+    results.patterns_cover_prefixes.pass =
+      patterns.length === SECRET_PREFIXES.length &&
+      patterns.every((pattern, i) => pattern.type === `key_rotator_${SECRET_PREFIXES[i]}_key`);
+
+    const skPattern = new RegExp(patterns[0].regex);
+    const checksummed = generateKey('sk', 'live');
+    const legacy = generateKey('sk', 'test', { checksum: false });
+    results.patterns_match_keys.pass =
+      skPattern.exec(`API_TOKEN="${checksummed}"`)?.[0] === checksummed &&
+      skPattern.exec(`key: ${legacy}\n`)?.[0] === legacy &&
+      !skPattern.test(checksummed.replace('_live_', '_prod_')) &&
+      !skPattern.test(`${legacy}abc`) &&
+      !new RegExp(patterns[1].regex).test(checksummed);
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Reporter signatures
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const esPair = await generateKeyPair('ES256', 'gh-1');
+    const edPair = await generateKeyPair('Ed25519', 'other-1');
+    const reporterKeys = parseReporterKeys(JSON.stringify([
+      { ...esPair.publicKey, reporter: 'github' },
+      edPair.publicKey
+    ]));
+
+    const rejectedConfigs = [
+      { foo: 1 },
+      [{ ...esPair.publicKey, kid: '' }],
+      [{ ...esPair.publicKey, alg: 'RS256' }],
+      [esPair.privateKey]
+    ];
+    results.parseReporterKeys_validates.pass =
+      reporterKeys.length === 2 &&
+      parseReporterKeys(undefined).length === 0 &&
+      rejectedConfigs.every(config => {
+        try {
+          parseReporterKeys(config);
+          return false;
+        } catch {
+          return true;
+        }
+      });
+
+    const body = JSON.stringify([{ token: checksummed, type: 'key_rotator_sk_key', url: 'https://example.com/leak' }]);
+    const joseSignature = await signWithPrivateKey(esPair.privateKey, body);
+    const joseCheck = await verifyLeakReportSignature(body, 'gh-1', joseSignature, reporterKeys);
+    const edCheck = await verifyLeakReportSignature(body, 'other-1', await signWithPrivateKey(edPair.privateKey, body), reporterKeys);
+    results.signature_jose_valid.pass =
+      joseCheck.valid === true &&
+      joseCheck.reporter === 'github' &&
+      edCheck.valid === true &&
+      edCheck.reporter === 'other-1';
+
+    const derCheck = await verifyLeakReportSignature(body, 'gh-1', joseToDer(joseSignature), reporterKeys);
+    results.signature_der_valid.pass = derCheck.valid === true;
+
+    const tampered = await verifyLeakReportSignature(body.replace('leak', 'leek'), 'gh-1', joseSignature, reporterKeys);
+    const unknownKid = await verifyLeakReportSignature(body, 'gh-2', joseSignature, reporterKeys);
+    const garbage = await verifyLeakReportSignature(body, 'gh-1', '%%%', reporterKeys);
+    const missing = await verifyLeakReportSignature(body, 'gh-1', null, reporterKeys);
+    results.signature_rejects_tampering.pass =
+      tampered.code === LEAK_REPORT_ERROR_CODES.INVALID_SIGNATURE &&
+      unknownKid.code === LEAK_REPORT_ERROR_CODES.UNKNOWN_REPORTER &&
+      garbage.valid === false &&
+      missing.valid === false;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Ingestion
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+    const { signingKey: leaked, plaintextKey: leakedPk } = await createSigningKey({ merchantId: 'merchant_leak' });
+    const { signingKey: bystander } = await createSigningKey({ merchantId: 'merchant_leak' });
+    await storeKey(KV, leaked);
+    await storeKey(KV, bystander);
+
+    const ingested = await ingestLeakReport(KV, [
+      { token: leakedPk, type: 'key_rotator_sk_key', url: 'https://gist.example.com/1', source: 'gist' },
+      { token: generateKey('sk', 'live'), type: 'key_rotator_sk_key' }
+    ], { reporter: 'github', now: 5000 });
+    const leakedAfter = await lookupByKeyId(KV, leaked.keyId);
+    results.ingest_suspends_match.pass =
+      ingested.results[0].label === 'true_positive' &&
+      ingested.results[0].outcome === 'suspended' &&
+      ingested.results[0].tokenHash === (await hashKey(leakedPk)) &&
+      getSigningKeyStatus(leakedAfter) === KEY_STATUS.SUSPENDED &&
+      leakedAfter.suspendedReason.includes('https://gist.example.com/1') &&
+      getSigningKeyStatus(await lookupByKeyId(KV, bystander.keyId)) === KEY_STATUS.ACTIVE;
+
+    // Broken checksums are rejected without reading the store
+    let reads = 0;
+    const countingKV = { ...KV, get: async (...args) => { reads++; return KV.get(...args); } };
+    const corrupted = leakedPk.slice(0, -1) + (leakedPk.endsWith('a') ? 'b' : 'a');
+    const corruptedRun = await ingestLeakReport(countingKV, [{ token: corrupted }]);
+    results.ingest_false_positive.pass =
+      ingested.results[1].label === 'false_positive' &&
+      ingested.results[1].keyId === null &&
+      ingested.incidents.length === 1 &&
+      corruptedRun.results[0].label === 'false_positive' &&
+      reads === 0;
+
+    const [incident] = await listLeakIncidents(KV, { merchantId: 'merchant_leak' });
+    results.ingest_records_incident.pass =
+      incident?.leakId === ingested.results[0].leakId &&
+      incident.keyId === leaked.keyId &&
+      incident.reporter === 'github' &&
+      incident.url === 'https://gist.example.com/1' &&
+      incident.source === 'gist' &&
+      incident.previousStatus === KEY_STATUS.ACTIVE &&
+      incident.outcome === 'suspended' &&
+      incident.reportedAt === 5000 &&
+      !JSON.stringify(incident).includes(leakedPk) &&
+      (await listLeakIncidents(KV, { merchantId: 'merchant_other' })).length === 0;
+
+    const suspendEvents = await listAuditEvents(KV, 'merchant_leak', { type: AUDIT_EVENTS.SUSPENDED });
+    results.ingest_audits_leak.pass =
+      suspendEvents.length === 1 &&
+      suspendEvents[0].actor === 'reporter:github' &&
+      suspendEvents[0].details?.leakId === incident.leakId &&
+      suspendEvents[0].details?.url === 'https://gist.example.com/1';
+
+    const destroyKV = createMockKV();
+    const { signingKey: toDestroy, plaintextKey: toDestroyPk } = await createSigningKey({ merchantId: 'merchant_leak' });
+    await storeKey(destroyKV, toDestroy);
+    const destroyRun = await ingestLeakReport(destroyKV, [{ token: toDestroyPk }], { action: 'destroy' });
+    results.ingest_destroy_action.pass =
+      destroyRun.results[0].outcome === 'destroyed' &&
+      getSigningKeyStatus(await lookupByKeyId(destroyKV, toDestroy.keyId)) === KEY_STATUS.DESTROYED;
+
+    // Reported again: suspended and destroyed keys are left as they are, still recorded
+    const repeat = await ingestLeakReport(KV, [{ token: leakedPk }]);
+    const goneKV = createMockKV();
+    const { signingKey: goneBase, plaintextKey: gonePk } = await createSigningKey();
+    await storeKey(goneKV, destroySigningKey(goneBase));
+    const goneRun = await ingestLeakReport(goneKV, [{ token: gonePk }], { action: 'destroy' });
+    results.ingest_already_inactive.pass =
+      repeat.results[0].label === 'true_positive' &&
+      repeat.results[0].outcome === 'none' &&
+      (await listLeakIncidents(KV, { keyId: leaked.keyId })).length === 2 &&
+      goneRun.results[0].outcome === 'none' &&
+      goneRun.incidents[0].previousStatus === KEY_STATUS.DESTROYED;
+
+    const malformed = [
+      () => ingestLeakReport(KV, { token: leakedPk }),
+      () => ingestLeakReport(KV, [{ url: 'https://example.com' }]),
+      () => ingestLeakReport(KV, [{ token: leakedPk }], { action: 'delete' }),
+      () => ingestLeakReport(KV, Array.from({ length: MAX_LEAK_REPORT_TOKENS + 1 }, () => ({ token: 'x' })))
+    ];
+    let malformedRejected = 0;
+    for (const run of malformed) {
+      try {
+        await run();
+      } catch {
+        malformedRejected++;
+      }
+    }
+    results.ingest_rejects_malformed.pass = malformedRejected === malformed.length;
+
+    // A bad entry after a real leak is caught before the leak is acted on
+    const batchKV = createMockKV();
+    const { signingKey: batchKey, plaintextKey: batchPk } = await createSigningKey({ merchantId: 'merchant_leak' });
+    await storeKey(batchKV, batchKey);
+    let batchError = null;
+    try {
+      await ingestLeakReport(batchKV, [{ token: batchPk }, { token: '' }]);
+    } catch (error) {
+      batchError = error.message;
+    }
+    results.ingest_malformed_batch_changes_nothing.pass =
+      /entry 1/.test(batchError) &&
+      getSigningKeyStatus(await lookupByKeyId(batchKV, batchKey.keyId)) === KEY_STATUS.ACTIVE &&
+      (await listLeakIncidents(batchKV)).length === 0;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Endpoint
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const handlerKV = createMockKV();
+    const { signingKey: exposed, plaintextKey: exposedPk } = await createSigningKey({ merchantId: 'merchant_http' });
+    await storeKey(handlerKV, exposed);
+    const env = {
+      KEY_STORE: handlerKV,
+      SECRET_SCANNING_REPORTERS: JSON.stringify([{ ...esPair.publicKey, reporter: 'github' }])
+    };
+    const fetch = createSecretScanningHandler();
+
+    const patternsResponse = await fetch(new Request('https://keys.example.com/secret-scanning/patterns'), env);
+    results.handler_patterns.pass =
+      patternsResponse.status === 200 &&
+      (await patternsResponse.json()).length === SECRET_PREFIXES.length;
+
+    const reportBody = JSON.stringify([{ token: exposedPk, type: 'key_rotator_sk_key', url: 'https://github.com/x/y/blob/main/.env' }]);
+    const reportRequest = (signature, reportEnv = env) => fetch(new Request('https://keys.example.com/secret-scanning/reports', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADERS.KEY_ID]: 'gh-1',
+        [SIGNATURE_HEADERS.SIGNATURE]: signature
+      },
+      body: reportBody
+    }), reportEnv);
+
+    const forged = await reportRequest(await signWithPrivateKey(edPair.privateKey, reportBody));
+    const notConfigured = await reportRequest('sig', { KEY_STORE: handlerKV });
+    const wrongMethod = await fetch(new Request('https://keys.example.com/secret-scanning/reports'), env);
+    results.handler_report_rejected.pass =
+      forged.status === 401 &&
+      (await forged.json()).code === LEAK_REPORT_ERROR_CODES.INVALID_SIGNATURE &&
+      notConfigured.status === 503 &&
+      wrongMethod.status === 405 &&
+      getSigningKeyStatus(await lookupByKeyId(handlerKV, exposed.keyId)) === KEY_STATUS.ACTIVE;
+
+    const accepted = await reportRequest(joseToDer(await signWithPrivateKey(esPair.privateKey, reportBody)));
+    const acceptedBody = await accepted.json();
+    results.handler_report_verified.pass =
+      accepted.status === 200 &&
+      acceptedBody.length === 1 &&
+      acceptedBody[0].label === 'true_positive' &&
+      acceptedBody[0].token_type === 'key_rotator_sk_key' &&
+      acceptedBody[0].token_hash === (await hashKey(exposedPk)) &&
+      !JSON.stringify(acceptedBody).includes(exposedPk) &&
+      getSigningKeyStatus(await lookupByKeyId(handlerKV, exposed.keyId)) === KEY_STATUS.SUSPENDED;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  SECRET SCANNING - PATTERNS AND LEAK REPORT TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Patterns': ['patterns_cover_prefixes', 'patterns_match_keys'],
+    'Reporter Signatures': ['parseReporterKeys_validates', 'signature_jose_valid', 'signature_der_valid', 'signature_rejects_tampering'],
+    'Ingestion': ['ingest_suspends_match', 'ingest_false_positive', 'ingest_records_incident', 'ingest_audits_leak', 'ingest_destroy_action', 'ingest_already_inactive', 'ingest_rejects_malformed', 'ingest_malformed_batch_changes_nothing'],
+    'Endpoint': ['handler_patterns', 'handler_report_verified', 'handler_report_rejected']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
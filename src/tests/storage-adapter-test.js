@@ -0,0 +1,281 @@
+/**
+ * Storage Adapter Test
+ * ====================
+ *
+ * Runs the storage adapter contract against the memory, file and D1 adapters,
+ * then drives key-store-kv.js through each of them.
+ * Run: node src/tests/storage-adapter-test.js
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { isStorageAdapter, assertStorageAdapter } from '../adapters/storage-adapter.js';
+import { createMemoryAdapter } from '../adapters/memory-adapter.js';
+import { createFileAdapter, FILE_STORE_FORMAT } from '../adapters/file-adapter.js';
+import { createD1Adapter, ensureD1Schema } from '../adapters/d1-adapter.js';
+import { isEncryptedStore } from '../store-crypto.js';
+import { createSigningKey } from '../key-rotator.js';
+import { storeKey, lookupByHash, listMerchantKeys, deleteKey, lookupByKeyId } from '../key-store-kv.js';
+import { createMockD1 } from './mock-d1.js';
+
+const PASSPHRASE = 'adapter-test-passphrase';
+const TEST_ITERATIONS = 1000;
+
+/**
+ * Contract checks shared by every adapter
+ * @returns {Promise<{contract: boolean, roundtrip: boolean, expiration: boolean, pagination: boolean, keyStore: boolean}>}
+ */
+async function runContract(makeAdapter) {
+  let clock = Date.now();
+  const adapter = await makeAdapter(() => clock);
+  const checks = {};
+
+  checks.contract = isStorageAdapter(adapter);
+
+  await adapter.put('a:1', JSON.stringify({ n: 1 }));
+  await adapter.put('a:2', 'plain');
+  const json = await adapter.get('a:1', { type: 'json' });
+  const text = await adapter.get('a:2');
+  const badJson = await adapter.get('a:2', { type: 'json' });
+  await adapter.delete('a:2');
+  checks.roundtrip =
+    json.n === 1 &&
+    text === 'plain' &&
+    badJson === null &&
+    (await adapter.get('a:2')) === null &&
+    (await adapter.get('missing')) === null;
+
+  await adapter.put('ttl:1', 'short-lived', { expirationTtl: 60 });
+  const beforeExpiry = await adapter.get('ttl:1');
+  const listedBefore = await adapter.list({ prefix: 'ttl:' });
+  clock += 61000;
+  checks.expiration =
+    beforeExpiry === 'short-lived' &&
+    listedBefore.keys.length === 1 &&
+    typeof listedBefore.keys[0].expiration === 'number' &&
+    (await adapter.get('ttl:1')) === null &&
+    (await adapter.list({ prefix: 'ttl:' })).keys.length === 0;
+
+  await adapter.put('p:c', '3');
+  await adapter.put('p:a', '1');
+  await adapter.put('p:b', '2');
+  await adapter.put('q:a', 'other prefix');
+  const page1 = await adapter.list({ prefix: 'p:', limit: 2 });
+  const page2 = await adapter.list({ prefix: 'p:', limit: 2, cursor: page1.cursor });
+  checks.pagination =
+    page1.keys.map(k => k.name).join() === 'p:a,p:b' &&
+    page1.list_complete === false &&
+    page2.keys.map(k => k.name).join() === 'p:c' &&
+    page2.list_complete === true &&
+    page2.cursor === null;
+
+  const { signingKey } = await createSigningKey({ merchantId: 'merchant_adapter' });
+  await storeKey(adapter, signingKey);
+  const byHash = await lookupByHash(adapter, signingKey.hash);
+  const merchantKeys = await listMerchantKeys(adapter, 'merchant_adapter');
+  const deleted = await deleteKey(adapter, signingKey.keyId);
+  checks.keyStore =
+    byHash.keyId === signingKey.keyId &&
+    merchantKeys.length === 1 &&
+    deleted === true &&
+    (await lookupByKeyId(adapter, signingKey.keyId)) === null;
+
+  return checks;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {};
+  const adapters = ['memory', 'file', 'file_encrypted', 'd1'];
+  for (const name of adapters) {
+    for (const check of ['contract', 'roundtrip', 'expiration', 'pagination', 'keyStore']) {
+      results[`${name}_${check}`] = { pass: false };
+    }
+  }
+  Object.assign(results, {
+    // Contract
+    assertStorageAdapter_rejects: { pass: false },
+
+    // File adapter specifics
+    file_persists_across_instances: { pass: false },
+    file_encrypted_at_rest: { pass: false },
+    file_encrypted_requires_passphrase: { pass: false },
+    file_migrates_foreign_document: { pass: false },
+    file_rejects_foreign_document: { pass: false },
+
+    // D1 specifics
+    d1_requires_schema: { pass: false }
+  });
+
+  const dir = mkdtempSync(join(tmpdir(), 'key-rotator-adapter-'));
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Contract (every adapter)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const factories = {
+      memory: (now) => createMemoryAdapter({ now }),
+      file: (now) => createFileAdapter(join(dir, 'plain.json'), { now }),
+      file_encrypted: (now) => createFileAdapter(join(dir, 'encrypted.json'), {
+        now,
+        passphrase: PASSPHRASE,
+        iterations: TEST_ITERATIONS
+      }),
+      d1: async (now) => {
+        const db = createMockD1();
+        await ensureD1Schema(db);
+        return createD1Adapter(db, { now });
+      }
+    };
+
+    for (const [name, factory] of Object.entries(factories)) {
+      const checks = await runContract(factory);
+      for (const [check, pass] of Object.entries(checks)) {
+        results[`${name}_${check}`].pass = pass;
+      }
+    }
+
+    try {
+      assertStorageAdapter({ get() {}, put() {} });
+      results.assertStorageAdapter_rejects.pass = false;
+    } catch (e) {
+      results.assertStorageAdapter_rejects.pass =
+        e.message.includes('delete') &&
+        assertStorageAdapter(createMemoryAdapter()) !== null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // File adapter specifics
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const reopened = createFileAdapter(join(dir, 'plain.json'));
+    const plainDocument = JSON.parse(readFileSync(join(dir, 'plain.json'), 'utf8'));
+    results.file_persists_across_instances.pass =
+      (await reopened.get('p:a')) === '1' &&
+      plainDocument.format === FILE_STORE_FORMAT &&
+      plainDocument.entries['p:b'].value === '2';
+
+    const encryptedRaw = readFileSync(join(dir, 'encrypted.json'), 'utf8');
+    const reopenedEncrypted = createFileAdapter(join(dir, 'encrypted.json'), { passphrase: PASSPHRASE });
+    results.file_encrypted_at_rest.pass =
+      isEncryptedStore(JSON.parse(encryptedRaw)) &&
+      !encryptedRaw.includes('p:a') &&
+      (await reopenedEncrypted.get('p:a')) === '1' &&
+      JSON.parse(encryptedRaw).kdf.iterations === TEST_ITERATIONS;
+
+    try {
+      await createFileAdapter(join(dir, 'encrypted.json')).get('p:a');
+      results.file_encrypted_requires_passphrase.pass = false;
+    } catch (e) {
+      results.file_encrypted_requires_passphrase.pass = e.message.includes('no passphrase');
+    }
+
+    const legacyPath = join(dir, 'legacy.json');
+    writeFileSync(legacyPath, JSON.stringify({ items: { one: 'first', two: 'second' } }));
+    const migrated = createFileAdapter(legacyPath, {
+      migrate: async (document, adapter) => {
+        for (const [name, value] of Object.entries(document.items)) {
+          await adapter.put(`item:${name}`, value);
+        }
+      }
+    });
+    const migratedList = await migrated.list({ prefix: 'item:' });
+    results.file_migrates_foreign_document.pass =
+      migratedList.keys.length === 2 &&
+      (await migrated.get('item:two')) === 'second' &&
+      JSON.parse(readFileSync(legacyPath, 'utf8')).format === FILE_STORE_FORMAT;
+
+    const foreignPath = join(dir, 'foreign.json');
+    writeFileSync(foreignPath, JSON.stringify({ something: 'else' }));
+    try {
+      await createFileAdapter(foreignPath).get('x');
+      results.file_rejects_foreign_document.pass = false;
+    } catch (e) {
+      results.file_rejects_foreign_document.pass = e.message.includes(FILE_STORE_FORMAT);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // D1 specifics
+    // ─────────────────────────────────────────────────────────────────────────
+
+    try {
+      await createD1Adapter(createMockD1()).get('x');
+      results.d1_requires_schema.pass = false;
+    } catch (e) {
+      results.d1_requires_schema.pass = e.message.includes('no such table');
+    }
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  STORAGE ADAPTERS - CONTRACT TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const contractChecks = ['contract', 'roundtrip', 'expiration', 'pagination', 'keyStore'];
+  const categories = {
+    'Memory Adapter': contractChecks.map(check => `memory_${check}`),
+    'File Adapter': [
+      ...contractChecks.map(check => `file_${check}`),
+      'file_persists_across_instances', 'file_migrates_foreign_document', 'file_rejects_foreign_document'
+    ],
+    'File Adapter (encrypted)': [
+      ...contractChecks.map(check => `file_encrypted_${check}`),
+      'file_encrypted_at_rest', 'file_encrypted_requires_passphrase'
+    ],
+    'D1 Adapter': [...contractChecks.map(check => `d1_${check}`), 'd1_requires_schema'],
+    'Contract': ['assertStorageAdapter_rejects']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
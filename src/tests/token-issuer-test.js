@@ -0,0 +1,384 @@
+/**
+ * Token Issuer Test
+ * =================
+ *
+ * Tests JWT issuance, the JWKS document and endpoint, and verification
+ * across issuer key rotations.
+ * Run: node src/tests/token-issuer-test.js
+ */
+
+import {
+  JWKS_PATH,
+  issuerKeyPattern,
+  issuerPrivateKeyPattern,
+  decodeToken,
+  buildJwks,
+  selectSigningKey,
+  verifyToken,
+  listIssuerKeys,
+  createTokenIssuer,
+  createJwksHandler
+} from '../token-issuer.js';
+import { createSigningKey, deprecateSigningKey, destroySigningKey, KEY_TYPES } from '../key-rotator.js';
+import { toBase64Url } from '../base64url.js';
+import { createScheduledHandler } from '../key-scheduler.js';
+import { setRotationPolicy } from '../rotation-policy.js';
+import { createMockKV } from './mock-kv.js';
+
+const ISSUER = 'https://auth.example.com';
+const SECRET = 'token-issuer-secret-for-tests-0123456789';
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Shift every timestamp on the stored issuer keys into the past
+ */
+async function backdate(KV, ms) {
+  const shift = (value) => (value === null ? null : value - ms);
+  for (const key of await listIssuerKeys(KV)) {
+    await KV.put(issuerKeyPattern(key.keyId), JSON.stringify({
+      ...key,
+      createdAt: shift(key.createdAt),
+      expiresAt: shift(key.expiresAt),
+      deprecatedAt: shift(key.deprecatedAt),
+      destroyedAt: shift(key.destroyedAt)
+    }));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELF-TEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function selfTest() {
+  const results = {
+    // Pure functions
+    decode_malformed: { pass: false },
+    jwks_active_and_overlap_only: { pass: false },
+    select_waits_for_publish_delay: { pass: false },
+    issuer_options_validated: { pass: false },
+
+    // Issuance
+    issue_bootstraps_key: { pass: false },
+    issue_claims: { pass: false },
+    issue_ttl_capped: { pass: false },
+    private_key_sealed: { pass: false },
+    wrong_secret_cannot_sign: { pass: false },
+    concurrent_bootstrap_keeps_every_kid: { pass: false },
+
+    // Verification
+    verify_valid: { pass: false },
+    verify_rejects_tampering: { pass: false },
+    verify_rejects_expired: { pass: false },
+    verify_checks_audience: { pass: false },
+    verify_rejects_alg_none: { pass: false },
+
+    // Rotation
+    rotation_keeps_old_tokens_valid: { pass: false },
+    rotation_new_key_after_publish_delay: { pass: false },
+    maintain_rotates_past_ttl: { pass: false },
+    maintain_destroys_after_overlap: { pass: false },
+    rotation_follows_policy: { pass: false },
+
+    // Worker integration
+    jwks_handler: { pass: false },
+    scheduled_handler_maintains_issuer: { pass: false }
+  };
+
+  try {
+    // ─────────────────────────────────────────────────────────────────────────
+    // Pure functions
+    // ─────────────────────────────────────────────────────────────────────────
+
+    results.decode_malformed.pass =
+      decodeToken('not-a-jwt') === null &&
+      decodeToken('a.b') === null &&
+      decodeToken(`${toBase64Url(new TextEncoder().encode('{'))}.e30.sig`) === null &&
+      decodeToken(null) === null &&
+      decodeToken('eyJhbGciOiJFUzI1NiJ9.e30.c2ln').header.alg === 'ES256';
+
+    const active = (await createSigningKey({ keyType: KEY_TYPES.ES256 })).signingKey;
+    const inOverlap = deprecateSigningKey((await createSigningKey({ keyType: KEY_TYPES.ES256 })).signingKey);
+    const destroyed = destroySigningKey((await createSigningKey({ keyType: KEY_TYPES.ES256 })).signingKey);
+    const pastOverlap = { ...inOverlap, keyId: 'key_past0000', deprecatedAt: Date.now() - 48 * HOUR };
+    const jwks = buildJwks([active, inOverlap, destroyed, pastOverlap]);
+    const kids = jwks.keys.map(key => key.kid);
+    results.jwks_active_and_overlap_only.pass =
+      kids.length === 2 &&
+      kids.includes(active.keyId) &&
+      kids.includes(inOverlap.keyId) &&
+      jwks.keys.every(key => key.d === undefined && key.alg === 'ES256' && key.use === 'sig');
+
+    const older = { ...active, keyId: 'key_older000', createdAt: Date.now() - 30 * 24 * HOUR };
+    const fresh = { ...active, keyId: 'key_fresh000', createdAt: Date.now() };
+    results.select_waits_for_publish_delay.pass =
+      selectSigningKey([fresh], 10 * 60 * 1000)?.keyId === 'key_fresh000' &&
+      selectSigningKey([older, fresh], 10 * 60 * 1000)?.keyId === 'key_older000' &&
+      selectSigningKey([older, fresh], 10 * 60 * 1000, Date.now() + 11 * 60 * 1000)?.keyId === 'key_fresh000' &&
+      selectSigningKey([destroyed], 0) === null;
+
+    const rejects = (options) => {
+      try {
+        createTokenIssuer(createMockKV(), options);
+        return false;
+      } catch {
+        return true;
+      }
+    };
+    results.issuer_options_validated.pass =
+      rejects({ issuer: ISSUER, secret: 'short' }) &&
+      rejects({ secret: SECRET }) &&
+      rejects({ issuer: ISSUER, secret: SECRET, overlapMs: HOUR, tokenTtlMs: HOUR }) &&
+      !rejects({ issuer: ISSUER, secret: SECRET });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Issuance
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const KV = createMockKV();
+    const issuer = createTokenIssuer(KV, { issuer: ISSUER, secret: SECRET });
+    const token = await issuer.issueToken({ sub: 'merchant_123', aud: 'payments', iss: 'forged', role: 'reader' });
+    const [firstKey] = await issuer.listKeys();
+    const decoded = decodeToken(token);
+    results.issue_bootstraps_key.pass =
+      (await issuer.listKeys()).length === 1 &&
+      firstKey.keyType === KEY_TYPES.ES256 &&
+      decoded.header.kid === firstKey.keyId &&
+      decoded.header.alg === 'ES256' &&
+      decoded.header.typ === 'JWT';
+
+    results.issue_claims.pass =
+      decoded.payload.iss === ISSUER &&
+      decoded.payload.sub === 'merchant_123' &&
+      decoded.payload.role === 'reader' &&
+      decoded.payload.exp - decoded.payload.iat === 15 * 60 &&
+      /^[A-Za-z0-9]{24}$/.test(decoded.payload.jti);
+
+    let ttlThrew = false;
+    try {
+      await issuer.issueToken({}, { ttlMs: 2 * HOUR });
+    } catch {
+      ttlThrew = true;
+    }
+    const shortToken = decodeToken(await issuer.issueToken({}, { ttlMs: 60 * 1000 }));
+    results.issue_ttl_capped.pass = ttlThrew && shortToken.payload.exp - shortToken.payload.iat === 60;
+
+    const rawStore = JSON.stringify([...KV._getStore().values()]);
+    const sealed = await KV.get(issuerPrivateKeyPattern(firstKey.keyId), { type: 'json' });
+    results.private_key_sealed.pass =
+      sealed !== null &&
+      typeof sealed.ciphertext === 'string' &&
+      !rawStore.includes('"d"') &&
+      firstKey.publicKey.d === undefined;
+
+    let wrongSecretThrew = false;
+    try {
+      await createTokenIssuer(KV, { issuer: ISSUER, secret: 'x'.repeat(40) }).issueToken({});
+    } catch {
+      wrongSecretThrew = true;
+    }
+    results.wrong_secret_cannot_sign.pass = wrongSecretThrew;
+
+    // Two isolates bootstrapping at once each keep their key in the JWKS
+    const racingKV = createMockKV();
+    const racers = [1, 2].map(() => createTokenIssuer(racingKV, { issuer: ISSUER, secret: SECRET }));
+    const racedTokens = await Promise.all(racers.map(racer => racer.issueToken({ sub: 'merchant_race' })));
+    const racedJwks = await racers[0].getJwks();
+    const racedChecks = await Promise.all(racedTokens.map(t => verifyToken(t, racedJwks, { issuer: ISSUER })));
+    results.concurrent_bootstrap_keeps_every_kid.pass =
+      (await listIssuerKeys(racingKV)).length === 2 &&
+      racedJwks.keys.length === 2 &&
+      racedChecks.every(check => check.valid);
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Verification
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const verified = await issuer.verifyToken(token, { audience: 'payments' });
+    const viaJwks = await verifyToken(token, await issuer.getJwks(), { issuer: ISSUER });
+    results.verify_valid.pass =
+      verified.valid === true &&
+      verified.kid === firstKey.keyId &&
+      verified.payload.sub === 'merchant_123' &&
+      viaJwks.valid === true;
+
+    const [h, p, s] = token.split('.');
+    const forgedPayload = toBase64Url(new TextEncoder().encode(JSON.stringify({ ...decoded.payload, role: 'admin' })));
+    const tampered = await issuer.verifyToken(`${h}.${forgedPayload}.${s}`);
+    const wrongIssuer = await verifyToken(token, await issuer.getJwks(), { issuer: 'https://other.example.com' });
+    results.verify_rejects_tampering.pass =
+      tampered.valid === false &&
+      tampered.reason === 'Signature does not match' &&
+      wrongIssuer.valid === false;
+
+    const expired = await issuer.verifyToken(token, { now: Date.now() + 20 * 60 * 1000 });
+    const withinSkew = await issuer.verifyToken(token, { now: (decoded.payload.exp * 1000) + 30 * 1000 });
+    results.verify_rejects_expired.pass =
+      expired.valid === false &&
+      expired.reason === 'Token has expired' &&
+      withinSkew.valid === true;
+
+    const multiAudience = await issuer.issueToken({ aud: ['payments', 'billing'] });
+    results.verify_checks_audience.pass =
+      !(await issuer.verifyToken(token, { audience: 'billing' })).valid &&
+      (await issuer.verifyToken(multiAudience, { audience: 'billing' })).valid;
+
+    const noneHeader = toBase64Url(new TextEncoder().encode(JSON.stringify({ alg: 'none', kid: firstKey.keyId })));
+    const algNone = await issuer.verifyToken(`${noneHeader}.${p}.${s}`);
+    results.verify_rejects_alg_none.pass =
+      algNone.valid === false &&
+      algNone.reason === 'Unsupported alg: none';
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Rotation
+    // ─────────────────────────────────────────────────────────────────────────
+
+    await backdate(KV, 2 * HOUR);
+    const { newKeyId, oldKeyId } = await issuer.rotate();
+    const jwksAfterRotate = await issuer.getJwks();
+    results.rotation_keeps_old_tokens_valid.pass =
+      oldKeyId === firstKey.keyId &&
+      jwksAfterRotate.keys.length === 2 &&
+      jwksAfterRotate.keys[0].kid === newKeyId &&
+      (await issuer.verifyToken(token, { audience: 'payments' })).valid;
+
+    // The old (deprecated) key signs until the new one has been published
+    const duringDelay = decodeToken(await issuer.issueToken({}));
+    const afterDelay = decodeToken(await issuer.issueToken({}, { now: Date.now() + 11 * 60 * 1000 }));
+    results.rotation_new_key_after_publish_delay.pass =
+      duringDelay.header.kid === oldKeyId &&
+      afterDelay.header.kid === newKeyId;
+
+    const cronKV = createMockKV();
+    const cronIssuer = createTokenIssuer(cronKV, { issuer: ISSUER, secret: SECRET, keyTtlMs: 24 * HOUR });
+    const firstRun = await cronIssuer.maintain();
+    const idleRun = await cronIssuer.maintain();
+    await backdate(cronKV, 25 * HOUR);
+    const dueRun = await cronIssuer.maintain();
+    const cronKeys = await cronIssuer.listKeys();
+    results.maintain_rotates_past_ttl.pass =
+      firstRun.rotated?.oldKeyId === null &&
+      idleRun.rotated === null &&
+      dueRun.rotated?.oldKeyId === firstRun.rotated.newKeyId &&
+      cronKeys.length === 2 &&
+      cronKeys.find(key => key.keyId === dueRun.rotated.newKeyId).metadata.createdBy === 'auto-rotation';
+
+    const oldToken = await cronIssuer.issueToken({ sub: 'old' });
+    await backdate(cronKV, 25 * HOUR);
+    const afterOverlap = await cronIssuer.maintain();
+    const destroyedKey = (await cronIssuer.listKeys()).find(key => key.keyId === firstRun.rotated.newKeyId);
+    results.maintain_destroys_after_overlap.pass =
+      afterOverlap.destroyed.length === 1 &&
+      afterOverlap.destroyed[0] === firstRun.rotated.newKeyId &&
+      destroyedKey.destroyedAt !== null &&
+      (await cronKV.get(issuerPrivateKeyPattern(destroyedKey.keyId))) === null &&
+      !(await cronIssuer.getJwks()).keys.some(key => key.kid === destroyedKey.keyId) &&
+      (await cronIssuer.verifyToken(oldToken)).reason === 'Unknown kid';
+
+    // Issuer keys take their lifetime from the rotation policy, within its bounds
+    const policyKV = createMockKV();
+    await setRotationPolicy(policyKV, 'global', { ttlMs: 2 * 24 * HOUR, maxOverlapMs: 12 * HOUR });
+    const policyIssuer = createTokenIssuer(policyKV, { issuer: ISSUER, secret: SECRET });
+    const { newKeyId: policyKid } = await policyIssuer.rotate();
+    const [policyKey] = (await listIssuerKeys(policyKV)).filter(key => key.keyId === policyKid);
+    const tightKV = createMockKV();
+    await setRotationPolicy(tightKV, 'env:live', { maxOverlapMs: 10 * 60 * 1000 });
+    let tightError = null;
+    try {
+      await createTokenIssuer(tightKV, { issuer: ISSUER, secret: SECRET }).rotate();
+    } catch (error) {
+      tightError = error.message;
+    }
+    results.rotation_follows_policy.pass =
+      policyKey?.rotationPolicy.ttlMs === 2 * 24 * HOUR &&
+      policyKey.rotationPolicy.overlapMs === 12 * HOUR &&
+      /publishDelayMs \+ tokenTtlMs/.test(tightError) &&
+      (await listIssuerKeys(tightKV)).length === 0;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Worker integration
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const handler = createJwksHandler();
+    const env = { KEY_STORE: KV };
+    const jwksResponse = await handler(new Request(`https://auth.example.com${JWKS_PATH}`), env);
+    const served = await jwksResponse.json();
+    const notFound = await handler(new Request('https://auth.example.com/other'), env);
+    const wrongMethod = await handler(new Request(`https://auth.example.com${JWKS_PATH}`, { method: 'POST' }), env);
+    const unconfigured = await handler(new Request(`https://auth.example.com${JWKS_PATH}`), {});
+    results.jwks_handler.pass =
+      jwksResponse.status === 200 &&
+      jwksResponse.headers.get('Content-Type') === 'application/jwk-set+json' &&
+      jwksResponse.headers.get('Cache-Control') === 'public, max-age=300' &&
+      served.keys.length === 2 &&
+      notFound.status === 404 &&
+      wrongMethod.status === 405 &&
+      unconfigured.status === 503;
+
+    const scheduledKV = createMockKV();
+    const scheduled = createScheduledHandler({ tokenIssuer: { issuer: ISSUER } });
+    const report = await scheduled({ scheduledTime: Date.now() }, { KEY_STORE: scheduledKV, TOKEN_ISSUER_SECRET: SECRET });
+    const missingSecret = await scheduled({ scheduledTime: Date.now() }, { KEY_STORE: createMockKV() });
+    results.scheduled_handler_maintains_issuer.pass =
+      typeof report.tokenIssuer?.rotated?.newKeyId === 'string' &&
+      (await listIssuerKeys(scheduledKV)).length === 1 &&
+      missingSecret.tokenIssuer === undefined;
+
+  } catch (error) {
+    console.error('Self-test error:', error);
+  }
+
+  const allPass = Object.values(results).every(r => r.pass);
+  const passCount = Object.values(results).filter(r => r.pass).length;
+  const totalCount = Object.keys(results).length;
+
+  return {
+    pass: allPass,
+    results,
+    summary: `${passCount}/${totalCount} tests passed`
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEST RUNNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('  TOKEN ISSUER - TESTS');
+  console.log('═══════════════════════════════════════════════════════════════');
+  console.log('');
+
+  const { pass, results, summary } = await selfTest();
+
+  // Group results
+  const categories = {
+    'Pure Functions': ['decode_malformed', 'jwks_active_and_overlap_only', 'select_waits_for_publish_delay', 'issuer_options_validated'],
+    'Issuance': ['issue_bootstraps_key', 'issue_claims', 'issue_ttl_capped', 'private_key_sealed', 'wrong_secret_cannot_sign', 'concurrent_bootstrap_keeps_every_kid'],
+    'Verification': ['verify_valid', 'verify_rejects_tampering', 'verify_rejects_expired', 'verify_checks_audience', 'verify_rejects_alg_none'],
+    'Rotation': ['rotation_keeps_old_tokens_valid', 'rotation_new_key_after_publish_delay', 'maintain_rotates_past_ttl', 'maintain_destroys_after_overlap', 'rotation_follows_policy'],
+    'Worker Integration': ['jwks_handler', 'scheduled_handler_maintains_issuer']
+  };
+
+  for (const [category, tests] of Object.entries(categories)) {
+    console.log(`  📁 ${category}`);
+    for (const testName of tests) {
+      const result = results[testName];
+      if (result) {
+        const status = result.pass ? '✅' : '❌';
+        console.log(`     ${status} ${testName}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log('───────────────────────────────────────────────────────────────');
+  console.log(`  ${pass ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}: ${summary}`);
+  console.log('───────────────────────────────────────────────────────────────');
+
+  process.exit(pass ? 0 : 1);
+}
+
+runTests().catch(err => {
+  console.error('Test runner error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * Timing-Safe Comparison
+ * ======================
+ *
+ * Constant-time string equality for secrets and signatures, shared by
+ * auth.js (static API keys) and key-notifier.js (webhook signatures).
+ *
+ * @module timing-safe
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   The comparison time depends only on the length of the first argument,
+ *   never on where the strings differ. Non-string input compares unequal.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPARISON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Timing-safe string comparison to prevent timing attacks
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const lengthsMatch = a.length === b.length;
+  if (!lengthsMatch) {
+    // Still do comparison to maintain constant time
+    b = a;
+  }
+
+  let result = 0;
+  for (let i = 0; i < a.length; i++) {
+    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return result === 0 && lengthsMatch;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  timingSafeEqual
+};
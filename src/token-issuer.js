@@ -0,0 +1,633 @@
+/**
+ * Token Issuer - JWTs and JWKS Backed by Rotating Keys
+ * ====================================================
+ *
+ * Issues short-lived ES256 JWTs and publishes the matching JSON Web Key Set.
+ * The issuer's keypairs are ordinary keypair SigningKeys (key-pairs.js), so
+ * they follow the same lifecycle as API keys: rotate → deprecated (still in
+ * the JWKS for the overlap) → destroyed (dropped from the JWKS). Downstream
+ * services verify tokens from the JWKS alone and never see a rotation.
+ *
+ * @module token-issuer
+ * @version 1.0.0
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE CONTRACT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * TOKENS:
+ *   header  { alg: 'ES256', typ: 'JWT', kid: <SigningKey.keyId> }
+ *   payload { ...claims, iss, iat, exp, jti }   (issuer-set claims win)
+ *
+ * KEY SELECTION:
+ *   A new key is published in the JWKS publishDelayMs before it signs
+ *   anything, so verifiers holding a cached JWKS never see an unknown kid.
+ *   Until then the previous key (deprecated, still in overlap) keeps signing.
+ *   This requires overlapMs >= publishDelayMs + tokenTtlMs, which
+ *   createTokenIssuer enforces.
+ *
+ * ROTATION POLICY:
+ *   Issuer keys are live keys with no merchant, so the global and env:live
+ *   rotation policies (rotation-policy.js) apply to them like to any other
+ *   key: keyTtlMs / overlapMs default to the policy's and are held to its
+ *   bounds. A policy whose overlap bounds cannot cover publishDelayMs +
+ *   tokenTtlMs makes rotate throw rather than mint a key tokens outlive.
+ *
+ * KV SCHEMA (separate from API keys - the scheduler and admin API never see them):
+ *   token-issuer:key:{keyId}      → SigningKey (public JWK only)
+ *   token-issuer:private:{keyId}  → { iv, ciphertext }  private JWK, AES-256-GCM
+ *
+ *   One entry per kid, so concurrent rotations (e.g. two isolates issuing
+ *   the first token at once) each write their own key and never drop the
+ *   other's kid from the JWKS.
+ *
+ *   Private JWKs are sealed under a key derived (HKDF-SHA-256) from the
+ *   issuer secret, with the keyId as AAD, and deleted when the key is destroyed.
+ *
+ * USAGE:
+ *   const issuer = createTokenIssuer(env.KEY_STORE, {
+ *     issuer: 'https://auth.example.com',
+ *     secret: env.TOKEN_ISSUER_SECRET
+ *   });
+ *   const token = await issuer.issueToken({ sub: 'merchant_123', aud: 'payments' });
+ *
+ *   export default {
+ *     fetch: createJwksHandler(),                                 // /.well-known/jwks.json
+ *     scheduled: createScheduledHandler({ tokenIssuer: { issuer } })   // key-scheduler.js
+ *   };
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  KEY_TYPES,
+  DEFAULT_OVERLAP_MS,
+  applyRotationPolicy,
+  createSigningKey,
+  destroySigningKey,
+  formatDuration,
+  generateRandomString,
+  isSigningKeyValid,
+  needsRotation,
+  rotateSigningKey,
+  signWithSigningKey
+} from './key-rotator.js';
+import { fromBase64Url, toBase64Url } from './base64url.js';
+import { verifyWithPublicKey } from './key-pairs.js';
+import { loadRotationPolicy } from './rotation-policy.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * JWS algorithm of issued tokens
+ */
+const TOKEN_ALGORITHM = 'ES256';
+
+/**
+ * Default token lifetime: 15 minutes
+ */
+const DEFAULT_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Default time a new key sits in the JWKS before it signs: 10 minutes
+ */
+const DEFAULT_PUBLISH_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * Default clock skew tolerated when verifying exp / nbf / iat: 60 seconds
+ */
+const DEFAULT_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Path the JWKS is served on
+ */
+const JWKS_PATH = '/.well-known/jwks.json';
+
+/**
+ * Minimum issuer secret length (matches the pepper minimum)
+ */
+const MIN_ISSUER_SECRET_LENGTH = 32;
+
+/**
+ * HKDF info string binding the sealing key to this storage format
+ */
+const HKDF_INFO = 'key-rotator/token-issuer/v1';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KV KEY PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prefix of the issuer's SigningKey entries
+ * @returns {string}
+ */
+function issuerKeysPrefix() {
+  return 'token-issuer:key:';
+}
+
+/**
+ * KV key holding one issuer SigningKey
+ * @param {string} keyId - Issuer SigningKey ID
+ * @returns {string}
+ */
+function issuerKeyPattern(keyId) {
+  return `${issuerKeysPrefix()}${keyId}`;
+}
+
+/**
+ * KV key holding a sealed private JWK
+ * @param {string} keyId - Issuer SigningKey ID
+ * @returns {string}
+ */
+function issuerPrivateKeyPattern(keyId) {
+  return `token-issuer:private:${keyId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PURE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Encode a JSON object as a base64url JWT segment
+ * @param {Object} value
+ * @returns {string}
+ */
+function encodeSegment(value) {
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+/**
+ * Split a compact JWT into its parts without verifying it
+ * @param {string} token
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: string}|null}
+ *   null if the token is not a well-formed JWS
+ */
+function decodeToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const segments = token.split('.');
+  if (segments.length !== 3 || segments.some(segment => !/^[A-Za-z0-9_-]+$/.test(segment))) {
+    return null;
+  }
+
+  try {
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(fromBase64Url(segments[0])));
+    const payload = JSON.parse(decoder.decode(fromBase64Url(segments[1])));
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+      return null;
+    }
+    return { header, payload, signingInput: `${segments[0]}.${segments[1]}`, signature: segments[2] };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the JWKS document: active keys plus deprecated keys still in overlap
+ * @param {Object[]} signingKeys - Issuer SigningKeys
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {{keys: Object[]}}
+ */
+function buildJwks(signingKeys, now = Date.now()) {
+  return {
+    keys: signingKeys
+      .filter(key => key.publicKey && isSigningKeyValid(key, now).valid)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(key => key.publicKey)
+  };
+}
+
+/**
+ * Pick the key that signs new tokens
+ * The newest active key once it has been published for publishDelayMs;
+ * before that, the newest other key that is still valid. A lone key signs
+ * immediately (there is nothing to fall back to).
+ * @param {Object[]} signingKeys - Issuer SigningKeys
+ * @param {number} [publishDelayMs]
+ * @param {number} [now] - Current timestamp (for testing)
+ * @returns {Object|null}
+ */
+function selectSigningKey(signingKeys, publishDelayMs = DEFAULT_PUBLISH_DELAY_MS, now = Date.now()) {
+  const valid = signingKeys
+    .filter(key => isSigningKeyValid(key, now).valid)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  const [newest, previous] = valid;
+  if (!newest) {
+    return null;
+  }
+  if (now - newest.createdAt < publishDelayMs && previous) {
+    return previous;
+  }
+  return newest;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Verify a JWT against a JWKS document (what a downstream service does)
+ * @param {string} token - Compact JWT
+ * @param {{keys: Object[]}} jwks - From buildJwks / the JWKS endpoint
+ * @param {Object} [options]
+ * @param {string} [options.issuer] - Required iss
+ * @param {string} [options.audience] - Required aud (string or array claim)
+ * @param {number} [options.clockSkewMs=60000]
+ * @param {number} [options.now] - Current timestamp (for testing)
+ * @returns {Promise<{valid: boolean, reason: string|null, payload: Object|null, kid: string|null}>}
+ */
+async function verifyToken(token, jwks, options = {}) {
+  const { issuer, audience, clockSkewMs = DEFAULT_CLOCK_SKEW_MS, now = Date.now() } = options;
+  const fail = (reason, kid = null) => ({ valid: false, reason, payload: null, kid });
+
+  const decoded = decodeToken(token);
+  if (!decoded) {
+    return fail('Malformed token');
+  }
+
+  const { header, payload } = decoded;
+  if (header.alg !== TOKEN_ALGORITHM) {
+    return fail(`Unsupported alg: ${header.alg}`, header.kid ?? null);
+  }
+
+  const publicKey = (jwks?.keys || []).find(key => key.kid === header.kid);
+  if (!publicKey) {
+    return fail('Unknown kid', header.kid ?? null);
+  }
+  if (!(await verifyWithPublicKey(publicKey, decoded.signingInput, decoded.signature))) {
+    return fail('Signature does not match', header.kid);
+  }
+
+  const nowSeconds = now / 1000;
+  const skewSeconds = clockSkewMs / 1000;
+  if (typeof payload.exp !== 'number' || nowSeconds - skewSeconds >= payload.exp) {
+    return fail('Token has expired', header.kid);
+  }
+  if (typeof payload.nbf === 'number' && nowSeconds + skewSeconds < payload.nbf) {
+    return fail('Token is not yet valid', header.kid);
+  }
+  if (issuer !== undefined && payload.iss !== issuer) {
+    return fail('Issuer does not match', header.kid);
+  }
+  if (audience !== undefined) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      return fail('Audience does not match', header.kid);
+    }
+  }
+
+  return { valid: true, reason: null, payload, kid: header.kid };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PRIVATE KEY SEALING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Derive the AES-256-GCM key that seals private JWKs
+ * @param {string} secret - Issuer secret
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveSealingKey(secret) {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(secret), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(HKDF_INFO) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Seal a private JWK for storage
+ * @param {CryptoKey} sealingKey
+ * @param {Object} privateKey - Private JWK (kid is bound as AAD)
+ * @returns {Promise<{iv: string, ciphertext: string}>}
+ */
+async function sealPrivateKey(sealingKey, privateKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(privateKey.kid) },
+    sealingKey,
+    new TextEncoder().encode(JSON.stringify(privateKey))
+  );
+  return { iv: toBase64Url(iv), ciphertext: toBase64Url(ciphertext) };
+}
+
+/**
+ * Open a sealed private JWK
+ * @param {CryptoKey} sealingKey
+ * @param {string} keyId - Expected kid (AAD)
+ * @param {{iv: string, ciphertext: string}} sealed
+ * @returns {Promise<Object>}
+ */
+async function openPrivateKey(sealingKey, keyId, sealed) {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(sealed.iv), additionalData: new TextEncoder().encode(keyId) },
+      sealingKey,
+      fromBase64Url(sealed.ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new Error(`Cannot open private key for ${keyId} - wrong issuer secret?`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ISSUER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read the issuer's SigningKeys (no secret needed - used by the JWKS endpoint)
+ * @param {KVNamespace} KV - KV binding or any StorageAdapter
+ * @returns {Promise<Object[]>}
+ */
+async function listIssuerKeys(KV) {
+  const keyIds = [];
+  let cursor = null;
+
+  do {
+    const listResult = await KV.list({ prefix: issuerKeysPrefix(), cursor });
+    for (const item of listResult.keys) {
+      keyIds.push(item.name.slice(issuerKeysPrefix().length));
+    }
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  const keys = await Promise.all(keyIds.map(keyId => KV.get(issuerKeyPattern(keyId), { type: 'json' })));
+  return keys.filter(key => key !== null);
+}
+
+/**
+ * Create a token issuer
+ * @param {KVNamespace} KV - KV binding or any StorageAdapter
+ * @param {Object} options
+ * @param {string} options.issuer - iss claim of issued tokens
+ * @param {string} options.secret - Seals private JWKs at rest (32+ characters)
+ * @param {number} [options.tokenTtlMs=900000] - Default token lifetime
+ * @param {number} [options.keyTtlMs] - Signing key lifetime before rotation (default: policy, else 30 days)
+ * @param {number} [options.overlapMs] - How long a rotated key stays in the JWKS (default: policy, else 24h)
+ * @param {number} [options.publishDelayMs=600000] - JWKS cache lifetime downstream
+ * @returns {Object} - { listKeys, getJwks, rotate, maintain, issueToken, verifyToken }
+ */
+function createTokenIssuer(KV, options = {}) {
+  const {
+    issuer,
+    secret,
+    tokenTtlMs = DEFAULT_TOKEN_TTL_MS,
+    keyTtlMs,
+    overlapMs,
+    publishDelayMs = DEFAULT_PUBLISH_DELAY_MS
+  } = options;
+
+  if (!KV) {
+    throw new Error('KV namespace is required');
+  }
+  if (!issuer) {
+    throw new Error('issuer is required');
+  }
+  if (typeof secret !== 'string' || secret.length < MIN_ISSUER_SECRET_LENGTH) {
+    throw new Error(`Issuer secret must be at least ${MIN_ISSUER_SECRET_LENGTH} characters`);
+  }
+  if ((overlapMs ?? DEFAULT_OVERLAP_MS) < publishDelayMs + tokenTtlMs) {
+    throw new Error('overlapMs must cover publishDelayMs + tokenTtlMs, or tokens outlive their key');
+  }
+
+  let sealingKey = null;
+  const getSealingKey = async () => (sealingKey ??= await deriveSealingKey(secret));
+
+  const saveKey = (signingKey) => KV.put(issuerKeyPattern(signingKey.keyId), JSON.stringify(signingKey));
+
+  /**
+   * Lifetime of the next issuer key under the current rotation policy
+   * @returns {Promise<{policy: Object, ttlMs: number, overlapMs: number}>}
+   */
+  const keyLifetime = async () => {
+    const policy = await loadRotationPolicy(KV);
+    const lifetime = applyRotationPolicy(policy, { ttlMs: keyTtlMs, overlapMs });
+    if (lifetime.overlapMs < publishDelayMs + tokenTtlMs) {
+      throw new Error(
+        `Rotation policy limits the overlap to ${formatDuration(lifetime.overlapMs)}, short of publishDelayMs + tokenTtlMs`
+      );
+    }
+    return { policy, ...lifetime };
+  };
+
+  const issuerApi = {
+    /**
+     * All issuer SigningKeys, including destroyed ones
+     * @returns {Promise<Object[]>}
+     */
+    listKeys() {
+      return listIssuerKeys(KV);
+    },
+
+    /**
+     * Current JWKS document
+     * @param {number} [now]
+     * @returns {Promise<{keys: Object[]}>}
+     */
+    async getJwks(now = Date.now()) {
+      return buildJwks(await listIssuerKeys(KV), now);
+    },
+
+    /**
+     * Deprecate the active key (if any) and create its successor
+     * @param {Object} [rotateOptions]
+     * @param {string} [rotateOptions.createdBy='system']
+     * @returns {Promise<{newKeyId: string, oldKeyId: string|null}>}
+     */
+    async rotate(rotateOptions = {}) {
+      const { createdBy = 'system' } = rotateOptions;
+      const signingKeys = await listIssuerKeys(KV);
+      const current = signingKeys
+        .filter(key => !key.deprecatedAt && !key.destroyedAt)
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+      const lifetime = await keyLifetime();
+      let created;
+      if (current) {
+        created = await rotateSigningKey(current, { createdBy, ...lifetime });
+      } else {
+        created = await createSigningKey({ keyType: KEY_TYPES.ES256, createdBy, ...lifetime });
+        created.newKey = created.signingKey;
+      }
+
+      // Private key first: a listed key must always be able to sign
+      const { newKey, oldKey, privateKey } = created;
+      await KV.put(issuerPrivateKeyPattern(newKey.keyId), JSON.stringify(await sealPrivateKey(await getSealingKey(), privateKey)));
+
+      await saveKey(newKey);
+      if (oldKey) {
+        await saveKey(oldKey);
+      }
+
+      return { newKeyId: newKey.keyId, oldKeyId: oldKey?.keyId ?? null };
+    },
+
+    /**
+     * Cron work: rotate a key past its TTL (or create the first one) and
+     * destroy keys whose overlap has ended, deleting their private JWKs
+     * @param {number} [now]
+     * @returns {Promise<{rotated: Object|null, destroyed: string[]}>}
+     */
+    async maintain(now = Date.now()) {
+      let signingKeys = await listIssuerKeys(KV);
+
+      let rotated = null;
+      const active = signingKeys.filter(key => !key.deprecatedAt && !key.destroyedAt);
+      if (active.length === 0 || active.some(key => needsRotation(key, now))) {
+        rotated = await issuerApi.rotate({ createdBy: 'auto-rotation' });
+        signingKeys = await listIssuerKeys(KV);
+      }
+
+      const destroyed = [];
+      for (const key of signingKeys) {
+        if (key.destroyedAt || isSigningKeyValid(key, now).valid) {
+          continue;
+        }
+        await saveKey(destroySigningKey(key));
+        await KV.delete(issuerPrivateKeyPattern(key.keyId));
+        destroyed.push(key.keyId);
+      }
+
+      return { rotated, destroyed };
+    },
+
+    /**
+     * Issue a signed JWT (creates the first signing key if there is none)
+     * @param {Object} [claims] - sub, aud and any custom claims
+     * @param {Object} [issueOptions]
+     * @param {number} [issueOptions.ttlMs] - At most the issuer's tokenTtlMs
+     * @param {number} [issueOptions.now] - Current timestamp (for testing)
+     * @returns {Promise<string>} - Compact JWT
+     */
+    async issueToken(claims = {}, issueOptions = {}) {
+      const { ttlMs = tokenTtlMs, now = Date.now() } = issueOptions;
+      if (ttlMs > tokenTtlMs) {
+        throw new Error(`Token TTL cannot exceed ${tokenTtlMs}ms`);
+      }
+
+      let signingKeys = await listIssuerKeys(KV);
+      if (!selectSigningKey(signingKeys, publishDelayMs, now)) {
+        await issuerApi.rotate();
+        signingKeys = await listIssuerKeys(KV);
+      }
+
+      const signingKey = selectSigningKey(signingKeys, publishDelayMs, now);
+      const sealed = await KV.get(issuerPrivateKeyPattern(signingKey.keyId), { type: 'json' });
+      if (!sealed) {
+        throw new Error(`Private key for ${signingKey.keyId} not found`);
+      }
+      const privateKey = await openPrivateKey(await getSealingKey(), signingKey.keyId, sealed);
+
+      const iat = Math.floor(now / 1000);
+      const header = { alg: TOKEN_ALGORITHM, typ: 'JWT', kid: signingKey.keyId };
+      const payload = {
+        ...claims,
+        iss: issuer,
+        iat,
+        exp: iat + Math.floor(ttlMs / 1000),
+        jti: generateRandomString(24)
+      };
+
+      const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+      const signature = await signWithSigningKey(signingKey, privateKey, signingInput, now);
+      return `${signingInput}.${signature}`;
+    },
+
+    /**
+     * Verify a token against this issuer's current JWKS
+     * @param {string} token
+     * @param {Object} [verifyOptions] - audience, clockSkewMs, now (see verifyToken)
+     * @returns {Promise<{valid: boolean, reason: string|null, payload: Object|null, kid: string|null}>}
+     */
+    async verifyToken(token, verifyOptions = {}) {
+      const jwks = await issuerApi.getJwks(verifyOptions.now);
+      return verifyToken(token, jwks, { ...verifyOptions, issuer });
+    }
+  };
+
+  return issuerApi;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORKER INTEGRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a Worker `fetch()` handler serving the issuer's JWKS
+ * @param {Object} [options]
+ * @param {string} [options.binding='KEY_STORE'] - Name of the KV binding on env
+ * @param {number} [options.maxAgeSeconds=300] - Cache-Control max-age; keep it
+ *   below the issuer's publishDelayMs
+ * @returns {Function} - async (request, env, ctx) => Response
+ */
+function createJwksHandler(options = {}) {
+  const { binding = 'KEY_STORE', maxAgeSeconds = 300 } = options;
+
+  return async function fetch(request, env, ctx) {
+    const { pathname } = new URL(request.url);
+    if (pathname !== JWKS_PATH) {
+      return new Response('Not Found', { status: 404 });
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return new Response('Method Not Allowed', { status: 405, headers: { Allow: 'GET, HEAD' } });
+    }
+
+    const KV = env?.[binding];
+    if (!KV) {
+      return new Response('JWKS not configured', { status: 503 });
+    }
+
+    const jwks = buildJwks(await listIssuerKeys(KV));
+    return new Response(request.method === 'HEAD' ? null : JSON.stringify(jwks), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/jwk-set+json',
+        'Cache-Control': `public, max-age=${maxAgeSeconds}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export {
+  // Constants
+  TOKEN_ALGORITHM,
+  DEFAULT_TOKEN_TTL_MS,
+  DEFAULT_PUBLISH_DELAY_MS,
+  JWKS_PATH,
+
+  // Key patterns
+  issuerKeysPrefix,
+  issuerKeyPattern,
+  issuerPrivateKeyPattern,
+
+  // Pure functions
+  decodeToken,
+  buildJwks,
+  selectSigningKey,
+
+  // Verification
+  verifyToken,
+
+  // Issuer
+  listIssuerKeys,
+  createTokenIssuer,
+
+  // Worker integration
+  createJwksHandler
+};